@@ -0,0 +1,70 @@
+/**
+ * Script per creare un utente admin o promuovere ad admin un utente esistente
+ * Uso: npm run admin:create -- <email> [password]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const { User } = require('../src/db');
+const { hashPassword } = require('../src/services/authService');
+
+// MongoDB connection string
+const MONGODB_URI = process.env.MONGODB_URI;
+if (!MONGODB_URI) {
+  logger.error('Please define the MONGODB_URI environment variable');
+  process.exit(1);
+}
+
+const [email, password] = process.argv.slice(2);
+if (!email) {
+  logger.error('Uso: npm run admin:create -- <email> [password]');
+  process.exit(1);
+}
+
+const createAdmin = async () => {
+  try {
+    // Connetti a MongoDB
+    await mongoose.connect(MONGODB_URI, {
+      serverSelectionTimeoutMS: 60000,
+      connectTimeoutMS: 60000
+    });
+    
+    logger.info('Connessione a MongoDB riuscita!');
+    
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    
+    if (user) {
+      user.role = 'admin';
+      await user.save();
+      logger.info(`Utente ${user.email} promosso ad admin`);
+      return;
+    }
+    
+    if (!password || password.length < 8) {
+      throw new Error('Per creare un nuovo utente serve una password di almeno 8 caratteri');
+    }
+    
+    await User.create({
+      email,
+      passwordHash: await hashPassword(password),
+      role: 'admin'
+    });
+    logger.info(`Utente admin ${email} creato`);
+  } finally {
+    // Chiudi la connessione al database
+    await mongoose.connection.close();
+    logger.info('Connessione al database chiusa');
+  }
+};
+
+// Esegui la funzione
+createAdmin()
+  .then(() => {
+    logger.info('Script terminato con successo!');
+    process.exit(0);
+  })
+  .catch(error => {
+    logger.error(`Errore nella creazione dell'admin: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+/**
+ * Script per eseguire il motore di matching tra negozi
+ * Uso: npm run match:products            (solo prodotti nuovi)
+ *      npm run match:products -- --full  (riconfronta tutto il catalogo)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const matchingEngine = require('../src/services/matching');
+
+// MongoDB connection string
+const MONGODB_URI = process.env.MONGODB_URI;
+if (!MONGODB_URI) {
+  logger.error('Please define the MONGODB_URI environment variable');
+  process.exit(1);
+}
+
+const full = process.argv.includes('--full');
+
+const match = async () => {
+  try {
+    // Connetti a MongoDB
+    await mongoose.connect(MONGODB_URI, {
+      serverSelectionTimeoutMS: 60000,
+      connectTimeoutMS: 60000,
+      socketTimeoutMS: 90000
+    });
+    
+    logger.info('Connessione a MongoDB riuscita!');
+    
+    const result = await matchingEngine.runIncremental({ full, untilDone: true });
+    
+    logger.info(`Prodotti elaborati: ${result.processed}, relazioni create: ${result.created}, ` +
+      `aggiornate: ${result.updated}, archiviate: ${result.archived}, errori: ${result.failed}`);
+  } finally {
+    // Chiudi la connessione al database
+    await mongoose.connection.close();
+    logger.info('Connessione al database chiusa');
+  }
+};
+
+// Esegui la funzione
+match()
+  .then(() => {
+    logger.info('Script terminato con successo!');
+    process.exit(0);
+  })
+  .catch(error => {
+    logger.error(`Errore nell'esecuzione del matching: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+/**
+ * Script per migrare i documenti legacy (products, pricepoints, similarproducts,
+ * pricealerts) allo schema canonico definito in src/models
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const { migrateLegacyDocuments } = require('../src/db/migrations/canonicalSchema');
+
+// MongoDB connection string
+const MONGODB_URI = process.env.MONGODB_URI;
+if (!MONGODB_URI) {
+  logger.error('Please define the MONGODB_URI environment variable');
+  process.exit(1);
+}
+
+const migrate = async () => {
+  try {
+    // Connetti a MongoDB
+    await mongoose.connect(MONGODB_URI, {
+      serverSelectionTimeoutMS: 60000,
+      connectTimeoutMS: 60000,
+      socketTimeoutMS: 90000
+    });
+    
+    logger.info('Connessione a MongoDB riuscita!');
+    
+    const { droppedIndexes, ...results } = await migrateLegacyDocuments();
+    
+    Object.entries(results).forEach(([collection, { migrated, failed }]) => {
+      logger.info(`${collection}: ${migrated} migrati, ${failed} errori`);
+    });
+    logger.info(`Indici eliminati: ${droppedIndexes.length > 0 ? droppedIndexes.join(', ') : 'nessuno'}`);
+  } finally {
+    // Chiudi la connessione al database
+    await mongoose.connection.close();
+    logger.info('Connessione al database chiusa');
+  }
+};
+
+// Esegui la funzione
+migrate()
+  .then(() => {
+    logger.info('Script terminato con successo!');
+    process.exit(0);
+  })
+  .catch(error => {
+    logger.error(`Errore nell'esecuzione della migrazione: ${error.message}`);
+    process.exit(1);
+  });
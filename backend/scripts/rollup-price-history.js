@@ -0,0 +1,47 @@
+/**
+ * Script per applicare la retention dello storico prezzi
+ * (punti grezzi -> aggregati giornalieri -> aggregati settimanali)
+ * Uso: npm run prices:rollup
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const priceHistory = require('../src/services/priceHistory');
+
+// MongoDB connection string
+const MONGODB_URI = process.env.MONGODB_URI;
+if (!MONGODB_URI) {
+  logger.error('Please define the MONGODB_URI environment variable');
+  process.exit(1);
+}
+
+const rollup = async () => {
+  try {
+    // Connetti a MongoDB
+    await mongoose.connect(MONGODB_URI, {
+      serverSelectionTimeoutMS: 60000,
+      connectTimeoutMS: 60000,
+      socketTimeoutMS: 90000
+    });
+    
+    logger.info('Connessione a MongoDB riuscita!');
+    
+    await priceHistory.runRetention();
+  } finally {
+    // Chiudi la connessione al database
+    await mongoose.connection.close();
+    logger.info('Connessione al database chiusa');
+  }
+};
+
+// Esegui la funzione
+rollup()
+  .then(() => {
+    logger.info('Script terminato con successo!');
+    process.exit(0);
+  })
+  .catch(error => {
+    logger.error(`Errore nella retention dello storico prezzi: ${error.message}`);
+    process.exit(1);
+  });
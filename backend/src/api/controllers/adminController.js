@@ -0,0 +1,371 @@
+/**
+ * Admin Controller
+ * Gestione di API key, ruoli utente, audit log, avvisi di tutti gli utenti e cache
+ */
+const logger = require('../../utils/logger');
+const { ApiKey, AuditLog, PriceAlert, User } = require('../../db');
+const apiKeyService = require('../../services/apiKeyService');
+const { processPriceAlerts } = require('../../jobs/alertsJob');
+const matchingEngine = require('../../services/matching');
+const offerService = require('../../services/offers');
+const cacheInvalidation = require('../../services/cacheInvalidation');
+const cache = require('../../utils/cache');
+const { parsePageParams, findPage, sendPage } = require('../../utils/pagination');
+
+/**
+ * List API keys
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked ? {} : { revokedAt: null };
+    
+    const apiKeys = await ApiKey.find(filter)
+      .populate('createdBy', 'email name')
+      .sort({ createdAt: -1 });
+    
+    return res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    logger.error(`Error in getApiKeys: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il recupero delle API key'
+    });
+  }
+};
+
+/**
+ * Create an API key. The plain key is returned only in this response.
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    
+    const { apiKey, key } = await apiKeyService.createApiKey({
+      name,
+      scopes,
+      expiresAt,
+      createdBy: req.actor.type === 'user' ? req.actor.id : undefined
+    });
+    
+    return res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey.toJSON(),
+        key
+      },
+      message: 'API key creata: salvala ora, non sarà più mostrata'
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: `${error.message}. Scope disponibili: ${apiKeyService.ALL_SCOPES.join(', ')}`
+      });
+    }
+    
+    logger.error(`Error in createApiKey: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante la creazione della API key'
+    });
+  }
+};
+
+/**
+ * Revoke an API key
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(req.params.keyId);
+    
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key non trovata o già revocata'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: apiKey,
+      message: 'API key revocata con successo'
+    });
+  } catch (error) {
+    logger.error(`Error in revokeApiKey: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante la revoca della API key'
+    });
+  }
+};
+
+/**
+ * Change the role of a user
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: { role } },
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Utente non trovato'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    logger.error(`Error in updateUserRole: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante l\'aggiornamento del ruolo'
+    });
+  }
+};
+
+/**
+ * Get audit log entries with cursor pagination
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const params = parsePageParams(req.query, { sort: { createdAt: -1 }, defaultLimit: 50 });
+    
+    const filter = {};
+    if (req.query.scope) filter.scope = req.query.scope;
+    if (req.query.actorId) filter['actor.id'] = req.query.actorId;
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+    
+    const page = await findPage(AuditLog, filter, params, { lean: true });
+    
+    return sendPage(res, page, params);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error(`Error in getAuditLogs: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il recupero dell\'audit log'
+    });
+  }
+};
+
+/**
+ * List price alerts of all users
+ */
+const getAllAlerts = async (req, res) => {
+  try {
+    const params = parsePageParams(req.query, { sort: { createdAt: -1 } });
+    
+    const filter = {};
+    if (req.query.userId) filter.userId = req.query.userId;
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    
+    const page = await findPage(PriceAlert, filter, params, {
+      populate: [
+        { path: 'productId', select: 'name brand imageUrl' },
+        { path: 'productGroupId', select: 'baseProduct bestValue' }
+      ]
+    });
+    
+    return sendPage(res, page, params);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error(`Error in getAllAlerts: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il recupero degli avvisi di prezzo'
+    });
+  }
+};
+
+/**
+ * Run the price alerts job immediately
+ */
+const processAlerts = async (req, res) => {
+  try {
+    const result = await processPriceAlerts();
+    
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Error in processAlerts: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante l\'elaborazione degli avvisi'
+    });
+  }
+};
+
+/**
+ * Delete any user's price alert
+ */
+const deleteAlert = async (req, res) => {
+  try {
+    const alert = await PriceAlert.findByIdAndDelete(req.params.alertId);
+    
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Avviso di prezzo non trovato'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Avviso di prezzo eliminato con successo'
+    });
+  } catch (error) {
+    logger.error(`Error in admin deleteAlert: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante l\'eliminazione dell\'avviso di prezzo'
+    });
+  }
+};
+
+/**
+ * Run the cross-store matching engine (incremental, or full with full=true)
+ */
+const runMatching = async (req, res) => {
+  try {
+    const full = req.body.full === true || req.query.full;
+    const result = await matchingEngine.runIncremental({ full });
+    
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Error in runMatching: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il matching dei prodotti'
+    });
+  }
+};
+
+/**
+ * Sync canonical products and their store offers for pending listings
+ */
+const syncOffers = async (req, res) => {
+  try {
+    const result = await offerService.syncPending();
+    
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Error in syncOffers: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante la sincronizzazione delle offerte'
+    });
+  }
+};
+
+/**
+ * Cache hit ratio per route, entries purged by tag invalidation and in-memory cache usage
+ */
+const getCacheStats = async (req, res) => {
+  try {
+    const stats = await cache.getCacheStats();
+    
+    return res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    logger.error(`Error in getCacheStats: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il recupero delle statistiche della cache'
+    });
+  }
+};
+
+/**
+ * Reset cache statistics
+ */
+const resetCacheStats = async (req, res) => {
+  try {
+    await cache.resetCacheStats();
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Statistiche della cache azzerate'
+    });
+  } catch (error) {
+    logger.error(`Error in resetCacheStats: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante l\'azzeramento delle statistiche della cache'
+    });
+  }
+};
+
+/**
+ * Purge the cached responses that depend on the given products
+ */
+const invalidateCache = async (req, res) => {
+  try {
+    const result = await cacheInvalidation.invalidateProducts(req.body.productIds);
+    
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Error in invalidateCache: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante l\'invalidazione della cache'
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  updateUserRole,
+  getAuditLogs,
+  getAllAlerts,
+  processAlerts,
+  deleteAlert,
+  runMatching,
+  syncOffers,
+  getCacheStats,
+  resetCacheStats,
+  invalidateCache
+};
@@ -3,9 +3,9 @@
  * Handles advanced price comparison functionality with unit price calculations
  */
 const logger = require('../../utils/logger');
-const Product = require('../../models/Product');
-const ProductGroup = require('../../models/ProductGroup');
+const { Product, ProductGroup } = require('../../db');
 const priceNormalizer = require('../../utils/priceNormalizer');
+const cacheInvalidation = require('../../services/cacheInvalidation');
 const mongoose = require('mongoose');
 
 /**
@@ -99,7 +99,7 @@ const compareWithUnitPrices = async (req, res) => {
 const findBestValueByBrand = async (req, res) => {
   try {
     const { brand, category } = req.params;
-    const { limit = 10 } = req.query;
+    const { limit } = req.query;
     
     logger.info(`Ricerca prodotti con miglior valore per brand: ${brand}, categoria: ${category || 'All'}`);
     
@@ -159,7 +159,7 @@ const findBestValueByBrand = async (req, res) => {
         variantCount: group.variants.length
       }))
       .sort((a, b) => a.bestValue.unitPrice.value - b.bestValue.unitPrice.value)
-      .slice(0, parseInt(limit));
+      .slice(0, limit);
     
     logger.info(`Identificati ${bestValueProducts.length} prodotti con miglior valore in ${groupedProducts.length} gruppi`);
     
@@ -362,16 +362,17 @@ const compareSizes = async (req, res) => {
 const updateAllUnitPrices = async (req, res) => {
   try {
     // This is an administrative function, can be protected with auth middleware
-    const { limit = 1000 } = req.query;
+    const { limit } = req.query;
     
     logger.info(`Avvio aggiornamento prezzi unitari per ${limit} prodotti`);
     
     // Find products
-    const products = await Product.find({}).limit(parseInt(limit));
+    const products = await Product.find({}).limit(limit);
     
     let updated = 0;
     let failed = 0;
     const errors = [];
+    const updatedIds = [];
     
     // Process products in batches to prevent timeouts
     const batchSize = 100;
@@ -433,10 +434,12 @@ const updateAllUnitPrices = async (req, res) => {
       if (updates.length > 0) {
         const result = await Product.bulkWrite(updates);
         updated += result.modifiedCount;
+        updates.forEach(update => updatedIds.push(update.updateOne.filter._id));
         logger.info(`Aggiornati ${result.modifiedCount} prodotti nel batch`);
       }
     }
     
+    await cacheInvalidation.invalidateProducts(updatedIds);
     logger.info(`Aggiornamento completato: ${updated} prodotti aggiornati, ${failed} falliti`);
     
     return res.status(200).json({
@@ -507,6 +510,7 @@ const updateProductGroups = async (req, res) => {
     let updated = 0;
     let skipped = 0;
     let errors = 0;
+    const groupedIds = [];
     
     // Group products by base name and brand
     const processedIds = new Set();
@@ -546,26 +550,11 @@ const updateProductGroups = async (req, res) => {
           };
         }
         
-        // Add to variants
-        const weightStr = product.details?.weight || '';
-        const pricePerKg = priceNormalizer.calculatePricePerKg(product.price, weightStr);
-        const weightObj = priceNormalizer.extractWeight(weightStr);
+        // Add to variants (bestValue is set later)
+        const variant = priceNormalizer.buildGroupVariant(product);
         
-        if (pricePerKg && weightObj) {
-          groups[key].variants.push({
-            productId: product._id,
-            size: weightStr,
-            weight: {
-              value: weightObj.value,
-              unit: weightObj.unit
-            },
-            price: product.price,
-            unitPrice: {
-              value: pricePerKg,
-              unit: 'EUR/kg'
-            },
-            bestValue: false // Will be set later
-          });
+        if (variant) {
+          groups[key].variants.push(variant);
         } else {
           logger.debug(`Prodotto ${product._id} non aggiunto al gruppo: impossibile estrarre peso o calcolare prezzo unitario`);
         }
@@ -616,30 +605,17 @@ const updateProductGroups = async (req, res) => {
             return;
           }
           
-          // Sort variants by unit price
-          group.variants.sort((a, b) => a.unitPrice.value - b.unitPrice.value);
-          
-          // Set best value flag
-          if (group.variants.length > 0) {
-            group.variants[0].bestValue = true;
-          }
-          
-          // Calculate price ranges
-          const prices = group.variants.map(v => v.price);
-          const unitPrices = group.variants.map(v => v.unitPrice.value);
+          // Sort variants by unit price, flag the best value and calculate price ranges
+          const summary = priceNormalizer.summarizeGroupVariants(group.variants);
           
-          if (prices.length === 0 || unitPrices.length === 0) {
+          if (!summary) {
             logger.warn(`Gruppo ${key} saltato: nessun prezzo valido`);
             skipped++;
             return;
           }
           
-          const priceRange = {
-            min: Math.min(...prices),
-            max: Math.max(...prices),
-            unitMin: Math.min(...unitPrices),
-            unitMax: Math.max(...unitPrices)
-          };
+          group.variants = summary.variants;
+          const { priceRange, bestValue } = summary;
           
           // Validate price range values
           if (isNaN(priceRange.min) || isNaN(priceRange.max) || 
@@ -649,13 +625,6 @@ const updateProductGroups = async (req, res) => {
             return;
           }
           
-          const bestValue = {
-            productId: group.variants[0].productId,
-            price: group.variants[0].price,
-            unitPrice: group.variants[0].unitPrice.value,
-            size: group.variants[0].size
-          };
-          
           // Check if group exists with timeout
           const existingGroup = await Promise.race([
             ProductGroup.findOne({
@@ -710,6 +679,7 @@ const updateProductGroups = async (req, res) => {
           
           // Update product references with timeout
           const variants = group.variants.map(v => v.productId);
+          groupedIds.push(...variants);
           await Promise.race([
             Product.updateMany(
               { _id: { $in: variants } },
@@ -746,6 +716,7 @@ const updateProductGroups = async (req, res) => {
       await new Promise(resolve => setTimeout(resolve, 100));
     }
     
+    await cacheInvalidation.invalidateProducts(groupedIds);
     logger.info(`Aggiornamento gruppi completato: ${created} creati, ${updated} aggiornati, ${skipped} saltati, ${errors} errori`);
     
     return res.status(200).json({
@@ -0,0 +1,187 @@
+/**
+ * Auth Controller
+ * Registrazione, login, refresh e logout degli utenti
+ */
+const logger = require('../../utils/logger');
+const { User } = require('../../db');
+const authService = require('../../services/authService');
+
+/**
+ * Metadati della richiesta salvati con il refresh token
+ */
+const getClientMeta = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
+
+/**
+ * Register a new user
+ */
+const register = async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: 'Esiste già un account con questa email'
+      });
+    }
+    
+    const user = new User({
+      email,
+      name,
+      passwordHash: await authService.hashPassword(password)
+    });
+    await user.save();
+    
+    const tokens = await authService.issueTokens(user, getClientMeta(req));
+    
+    return res.status(201).json({
+      success: true,
+      data: {
+        user,
+        ...tokens
+      },
+      message: 'Registrazione completata con successo'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    
+    logger.error(`Error in register: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante la registrazione'
+    });
+  }
+};
+
+/**
+ * Log in with email and password
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    const user = await User.findOne({ email }).select('+passwordHash');
+    
+    // Same message for unknown email and wrong password
+    if (!user || !(await authService.verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Credenziali non valide'
+      });
+    }
+    
+    user.lastLoginAt = new Date();
+    await user.save();
+    
+    const tokens = await authService.issueTokens(user, getClientMeta(req));
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in login: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il login'
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const result = await authService.rotateRefreshToken(refreshToken, getClientMeta(req));
+    
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token non valido o scaduto'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: result.tokens
+    });
+  } catch (error) {
+    logger.error(`Error in refresh: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il rinnovo del token'
+    });
+  }
+};
+
+/**
+ * Revoke a refresh token
+ */
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    await authService.revokeRefreshToken(refreshToken);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Logout effettuato con successo'
+    });
+  } catch (error) {
+    logger.error(`Error in logout: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il logout'
+    });
+  }
+};
+
+/**
+ * Get the current user
+ */
+const getCurrentUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Utente non trovato'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    logger.error(`Error in getCurrentUser: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il recupero dell\'utente'
+    });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  getCurrentUser
+};
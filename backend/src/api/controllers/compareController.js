@@ -3,10 +3,94 @@
  * Handles product comparison functionality
  */
 const logger = require('../../utils/logger');
-const Product = require('../../models/Product');
-const PricePoint = require('../../models/PricePoint');
-const SimilarProduct = require('../../models/SimilarProduct');
+const {
+  Product,
+  pricePoints: pricePointRepository,
+  similarProducts: similarProductRepository
+} = require('../../db');
 const { clearCache } = require('../../utils/cache');
+const offerService = require('../../services/offers');
+const searchService = require('../../services/search');
+const compareService = require('../../services/compare');
+const { parsePageParams, paginateArray, sendPage } = require('../../utils/pagination');
+
+/**
+ * Miglior prezzo al kg tra le offerte (disponibili, se ce ne sono)
+ * @param {Array} offers - Offerte con unitPrice (offerService.withUnitPrices)
+ * @returns {Object|null} { value, unit, store, listing }
+ */
+const findBestUnitPrice = (offers) => {
+  const priced = offers.filter(offer => offer.unitPrice);
+  const inStock = priced.filter(offer => offer.inStock);
+  const best = (inStock.length > 0 ? inStock : priced)
+    .reduce((min, offer) => (!min || offer.unitPrice.value < min.unitPrice.value ? offer : min), null);
+
+  return best ? { ...best.unitPrice, store: best.store, listing: best.listing } : null;
+};
+
+/**
+ * Search products and compare their offers across stores
+ * Stessi parametri di /api/products/search; ogni risultato riporta le offerte di tutti i negozi
+ * con il prezzo al kg. Le schede dello stesso articolo compaiono una sola volta per pagina.
+ */
+const searchAndCompare = async (req, res) => {
+  try {
+    const result = await searchService.searchProducts(req.query);
+    const offersByListing = await offerService.getOffersForListings(result.data);
+    
+    const seen = new Set();
+    const data = [];
+    
+    result.data.forEach(hit => {
+      const { canonicalProduct, offers } = offersByListing.get(hit._id.toString()) ||
+        { canonicalProduct: null, offers: [] };
+      const key = canonicalProduct ? canonicalProduct._id.toString() : hit._id.toString();
+      
+      if (seen.has(key)) return;
+      seen.add(key);
+      
+      const weightGrams = (canonicalProduct && canonicalProduct.weightGrams) || hit.weightGrams;
+      const pricedOffers = offerService.withUnitPrices(offers, weightGrams);
+      
+      data.push({
+        ...hit,
+        canonicalProductId: canonicalProduct ? canonicalProduct._id : null,
+        weightGrams,
+        storeCount: new Set(offers.map(offer => offer.store)).size,
+        bestOffer: pricedOffers.find(offer => offer.effectivePrice != null) || null,
+        bestUnitPrice: findBestUnitPrice(pricedOffers),
+        offers: pricedOffers
+      });
+    });
+    
+    return res.status(200).json({
+      success: true,
+      count: data.length,
+      total: result.total,
+      page: result.page,
+      totalPages: result.totalPages,
+      hasMore: result.page < result.totalPages,
+      query: req.query.q || '',
+      sort: result.sort,
+      filters: result.selections,
+      facets: result.facets,
+      data
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.error(`Error in searchAndCompare: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante la ricerca e il confronto dei prodotti'
+    });
+  }
+};
 
 /**
  * Get products similar to the specified one
@@ -14,7 +98,7 @@ const { clearCache } = require('../../utils/cache');
 const getSimilarProducts = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { limit = 10, minSimilarity = 0.7 } = req.query;
+    const { limit, minSimilarity } = req.query;
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -25,14 +109,11 @@ const getSimilarProducts = async (req, res) => {
       });
     }
     
-    // Find similar products from both product1 and product2 fields
-    const similarProducts = await SimilarProduct.find({
-      $or: [
-        { 'product1._id': productId },
-        { 'product2._id': productId }
-      ],
-      similarity: { $gte: parseFloat(minSimilarity) }
-    }).sort({ similarity: -1 }).limit(parseInt(limit));
+    // Find similar products in both directions of the relation
+    const similarProducts = await similarProductRepository.findSimilar(productId, {
+      minScore: minSimilarity,
+      limit
+    });
     
     if (similarProducts.length === 0) {
       return res.status(200).json({
@@ -48,8 +129,7 @@ const getSimilarProducts = async (req, res) => {
     
     // Extract similar products and format response
     const formattedSimilar = similarProducts.map(sp => {
-      const isProduct1 = sp.product1._id.toString() === productId;
-      const similar = isProduct1 ? sp.product2 : sp.product1;
+      const similar = sp.product;
       
       return {
         productId: similar._id,
@@ -58,8 +138,8 @@ const getSimilarProducts = async (req, res) => {
         price: similar.price,
         imageUrl: similar.imageUrl,
         source: similar.source,
-        similarity: sp.similarity,
-        similarityFactors: sp.similarityFactors || {},
+        similarity: sp.similarityScore,
+        similarityFactors: sp.matchingFeatures,
         priceDifference: similar.price - product.price,
         priceDifferencePercentage: ((similar.price - product.price) / product.price) * 100
       };
@@ -104,12 +184,7 @@ const getSimilarityScore = async (req, res) => {
     }
     
     // Find similarity record
-    const similarityRecord = await SimilarProduct.findOne({
-      $or: [
-        { 'product1._id': productId1, 'product2._id': productId2 },
-        { 'product1._id': productId2, 'product2._id': productId1 }
-      ]
-    });
+    const similarityRecord = await similarProductRepository.findPair(productId1, productId2);
     
     if (!similarityRecord) {
       return res.status(404).json({
@@ -120,8 +195,8 @@ const getSimilarityScore = async (req, res) => {
     
     // Get latest prices for price comparison
     const [latestPrice1, latestPrice2] = await Promise.all([
-      PricePoint.findOne({ productId: productId1 }, {}, { sort: { timestamp: -1 } }),
-      PricePoint.findOne({ productId: productId2 }, {}, { sort: { timestamp: -1 } })
+      pricePointRepository.findLatest(productId1),
+      pricePointRepository.findLatest(productId2)
     ]);
     
     const price1 = latestPrice1 ? latestPrice1.price : null;
@@ -153,8 +228,8 @@ const getSimilarityScore = async (req, res) => {
           price: price2,
           source: product2.source
         },
-        similarity: similarityRecord.similarity,
-        similarityFactors: similarityRecord.similarityFactors || {},
+        similarity: similarityRecord.similarityScore,
+        similarityFactors: similarityRecord.matchingFeatures,
         priceDifference,
         priceDifferencePercentage,
         cheaperProduct: priceDifference > 0 ? product1.name : (priceDifference < 0 ? product2.name : 'Prezzi uguali')
@@ -170,14 +245,14 @@ const getSimilarityScore = async (req, res) => {
 };
 
 /**
- * Compare different sources for the same product
+ * Compare different sources for the same product using its store offers
  */
 const compareSourcesForProduct = async (req, res) => {
   try {
     const { productId } = req.params;
     
     // Validate product exists
-    const product = await Product.findById(productId);
+    const product = await Product.findById(productId).lean();
     if (!product) {
       return res.status(404).json({
         success: false,
@@ -185,74 +260,8 @@ const compareSourcesForProduct = async (req, res) => {
       });
     }
     
-    // Find similar products with very high similarity (likely same product on different sources)
-    const similarProducts = await SimilarProduct.find({
-      $or: [
-        { 'product1._id': productId },
-        { 'product2._id': productId }
-      ],
-      similarity: { $gte: 0.9 },
-      'product1.source': { $ne: 'product2.source' } // Different sources
-    }).sort({ similarity: -1 });
-    
-    if (similarProducts.length === 0) {
-      return res.status(200).json({
-        success: true,
-        data: {
-          productId,
-          productName: product.name,
-          sourceCount: 1,
-          currentSource: product.source,
-          alternativeSources: []
-        }
-      });
-    }
-    
-    // Get latest price for the product
-    const latestPrice = await PricePoint.findOne(
-      { productId },
-      {},
-      { sort: { timestamp: -1 } }
-    );
-    
-    // Extract alternative sources and format response
-    const alternativeSources = await Promise.all(
-      similarProducts.map(async (sp) => {
-        const isProduct1 = sp.product1._id.toString() === productId;
-        const alternative = isProduct1 ? sp.product2 : sp.product1;
-        
-        // Get latest price for the alternative
-        const alternativePrice = await PricePoint.findOne(
-          { productId: alternative._id },
-          {},
-          { sort: { timestamp: -1 } }
-        );
-        
-        const price = alternativePrice ? alternativePrice.price : null;
-        const originalPrice = latestPrice ? latestPrice.price : null;
-        
-        // Calculate price difference if prices are available
-        let priceDifference = null;
-        let priceDifferencePercentage = null;
-        
-        if (originalPrice !== null && price !== null) {
-          priceDifference = price - originalPrice;
-          priceDifferencePercentage = ((price - originalPrice) / originalPrice) * 100;
-        }
-        
-        return {
-          productId: alternative._id,
-          name: alternative.name,
-          source: alternative.source,
-          price,
-          link: alternative.url || null,
-          similarity: sp.similarity,
-          priceDifference,
-          priceDifferencePercentage,
-          isCheaper: priceDifference !== null ? priceDifference < 0 : null
-        };
-      })
-    );
+    const { offers } = await offerService.getOffers(product);
+    const { currentPrice, alternativeSources } = compareService.compareSources(productId, offers);
     
     return res.status(200).json({
       success: true,
@@ -260,7 +269,7 @@ const compareSourcesForProduct = async (req, res) => {
         productId,
         productName: product.name,
         currentSource: product.source,
-        currentPrice: latestPrice ? latestPrice.price : null,
+        currentPrice,
         sourceCount: 1 + alternativeSources.length,
         alternativeSources
       }
@@ -291,9 +300,7 @@ const calculateSavings = async (req, res) => {
     }
     
     // Get price history for the product
-    const priceHistory = await PricePoint.find({ productId })
-      .sort({ timestamp: -1 })
-      .limit(100);
+    const priceHistory = await pricePointRepository.findHistory(productId, { sort: -1, limit: 100 });
     
     if (priceHistory.length === 0) {
       return res.status(404).json({
@@ -307,26 +314,15 @@ const calculateSavings = async (req, res) => {
     const maxPrice = Math.max(...priceHistory.map(pp => pp.price));
     
     // Find similar products to compare prices
-    const similarProducts = await SimilarProduct.find({
-      $or: [
-        { 'product1._id': productId },
-        { 'product2._id': productId }
-      ],
-      similarity: { $gte: 0.75 }
-    }).sort({ similarity: -1 });
+    const similarProducts = await similarProductRepository.findSimilar(productId, { minScore: 0.75 });
     
     // Get alternative options with prices
     const alternatives = await Promise.all(
       similarProducts.map(async (sp) => {
-        const isProduct1 = sp.product1._id.toString() === productId;
-        const alternative = isProduct1 ? sp.product2 : sp.product1;
+        const alternative = sp.product;
         
         // Get latest price for the alternative
-        const alternativePrice = await PricePoint.findOne(
-          { productId: alternative._id },
-          {},
-          { sort: { timestamp: -1 } }
-        );
+        const alternativePrice = await pricePointRepository.findLatest(alternative._id);
         
         return {
           productId: alternative._id,
@@ -334,7 +330,7 @@ const calculateSavings = async (req, res) => {
           brand: alternative.brand,
           source: alternative.source,
           price: alternativePrice ? alternativePrice.price : null,
-          similarity: sp.similarity
+          similarity: sp.similarityScore
         };
       })
     );
@@ -407,7 +403,7 @@ const calculateSavings = async (req, res) => {
 const findCheaperAlternatives = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { limit = 10, minSimilarity = 0.7 } = req.query;
+    const { limit, minSimilarity } = req.query;
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -418,78 +414,26 @@ const findCheaperAlternatives = async (req, res) => {
       });
     }
     
-    // Get current price for the product
-    const currentPrice = await PricePoint.findOne(
-      { productId },
-      {},
-      { sort: { timestamp: -1 } }
-    );
+    const result = await compareService.findCheaperAlternatives(productId, {
+      minSimilarity,
+      limit
+    });
     
-    if (!currentPrice) {
+    if (!result) {
       return res.status(404).json({
         success: false,
         error: 'Nessun dato di prezzo disponibile per questo prodotto'
       });
     }
     
-    // Find similar products
-    const similarProducts = await SimilarProduct.find({
-      $or: [
-        { 'product1._id': productId },
-        { 'product2._id': productId }
-      ],
-      similarity: { $gte: parseFloat(minSimilarity) }
-    }).sort({ similarity: -1 });
-    
-    // Check alternative prices
-    const alternatives = await Promise.all(
-      similarProducts.map(async (sp) => {
-        const isProduct1 = sp.product1._id.toString() === productId;
-        const alternative = isProduct1 ? sp.product2 : sp.product1;
-        
-        // Get latest price for the alternative
-        const alternativePrice = await PricePoint.findOne(
-          { productId: alternative._id },
-          {},
-          { sort: { timestamp: -1 } }
-        );
-        
-        return {
-          productId: alternative._id,
-          name: alternative.name,
-          brand: alternative.brand,
-          price: alternativePrice ? alternativePrice.price : null,
-          imageUrl: alternative.imageUrl,
-          source: alternative.source,
-          similarity: sp.similarity,
-          similarityFactors: sp.similarityFactors || {}
-        };
-      })
-    );
-    
-    // Filter cheaper alternatives with valid prices
-    const cheaperAlternatives = alternatives
-      .filter(alt => alt.price !== null && alt.price < currentPrice.price)
-      .sort((a, b) => {
-        // Sort by price difference, considering similarity
-        const aDiscount = currentPrice.price - a.price;
-        const bDiscount = currentPrice.price - b.price;
-        return bDiscount - aDiscount; // Largest discount first
-      })
-      .slice(0, parseInt(limit));
-    
     return res.status(200).json({
       success: true,
       data: {
         productId,
         productName: product.name,
-        currentPrice: currentPrice.price,
-        alternativesCount: cheaperAlternatives.length,
-        cheaperAlternatives: cheaperAlternatives.map(alt => ({
-          ...alt,
-          priceDifference: currentPrice.price - alt.price,
-          savingsPercentage: ((currentPrice.price - alt.price) / currentPrice.price) * 100
-        }))
+        currentPrice: result.currentPrice,
+        alternativesCount: result.alternatives.length,
+        cheaperAlternatives: result.alternatives
       }
     });
   } catch (error) {
@@ -507,7 +451,7 @@ const findCheaperAlternatives = async (req, res) => {
 const findPremiumAlternatives = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { limit = 10, minSimilarity = 0.7 } = req.query;
+    const { limit, minSimilarity } = req.query;
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -519,11 +463,7 @@ const findPremiumAlternatives = async (req, res) => {
     }
     
     // Get current price for the product
-    const currentPrice = await PricePoint.findOne(
-      { productId },
-      {},
-      { sort: { timestamp: -1 } }
-    );
+    const currentPrice = await pricePointRepository.findLatest(productId);
     
     if (!currentPrice) {
       return res.status(404).json({
@@ -533,26 +473,17 @@ const findPremiumAlternatives = async (req, res) => {
     }
     
     // Find similar products
-    const similarProducts = await SimilarProduct.find({
-      $or: [
-        { 'product1._id': productId },
-        { 'product2._id': productId }
-      ],
-      similarity: { $gte: parseFloat(minSimilarity) }
-    }).sort({ similarity: -1 });
+    const similarProducts = await similarProductRepository.findSimilar(productId, {
+      minScore: minSimilarity
+    });
     
     // Check alternative prices
     const alternatives = await Promise.all(
       similarProducts.map(async (sp) => {
-        const isProduct1 = sp.product1._id.toString() === productId;
-        const alternative = isProduct1 ? sp.product2 : sp.product1;
+        const alternative = sp.product;
         
         // Get latest price for the alternative
-        const alternativePrice = await PricePoint.findOne(
-          { productId: alternative._id },
-          {},
-          { sort: { timestamp: -1 } }
-        );
+        const alternativePrice = await pricePointRepository.findLatest(alternative._id);
         
         return {
           productId: alternative._id,
@@ -561,8 +492,8 @@ const findPremiumAlternatives = async (req, res) => {
           price: alternativePrice ? alternativePrice.price : null,
           imageUrl: alternative.imageUrl,
           source: alternative.source,
-          similarity: sp.similarity,
-          similarityFactors: sp.similarityFactors || {}
+          similarity: sp.similarityScore,
+          similarityFactors: sp.matchingFeatures
         };
       })
     );
@@ -576,7 +507,7 @@ const findPremiumAlternatives = async (req, res) => {
         const bPremium = (b.price - currentPrice.price) * b.similarity;
         return aPremium - bPremium; // Smallest premium (considering similarity) first
       })
-      .slice(0, parseInt(limit));
+      .slice(0, limit);
     
     return res.status(200).json({
       success: true,
@@ -607,7 +538,11 @@ const findPremiumAlternatives = async (req, res) => {
 const findBestValueProducts = async (req, res) => {
   try {
     const { category } = req.params;
-    const { limit = 10 } = req.query;
+    const params = parsePageParams(req.query, {
+      sort: { valueScore: -1 },
+      defaultLimit: 10,
+      tieBreaker: 'productId'
+    });
     
     // Find products in this category
     const productsInCategory = await Product.find({ category });
@@ -623,29 +558,17 @@ const findBestValueProducts = async (req, res) => {
     const productIds = productsInCategory.map(p => p._id);
     
     // Get latest prices for these products
+    const latestPrices = await pricePointRepository.findLatestForProducts(productIds);
     const pricesMap = new Map();
     
-    for (const productId of productIds) {
-      const latestPrice = await PricePoint.findOne(
-        { productId },
-        {},
-        { sort: { timestamp: -1 } }
-      );
-      
-      if (latestPrice) {
-        pricesMap.set(productId.toString(), latestPrice.price);
-      }
+    for (const [productId, pricePoint] of latestPrices) {
+      pricesMap.set(productId, pricePoint.price);
     }
     
     // Get similarity data for products in this category
-    const similarityData = await SimilarProduct.find({
-      $or: [
-        { 'product1._id': { $in: productIds } },
-        { 'product2._id': { $in: productIds } }
-      ],
-      'product1.category': category,
-      'product2.category': category
-    });
+    const categoryIds = new Set(productIds.map(id => id.toString()));
+    const similarityData = (await similarProductRepository.findForProducts(productIds))
+      .filter(sp => categoryIds.has(sp.product.toString()) && categoryIds.has(sp.similarTo.toString()));
     
     // Calculate a "value score" for each product
     const productScores = productsInCategory
@@ -655,17 +578,17 @@ const findBestValueProducts = async (req, res) => {
         
         // Find similar products for comparison
         const similar = similarityData.filter(sp => 
-          sp.product1._id.toString() === product._id.toString() || 
-          sp.product2._id.toString() === product._id.toString()
+          sp.product.toString() === product._id.toString() || 
+          sp.similarTo.toString() === product._id.toString()
         );
         
         // Calculate average price of similar products
         let similarPrices = [];
         
         for (const sp of similar) {
-          const similarProductId = sp.product1._id.toString() === product._id.toString() 
-            ? sp.product2._id.toString() 
-            : sp.product1._id.toString();
+          const similarProductId = sp.product.toString() === product._id.toString() 
+            ? sp.similarTo.toString() 
+            : sp.product.toString();
           
           if (pricesMap.has(similarProductId)) {
             similarPrices.push(pricesMap.get(similarProductId));
@@ -700,19 +623,19 @@ const findBestValueProducts = async (req, res) => {
           avgSimilarPrice,
           similarProductsCount: similar.length
         };
-      })
-      .sort((a, b) => b.valueScore - a.valueScore) // Sort by value score (higher first)
-      .slice(0, parseInt(limit));
+      });
     
-    return res.status(200).json({
-      success: true,
-      data: {
-        category,
-        productsCount: productScores.length,
-        bestValueProducts: productScores
-      }
-    });
+    // Sort by value score (higher first) and return the page after the cursor
+    const page = paginateArray(productScores, params);
+    
+    return sendPage(res, page, params, { category, productsCount: productScores.length });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in findBestValueProducts: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -722,6 +645,7 @@ const findBestValueProducts = async (req, res) => {
 };
 
 module.exports = {
+  searchAndCompare,
   getSimilarProducts,
   getSimilarityScore,
   compareSourcesForProduct,
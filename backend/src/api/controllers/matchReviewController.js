@@ -0,0 +1,276 @@
+/**
+ * Match Review Controller
+ * Coda di revisione manuale delle corrispondenze tra negozi (SimilarProduct).
+ * Ogni decisione manuale imposta similarityType MANUAL: il motore di matching
+ * non sovrascrive né archivia mai queste relazioni.
+ */
+const logger = require('../../utils/logger');
+const { Product, SimilarProduct, products, similarProducts } = require('../../db');
+const { calculatePriceDifference } = require('../../services/matching');
+const offerService = require('../../services/offers');
+const cacheInvalidation = require('../../services/cacheInvalidation');
+const { parsePageParams, findPage, sendPage } = require('../../utils/pagination');
+
+const PRODUCT_FIELDS = 'name brand source price imageUrl url details.weight availability.status';
+
+/**
+ * Dati di moderazione a partire dal chiamante autenticato
+ */
+const buildModeration = (req, notes) => ({
+  reviewedBy: req.actor.label,
+  reviewDate: new Date(),
+  reviewNotes: notes
+});
+
+/**
+ * Trova una relazione per ID restituendo null per ID non validi
+ */
+const findMatch = (matchId) => (products.isValidId(matchId) ? SimilarProduct.findById(matchId) : null);
+
+/**
+ * Segna da risincronizzare le schede di una coppia e purga le loro risposte in cache
+ * @param {Array} productIds
+ */
+const refreshPair = async (productIds) => {
+  await offerService.markStale(productIds);
+  await cacheInvalidation.invalidateProducts(productIds);
+};
+
+/**
+ * Applica una decisione manuale a una relazione esistente
+ */
+const decide = async (req, res, status) => {
+  const match = await findMatch(req.params.matchId);
+
+  if (!match) {
+    return res.status(404).json({
+      success: false,
+      error: 'Corrispondenza non trovata'
+    });
+  }
+
+  match.status = status;
+  match.similarityType = 'MANUAL';
+  match.moderation = buildModeration(req, req.body.notes);
+  match.set('metadata.lastUpdated', new Date());
+  await match.save();
+  await refreshPair([match.product, match.similarTo]);
+
+  return res.status(200).json({
+    success: true,
+    data: match
+  });
+};
+
+/**
+ * Carica i due prodotti di una coppia, restituendo un errore se non validi
+ */
+const loadPair = async (productId, similarToId) => {
+  if (!productId || !similarToId || productId === similarToId) {
+    return { error: 'Indicare due prodotti diversi (productId e similarToId)', status: 400 };
+  }
+
+  const [product, similarTo] = await Promise.all([
+    products.findById(productId, { select: 'price source' }),
+    products.findById(similarToId, { select: 'price source' })
+  ]);
+
+  if (!product || !similarTo) {
+    return { error: 'Prodotto non trovato', status: 404 };
+  }
+
+  return { product, similarTo };
+};
+
+/**
+ * Crea o aggiorna una relazione manuale tra due prodotti
+ */
+const forcePair = async (req, res, status) => {
+  const { productId, similarToId, notes } = req.body;
+  const pair = await loadPair(productId, similarToId);
+
+  if (pair.error) {
+    return res.status(pair.status).json({
+      success: false,
+      error: pair.error
+    });
+  }
+
+  const { product, similarTo } = pair;
+  const existing = await similarProducts.findPair(product._id, similarTo._id);
+  const match = existing || new SimilarProduct({
+    product: product._id,
+    similarTo: similarTo._id,
+    similarityScore: 1,
+    matchingFeatures: ['manual'],
+    submittedBy: {
+      userId: req.actor.id,
+      username: req.actor.label
+    }
+  });
+
+  if (status === 'ACTIVE') {
+    match.similarityScore = 1;
+    match.similarityReason = 'Collegamento manuale';
+  }
+  match.status = status;
+  match.similarityType = 'MANUAL';
+  match.moderation = buildModeration(req, notes);
+  match.set('metadata.lastUpdated', new Date());
+  match.priceDifference = calculatePriceDifference(product.price, similarTo.price);
+
+  await match.save();
+  await refreshPair([product._id, similarTo._id]);
+
+  return res.status(existing ? 200 : 201).json({
+    success: true,
+    data: match
+  });
+};
+
+/**
+ * List matches waiting for review (PENDING_REVIEW or low confidence)
+ */
+const getReviewQueue = async (req, res) => {
+  try {
+    const params = parsePageParams(req.query, { sort: { 'metadata.confidence': 1, createdAt: 1 } });
+    const { maxConfidence } = req.query;
+
+    // Di default: relazioni in attesa e relazioni automatiche attive con confidenza bassa
+    const filter = req.query.status
+      ? { status: req.query.status }
+      : {
+        $or: [
+          { status: 'PENDING_REVIEW' },
+          { status: 'ACTIVE', similarityType: 'AUTOMATIC', 'metadata.confidence': { $lt: maxConfidence } }
+        ]
+      };
+
+    const page = await findPage(SimilarProduct, filter, params, {
+      populate: [
+        { path: 'product', select: PRODUCT_FIELDS },
+        { path: 'similarTo', select: PRODUCT_FIELDS }
+      ]
+    });
+
+    return sendPage(res, page, params);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error(`Error in getReviewQueue: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il recupero delle corrispondenze da revisionare'
+    });
+  }
+};
+
+/**
+ * Approve a match
+ */
+const approveMatch = async (req, res) => {
+  try {
+    return await decide(req, res, 'ACTIVE');
+  } catch (error) {
+    logger.error(`Error in approveMatch: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante l\'approvazione della corrispondenza'
+    });
+  }
+};
+
+/**
+ * Reject a match
+ */
+const rejectMatch = async (req, res) => {
+  try {
+    return await decide(req, res, 'REJECTED');
+  } catch (error) {
+    logger.error(`Error in rejectMatch: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il rifiuto della corrispondenza'
+    });
+  }
+};
+
+/**
+ * Force-link two products as the same item
+ */
+const linkProducts = async (req, res) => {
+  try {
+    return await forcePair(req, res, 'ACTIVE');
+  } catch (error) {
+    logger.error(`Error in linkProducts: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il collegamento dei prodotti'
+    });
+  }
+};
+
+/**
+ * Force-unlink two products: the pair is kept as REJECTED so the matcher cannot recreate it
+ */
+const unlinkProducts = async (req, res) => {
+  try {
+    return await forcePair(req, res, 'REJECTED');
+  } catch (error) {
+    logger.error(`Error in unlinkProducts: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante lo scollegamento dei prodotti'
+    });
+  }
+};
+
+/**
+ * Remove the manual decision and hand the pair back to the matcher
+ */
+const resetMatch = async (req, res) => {
+  try {
+    const match = await findMatch(req.params.matchId);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        error: 'Corrispondenza non trovata'
+      });
+    }
+
+    await match.deleteOne();
+
+    // I due prodotti verranno riconfrontati alla prossima esecuzione del matcher
+    await Product.updateMany(
+      { _id: { $in: [match.product, match.similarTo] } },
+      { $unset: { 'matching.algorithmVersion': '', 'matching.lastMatchedAt': '', offersSyncedAt: '' } },
+      { timestamps: false }
+    );
+    await cacheInvalidation.invalidateProducts([match.product, match.similarTo]);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Decisione rimossa: la coppia verrà rivalutata dal matching automatico'
+    });
+  } catch (error) {
+    logger.error(`Error in resetMatch: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il ripristino della corrispondenza'
+    });
+  }
+};
+
+module.exports = {
+  getReviewQueue,
+  approveMatch,
+  rejectMatch,
+  linkProducts,
+  unlinkProducts,
+  resetMatch
+};
@@ -3,52 +3,53 @@
  * Handles price alert creation, management, and notifications
  */
 const logger = require('../../utils/logger');
-const PriceAlert = require('../../models/PriceAlert');
-const Product = require('../../models/Product');
-const PricePoint = require('../../models/PricePoint');
+const { PriceAlert, Product, ProductGroup, NotificationDelivery, pricePoints } = require('../../db');
+const config = require('../../config/config');
 const { processAlert } = require('../../jobs/alertsJob');
-const { clearCache } = require('../../utils/cache');
+const alertRules = require('../../services/alertRules');
+const { parsePageParams, findPage, sendPage } = require('../../utils/pagination');
+
+// Fields required by each alert type (RULE alerts require a rule, checked with alertRules)
+const TYPE_REQUIRED_FIELDS = {
+  PRICE_BELOW: ['targetPrice'],
+  PRICE_ABOVE: ['targetPrice'],
+  CROSS_STORE_BELOW: ['targetPrice'],
+  PRICE_CHANGE: ['targetPercentage', 'referencePrice'],
+  UNIT_PRICE_BELOW: ['targetUnitPrice']
+};
 
 /**
- * Get all price alerts for the current user
- * If user auth is implemented, filter by user ID
+ * Get all price alerts for the authenticated user
  */
 const getUserAlerts = async (req, res) => {
   try {
-    // Sample user ID - replace with actual auth when implemented
-    const userId = req.query.userId || 'anonymous';
-    
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const userId = req.user.id;
     
     // Build filter
     const filter = { userId };
     
     // If status is provided, filter by status
-    if (req.query.status && ['ACTIVE', 'TRIGGERED', 'EXPIRED'].includes(req.query.status)) {
+    if (req.query.status) {
       filter.status = req.query.status;
     }
     
-    // Count total alerts matching the filter
-    const totalAlerts = await PriceAlert.countDocuments(filter);
-    
-    // Get alerts with pagination
-    const alerts = await PriceAlert.find(filter)
-      .populate('productId', 'name brand imageUrl')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-    
-    return res.status(200).json({
-      success: true,
-      count: alerts.length,
-      total: totalAlerts,
-      page,
-      pages: Math.ceil(totalAlerts / limit),
-      data: alerts
+    // Get alerts with cursor pagination, newest first
+    const params = parsePageParams(req.query, { sort: { createdAt: -1 }, defaultLimit: 10 });
+    const page = await findPage(PriceAlert, filter, params, {
+      populate: [
+        { path: 'productId', select: 'name brand imageUrl' },
+        { path: 'productGroupId', select: 'baseProduct bestValue' }
+      ]
     });
+    
+    return sendPage(res, page, params);
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in getUserAlerts: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -62,8 +63,9 @@ const getUserAlerts = async (req, res) => {
  */
 const getAlertById = async (req, res) => {
   try {
-    const alert = await PriceAlert.findById(req.params.alertId)
-      .populate('productId');
+    const alert = await PriceAlert.findOne({ _id: req.params.alertId, userId: req.user.id })
+      .populate('productId')
+      .populate('productGroupId');
     
     if (!alert) {
       return res.status(404).json({
@@ -91,98 +93,124 @@ const getAlertById = async (req, res) => {
 const createAlert = async (req, res) => {
   try {
     const {
-      userId = 'anonymous',
       productId,
+      productGroupId,
       type,
       targetPrice,
       targetPercentage,
+      targetUnitPrice,
+      minSimilarity,
+      rule,
       referencePrice,
-      notificationEmail,
-      notificationType = 'EMAIL'
+      notificationEmail = req.user.email,
+      notificationWebhookUrl,
+      notificationType,
+      notificationFrequency
     } = req.body;
     
-    // Validate required fields based on alert type
-    if (!productId || !type) {
-      return res.status(400).json({
-        success: false,
-        error: 'Il productId e il tipo di avviso sono obbligatori'
-      });
-    }
-    
-    // Validate product exists
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        error: 'Prodotto non trovato'
-      });
+    // Fields required by each alert type are checked by the createAlert schema (api/validation/alerts.js)
+    // Unit price alerts monitor all the sizes of a product group instead of a single product
+    const isGroupAlert = type === 'UNIT_PRICE_BELOW';
+    
+    // Validate product (or product group) exists
+    if (isGroupAlert) {
+      const group = await ProductGroup.findById(productGroupId);
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          error: 'Gruppo di prodotti non trovato'
+        });
+      }
+    } else {
+      const product = await Product.findById(productId);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          error: 'Prodotto non trovato'
+        });
+      }
     }
     
-    // Validate alert type
-    if (!['PRICE_BELOW', 'PRICE_ABOVE', 'PRICE_CHANGE'].includes(type)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Tipo di avviso non valido'
-      });
+    // Rule alerts carry an expression tree of and/or groups and conditions
+    let validatedRule;
+    if (type === 'RULE') {
+      const { value, errors } = alertRules.validateRule(rule);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Regola non valida: ${errors.join('; ')}`
+        });
+      }
+      validatedRule = value;
     }
-    
-    // Validate type-specific required fields
-    if ((type === 'PRICE_BELOW' || type === 'PRICE_ABOVE') && targetPrice === undefined) {
+
+    // Validate notification settings
+    if (notificationType === 'EMAIL' && !notificationEmail) {
       return res.status(400).json({
         success: false,
-        error: 'Il prezzo target è obbligatorio per questo tipo di avviso'
+        error: 'L\'email di notifica è obbligatoria per le notifiche via email'
       });
     }
     
-    if (type === 'PRICE_CHANGE' && (targetPercentage === undefined || referencePrice === undefined)) {
+    if (notificationType === 'WEBHOOK' && !notificationWebhookUrl && !config.notifications.webhook.url) {
       return res.status(400).json({
         success: false,
-        error: 'La percentuale target e il prezzo di riferimento sono obbligatori per questo tipo di avviso'
-      });
-    }
-
-    // Validate notification settings
-    if (notificationType === 'EMAIL' && !notificationEmail) {
-      return res.status(400).json({
-        success: false,
-        error: 'L\'email di notifica è obbligatoria per le notifiche via email'
+        error: 'L\'URL del webhook è obbligatorio per le notifiche via webhook'
       });
     }
     
     // Get latest price
-    const latestPrice = await PricePoint.findOne(
-      { productId },
-      {},
-      { sort: { timestamp: -1 } }
-    );
+    const latestPrice = isGroupAlert ? null : await pricePoints.findLatest(productId);
+    const isStockAlert = type === 'BACK_IN_STOCK' || type === 'GOING_OUT_OF_STOCK';
     
     // Create the alert
     const newAlert = new PriceAlert({
-      userId,
-      productId,
+      userId: req.user.id,
+      productId: isGroupAlert ? undefined : productId,
+      productGroupId: isGroupAlert ? productGroupId : undefined,
       type,
       targetPrice,
       targetPercentage,
+      targetUnitPrice,
+      minSimilarity: ['CROSS_STORE_BELOW', 'RULE'].includes(type) ? minSimilarity : undefined,
+      rule: validatedRule,
       referencePrice: referencePrice || (latestPrice ? latestPrice.price : null),
       currentPrice: latestPrice ? latestPrice.price : null,
       notificationEmail,
+      notificationWebhookUrl,
       notificationType,
+      notificationSettings: {
+        frequency: notificationFrequency
+      },
       status: 'ACTIVE',
       triggered: false,
-      statusMessage: 'Avviso creato, in attesa di aggiornamenti del prezzo'
+      statusMessage: isStockAlert
+        ? 'Avviso creato, in attesa di variazioni della disponibilità'
+        : 'Avviso creato, in attesa di aggiornamenti del prezzo'
     });
     
     await newAlert.save();
     
-    // Clear cache
-    await clearCache('api:/alerts/*');
-    
     return res.status(201).json({
       success: true,
       data: newAlert,
       message: 'Avviso di prezzo creato con successo'
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: `Avviso non valido: ${Object.values(error.errors).map(item => item.message).join('; ')}`
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Esiste già un avviso di questo tipo e con le stesse condizioni per il prodotto o il gruppo di prodotti'
+      });
+    }
+    
     logger.error(`Error in createAlert: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -200,12 +228,17 @@ const updateAlert = async (req, res) => {
       type,
       targetPrice,
       targetPercentage,
+      targetUnitPrice,
+      minSimilarity,
+      rule,
       referencePrice,
       notificationEmail,
-      notificationType
+      notificationWebhookUrl,
+      notificationType,
+      notificationFrequency
     } = req.body;
     
-    const alert = await PriceAlert.findById(req.params.alertId);
+    const alert = await PriceAlert.findOne({ _id: req.params.alertId, userId: req.user.id });
     
     if (!alert) {
       return res.status(404).json({
@@ -214,36 +247,126 @@ const updateAlert = async (req, res) => {
       });
     }
     
+    // An alert on a product cannot become an alert on a product group, and vice versa
+    if (type && (type === 'UNIT_PRICE_BELOW') !== (alert.type === 'UNIT_PRICE_BELOW')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Il tipo UNIT_PRICE_BELOW si applica solo ai gruppi di prodotti: crea un nuovo avviso'
+      });
+    }
+    
+    const nextType = type || alert.type;
+    let validatedRule;
+    if (rule !== undefined) {
+      if (nextType !== 'RULE') {
+        return res.status(400).json({
+          success: false,
+          error: 'La regola (rule) si applica solo agli avvisi di tipo RULE'
+        });
+      }
+      
+      const { value, errors } = alertRules.validateRule(rule);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Regola non valida: ${errors.join('; ')}`
+        });
+      }
+      validatedRule = value;
+    } else if (nextType === 'RULE' && !alert.rule) {
+      return res.status(400).json({
+        success: false,
+        error: 'La regola (rule) è obbligatoria per gli avvisi di tipo RULE'
+      });
+    }
+    
+    // The new type may require fields the alert does not have yet
+    const missingFields = (TYPE_REQUIRED_FIELDS[nextType] || [])
+      .filter(field => req.body[field] === undefined && (alert[field] === undefined || alert[field] === null));
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Campi obbligatori per gli avvisi di tipo ${nextType}: ${missingFields.join(', ')}`
+      });
+    }
+    
+    const nextNotificationType = notificationType || alert.notificationType;
+    if (nextNotificationType === 'EMAIL' && !notificationEmail && !alert.notificationEmail) {
+      return res.status(400).json({
+        success: false,
+        error: 'L\'email di notifica è obbligatoria per le notifiche via email'
+      });
+    }
+    
+    if (nextNotificationType === 'WEBHOOK' && !notificationWebhookUrl && !alert.notificationWebhookUrl &&
+        !config.notifications.webhook.url) {
+      return res.status(400).json({
+        success: false,
+        error: 'L\'URL del webhook è obbligatorio per le notifiche via webhook'
+      });
+    }
+    
+    // Check before updating the fields whether the alert conditions changed
+    const conditionsChanged =
+      (type && type !== alert.type) ||
+      (targetPrice !== undefined && targetPrice !== alert.targetPrice) ||
+      (targetPercentage !== undefined && targetPercentage !== alert.targetPercentage) ||
+      (targetUnitPrice !== undefined && targetUnitPrice !== alert.targetUnitPrice) ||
+      (minSimilarity !== undefined && minSimilarity !== alert.minSimilarity) ||
+      (validatedRule !== undefined && JSON.stringify(validatedRule) !== JSON.stringify(alert.rule));
+    
     // Update alert fields
     if (type) alert.type = type;
     if (targetPrice !== undefined) alert.targetPrice = targetPrice;
     if (targetPercentage !== undefined) alert.targetPercentage = targetPercentage;
+    if (targetUnitPrice !== undefined) alert.targetUnitPrice = targetUnitPrice;
+    // null torna alla soglia predefinita (matching.crossStoreMinScore)
+    if (minSimilarity !== undefined) alert.minSimilarity = minSimilarity === null ? undefined : minSimilarity;
+    if (validatedRule !== undefined) alert.rule = validatedRule;
+    if (nextType !== 'RULE' && alert.rule) alert.rule = undefined;
     if (referencePrice !== undefined) alert.referencePrice = referencePrice;
     if (notificationEmail) alert.notificationEmail = notificationEmail;
+    if (notificationWebhookUrl) {
+      // Sending the webhook URL again rotates its signing secret, returned in the response
+      alert.notificationWebhookUrl = notificationWebhookUrl;
+      alert.notificationWebhookSecret = PriceAlert.generateWebhookSecret();
+    }
     if (notificationType) alert.notificationType = notificationType;
+    if (notificationFrequency) alert.notificationSettings.frequency = notificationFrequency;
     
     // Reset triggered status if alert conditions changed
-    if (
-      (type && type !== alert.type) ||
-      (targetPrice !== undefined && targetPrice !== alert.targetPrice) ||
-      (targetPercentage !== undefined && targetPercentage !== alert.targetPercentage)
-    ) {
+    if (conditionsChanged) {
+      alert.status = 'ACTIVE';
       alert.triggered = false;
       alert.triggeredAt = null;
+      alert.notificationSettings.lastSent = null;
+      // Le variazioni di disponibilità precedenti alla modifica non fanno scattare l'avviso
+      alert.lastStockTransitionAt = new Date();
       alert.statusMessage = 'Avviso aggiornato, in attesa di aggiornamenti del prezzo';
     }
     
     await alert.save();
     
-    // Clear cache
-    await clearCache('api:/alerts/*');
-    
     return res.status(200).json({
       success: true,
       data: alert,
       message: 'Avviso di prezzo aggiornato con successo'
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: `Avviso non valido: ${Object.values(error.errors).map(item => item.message).join('; ')}`
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Esiste già un avviso di questo tipo e con le stesse condizioni per il prodotto o il gruppo di prodotti'
+      });
+    }
+    
     logger.error(`Error in updateAlert: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -257,7 +380,7 @@ const updateAlert = async (req, res) => {
  */
 const deleteAlert = async (req, res) => {
   try {
-    const alert = await PriceAlert.findById(req.params.alertId);
+    const alert = await PriceAlert.findOne({ _id: req.params.alertId, userId: req.user.id });
     
     if (!alert) {
       return res.status(404).json({
@@ -266,10 +389,7 @@ const deleteAlert = async (req, res) => {
       });
     }
     
-    await alert.remove();
-    
-    // Clear cache
-    await clearCache('api:/alerts/*');
+    await alert.deleteOne();
     
     return res.status(200).json({
       success: true,
@@ -290,7 +410,7 @@ const deleteAlert = async (req, res) => {
 const getAlertsByProduct = async (req, res) => {
   try {
     const { productId } = req.params;
-    const userId = req.query.userId || 'anonymous';
+    const userId = req.user.id;
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -302,17 +422,17 @@ const getAlertsByProduct = async (req, res) => {
     }
     
     // Find alerts for this product
-    const alerts = await PriceAlert.find({
-      productId,
-      userId
-    }).sort({ createdAt: -1 });
+    const params = parsePageParams(req.query, { sort: { createdAt: -1 } });
+    const page = await findPage(PriceAlert, { productId, userId }, params);
     
-    return res.status(200).json({
-      success: true,
-      count: alerts.length,
-      data: alerts
-    });
+    return sendPage(res, page, params);
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in getAlertsByProduct: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -327,7 +447,7 @@ const getAlertsByProduct = async (req, res) => {
 const getAlertsByStatus = async (req, res) => {
   try {
     const { status } = req.params;
-    const userId = req.query.userId || 'anonymous';
+    const userId = req.user.id;
     
     // Validate status
     if (!['ACTIVE', 'TRIGGERED', 'EXPIRED'].includes(status)) {
@@ -338,19 +458,22 @@ const getAlertsByStatus = async (req, res) => {
     }
     
     // Find alerts with this status
-    const alerts = await PriceAlert.find({
-      status,
-      userId
-    })
-      .populate('productId', 'name brand imageUrl')
-      .sort({ updatedAt: -1 });
-    
-    return res.status(200).json({
-      success: true,
-      count: alerts.length,
-      data: alerts
+    const params = parsePageParams(req.query, { sort: { updatedAt: -1 } });
+    const page = await findPage(PriceAlert, { status, userId }, params, {
+      populate: [
+        { path: 'productId', select: 'name brand imageUrl' },
+        { path: 'productGroupId', select: 'baseProduct bestValue' }
+      ]
     });
+    
+    return sendPage(res, page, params, { status });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in getAlertsByStatus: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -359,13 +482,47 @@ const getAlertsByStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get the notification delivery attempts for an alert
+ */
+const getAlertDeliveries = async (req, res) => {
+  try {
+    const alert = await PriceAlert.findOne({ _id: req.params.alertId, userId: req.user.id });
+    
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Avviso di prezzo non trovato'
+      });
+    }
+    
+    const params = parsePageParams(req.query, { sort: { createdAt: -1 } });
+    const page = await findPage(NotificationDelivery, { alert: alert._id }, params);
+    
+    return sendPage(res, page, params);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error(`Error in getAlertDeliveries: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il recupero delle notifiche inviate'
+    });
+  }
+};
+
 /**
  * Test an alert (simulate triggering for testing purposes)
  */
 const testAlert = async (req, res) => {
   try {
-    const alert = await PriceAlert.findById(req.params.alertId)
-      .populate('productId');
+    const alert = await PriceAlert.findOne({ _id: req.params.alertId, userId: req.user.id })
+      .populate('productId')
+      .populate('productGroupId');
     
     if (!alert) {
       return res.status(404).json({
@@ -374,13 +531,16 @@ const testAlert = async (req, res) => {
       });
     }
     
-    // Process the alert
-    const result = await processAlert(alert);
+    // Dry run (default): evaluate the alert only, without notifying or saving it
+    const dryRun = req.query.dryRun !== false;
+    const result = await processAlert(alert, { dryRun });
     
     return res.status(200).json({
       success: true,
       data: result,
-      message: 'Test dell\'avviso di prezzo completato'
+      message: dryRun
+        ? 'Test dell\'avviso di prezzo completato (nessuna notifica inviata)'
+        : 'Test dell\'avviso di prezzo completato'
     });
   } catch (error) {
     logger.error(`Error in testAlert: ${error.message}`);
@@ -399,5 +559,6 @@ module.exports = {
   deleteAlert,
   getAlertsByProduct,
   getAlertsByStatus,
+  getAlertDeliveries,
   testAlert
 }; 
\ No newline at end of file
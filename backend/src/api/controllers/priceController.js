@@ -3,9 +3,42 @@
  * Handles price-related functionality
  */
 const logger = require('../../utils/logger');
-const Product = require('../../models/Product');
-const PricePoint = require('../../models/PricePoint');
+const { Product, PricePoint, pricePoints: pricePointRepository } = require('../../db');
 const { clearCache } = require('../../utils/cache');
+const priceHistoryService = require('../../services/priceHistory');
+const { parsePageParams, buildPage, sendPage } = require('../../utils/pagination');
+
+/**
+ * Variazioni tra punti prezzo consecutivi (i punti con lo stesso prezzo vengono ignorati)
+ * @param {Array} pricePoints - Punti in ordine cronologico
+ * @returns {Array}
+ */
+const computePriceChanges = (pricePoints) => {
+  const priceChanges = [];
+  
+  for (let i = 1; i < pricePoints.length; i++) {
+    const previousPoint = pricePoints[i - 1];
+    const currentPoint = pricePoints[i];
+    
+    const priceDiff = currentPoint.price - previousPoint.price;
+    const priceDiffPercentage = (priceDiff / previousPoint.price) * 100;
+    
+    // Only include actual changes
+    if (priceDiff !== 0) {
+      priceChanges.push({
+        fromDate: previousPoint.timestamp,
+        toDate: currentPoint.timestamp,
+        fromPrice: previousPoint.price,
+        toPrice: currentPoint.price,
+        priceDifference: priceDiff,
+        priceDifferencePercentage: priceDiffPercentage,
+        direction: priceDiff > 0 ? 'AUMENTO' : 'DIMINUZIONE'
+      });
+    }
+  }
+  
+  return priceChanges;
+};
 
 /**
  * Get the latest price for a product
@@ -24,11 +57,7 @@ const getLatestPrice = async (req, res) => {
     }
     
     // Get the latest price point
-    const latestPrice = await PricePoint.findOne(
-      { productId },
-      {},
-      { sort: { timestamp: -1 } }
-    );
+    const latestPrice = await pricePointRepository.findLatest(productId);
     
     if (!latestPrice) {
       return res.status(404).json({
@@ -58,12 +87,21 @@ const getLatestPrice = async (req, res) => {
 };
 
 /**
- * Get price history for a product
+ * Get price history for a product (or one of its variants, with /:variantId)
+ * La risoluzione (punti grezzi, aggregati giornalieri o settimanali) dipende dal periodo
+ * richiesto, salvo indicarla con ?resolution=raw|daily|weekly
  */
 const getPriceHistory = async (req, res) => {
   try {
-    const { productId } = req.params;
-    const { days = 30, limit = 100 } = req.query;
+    const { productId, variantId } = req.params;
+    const { days, limit, resolution } = req.query;
+    
+    if (resolution !== 'auto' && !priceHistoryService.RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        error: `Risoluzione non valida: valori ammessi auto, ${priceHistoryService.RESOLUTIONS.join(', ')}`
+      });
+    }
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -76,29 +114,37 @@ const getPriceHistory = async (req, res) => {
     
     // Calculate start date based on days parameter
     const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
-    
-    // Get price points
-    const pricePoints = await PricePoint.find({
-      productId,
-      timestamp: { $gte: startDate }
-    })
-      .sort({ timestamp: 1 })
-      .limit(parseInt(limit));
+    startDate.setDate(startDate.getDate() - days);
+    
+    // Get the price series at the resolution matching the period
+    const series = await priceHistoryService.getPriceSeries(productId, {
+      from: startDate,
+      limit,
+      resolution,
+      variantId
+    });
     
-    if (pricePoints.length === 0) {
+    if (series.points.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'Nessun dato di prezzo disponibile per questo periodo'
       });
     }
     
-    // Format response
-    const priceHistory = pricePoints.map(pp => ({
-      price: pp.price,
-      currency: pp.currency || 'EUR',
-      timestamp: pp.timestamp,
-      isPromotion: pp.isPromotion || false
+    // Format response (gli aggregati riportano anche apertura, massimo, minimo e media)
+    const priceHistory = series.points.map(point => ({
+      price: point.price,
+      currency: point.currency || 'EUR',
+      timestamp: point.timestamp,
+      isPromotion: point.promotions > 0,
+      ...(point.resolution !== 'raw' ? {
+        open: point.open,
+        high: point.high,
+        low: point.low,
+        close: point.close,
+        avg: point.avg,
+        count: point.count
+      } : {})
     }));
     
     return res.status(200).json({
@@ -107,7 +153,12 @@ const getPriceHistory = async (req, res) => {
         productId,
         productName: product.name,
         source: product.source,
+        ...(variantId ? {
+          variantId,
+          variantName: series.points[series.points.length - 1].variantName || null
+        } : {}),
         period: `${days} giorni`,
+        resolution: series.resolution,
         priceHistory
       }
     });
@@ -126,7 +177,7 @@ const getPriceHistory = async (req, res) => {
 const getPriceStats = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { days = 90 } = req.query;
+    const { days } = req.query;
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -139,13 +190,10 @@ const getPriceStats = async (req, res) => {
     
     // Calculate start date based on days parameter
     const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
+    startDate.setDate(startDate.getDate() - days);
     
     // Get price points
-    const pricePoints = await PricePoint.find({
-      productId,
-      timestamp: { $gte: startDate }
-    });
+    const pricePoints = await pricePointRepository.findHistory(productId, { from: startDate });
     
     if (pricePoints.length === 0) {
       return res.status(404).json({
@@ -228,8 +276,8 @@ const comparePrices = async (req, res) => {
     
     // Get latest prices
     const [latestPrice1, latestPrice2] = await Promise.all([
-      PricePoint.findOne({ productId: productId1 }, {}, { sort: { timestamp: -1 } }),
-      PricePoint.findOne({ productId: productId2 }, {}, { sort: { timestamp: -1 } })
+      pricePointRepository.findLatest(productId1),
+      pricePointRepository.findLatest(productId2)
     ]);
     
     if (!latestPrice1 || !latestPrice2) {
@@ -282,11 +330,12 @@ const comparePrices = async (req, res) => {
  */
 const getRecentPriceChanges = async (req, res) => {
   try {
-    const { days = 7, limit = 20 } = req.query;
+    const { days } = req.query;
+    const params = parsePageParams(req.query, { sort: { priceChangePercentage: -1 } });
     
     // Calculate start date
     const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
+    startDate.setDate(startDate.getDate() - days);
     
     // Use aggregation to find products with significant price changes
     const priceChanges = await PricePoint.aggregate([
@@ -303,7 +352,7 @@ const getRecentPriceChanges = async (req, res) => {
       },
       {
         $group: {
-          _id: '$productId',
+          _id: '$product',
           pricePoints: { $push: { price: '$price', timestamp: '$timestamp' } },
           latestPrice: { $last: '$price' },
           initialPrice: { $first: '$price' }
@@ -333,20 +382,20 @@ const getRecentPriceChanges = async (req, res) => {
           ]
         }
       },
-      // Sort by absolute change percentage
+      // Continue after the cursor, sorted by change percentage
+      ...(params.after ? [{ $match: params.after }] : []),
       {
-        $sort: {
-          priceChangePercentage: -1
-        }
+        $sort: params.sort
       },
       {
-        $limit: parseInt(limit)
+        $limit: params.limit + 1
       }
     ]);
+    const page = buildPage(priceChanges, params);
     
     // Get product details for the changes
     const productsWithChanges = await Promise.all(
-      priceChanges.map(async (change) => {
+      page.items.map(async (change) => {
         const product = await Product.findById(change._id);
         return {
           productId: change._id,
@@ -362,15 +411,14 @@ const getRecentPriceChanges = async (req, res) => {
       })
     );
     
-    return res.status(200).json({
-      success: true,
-      data: {
-        period: `${days} giorni`,
-        count: productsWithChanges.length,
-        priceChanges: productsWithChanges
-      }
-    });
+    return sendPage(res, { ...page, items: productsWithChanges }, params, { period: `${days} giorni` });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in getRecentPriceChanges: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -385,7 +433,7 @@ const getRecentPriceChanges = async (req, res) => {
 const getProductPriceChanges = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { days = 30 } = req.query;
+    const { days } = req.query;
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -398,13 +446,10 @@ const getProductPriceChanges = async (req, res) => {
     
     // Calculate start date
     const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
+    startDate.setDate(startDate.getDate() - days);
     
     // Get price points in chronological order
-    const pricePoints = await PricePoint.find({
-      productId,
-      timestamp: { $gte: startDate }
-    }).sort({ timestamp: 1 });
+    const pricePoints = await pricePointRepository.findHistory(productId, { from: startDate });
     
     if (pricePoints.length < 2) {
       return res.status(200).json({
@@ -420,27 +465,7 @@ const getProductPriceChanges = async (req, res) => {
     }
     
     // Calculate price changes between consecutive price points
-    const priceChanges = [];
-    for (let i = 1; i < pricePoints.length; i++) {
-      const previousPoint = pricePoints[i - 1];
-      const currentPoint = pricePoints[i];
-      
-      const priceDiff = currentPoint.price - previousPoint.price;
-      const priceDiffPercentage = (priceDiff / previousPoint.price) * 100;
-      
-      // Only include actual changes
-      if (priceDiff !== 0) {
-        priceChanges.push({
-          fromDate: previousPoint.timestamp,
-          toDate: currentPoint.timestamp,
-          fromPrice: previousPoint.price,
-          toPrice: currentPoint.price,
-          priceDifference: priceDiff,
-          priceDifferencePercentage: priceDiffPercentage,
-          direction: priceDiff > 0 ? 'AUMENTO' : 'DIMINUZIONE'
-        });
-      }
-    }
+    const priceChanges = computePriceChanges(pricePoints);
     
     return res.status(200).json({
       success: true,
@@ -470,7 +495,7 @@ const getProductPriceChanges = async (req, res) => {
 const getPriceFluctuations = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { days = 90 } = req.query;
+    const { days } = req.query;
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -483,13 +508,10 @@ const getPriceFluctuations = async (req, res) => {
     
     // Calculate start date
     const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
+    startDate.setDate(startDate.getDate() - days);
     
     // Get price points
-    const pricePoints = await PricePoint.find({
-      productId,
-      timestamp: { $gte: startDate }
-    }).sort({ timestamp: 1 });
+    const pricePoints = await pricePointRepository.findHistory(productId, { from: startDate });
     
     if (pricePoints.length < 3) {
       return res.status(200).json({
@@ -574,6 +596,72 @@ const getPriceFluctuations = async (req, res) => {
   }
 };
 
+/**
+ * Get price variations for a product variant
+ * Variazioni tra rilevamenti consecutivi della variante (PricePoint.variant.id) nel periodo
+ */
+const getPriceVariations = async (req, res) => {
+  try {
+    const { productId, variantId } = req.params;
+    const { days } = req.query;
+    
+    // Validate product exists
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prodotto non trovato'
+      });
+    }
+    
+    // Validate variant exists (anche fuori dal periodo richiesto)
+    const latestPoint = await pricePointRepository.findLatest(productId, { variantId });
+    if (!latestPoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Variante non trovata per questo prodotto'
+      });
+    }
+    
+    // Calculate start date
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    
+    // Get the variant price points in chronological order
+    const pricePoints = await pricePointRepository.findHistory(productId, { variantId, from: startDate });
+    const prices = pricePoints.map(pp => pp.price);
+    const priceChanges = computePriceChanges(pricePoints);
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        productId,
+        productName: product.name,
+        variantId,
+        variantName: latestPoint.variant.name || null,
+        source: latestPoint.source,
+        period: `${days} giorni`,
+        dataPoints: pricePoints.length,
+        currentPrice: latestPoint.price,
+        initialPrice: prices.length > 0 ? prices[0] : null,
+        minPrice: prices.length > 0 ? Math.min(...prices) : null,
+        maxPrice: prices.length > 0 ? Math.max(...prices) : null,
+        totalChangePercentage: prices.length > 1
+          ? ((prices[prices.length - 1] - prices[0]) / prices[0]) * 100
+          : 0,
+        changeCount: priceChanges.length,
+        priceChanges
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getPriceVariations: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il recupero delle variazioni di prezzo'
+    });
+  }
+};
+
 module.exports = {
   getLatestPrice,
   getPriceHistory,
@@ -581,5 +669,6 @@ module.exports = {
   comparePrices,
   getRecentPriceChanges,
   getProductPriceChanges,
-  getPriceFluctuations
+  getPriceFluctuations,
+  getPriceVariations
 }; 
\ No newline at end of file
@@ -1,8 +1,10 @@
-const Product = require('../../db/models/Product');
+const { Product, products: productRepository, pricePoints: pricePointRepository, similarProducts: similarProductRepository } = require('../../db');
 const logger = require('../../utils/logger');
-const PricePoint = require('../../db/models/PricePoint');
-const SimilarProduct = require('../../db/models/SimilarProduct');
 const { clearCache } = require('../../utils/cache');
+const matchingEngine = require('../../services/matching');
+const offerService = require('../../services/offers');
+const searchService = require('../../services/search');
+const { parsePageParams, findPage, sendPage } = require('../../utils/pagination');
 
 /**
  * Product Controller
@@ -10,14 +12,11 @@ const { clearCache } = require('../../utils/cache');
  */
 
 /**
- * Get all products with pagination and filtering
+ * Get all products with cursor pagination and filtering.
+ * Per scorrere tutto il catalogo usare sort=_id: l'ordine non cambia con gli aggiornamenti.
  */
 const getAllProducts = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    
     // Build filter from query parameters
     const filter = {};
     
@@ -37,53 +36,36 @@ const getAllProducts = async (req, res) => {
       filter.source = req.query.source;
     }
     
-    if (req.query.minPrice || req.query.maxPrice) {
+    if (req.query.minPrice !== undefined || req.query.maxPrice !== undefined) {
       filter.price = {};
       
-      if (req.query.minPrice) {
-        filter.price.$gte = parseFloat(req.query.minPrice);
+      if (req.query.minPrice !== undefined) {
+        filter.price.$gte = req.query.minPrice;
       }
       
-      if (req.query.maxPrice) {
-        filter.price.$lte = parseFloat(req.query.maxPrice);
+      if (req.query.maxPrice !== undefined) {
+        filter.price.$lte = req.query.maxPrice;
       }
     }
     
-    // Build sort options
-    let sortOption = {};
-    
-    if (req.query.sort) {
-      const sortField = req.query.sort.startsWith('-') ? req.query.sort.substring(1) : req.query.sort;
-      const sortOrder = req.query.sort.startsWith('-') ? -1 : 1;
-      sortOption[sortField] = sortOrder;
-    } else {
-      // Default sort by updatedAt
-      sortOption = { updatedAt: -1 };
-    }
-    
-    // Count total matching documents
-    const total = await Product.countDocuments(filter);
-    
-    // Get paginated results
-    const products = await Product.find(filter)
-      .sort(sortOption)
-      .skip(skip)
-      .limit(limit)
-      .select('name brand petType category price imageUrl source lastPriceUpdate');
+    // Build sort options (campo già validato, default: -updatedAt)
+    const { sort } = req.query;
+    const sortField = sort.startsWith('-') ? sort.substring(1) : sort;
+    const sortOption = { [sortField]: sort.startsWith('-') ? -1 : 1 };
     
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / limit);
-    
-    return res.status(200).json({
-      success: true,
-      count: products.length,
-      total,
-      page,
-      totalPages,
-      hasMore: page < totalPages,
-      data: products
+    const params = parsePageParams(req.query, { sort: sortOption });
+    const page = await findPage(Product, filter, params, {
+      select: 'name brand petType category price imageUrl source lastPriceUpdate updatedAt createdAt'
     });
+    
+    return sendPage(res, page, params);
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in getAllProducts: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -93,13 +75,32 @@ const getAllProducts = async (req, res) => {
 };
 
 /**
- * Get a single product by ID
+ * Dettaglio prodotto con le offerte di tutti i negozi
+ * @param {Object|null} product - Scheda Product (lean)
+ * @param {Object} offerData - Risultato di offerService.getOffers
+ * @returns {Object}
+ */
+const formatProductWithOffers = (product, { canonicalProduct, offers }) => ({
+  ...(product || canonicalProduct),
+  canonicalProductId: canonicalProduct ? canonicalProduct._id : null,
+  storeCount: new Set(offers.map(offer => offer.store)).size,
+  bestOffer: offers.find(offer => offer.effectivePrice != null) || null,
+  offers
+});
+
+/**
+ * Get a single product by ID, with every store offer sorted by effective price.
+ * The ID can be a store listing (Product) or a CanonicalProduct.
  */
 const getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const { id } = req.params;
+    const product = await productRepository.findById(id, { lean: true });
+    const offerData = product || productRepository.isValidId(id)
+      ? await offerService.getOffers(product, id)
+      : null;
     
-    if (!product) {
+    if (!product && !offerData) {
       return res.status(404).json({
         success: false,
         error: 'Prodotto non trovato'
@@ -108,7 +109,7 @@ const getProductById = async (req, res) => {
     
     return res.status(200).json({
       success: true,
-      data: product
+      data: formatProductWithOffers(product, offerData)
     });
   } catch (error) {
     logger.error(`Error in getProductById: ${error.message}`);
@@ -120,51 +121,98 @@ const getProductById = async (req, res) => {
 };
 
 /**
- * Search products by text query
+ * Get a product by store and store product ID
+ * Stessa risposta di getProductById, per chi conosce solo il codice del negozio
  */
-const searchProducts = async (req, res) => {
+const getProductBySource = async (req, res) => {
   try {
-    const { q, petType, category, limit = 20 } = req.query;
+    const { source, sourceId } = req.params;
+    const product = await Product.findOne({ source, sourceId }).lean();
     
-    if (!q || q.length < 3) {
-      return res.status(400).json({
+    if (!product) {
+      return res.status(404).json({
         success: false,
-        error: 'La query di ricerca deve contenere almeno 3 caratteri'
+        error: 'Prodotto non trovato'
       });
     }
     
-    // Build search filter
-    const filter = {
-      $text: { $search: q }
-    };
+    const offerData = await offerService.getOffers(product);
     
-    if (petType) {
-      filter.petType = petType;
-    }
+    return res.status(200).json({
+      success: true,
+      data: formatProductWithOffers(product, offerData)
+    });
+  } catch (error) {
+    logger.error(`Error in getProductBySource: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante il recupero del prodotto'
+    });
+  }
+};
+
+/**
+ * Search products with facet counts
+ * Ricerca testuale opzionale, filtri multi-selezione (brand, store, price, unitPrice, weight,
+ * availability) e conteggi per faccetta per la barra dei filtri
+ */
+const searchProducts = async (req, res) => {
+  try {
+    const result = await searchService.searchProducts(req.query);
     
-    if (category) {
-      filter.category = category;
+    return res.status(200).json({
+      success: true,
+      count: result.data.length,
+      total: result.total,
+      page: result.page,
+      totalPages: result.totalPages,
+      hasMore: result.page < result.totalPages,
+      query: req.query.q || '',
+      sort: result.sort,
+      filters: result.selections,
+      facets: result.facets,
+      data: result.data
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
     }
     
-    // Execute search
-    const products = await Product.find(filter, {
-      score: { $meta: 'textScore' }
-    })
-      .sort({ score: { $meta: 'textScore' } })
-      .limit(parseInt(limit))
-      .select('name brand petType category price imageUrl source lastPriceUpdate');
+    logger.error(`Error in searchProducts: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Si è verificato un errore durante la ricerca dei prodotti'
+    });
+  }
+};
+
+/**
+ * Suggerimenti durante la digitazione (prodotti, brand e categorie)
+ */
+const suggestProducts = async (req, res) => {
+  try {
+    const suggestions = await searchService.suggest(req.query);
     
     return res.status(200).json({
       success: true,
-      count: products.length,
-      query: q,
-      data: products
+      query: req.query.q,
+      data: suggestions
     });
   } catch (error) {
-    logger.error(`Error in searchProducts: ${error.message}`);
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.error(`Error in suggestProducts: ${error.message}`);
     return res.status(500).json({
       success: false,
-      error: 'Si è verificato un errore durante la ricerca dei prodotti'
+      error: 'Si è verificato un errore durante il calcolo dei suggerimenti'
     });
   }
 };
@@ -175,34 +223,20 @@ const searchProducts = async (req, res) => {
 const getProductsByCategory = async (req, res) => {
   try {
     const { category } = req.params;
-    const { limit = 20, page = 1 } = req.query;
     
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Count total products in this category
-    const total = await Product.countDocuments({ category });
-    
-    // Get products
-    const products = await Product.find({ category })
-      .sort({ price: 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('name brand petType price imageUrl source lastPriceUpdate');
-    
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / parseInt(limit));
-    
-    return res.status(200).json({
-      success: true,
-      count: products.length,
-      total,
-      page: parseInt(page),
-      totalPages,
-      hasMore: parseInt(page) < totalPages,
-      category,
-      data: products
+    const params = parsePageParams(req.query, { sort: { price: 1 } });
+    const page = await findPage(Product, { category }, params, {
+      select: 'name brand petType price imageUrl source lastPriceUpdate'
     });
+    
+    return sendPage(res, page, params, { category });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in getProductsByCategory: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -217,9 +251,7 @@ const getProductsByCategory = async (req, res) => {
 const getProductsByPetType = async (req, res) => {
   try {
     const { petType } = req.params;
-    const { limit = 20, page = 1, category } = req.query;
-    
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { category } = req.query;
     
     // Build filter
     const filter = { petType };
@@ -228,31 +260,19 @@ const getProductsByPetType = async (req, res) => {
       filter.category = category;
     }
     
-    // Count total products for this pet type
-    const total = await Product.countDocuments(filter);
-    
-    // Get products
-    const products = await Product.find(filter)
-      .sort({ updatedAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('name brand category price imageUrl source lastPriceUpdate');
-    
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / parseInt(limit));
-    
-    return res.status(200).json({
-      success: true,
-      count: products.length,
-      total,
-      page: parseInt(page),
-      totalPages,
-      hasMore: parseInt(page) < totalPages,
-      petType,
-      category: category || 'all',
-      data: products
+    const params = parsePageParams(req.query, { sort: { updatedAt: -1 } });
+    const page = await findPage(Product, filter, params, {
+      select: 'name brand category price imageUrl source lastPriceUpdate updatedAt'
     });
+    
+    return sendPage(res, page, params, { petType, category: category || 'all' });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in getProductsByPetType: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -267,34 +287,20 @@ const getProductsByPetType = async (req, res) => {
 const getProductsByBrand = async (req, res) => {
   try {
     const { brand } = req.params;
-    const { limit = 20, page = 1 } = req.query;
-    
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Count total products for this brand
-    const total = await Product.countDocuments({ brand });
-    
-    // Get products
-    const products = await Product.find({ brand })
-      .sort({ price: 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('name petType category price imageUrl source lastPriceUpdate');
-    
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / parseInt(limit));
     
-    return res.status(200).json({
-      success: true,
-      count: products.length,
-      total,
-      page: parseInt(page),
-      totalPages,
-      hasMore: parseInt(page) < totalPages,
-      brand,
-      data: products
+    const params = parsePageParams(req.query, { sort: { price: 1 } });
+    const page = await findPage(Product, { brand }, params, {
+      select: 'name petType category price imageUrl source lastPriceUpdate'
     });
+    
+    return sendPage(res, page, params, { brand });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in getProductsByBrand: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -309,34 +315,20 @@ const getProductsByBrand = async (req, res) => {
 const getProductsBySource = async (req, res) => {
   try {
     const { source } = req.params;
-    const { limit = 20, page = 1 } = req.query;
-    
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Count total products from this source
-    const total = await Product.countDocuments({ source });
-    
-    // Get products
-    const products = await Product.find({ source })
-      .sort({ updatedAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('name brand petType category price imageUrl lastPriceUpdate');
     
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / parseInt(limit));
-    
-    return res.status(200).json({
-      success: true,
-      count: products.length,
-      total,
-      page: parseInt(page),
-      totalPages,
-      hasMore: parseInt(page) < totalPages,
-      source,
-      data: products
+    const params = parsePageParams(req.query, { sort: { updatedAt: -1 } });
+    const page = await findPage(Product, { source }, params, {
+      select: 'name brand petType category price imageUrl lastPriceUpdate updatedAt'
     });
+    
+    return sendPage(res, page, params, { source });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in getProductsBySource: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -350,27 +342,26 @@ const getProductsBySource = async (req, res) => {
  */
 const getRecentlyUpdatedProducts = async (req, res) => {
   try {
-    const { hours = 24, limit = 20 } = req.query;
+    const { hours = 24 } = req.query;
     
     // Calculate cutoff time
     const cutoffDate = new Date();
     cutoffDate.setHours(cutoffDate.getHours() - parseInt(hours));
     
     // Find recently updated products
-    const products = await Product.find({
-      lastPriceUpdate: { $gte: cutoffDate }
-    })
-      .sort({ lastPriceUpdate: -1 })
-      .limit(parseInt(limit))
-      .select('name brand petType category price imageUrl source lastPriceUpdate');
-    
-    return res.status(200).json({
-      success: true,
-      count: products.length,
-      timeframe: `${hours} hours`,
-      data: products
+    const params = parsePageParams(req.query, { sort: { lastPriceUpdate: -1 } });
+    const page = await findPage(Product, { lastPriceUpdate: { $gte: cutoffDate } }, params, {
+      select: 'name brand petType category price imageUrl source lastPriceUpdate'
     });
+    
+    return sendPage(res, page, params, { timeframe: `${hours} hours` });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error(`Error in getRecentlyUpdatedProducts: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -426,10 +417,20 @@ async function compareProductPrices(req, res, next) {
       });
     }
     
+    // Ultimo prezzo registrato per ciascun negozio
+    const latestBySource = await pricePointRepository.findLatestBySource(product._id);
+    
     res.json({ 
       data: {
         product: product.name,
-        prices: product.prices
+        prices: latestBySource.map(pp => ({
+          store: pp.source,
+          price: pp.price,
+          currency: pp.currency,
+          url: pp.url,
+          lastUpdated: pp.timestamp,
+          inStock: pp.inStock
+        }))
       }
     });
   } catch (error) {
@@ -467,7 +468,7 @@ async function getBrands(req, res, next) {
 async function getBestDeals(req, res, next) {
   try {
     // Ottieni un numero limitato di prodotti per categoria, ma più di 10 per avere più chance di trovare corrispondenze
-    const limit = parseInt(req.query.limit) || 5; // Limita il numero di offerte restituite
+    const { limit } = req.query; // Limita il numero di offerte restituite
     
     // Ottieni le categorie principali
     const categories = await Product.distinct('category');
@@ -487,10 +488,10 @@ async function getBestDeals(req, res, next) {
       const productGroups = {};
       
       for (const product of productsInCategory) {
-        // Estrai il peso dal nome del prodotto o dal campo weight
+        // Estrai il peso dal nome del prodotto o dal campo details.weight
         const weightPattern = /\b\d+([,.]\d+)?\s*(kg|g|gr|ml|l)\b/i;
-        const weightMatch = product.weight ? 
-                          product.weight.match(weightPattern) : 
+        const weightMatch = product.details?.weight ? 
+                          product.details.weight.match(weightPattern) : 
                           product.name.match(weightPattern);
         
         const weight = weightMatch ? weightMatch[0] : 'unknown';
@@ -518,7 +519,7 @@ async function getBestDeals(req, res, next) {
         let worstProduct = null;
         
         for (const product of products) {
-          const productPrice = product.prices?.[0]?.price || 0;
+          const productPrice = product.price || 0;
           if (productPrice > 0) {
             if (productPrice < minPrice) {
               minPrice = productPrice;
@@ -554,7 +555,7 @@ async function getBestDeals(req, res, next) {
                 id: p._id,
                 name: p.name,
                 source: p.source,
-                price: p.prices?.[0]?.price || 0
+                price: p.price || 0
               }))
             });
           }
@@ -579,7 +580,7 @@ async function getBestDeals(req, res, next) {
  */
 async function findSimilarProducts(req, res, next) {
   try {
-    const { productId, source, brand, name, weight, petType, category, limit = 10 } = req.query;
+    const { productId, source, brand, name, weight, petType, category, limit } = req.query;
     
     // Se viene fornito un ID prodotto, cerca direttamente nella collezione similarproducts
     if (productId) {
@@ -595,13 +596,7 @@ async function findSimilarProducts(req, res, next) {
       }
       
       // Cerca prodotti simili utilizzando la collezione pre-calcolata
-      const similarProducts = await SimilarProduct.find({ productId })
-        .sort({ similarity: -1 })
-        .limit(parseInt(limit))
-        .populate({
-          path: 'similarProductId',
-          model: 'Product'
-        });
+      const similarProducts = await similarProductRepository.findSimilar(productId, { limit });
       
       // Se non ci sono prodotti simili pre-calcolati, prova a cercarli con l'algoritmo di fallback
       if (similarProducts.length === 0) {
@@ -610,23 +605,19 @@ async function findSimilarProducts(req, res, next) {
       }
       
       // Trasforma i risultati nel formato atteso
-      const formattedResults = similarProducts.map(similarItem => {
-        const product = similarItem.similarProductId;
-        
-        return {
-          ...product.toObject(),
-          similarityScore: Math.round(similarItem.similarity * 100),
-          priceDifference: similarItem.priceDifference,
-          priceRatio: similarItem.priceRatio
-        };
-      });
+      const formattedResults = similarProducts.map(similarItem => ({
+        ...similarItem.product.toObject(),
+        similarityScore: Math.round(similarItem.similarityScore * 100),
+        priceDifference: similarItem.record.priceDifference?.absoluteAmount,
+        priceDifferencePercentage: similarItem.record.priceDifference?.percentageDifference
+      }));
       
       // Calcola i potenziali risparmi
       let savingsData = null;
       if (formattedResults.length > 0) {
-        const targetPrice = targetProduct.prices?.[0]?.price || 0;
+        const targetPrice = targetProduct.price || 0;
         const bestAlternativePrice = Math.min(...formattedResults.map(p => 
-          p.prices?.[0]?.price || Infinity
+          p.price || Infinity
         ));
         
         if (targetPrice > 0 && bestAlternativePrice < Infinity) {
@@ -671,17 +662,11 @@ async function findSimilarProducts(req, res, next) {
       // Per ogni prodotto, trova i prodotti simili
       const allSimilarProducts = [];
       for (const product of products) {
-        const similarProducts = await SimilarProduct.find({ productId: product._id })
-          .sort({ similarity: -1 })
-          .limit(5)
-          .populate({
-            path: 'similarProductId',
-            model: 'Product'
-          });
+        const similarProducts = await similarProductRepository.findSimilar(product._id, { limit: 5 });
           
         // Aggiungi all'array generale
         for (const similarItem of similarProducts) {
-          const similarProduct = similarItem.similarProductId;
+          const similarProduct = similarItem.product;
           
           // Evita duplicati
           if (!allSimilarProducts.some(p => p._id.equals(similarProduct._id))) {
@@ -689,9 +674,9 @@ async function findSimilarProducts(req, res, next) {
               ...similarProduct.toObject(),
               originalProductId: product._id,
               originalProductName: product.name,
-              similarityScore: Math.round(similarItem.similarity * 100),
-              priceDifference: similarItem.priceDifference,
-              priceRatio: similarItem.priceRatio
+              similarityScore: Math.round(similarItem.similarityScore * 100),
+              priceDifference: similarItem.record.priceDifference?.absoluteAmount,
+              priceDifferencePercentage: similarItem.record.priceDifference?.percentageDifference
             });
           }
         }
@@ -700,7 +685,7 @@ async function findSimilarProducts(req, res, next) {
       // Limita i risultati finali
       const limitedResults = allSimilarProducts
         .sort((a, b) => b.similarityScore - a.similarityScore)
-        .slice(0, parseInt(limit));
+        .slice(0, limit);
       
       res.json({
         data: {
@@ -723,17 +708,17 @@ async function findSimilarProducts(req, res, next) {
 }
 
 /**
- * Metodo di fallback che calcola i prodotti simili al volo
+ * Metodo di fallback che calcola i prodotti simili al volo con il motore di matching
  * Usato solo se non ci sono dati pre-calcolati
  */
 async function findSimilarProductsFallback(req, res, next) {
   try {
-    const { productId, source, brand, name, weight, petType, category } = req.query;
+    const { productId, source, brand, name, weight, petType } = req.query;
     
     let targetProduct;
-    let searchQuery = {};
+    let reference;
     
-    // Se viene fornito un ID prodotto, usa quello per trovare le informazioni
+    // Se viene fornito un ID prodotto, usa quello come riferimento
     if (productId) {
       targetProduct = await Product.findById(productId);
       if (!targetProduct) {
@@ -744,46 +729,11 @@ async function findSimilarProductsFallback(req, res, next) {
           }
         });
       }
-      
-      // Costruisci query di ricerca in base al prodotto trovato
-      searchQuery = {
-        _id: { $ne: targetProduct._id }, // Escludi il prodotto stesso
-        brand: targetProduct.brand,
-        source: { $ne: targetProduct.source } // Cerca solo in altri store
-      };
-      
-      // Estrai peso dal nome o dal campo weight se disponibile
-      const weightPattern = /\b\d+([,.]\d+)?\s*(kg|g|gr|ml|l)\b/i;
-      const weightMatch = targetProduct.weight ? 
-                         targetProduct.weight.match(weightPattern) : 
-                         targetProduct.name.match(weightPattern);
-      
-      if (weightMatch) {
-        // Usa regex per cercare prodotti con peso simile
-        searchQuery.name = { 
-          $regex: weightMatch[0], 
-          $options: 'i' 
-        };
-      }
-      
-      if (targetProduct.petType) {
-        searchQuery.petType = targetProduct.petType;
-      }
-      
-      if (targetProduct.category) {
-        // Per la categoria, considera anche le sottocategorie
-        const mainCategory = targetProduct.category.split('/')[0];
-        searchQuery.category = { $regex: `^${mainCategory}`, $options: 'i' };
-      }
+      reference = targetProduct.toObject();
     } 
-    // Altrimenti usa i parametri forniti nella query
+    // Altrimenti costruisci un prodotto di riferimento dai parametri della query
     else if (brand || name) {
-      if (brand) searchQuery.brand = { $regex: brand, $options: 'i' };
-      if (name) searchQuery.name = { $regex: name, $options: 'i' };
-      if (source) searchQuery.source = { $ne: source };
-      if (petType) searchQuery.petType = petType;
-      if (weight) searchQuery.name = { ...searchQuery.name, $regex: weight, $options: 'i' };
-      if (category) searchQuery.category = { $regex: `^${category}`, $options: 'i' };
+      reference = { name, brand, source, petType, details: { weight } };
     } else {
       return res.status(400).json({
         error: {
@@ -793,82 +743,21 @@ async function findSimilarProductsFallback(req, res, next) {
       });
     }
     
-    // Cerca prodotti simili
-    const similarProducts = await Product.find(searchQuery)
-      .limit(10)
-      .sort({ updatedAt: -1 });
+    const matches = await matchingEngine.findMatches(reference, { bestPerSource: false });
     
-    // Calcola un punteggio di similarità per ogni prodotto trovato
-    const productsWithSimilarity = similarProducts.map(product => {
-      let similarityScore = 0;
-      const maxScore = 100;
-      
-      // Confronto nome (fino a 30 punti)
-      if (targetProduct && targetProduct.name) {
-        const nameWords = targetProduct.name.toLowerCase().split(/\s+/);
-        const productNameWords = product.name.toLowerCase().split(/\s+/);
-        
-        // Parole in comune
-        const commonWords = nameWords.filter(word => 
-          word.length > 3 && productNameWords.includes(word)
-        );
-        
-        similarityScore += Math.min(30, (commonWords.length / nameWords.length) * 30);
-      }
-      
-      // Confronto brand (20 punti)
-      if (targetProduct && targetProduct.brand && 
-          product.brand && targetProduct.brand.toLowerCase() === product.brand.toLowerCase()) {
-        similarityScore += 20;
-      }
-      
-      // Confronto peso (30 punti)
-      const weightPattern = /\b\d+([,.]\d+)?\s*(kg|g|gr|ml|l)\b/i;
-      const targetWeight = targetProduct ? 
-                         (targetProduct.weight || targetProduct.name.match(weightPattern)?.[0]) : 
-                         weight;
-                         
-      const productWeight = product.weight || product.name.match(weightPattern)?.[0];
-      
-      if (targetWeight && productWeight && targetWeight === productWeight) {
-        similarityScore += 30;
-      }
-      
-      // Confronto petType (10 punti)
-      if (targetProduct && targetProduct.petType && 
-          product.petType && targetProduct.petType === product.petType) {
-        similarityScore += 10;
-      }
-      
-      // Confronto categoria (10 punti)
-      if (targetProduct && targetProduct.category && 
-          product.category) {
-        const targetMainCat = targetProduct.category.split('/')[0];
-        const productMainCat = product.category.split('/')[0];
-        
-        if (targetMainCat === productMainCat) {
-          similarityScore += 10;
-        }
-      }
-      
-      return {
-        ...product.toObject(),
-        similarityScore: Math.min(maxScore, similarityScore)
-      };
-    });
-    
-    // Filtra per una similarità minima e ordina per punteggio di similarità
-    const threshold = 40; // Soglia minima di similarità
-    const filteredProducts = productsWithSimilarity
-      .filter(p => p.similarityScore >= threshold)
-      .sort((a, b) => b.similarityScore - a.similarityScore);
+    const filteredProducts = matches.slice(0, 10).map(match => ({
+      ...match.product,
+      similarityScore: Math.round(match.score * 100),
+      matchingFeatures: match.matchingFeatures,
+      similarityReason: match.reason
+    }));
     
     // Calcola i potenziali risparmi
     let savingsData = null;
     if (targetProduct && filteredProducts.length > 0) {
-      const targetPrice = targetProduct.prices?.[0]?.price || 0;
+      const targetPrice = targetProduct.price || 0;
       const bestAlternativePrice = Math.min(...filteredProducts.map(p => 
-        p.prices?.[0]?.price || Infinity
+        p.price || Infinity
       ));
       
       if (targetPrice > 0 && bestAlternativePrice < Infinity) {
@@ -939,23 +828,12 @@ async function getPriceHistory(req, res, next) {
         startDate.setMonth(startDate.getMonth() - 1);
     }
     
-    // Costruisci query
-    const query = { 
-      productId: productId,
-      recordedAt: { $gte: startDate }
-    };
-    
-    if (variantId) {
-      query.variantId = variantId;
-    }
-    
-    if (source) {
-      query.source = source;
-    }
-    
     // Trova i punti prezzo
-    const pricePoints = await PricePoint.find(query)
-      .sort({ recordedAt: 1 });
+    const pricePoints = await pricePointRepository.findHistory(productId, {
+      from: startDate,
+      variantId,
+      source
+    });
     
     // Raggruppa i risultati per fonte se sono richiesti più fonti
     let groupedResults = {};
@@ -965,9 +843,9 @@ async function getPriceHistory(req, res, next) {
       const storeData = pricePoints
         .filter(p => p.source === storeSource)
         .map(p => ({
-          date: p.recordedAt,
-          price: p.price.amount,
-          variantId: p.variantId
+          date: p.timestamp,
+          price: p.price,
+          variantId: p.variant?.id
         }));
       
       // Raggruppa per variante se non è specifico per una variante
@@ -990,7 +868,7 @@ async function getPriceHistory(req, res, next) {
     // Calcola statistiche
     let statistics = null;
     if (pricePoints.length > 0) {
-      const prices = pricePoints.map(p => p.price.amount);
+      const prices = pricePoints.map(p => p.price);
       const currentPrice = prices[prices.length - 1];
       const minPrice = Math.min(...prices);
       const maxPrice = Math.max(...prices);
@@ -1032,6 +910,7 @@ async function getPriceHistory(req, res, next) {
 module.exports = {
   getAllProducts,
   getProductById,
+  getProductBySource,
   compareProductPrices,
   getCategories,
   getBrands,
@@ -1039,6 +918,7 @@ module.exports = {
   findSimilarProducts,
   getPriceHistory,
   searchProducts,
+  suggestProducts,
   getProductsByCategory,
   getProductsByPetType,
   getProductsByBrand,
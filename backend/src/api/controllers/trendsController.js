@@ -1,17 +1,24 @@
-const Product = require('../../db/models/Product');
-const PricePoint = require('../../db/models/PricePoint');
+const { Product, PricePoint, pricePoints: pricePointRepository } = require('../../db');
+const priceHistoryService = require('../../services/priceHistory');
 const logger = require('../../utils/logger');
 const mongoose = require('mongoose');
 const moment = require('moment');
 
 /**
  * Ottiene lo storico dei prezzi di un prodotto con analisi
- * Include statistiche sul prezzo e tendenze nel tempo
+ * Include statistiche sul prezzo e tendenze nel tempo.
+ * Periodi lunghi vengono restituiti come aggregati OHLC giornalieri o settimanali
  */
 async function getProductPriceHistory(req, res, next) {
   try {
     const { productId } = req.params;
-    const { period = 'all', source } = req.query;
+    const { period, source, resolution } = req.query;
+    
+    if (resolution !== 'auto' && !priceHistoryService.RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({
+        error: { message: 'Risoluzione non valida', code: 'INVALID_RESOLUTION' }
+      });
+    }
     
     // Verifica che il prodotto esista
     const product = await Product.findById(productId);
@@ -44,20 +51,13 @@ async function getProductPriceHistory(req, res, next) {
         break;
     }
     
-    // Prepara la query
-    const query = { productId: new mongoose.Types.ObjectId(productId) };
-    
-    if (startDate) {
-      query.recordedAt = { $gte: startDate };
-    }
-    
-    if (source) {
-      query.source = source;
-    }
-    
-    // Ottieni i price points
-    const pricePoints = await PricePoint.find(query)
-      .sort({ recordedAt: 1 });
+    // Ottieni la serie dei prezzi alla risoluzione adatta al periodo
+    const series = await priceHistoryService.getPriceSeries(productId, {
+      from: startDate,
+      source,
+      resolution
+    });
+    const pricePoints = series.points;
     
     if (pricePoints.length === 0) {
       return res.json({
@@ -67,6 +67,7 @@ async function getProductPriceHistory(req, res, next) {
             name: product.name,
             source: product.source
           },
+          resolution: series.resolution,
           priceHistory: [],
           analysis: {
             min: null,
@@ -89,9 +90,12 @@ async function getProductPriceHistory(req, res, next) {
       }
       
       pricesBySource[source].push({
-        date: point.recordedAt,
-        price: point.price.amount,
-        variantId: point.variantId
+        date: point.timestamp,
+        price: point.price,
+        low: point.low,
+        high: point.high,
+        variantId: point.variantId || undefined,
+        ...(series.resolution !== 'raw' ? { open: point.open, close: point.close, avg: point.avg } : {})
       });
     });
     
@@ -102,8 +106,8 @@ async function getProductPriceHistory(req, res, next) {
     for (const [source, prices] of Object.entries(pricesBySource)) {
       // Statistiche base
       const priceValues = prices.map(p => p.price);
-      const min = Math.min(...priceValues);
-      const max = Math.max(...priceValues);
+      const min = Math.min(...prices.map(p => p.low));
+      const max = Math.max(...prices.map(p => p.high));
       const avg = priceValues.reduce((sum, price) => sum + price, 0) / priceValues.length;
       
       // Calcola la tendenza del prezzo
@@ -131,11 +135,9 @@ async function getProductPriceHistory(req, res, next) {
       }
       
       // Formatta la cronologia dei prezzi per la visualizzazione
-      const history = prices.map(point => ({
-        date: point.date,
-        price: point.price,
-        variantId: point.variantId
-      }));
+      const history = prices.map(({ low, high, ...point }) => (
+        series.resolution !== 'raw' ? { ...point, low, high } : point
+      ));
       
       // Memorizza analisi e cronologia
       sourceAnalysis[source] = {
@@ -151,16 +153,16 @@ async function getProductPriceHistory(req, res, next) {
     }
     
     // Calcola le statistiche complessive
-    const allPrices = pricePoints.map(p => p.price.amount);
-    const overallMin = Math.min(...allPrices);
-    const overallMax = Math.max(...allPrices);
+    const allPrices = pricePoints.map(p => p.price);
+    const overallMin = Math.min(...pricePoints.map(p => p.low));
+    const overallMax = Math.max(...pricePoints.map(p => p.high));
     const overallAvg = allPrices.reduce((sum, price) => sum + price, 0) / allPrices.length;
     
     // Determina la tendenza complessiva
     let overallTrend = 'stable';
     if (pricePoints.length > 1) {
-      const firstPrice = pricePoints[0].price.amount;
-      const lastPrice = pricePoints[pricePoints.length - 1].price.amount;
+      const firstPrice = pricePoints[0].price;
+      const lastPrice = pricePoints[pricePoints.length - 1].price;
       const priceDiff = lastPrice - firstPrice;
       const percentChange = (priceDiff / firstPrice) * 100;
       
@@ -174,7 +176,7 @@ async function getProductPriceHistory(req, res, next) {
     // Verifica se ci sono riduzioni di prezzo complessive
     let overallHasPriceDrops = false;
     for (let i = 1; i < pricePoints.length; i++) {
-      if (pricePoints[i].price.amount < pricePoints[i-1].price.amount) {
+      if (pricePoints[i].price < pricePoints[i-1].price) {
         overallHasPriceDrops = true;
         break;
       }
@@ -189,6 +191,7 @@ async function getProductPriceHistory(req, res, next) {
           petType: product.petType,
           imageUrl: product.imageUrl
         },
+        resolution: series.resolution,
         priceHistory,
         analysis: {
           overall: {
@@ -217,8 +220,7 @@ async function getProductPriceHistory(req, res, next) {
 async function getPetTypePriceTrends(req, res, next) {
   try {
     const { petType } = req.params;
-    const { period = '30days', limit = 10 } = req.query;
-    const limitNum = parseInt(limit);
+    const { period, limit: limitNum } = req.query;
     
     // Definisci la data di inizio in base al periodo richiesto
     let startDate = null;
@@ -246,52 +248,11 @@ async function getPetTypePriceTrends(req, res, next) {
     const products = await Product.find({ petType });
     const productIds = products.map(p => p._id);
     
-    // Cerca price points per questi prodotti
-    const pricePointsQuery = {
-      productId: { $in: productIds },
-      recordedAt: { $gte: startDate }
-    };
-    
-    // Analisi dei prezzi per tipo di animale usando aggregation pipeline
-    const priceTrends = await PricePoint.aggregate([
-      // Filtra per prodotti del tipo specifico e periodo
-      { $match: pricePointsQuery },
-      
-      // Raggruppa per fonte e data (giorno)
-      {
-        $group: {
-          _id: {
-            source: "$source",
-            date: {
-              $dateToString: { format: "%Y-%m-%d", date: "$recordedAt" }
-            }
-          },
-          avgPrice: { $avg: "$price.amount" },
-          minPrice: { $min: "$price.amount" },
-          maxPrice: { $max: "$price.amount" },
-          count: { $sum: 1 }
-        }
-      },
-      
-      // Ordina per fonte e data
-      { $sort: { "_id.source": 1, "_id.date": 1 } },
-      
-      // Raggruppa di nuovo per fonte per ottenere la serie temporale
-      {
-        $group: {
-          _id: "$_id.source",
-          prices: {
-            $push: {
-              date: "$_id.date",
-              avg: { $round: ["$avgPrice", 2] },
-              min: { $round: ["$minPrice", 2] },
-              max: { $round: ["$maxPrice", 2] },
-              count: "$count"
-            }
-          }
-        }
-      }
-    ]);
+    // Analisi dei prezzi giornalieri per fonte
+    const priceTrends = await pricePointRepository.aggregateDailyPrices({
+      productIds,
+      from: startDate
+    });
     
     // Prepara i dati per la risposta API
     const formattedTrends = priceTrends.map(trend => {
@@ -393,8 +354,7 @@ async function getPetTypePriceTrends(req, res, next) {
 async function getCategoryPriceTrends(req, res, next) {
   try {
     const { category } = req.params;
-    const { period = '30days', limit = 10 } = req.query;
-    const limitNum = parseInt(limit);
+    const { period, limit: limitNum } = req.query;
     
     // Definisci la data di inizio in base al periodo richiesto
     let startDate = null;
@@ -424,52 +384,11 @@ async function getCategoryPriceTrends(req, res, next) {
     });
     const productIds = products.map(p => p._id);
     
-    // Cerca price points per questi prodotti
-    const pricePointsQuery = {
-      productId: { $in: productIds },
-      recordedAt: { $gte: startDate }
-    };
-    
-    // Analisi dei prezzi per categoria usando aggregation pipeline
-    const priceTrends = await PricePoint.aggregate([
-      // Filtra per prodotti della categoria e periodo
-      { $match: pricePointsQuery },
-      
-      // Raggruppa per fonte e data (giorno)
-      {
-        $group: {
-          _id: {
-            source: "$source",
-            date: {
-              $dateToString: { format: "%Y-%m-%d", date: "$recordedAt" }
-            }
-          },
-          avgPrice: { $avg: "$price.amount" },
-          minPrice: { $min: "$price.amount" },
-          maxPrice: { $max: "$price.amount" },
-          count: { $sum: 1 }
-        }
-      },
-      
-      // Ordina per fonte e data
-      { $sort: { "_id.source": 1, "_id.date": 1 } },
-      
-      // Raggruppa di nuovo per fonte per ottenere la serie temporale
-      {
-        $group: {
-          _id: "$_id.source",
-          prices: {
-            $push: {
-              date: "$_id.date",
-              avg: { $round: ["$avgPrice", 2] },
-              min: { $round: ["$minPrice", 2] },
-              max: { $round: ["$maxPrice", 2] },
-              count: "$count"
-            }
-          }
-        }
-      }
-    ]);
+    // Analisi dei prezzi giornalieri per fonte
+    const priceTrends = await pricePointRepository.aggregateDailyPrices({
+      productIds,
+      from: startDate
+    });
     
     // Prepara i dati per la risposta API
     const formattedTrends = priceTrends.map(trend => {
@@ -571,7 +490,7 @@ async function getCategoryPriceTrends(req, res, next) {
 async function getStorePriceTrends(req, res, next) {
   try {
     const { store } = req.params;
-    const { period = '30days', category, petType } = req.query;
+    const { period, category, petType } = req.query;
     
     // Definisci la data di inizio in base al periodo richiesto
     let startDate = null;
@@ -595,12 +514,6 @@ async function getStorePriceTrends(req, res, next) {
         break;
     }
     
-    // Prepara pipeline di aggregazione per price points
-    const matchStage = {
-      source: store,
-      recordedAt: { $gte: startDate }
-    };
-    
     // Aggiungi filtri opzionali se richiesti
     let productFilters = {};
     if (category) {
@@ -610,47 +523,19 @@ async function getStorePriceTrends(req, res, next) {
       productFilters.petType = petType;
     }
     
-    let productIds = [];
+    let productIds;
     if (Object.keys(productFilters).length > 0) {
       const filteredProducts = await Product.find(productFilters);
       productIds = filteredProducts.map(p => p._id);
-      matchStage.productId = { $in: productIds };
     }
     
-    // Esegui aggregazione per ottenere trend
-    const priceTrends = await PricePoint.aggregate([
-      { $match: matchStage },
-      
-      // Raggruppa per data (giorno)
-      {
-        $group: {
-          _id: {
-            date: {
-              $dateToString: { format: "%Y-%m-%d", date: "$recordedAt" }
-            }
-          },
-          avgPrice: { $avg: "$price.amount" },
-          minPrice: { $min: "$price.amount" },
-          maxPrice: { $max: "$price.amount" },
-          count: { $sum: 1 }
-        }
-      },
-      
-      // Ordina per data
-      { $sort: { "_id.date": 1 } },
-      
-      // Formatta i risultati
-      {
-        $project: {
-          _id: 0,
-          date: "$_id.date",
-          avg: { $round: ["$avgPrice", 2] },
-          min: { $round: ["$minPrice", 2] },
-          max: { $round: ["$maxPrice", 2] },
-          count: "$count"
-        }
-      }
-    ]);
+    // Prezzi giornalieri del negozio in un'unica serie temporale
+    const priceTrends = await pricePointRepository.aggregateDailyPrices({
+      productIds,
+      source: store,
+      from: startDate,
+      bySource: false
+    });
     
     // Calcola statistiche
     let firstPrice = 0;
@@ -711,7 +596,7 @@ async function getStorePriceTrends(req, res, next) {
 async function getBrandPriceTrends(req, res, next) {
   try {
     const { brand } = req.params;
-    const { period = '30days' } = req.query;
+    const { period } = req.query;
     
     // Definisci la data di inizio in base al periodo richiesto
     let startDate = null;
@@ -742,52 +627,11 @@ async function getBrandPriceTrends(req, res, next) {
     
     const productIds = products.map(p => p._id);
     
-    // Cerca price points per questi prodotti
-    const pricePointsQuery = {
-      productId: { $in: productIds },
-      recordedAt: { $gte: startDate }
-    };
-    
-    // Analisi dei prezzi per brand usando aggregation pipeline
-    const priceTrends = await PricePoint.aggregate([
-      // Filtra per prodotti del brand e periodo
-      { $match: pricePointsQuery },
-      
-      // Raggruppa per fonte e data (giorno)
-      {
-        $group: {
-          _id: {
-            source: "$source",
-            date: {
-              $dateToString: { format: "%Y-%m-%d", date: "$recordedAt" }
-            }
-          },
-          avgPrice: { $avg: "$price.amount" },
-          minPrice: { $min: "$price.amount" },
-          maxPrice: { $max: "$price.amount" },
-          count: { $sum: 1 }
-        }
-      },
-      
-      // Ordina per fonte e data
-      { $sort: { "_id.source": 1, "_id.date": 1 } },
-      
-      // Raggruppa di nuovo per fonte per ottenere la serie temporale
-      {
-        $group: {
-          _id: "$_id.source",
-          prices: {
-            $push: {
-              date: "$_id.date",
-              avg: { $round: ["$avgPrice", 2] },
-              min: { $round: ["$minPrice", 2] },
-              max: { $round: ["$maxPrice", 2] },
-              count: "$count"
-            }
-          }
-        }
-      }
-    ]);
+    // Analisi dei prezzi giornalieri per fonte
+    const priceTrends = await pricePointRepository.aggregateDailyPrices({
+      productIds,
+      from: startDate
+    });
     
     // Prepara i dati per la risposta API
     const formattedTrends = priceTrends.map(trend => {
@@ -855,15 +699,8 @@ async function getBrandPriceTrends(req, res, next) {
  */
 async function comparePriceTrends(req, res, next) {
   try {
-    const { productIds, period = '30days' } = req.query;
-    
-    if (!productIds) {
-      return res.status(400).json({
-        error: { message: 'Parametro productIds richiesto', code: 'MISSING_PRODUCT_IDS' }
-      });
-    }
-    
-    const productIdArray = productIds.split(',');
+    // productIds è già un elenco di ID validi (separati da virgole o ripetuti)
+    const { productIds: productIdArray, period } = req.query;
     
     // Definisci la data di inizio in base al periodo richiesto
     let startDate = null;
@@ -901,15 +738,15 @@ async function comparePriceTrends(req, res, next) {
     
     // Ottieni i price points per i prodotti
     const pricePoints = await PricePoint.find({
-      productId: { $in: objectIds },
-      recordedAt: { $gte: startDate }
-    }).sort({ recordedAt: 1 });
+      product: { $in: objectIds },
+      timestamp: { $gte: startDate }
+    }).sort({ timestamp: 1 });
     
     // Raggruppa i prezzi per prodotto e fonte
     const pricesByProduct = {};
     
     pricePoints.forEach(point => {
-      const productId = point.productId.toString();
+      const productId = point.product.toString();
       const source = point.source;
       const key = `${productId}-${source}`;
       
@@ -923,8 +760,8 @@ async function comparePriceTrends(req, res, next) {
       }
       
       pricesByProduct[key].prices.push({
-        date: point.recordedAt,
-        price: point.price.amount
+        date: point.timestamp,
+        price: point.price
       });
     });
     
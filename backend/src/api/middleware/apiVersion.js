@@ -0,0 +1,142 @@
+/**
+ * Versioni dell'API pubblica
+ *
+ * /api/v1 restituisce sempre lo stesso contratto:
+ *   successo: { success: true, data, meta?, pagination? }
+ *   errore:   { success: false, error: { code, message, details? } }
+ * I controller continuano a rispondere con le forme storiche; v1Response le converte al momento
+ * dell'invio, così i percorsi senza versione (/api/...) restano invariati e ricevono solo gli header
+ * Deprecation, Sunset e Link verso il percorso /api/v1 equivalente.
+ * Solo le route che esistevano prima di /api/v1 sono servite anche senza versione: quelle aggiunte
+ * dopo sono montate solo su /api/v1 (api/routes) o marcate con v1Only nei router esistenti.
+ */
+const config = require('../../config/config');
+
+// Codici di errore predefiniti per stato HTTP, quando il controller non ne indica uno
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'TOO_MANY_REQUESTS',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Campi della busta v1: tutto il resto di una risposta storica finisce in meta
+const ENVELOPE_FIELDS = ['success', 'data', 'meta', 'pagination', 'error'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Converte il corpo di un errore (error stringa, { error: { message, code } }, message) nel formato v1
+ * @param {number} status - Stato HTTP
+ * @param {*} body - Corpo prodotto dal controller
+ * @returns {Object}
+ */
+const normalizeError = (status, body) => {
+  const source = isPlainObject(body) ? body : { error: body };
+  const error = isPlainObject(source.error) ? source.error : {};
+  const message = (typeof source.error === 'string' && source.error)
+    || error.message
+    || source.message
+    || (status >= 500 ? 'Errore interno del server' : 'Richiesta non valida');
+
+  const extra = Object.fromEntries(Object.entries(source)
+    .filter(([key]) => !ENVELOPE_FIELDS.includes(key) && key !== 'message'));
+  const details = error.details !== undefined
+    ? error.details
+    : (Object.keys(extra).length > 0 ? extra : undefined);
+
+  return {
+    success: false,
+    error: {
+      code: error.code || ERROR_CODES[status] || 'INTERNAL_SERVER_ERROR',
+      message,
+      ...(details !== undefined ? { details } : {})
+    }
+  };
+};
+
+/**
+ * Converte una risposta di un controller nel contratto v1
+ * @param {number} status - Stato HTTP
+ * @param {*} body - Corpo prodotto dal controller
+ * @returns {Object}
+ */
+const normalizeResponse = (status, body) => {
+  if (status >= 400 || (isPlainObject(body) && body.success === false)) {
+    return normalizeError(status, body);
+  }
+
+  if (!isPlainObject(body) || (body.data === undefined && body.success === undefined)) {
+    // Risposte senza busta (es. oggetti o array restituiti direttamente)
+    return { success: true, data: body === undefined ? null : body };
+  }
+
+  const rest = Object.fromEntries(Object.entries(body)
+    .filter(([key]) => !ENVELOPE_FIELDS.includes(key)));
+  const meta = { ...rest, ...(isPlainObject(body.meta) ? body.meta : {}) };
+
+  return {
+    success: true,
+    data: body.data === undefined ? null : body.data,
+    ...(Object.keys(meta).length > 0 ? { meta } : {}),
+    ...(body.pagination ? { pagination: body.pagination } : {})
+  };
+};
+
+/**
+ * Middleware per /api/v1: le risposte JSON vengono inviate nel contratto normalizzato
+ */
+const v1Response = (req, res, next) => {
+  const originalJson = res.json;
+
+  res.json = function (body) {
+    return originalJson.call(this, normalizeResponse(this.statusCode, body));
+  };
+
+  next();
+};
+
+/**
+ * Risposta 404 per i percorsi /api/v1 inesistenti (senza ricadere sui percorsi storici)
+ */
+const v1NotFound = (req, res) => {
+  res.status(404).json({
+    error: {
+      code: 'NOT_FOUND',
+      message: `Risorsa non trovata: ${req.method} ${req.originalUrl}`
+    }
+  });
+};
+
+/**
+ * Middleware per i percorsi senza versione: risposte invariate con gli header di deprecazione.
+ * Deprecation usa il formato di RFC 9745 (@secondi Unix), Sunset quello di RFC 8594 (data HTTP).
+ */
+const legacyDeprecation = (req, res, next) => {
+  const { deprecatedAt, sunsetAt } = config.api.legacy;
+  const successor = `${config.api.basePath}/v1${req.url}`;
+
+  res.set('Deprecation', `@${Math.floor(new Date(deprecatedAt).getTime() / 1000)}`);
+  res.set('Sunset', new Date(sunsetAt).toUTCString());
+  res.append('Link', `<${successor}>; rel="successor-version"`);
+
+  req.legacyApi = true;
+  next();
+};
+
+/**
+ * Route disponibile solo su /api/v1: sui percorsi senza versione la richiesta esce dal router
+ * (next('router')) e finisce nel 404, senza ricadere su route più generiche come /:id
+ */
+const v1Only = (req, res, next) => (req.legacyApi ? next('router') : next());
+
+module.exports = {
+  normalizeResponse,
+  v1Response,
+  v1NotFound,
+  legacyDeprecation,
+  v1Only
+};
@@ -1,4 +1,9 @@
 const config = require('../../config/config');
+const { User } = require('../../db');
+const logger = require('../../utils/logger');
+const { verifyAccessToken } = require('../../services/authService');
+const { hasScope, resolveApiKey } = require('../../services/apiKeyService');
+const { recordAudit } = require('../../services/auditService');
 
 /**
  * Middleware per l'autenticazione tramite API key
@@ -23,4 +28,155 @@ function apiKeyAuth(req, res, next) {
   next();
 }
 
-module.exports = { apiKeyAuth };
\ No newline at end of file
+/**
+ * Estrae il token Bearer dall'header Authorization
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Risolve l'utente a partire dall'access token della richiesta
+ * @returns {Promise<Object|null>} { id, email, name, role } oppure null
+ */
+async function resolveUser(req) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+  
+  const payload = verifyAccessToken(token);
+  if (!payload) return null;
+  
+  const user = await User.findById(payload.sub).lean();
+  if (!user) return null;
+  
+  return {
+    id: user._id.toString(),
+    email: user.email,
+    name: user.name,
+    role: user.role || 'user'
+  };
+}
+
+/**
+ * Middleware che richiede un access token JWT valido e popola req.user
+ */
+async function authenticate(req, res, next) {
+  try {
+    const user = await resolveUser(req);
+    
+    if (!user) {
+      return res.status(401).json({
+        error: {
+          message: 'Autenticazione richiesta: token mancante, non valido o scaduto',
+          code: 'UNAUTHORIZED'
+        }
+      });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware che popola req.user se è presente un token valido, senza richiederlo
+ */
+async function optionalAuth(req, res, next) {
+  try {
+    req.user = await resolveUser(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Risolve il chiamante di una route protetta da scope.
+ * Accetta un access token JWT di un admin (che ha tutti gli scope)
+ * oppure una API key nell'header X-API-Key con lo scope richiesto.
+ * @returns {Promise<Object>} { actor } oppure { status, message, code } se non autorizzato
+ */
+async function resolveScopedCaller(req, scope) {
+  if (getBearerToken(req)) {
+    const user = await resolveUser(req);
+    
+    if (!user) {
+      return { status: 401, message: 'Token non valido o scaduto', code: 'UNAUTHORIZED' };
+    }
+    if (user.role !== 'admin') {
+      return { status: 403, message: `Permesso mancante: ${scope}`, code: 'INSUFFICIENT_SCOPE' };
+    }
+    
+    return { actor: { type: 'user', id: user.id, label: user.email } };
+  }
+  
+  const key = req.headers['x-api-key'];
+  if (!key) {
+    return { status: 401, message: 'Autenticazione richiesta: token o API key mancante', code: 'UNAUTHORIZED' };
+  }
+  
+  const apiKey = await resolveApiKey(key);
+  if (!apiKey) {
+    return { status: 401, message: 'API key non valida, revocata o scaduta', code: 'INVALID_API_KEY' };
+  }
+  if (!hasScope(apiKey.scopes, scope)) {
+    return { status: 403, message: `Permesso mancante: ${scope}`, code: 'INSUFFICIENT_SCOPE' };
+  }
+  
+  return { actor: { type: 'apiKey', id: apiKey._id.toString(), label: `${apiKey.name} (${apiKey.prefix})` } };
+}
+
+/**
+ * Protegge una route con uno scope e registra ogni chiamata autorizzata nell'audit log
+ * @param {string} scope - Scope richiesto (vedi SCOPES in services/apiKeyService)
+ * @returns {Function} Middleware Express
+ */
+function requireScope(scope) {
+  return async (req, res, next) => {
+    try {
+      const caller = await resolveScopedCaller(req, scope);
+      
+      if (!caller.actor) {
+        logger.warn(`Accesso negato a ${req.method} ${req.originalUrl} (${scope}): ${caller.code}`);
+        return res.status(caller.status).json({
+          error: {
+            message: caller.message,
+            code: caller.code
+          }
+        });
+      }
+      
+      req.actor = caller.actor;
+      
+      // L'audit viene scritto a risposta inviata, con l'esito della chiamata
+      const startedAt = Date.now();
+      res.on('finish', () => {
+        recordAudit({
+          scope,
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          actor: caller.actor,
+          params: {
+            params: req.params,
+            query: req.query,
+            body: req.body
+          },
+          statusCode: res.statusCode,
+          durationMs: Date.now() - startedAt,
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent']
+        });
+      });
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = { apiKeyAuth, authenticate, optionalAuth, requireScope };
@@ -0,0 +1,151 @@
+/**
+ * Richieste condizionali (ETag / Last-Modified)
+ *
+ * I validatori derivano dalla data dell'ultima modifica dei dati (Product.lastPriceUpdate,
+ * ultimo PricePoint.timestamp, ultimo PriceAggregate.updatedAt scritto dalla retention), letta con
+ * una query indicizzata prima della cache e del controller:
+ * se il client ha già la versione corrente (If-None-Match, oppure If-Modified-Since in assenza di
+ * If-None-Match) la risposta è 304 senza corpo. L'ETag è forte: la stessa URL con gli stessi dati
+ * produce lo stesso corpo, e cacheMiddleware salva i validatori insieme alla risposta in Redis.
+ */
+const crypto = require('crypto');
+const { Product, CanonicalProduct, pricePoints } = require('../../db');
+const logger = require('../../utils/logger');
+
+/**
+ * Data più recente tra quelle indicate
+ * @param {Array<Date|null>} dates
+ * @returns {Date|null}
+ */
+const latestOf = (dates) => {
+  const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+/**
+ * ETag forte per una URL (versione e query comprese) e la data dei suoi dati
+ * @param {string} url
+ * @param {Date} lastModified
+ * @returns {string}
+ */
+const buildETag = (url, lastModified) => {
+  const hash = crypto.createHash('sha1').update(`${url}|${lastModified.toISOString()}`).digest('base64url');
+  return `"${hash.slice(0, 27)}"`;
+};
+
+/**
+ * Verifica se la copia del client è ancora valida (RFC 9110, 13.2.2)
+ * @param {Object} req
+ * @param {Object} validators - { etag, lastModified (Date) }
+ * @returns {boolean}
+ */
+const isNotModified = (req, { etag, lastModified }) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    // Confronto debole: W/"x" corrisponde a "x"
+    return ifNoneMatch.trim() === '*'
+      || ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+  }
+
+  const since = Date.parse(req.get('If-Modified-Since'));
+  return !Number.isNaN(since) && lastModified.getTime() <= since;
+};
+
+/**
+ * Crea il middleware per le richieste condizionali
+ * @param {Function} resolveLastModified - async (req) => Date|null (null: risorsa inesistente, nessun validatore)
+ * @param {Object} options
+ * @param {boolean} options.daily - Dati calcolati su periodi relativi a oggi: i validatori cambiano almeno una volta al giorno
+ * @returns {Function} Middleware Express
+ */
+const conditionalGet = (resolveLastModified, { daily = false } = {}) => async (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return next();
+  }
+
+  try {
+    let lastModified = await resolveLastModified(req);
+    if (!lastModified) {
+      return next();
+    }
+
+    if (daily) {
+      const startOfDay = new Date();
+      startOfDay.setUTCHours(0, 0, 0, 0);
+      lastModified = latestOf([lastModified, startOfDay]);
+    }
+
+    // Le date HTTP hanno la precisione del secondo
+    lastModified = new Date(Math.floor(new Date(lastModified).getTime() / 1000) * 1000);
+    const validators = {
+      etag: buildETag(req.originalUrl, lastModified),
+      lastModified: lastModified.toUTCString()
+    };
+
+    res.locals.validators = validators;
+    res.set('ETag', validators.etag);
+    res.set('Last-Modified', validators.lastModified);
+    res.set('Cache-Control', 'no-cache');
+
+    if (isNotModified(req, { etag: validators.etag, lastModified })) {
+      return res.status(304).end();
+    }
+  } catch (error) {
+    // Senza validatori la richiesta viene comunque servita per intero
+    logger.warn(`Validatori HTTP non disponibili per ${req.originalUrl}: ${error.message}`);
+  }
+
+  next();
+};
+
+/**
+ * Scheda prodotto (o prodotto canonico) con le offerte: modifica della scheda, ultimo prezzo,
+ * aggiornamento del prodotto canonico che raccoglie le offerte degli altri negozi
+ */
+const productLastModified = async (req) => {
+  const { id } = req.params;
+  const product = await Product.findById(id).select('lastPriceUpdate updatedAt canonicalProduct').lean();
+  const canonicalId = product ? product.canonicalProduct : id;
+  const canonical = canonicalId
+    ? await CanonicalProduct.findById(canonicalId).select('updatedAt').lean()
+    : null;
+
+  if (!product && !canonical) return null;
+
+  // Senza prodotto canonico l'offerta viene costruita dall'ultimo punto prezzo
+  const latestPoint = canonical ? null : await pricePoints.findLatestTimestamp({ productIds: [id] });
+
+  return latestOf([
+    product && product.lastPriceUpdate,
+    product && product.updatedAt,
+    canonical && canonical.updatedAt,
+    latestPoint
+  ]);
+};
+
+/**
+ * Storico prezzi di un prodotto (ed eventualmente di una variante): ultimo punto registrato
+ * o aggregato riscritto dalla retention
+ */
+const priceHistoryLastModified = (req) => pricePoints.findLatestTimestamp({
+  productIds: [req.params.productId],
+  variantId: req.params.variantId
+});
+
+/**
+ * Confronto tra prodotti: ultima modifica dello storico dei prodotti richiesti
+ */
+const productIdsLastModified = (req) => pricePoints.findLatestTimestamp({ productIds: req.query.productIds });
+
+/**
+ * Trend aggregati (per tipo di animale, categoria, negozio, brand): ultima modifica dello storico
+ */
+const pricesLastModified = () => pricePoints.findLatestTimestamp();
+
+module.exports = {
+  conditionalGet,
+  productLastModified,
+  priceHistoryLastModified,
+  productIdsLastModified,
+  pricesLastModified
+};
@@ -0,0 +1,71 @@
+/**
+ * Validazione delle richieste con schemi Joi dichiarati per route
+ * I valori validati (tipi convertiti e default applicati) sostituiscono req.params, req.query e req.body;
+ * gli errori restituiscono 400 con il dettaglio per campo. Gli stessi schemi alimentano la
+ * documentazione Swagger (api/validation/openapi.js), letti dalla proprietà `schemas` del middleware.
+ */
+const Joi = require('joi');
+const MESSAGES = require('../../utils/validationMessages');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  convert: true,
+  // Parametri non dichiarati (es. per evitare la cache del browser) vengono ignorati, non rifiutati
+  allowUnknown: true,
+  errors: { wrap: { label: false } },
+  messages: MESSAGES
+};
+
+/**
+ * Crea il middleware di validazione
+ * @param {Object} schemas - { params, query, body }: oggetti Joi o mappe di campi Joi
+ * @returns {Function} Middleware Express con la proprietà `schemas` (oggetti Joi compilati)
+ */
+const validate = (schemas) => {
+  const compiled = {};
+  LOCATIONS.forEach(location => {
+    if (schemas[location]) compiled[location] = Joi.compile(schemas[location]);
+  });
+
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    LOCATIONS.forEach(location => {
+      if (!compiled[location]) return;
+
+      const { value, error } = compiled[location].validate(req[location] || {}, VALIDATION_OPTIONS);
+      if (error) {
+        error.details.forEach(detail => details.push({
+          in: location,
+          field: detail.path.join('.'),
+          message: detail.message
+        }));
+        return;
+      }
+      req[location] = value;
+    });
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parametri della richiesta non validi',
+          details
+        }
+      });
+    }
+
+    next();
+  };
+
+  middleware.schemas = compiled;
+  return middleware;
+};
+
+module.exports = {
+  MESSAGES,
+  validate
+};
@@ -0,0 +1,148 @@
+/**
+ * Admin API Routes
+ * Ogni route dichiara lo scope richiesto; le chiamate autorizzate finiscono nell'audit log.
+ * Accesso con access token JWT di un admin oppure con API key (header X-API-Key).
+ */
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const matchReviewController = require('../controllers/matchReviewController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/admin');
+const { requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../../services/apiKeyService');
+
+/**
+ * @route GET /api/admin/api-keys
+ * @description Elenca le API key (con includeRevoked=true anche quelle revocate)
+ * @access Privato/Admin (scope users:admin)
+ */
+router.get('/api-keys', requireScope(SCOPES.USERS_ADMIN), validate(schemas.getApiKeys), adminController.getApiKeys);
+
+/**
+ * @route POST /api/admin/api-keys
+ * @description Crea una API key con gli scope indicati; la chiave è restituita una sola volta
+ * @access Privato/Admin (scope users:admin)
+ */
+router.post('/api-keys', requireScope(SCOPES.USERS_ADMIN), validate(schemas.createApiKey), adminController.createApiKey);
+
+/**
+ * @route DELETE /api/admin/api-keys/:keyId
+ * @description Revoca una API key
+ * @access Privato/Admin (scope users:admin)
+ */
+router.delete('/api-keys/:keyId', requireScope(SCOPES.USERS_ADMIN), validate(schemas.revokeApiKey), adminController.revokeApiKey);
+
+/**
+ * @route PUT /api/admin/users/:userId/role
+ * @description Cambia il ruolo di un utente (user, admin)
+ * @access Privato/Admin (scope users:admin)
+ */
+router.put('/users/:userId/role', requireScope(SCOPES.USERS_ADMIN), validate(schemas.updateUserRole), adminController.updateUserRole);
+
+/**
+ * @route GET /api/admin/audit-logs
+ * @description Consulta l'audit log (filtri: scope, actorId, from, to; paginazione a cursore: limit, cursor)
+ * @access Privato/Admin (scope users:admin)
+ */
+router.get('/audit-logs', requireScope(SCOPES.USERS_ADMIN), validate(schemas.getAuditLogs), adminController.getAuditLogs);
+
+/**
+ * @route GET /api/admin/alerts
+ * @description Elenca gli avvisi di prezzo di tutti gli utenti (filtri: userId, status; paginazione a cursore: limit, cursor)
+ * @access Privato/Admin (scope alerts:admin)
+ */
+router.get('/alerts', requireScope(SCOPES.ALERTS_ADMIN), validate(schemas.getAllAlerts), adminController.getAllAlerts);
+
+/**
+ * @route POST /api/admin/alerts/process
+ * @description Esegue subito la verifica di tutti gli avvisi attivi
+ * @access Privato/Admin (scope alerts:admin)
+ */
+router.post('/alerts/process', requireScope(SCOPES.ALERTS_ADMIN), validate(schemas.processAlerts), adminController.processAlerts);
+
+/**
+ * @route DELETE /api/admin/alerts/:alertId
+ * @description Elimina un avviso di prezzo di qualsiasi utente
+ * @access Privato/Admin (scope alerts:admin)
+ */
+router.delete('/alerts/:alertId', requireScope(SCOPES.ALERTS_ADMIN), validate(schemas.deleteAlert), adminController.deleteAlert);
+
+/**
+ * @route POST /api/admin/matching/run
+ * @description Esegue il matching tra negozi dei prodotti non ancora confrontati (full=true per tutto il catalogo)
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.post('/matching/run', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.runMatching), adminController.runMatching);
+
+/**
+ * @route POST /api/admin/offers/sync
+ * @description Raggruppa le schede nuove o modificate nei prodotti canonici con le offerte dei negozi
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.post('/offers/sync', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.syncOffers), adminController.syncOffers);
+
+/**
+ * @route GET /api/admin/cache/stats
+ * @description Hit, miss e hit ratio della cache per route, voci purgate dall'invalidazione per tag
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.get('/cache/stats', requireScope(SCOPES.CATALOG_WRITE), adminController.getCacheStats);
+
+/**
+ * @route DELETE /api/admin/cache/stats
+ * @description Azzera le statistiche della cache
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.delete('/cache/stats', requireScope(SCOPES.CATALOG_WRITE), adminController.resetCacheStats);
+
+/**
+ * @route POST /api/admin/cache/invalidate
+ * @description Purga le risposte in cache che dipendono dai prodotti indicati (body: productIds)
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.post('/cache/invalidate', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.invalidateCache), adminController.invalidateCache);
+
+/**
+ * @route GET /api/admin/matches/review
+ * @description Corrispondenze da revisionare: PENDING_REVIEW e automatiche con confidenza sotto maxConfidence (paginazione a cursore: limit, cursor)
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.get('/matches/review', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.getReviewQueue), matchReviewController.getReviewQueue);
+
+/**
+ * @route POST /api/admin/matches/link
+ * @description Collega manualmente due prodotti (body: productId, similarToId, notes)
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.post('/matches/link', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.linkProducts), matchReviewController.linkProducts);
+
+/**
+ * @route POST /api/admin/matches/unlink
+ * @description Scollega manualmente due prodotti; il matching automatico non li ricollegherà
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.post('/matches/unlink', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.unlinkProducts), matchReviewController.unlinkProducts);
+
+/**
+ * @route POST /api/admin/matches/:matchId/approve
+ * @description Approva una corrispondenza (body: notes)
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.post('/matches/:matchId/approve', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.approveMatch), matchReviewController.approveMatch);
+
+/**
+ * @route POST /api/admin/matches/:matchId/reject
+ * @description Rifiuta una corrispondenza (body: notes)
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.post('/matches/:matchId/reject', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.rejectMatch), matchReviewController.rejectMatch);
+
+/**
+ * @route DELETE /api/admin/matches/:matchId
+ * @description Rimuove la decisione manuale e restituisce la coppia al matching automatico
+ * @access Privato/Admin (scope catalog:write)
+ */
+router.delete('/matches/:matchId', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.resetMatch), matchReviewController.resetMatch);
+
+module.exports = router;
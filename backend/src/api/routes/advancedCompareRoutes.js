@@ -6,41 +6,45 @@ const express = require('express');
 const router = express.Router();
 // Utilizziamo il controller reale per la produzione
 const advancedCompareController = require('../controllers/advancedCompareController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/advancedCompare');
 const { shortCache, mediumCache } = require('../../middleware/cacheMiddleware');
+const { requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../../services/apiKeyService');
 
 /**
  * @route GET /api/advanced-compare/unit-prices/:productId
  * @description Confronta un prodotto con prodotti simili, includendo calcoli di prezzo unitario
  * @access Pubblico
  */
-router.get('/unit-prices/:productId', shortCache, advancedCompareController.compareWithUnitPrices);
+router.get('/unit-prices/:productId', validate(schemas.compareWithUnitPrices), shortCache, advancedCompareController.compareWithUnitPrices);
 
 /**
  * @route GET /api/advanced-compare/best-value/:brand/:category?
  * @description Trova i prodotti con il miglior rapporto qualità-prezzo per un brand e categoria
  * @access Pubblico
  */
-router.get('/best-value/:brand/:category?', mediumCache, advancedCompareController.findBestValueByBrand);
+router.get('/best-value/:brand/:category?', validate(schemas.findBestValueByBrand), mediumCache, advancedCompareController.findBestValueByBrand);
 
 /**
  * @route GET /api/advanced-compare/sizes
  * @description Confronta diverse dimensioni di prodotti simili per trovare il miglior valore
  * @access Pubblico
  */
-router.get('/sizes', shortCache, advancedCompareController.compareSizes);
+router.get('/sizes', validate(schemas.compareSizes), shortCache, advancedCompareController.compareSizes);
 
 /**
  * @route POST /api/advanced-compare/update-unit-prices
  * @description Aggiorna i prezzi unitari per tutti i prodotti
- * @access Privato/Admin
+ * @access Privato/Admin (scope catalog:write)
  */
-router.post('/update-unit-prices', advancedCompareController.updateAllUnitPrices);
+router.post('/update-unit-prices', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.updateAllUnitPrices), advancedCompareController.updateAllUnitPrices);
 
 /**
  * @route POST /api/advanced-compare/update-product-groups
  * @description Aggiorna i gruppi di prodotti
- * @access Privato/Admin
+ * @access Privato/Admin (scope catalog:write)
  */
-router.post('/update-product-groups', advancedCompareController.updateProductGroups);
+router.post('/update-product-groups', requireScope(SCOPES.CATALOG_WRITE), validate(schemas.updateProductGroups), advancedCompareController.updateProductGroups);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Auth API Routes
+ * Registrazione e autenticazione degli utenti con JWT
+ * I corpi delle richieste sono documentati dagli schemi di validazione (api/validation/auth.js).
+ */
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/auth');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Registra un nuovo utente
+ *     tags: [Autenticazione]
+ *     responses:
+ *       201:
+ *         description: Utente registrato, restituisce access token e refresh token
+ *       400:
+ *         description: Dati non validi
+ *       409:
+ *         description: Email già registrata
+ */
+router.post('/register', validate(schemas.register), authController.register);
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Effettua il login con email e password
+ *     tags: [Autenticazione]
+ *     responses:
+ *       200:
+ *         description: Login effettuato, restituisce access token e refresh token
+ *       401:
+ *         description: Credenziali non valide
+ */
+router.post('/login', validate(schemas.login), authController.login);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Rinnova i token usando un refresh token (il token usato viene revocato)
+ *     tags: [Autenticazione]
+ *     responses:
+ *       200:
+ *         description: Nuova coppia di token
+ *       401:
+ *         description: Refresh token non valido o scaduto
+ */
+router.post('/refresh', validate(schemas.refresh), authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoca un refresh token
+ *     tags: [Autenticazione]
+ *     responses:
+ *       200:
+ *         description: Logout effettuato
+ */
+router.post('/logout', validate(schemas.logout), authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Restituisce l'utente autenticato
+ *     tags: [Autenticazione]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dati dell'utente
+ *       401:
+ *         description: Autenticazione richiesta
+ */
+router.get('/me', authenticate, authController.getCurrentUser);
+
+module.exports = router;
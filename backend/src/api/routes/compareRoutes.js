@@ -5,27 +5,37 @@
 const express = require('express');
 const router = express.Router();
 const compareController = require('../controllers/compareController');
+const { validate } = require('../middleware/validate');
+const { v1Only } = require('../middleware/apiVersion');
+const schemas = require('../validation/compare');
 const { shortCache, mediumCache } = require('../../middleware/cacheMiddleware');
 
+/**
+ * @swagger
+ * /api/compare/search:
+ *   get:
+ *     summary: Cerca prodotti e confronta le offerte dei negozi
+ *     description: |
+ *       Accetta gli stessi parametri di /api/products/search (q, filtri multi-selezione, sort, page, limit).
+ *       Ogni risultato include le offerte di tutti i negozi con il prezzo al kg e, in bestUnitPrice,
+ *       il miglior prezzo al kg tra le offerte disponibili.
+ *     tags: [Confronto]
+ *     responses:
+ *       200:
+ *         description: Risultati con le offerte dei negozi e il miglior prezzo al kg
+ *       400:
+ *         description: Filtro o ordinamento non valido
+ *       500:
+ *         description: Errore del server
+ */
+router.get('/search', v1Only, validate(schemas.searchAndCompare), shortCache, compareController.searchAndCompare);
+
 /**
  * @swagger
  * /api/compare/similar/{productId}:
  *   get:
  *     summary: Ottieni prodotti simili a quello specificato
  *     tags: [Confronto]
- *     parameters:
- *       - in: path
- *         name: productId
- *         schema:
- *           type: string
- *         required: true
- *         description: ID del prodotto
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 5
- *         description: Numero massimo di risultati
  *     responses:
  *       200:
  *         description: Lista di prodotti simili
@@ -34,21 +44,21 @@ const { shortCache, mediumCache } = require('../../middleware/cacheMiddleware');
  *       500:
  *         description: Errore del server
  */
-router.get('/similar/:productId', mediumCache, compareController.getSimilarProducts);
+router.get('/similar/:productId', validate(schemas.getSimilarProducts), mediumCache, compareController.getSimilarProducts);
 
 /**
  * @route GET /api/compare/similarity/:productId1/:productId2
  * @description Ottieni il punteggio di similarità tra due prodotti
  * @access Pubblico
  */
-router.get('/similarity/:productId1/:productId2', mediumCache, compareController.getSimilarityScore);
+router.get('/similarity/:productId1/:productId2', validate(schemas.getSimilarityScore), mediumCache, compareController.getSimilarityScore);
 
 /**
  * @route GET /api/compare/sources/:productId
  * @description Confronta le diverse fonti per lo stesso prodotto
  * @access Pubblico
  */
-router.get('/sources/:productId', shortCache, compareController.compareSourcesForProduct);
+router.get('/sources/:productId', validate(schemas.compareSourcesForProduct), shortCache, compareController.compareSourcesForProduct);
 
 /**
  * @swagger
@@ -56,13 +66,6 @@ router.get('/sources/:productId', shortCache, compareController.compareSourcesFo
  *   get:
  *     summary: Calcola il risparmio potenziale per un prodotto
  *     tags: [Confronto]
- *     parameters:
- *       - in: path
- *         name: productId
- *         schema:
- *           type: string
- *         required: true
- *         description: ID del prodotto
  *     responses:
  *       200:
  *         description: Informazioni sul risparmio potenziale
@@ -71,27 +74,27 @@ router.get('/sources/:productId', shortCache, compareController.compareSourcesFo
  *       500:
  *         description: Errore del server
  */
-router.get('/savings/:productId', shortCache, compareController.calculateSavings);
+router.get('/savings/:productId', validate(schemas.calculateSavings), shortCache, compareController.calculateSavings);
 
 /**
  * @route GET /api/compare/alternatives/:productId
  * @description Trova alternative più economiche a un prodotto
  * @access Pubblico
  */
-router.get('/alternatives/:productId', mediumCache, compareController.findCheaperAlternatives);
+router.get('/alternatives/:productId', validate(schemas.findCheaperAlternatives), mediumCache, compareController.findCheaperAlternatives);
 
 /**
  * @route GET /api/compare/premium/:productId
  * @description Trova alternative premium a un prodotto
  * @access Pubblico
  */
-router.get('/premium/:productId', mediumCache, compareController.findPremiumAlternatives);
+router.get('/premium/:productId', validate(schemas.findPremiumAlternatives), mediumCache, compareController.findPremiumAlternatives);
 
 /**
  * @route GET /api/compare/best-value/:category
- * @description Trova i prodotti con il miglior rapporto qualità-prezzo in una categoria
+ * @description Trova i prodotti con il miglior rapporto qualità-prezzo in una categoria (paginazione a cursore: limit, cursor)
  * @access Pubblico
  */
-router.get('/best-value/:category', mediumCache, compareController.findBestValueProducts);
+router.get('/best-value/:category', validate(schemas.findBestValueProducts), mediumCache, compareController.findBestValueProducts);
 
 module.exports = router; 
\ No newline at end of file
@@ -7,36 +7,31 @@
 const express = require('express');
 const router = express.Router();
 const { cacheMiddleware } = require('../../utils/cache');
+const { PRICES_TAG } = require('../../utils/cacheTags');
+
+// Le offerte senza filtri dipendono dai prezzi di tutti i prodotti
+const dependsOnPrices = { dependsOn: [PRICES_TAG] };
 
 // Controllers
 const dealsController = require('../controllers/dealsController');
 
+// Validazione dei parametri
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/deals');
+
 /**
  * @swagger
  * /api/deals/best:
  *   get:
  *     summary: Recupera i prodotti con i migliori risparmi
  *     tags: [Deals]
- *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Numero massimo di risultati da restituire
- *       - in: query
- *         name: minSimilarity
- *         schema:
- *           type: number
- *           default: 0.7
- *         description: Punteggio minimo di similarità
  *     responses:
  *       200:
  *         description: Lista delle migliori offerte
  *       500:
  *         description: Errore del server
  */
-router.get('/best', cacheMiddleware(30 * 60), dealsController.getBestDeals);
+router.get('/best', validate(schemas.getBestDeals), cacheMiddleware(30 * 60, dependsOnPrices), dealsController.getBestDeals);
 
 /**
  * @swagger
@@ -44,32 +39,13 @@ router.get('/best', cacheMiddleware(30 * 60), dealsController.getBestDeals);
  *   get:
  *     summary: Recupera i prodotti con i migliori risparmi per un tipo di animale domestico
  *     tags: [Deals]
- *     parameters:
- *       - in: path
- *         name: petType
- *         schema:
- *           type: string
- *         required: true
- *         description: Tipo di animale domestico
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Numero massimo di risultati da restituire
- *       - in: query
- *         name: minSimilarity
- *         schema:
- *           type: number
- *           default: 0.7
- *         description: Punteggio minimo di similarità
  *     responses:
  *       200:
  *         description: Lista delle migliori offerte per il tipo di animale specificato
  *       500:
  *         description: Errore del server
  */
-router.get('/best/:petType', cacheMiddleware(30 * 60), dealsController.getBestDealsByPetType);
+router.get('/best/:petType', validate(schemas.getBestDealsByPetType), cacheMiddleware(30 * 60), dealsController.getBestDealsByPetType);
 
 /**
  * @swagger
@@ -77,26 +53,13 @@ router.get('/best/:petType', cacheMiddleware(30 * 60), dealsController.getBestDe
  *   get:
  *     summary: Recupera i prodotti con le più recenti riduzioni di prezzo
  *     tags: [Deals]
- *     parameters:
- *       - in: query
- *         name: days
- *         schema:
- *           type: integer
- *           default: 7
- *         description: Numero di giorni da considerare
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Numero massimo di risultati da restituire
  *     responses:
  *       200:
  *         description: Lista delle offerte di tendenza
  *       500:
  *         description: Errore del server
  */
-router.get('/trending', cacheMiddleware(15 * 60), dealsController.getTrendingDeals);
+router.get('/trending', validate(schemas.getTrendingDeals), cacheMiddleware(15 * 60, dependsOnPrices), dealsController.getTrendingDeals);
 
 /**
  * @swagger
@@ -104,32 +67,13 @@ router.get('/trending', cacheMiddleware(15 * 60), dealsController.getTrendingDea
  *   get:
  *     summary: Recupera i prodotti con i maggiori cali di prezzo
  *     tags: [Deals]
- *     parameters:
- *       - in: query
- *         name: days
- *         schema:
- *           type: integer
- *           default: 30
- *         description: Numero di giorni da considerare
- *       - in: query
- *         name: minReduction
- *         schema:
- *           type: number
- *           default: 5
- *         description: Percentuale minima di riduzione del prezzo
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Numero massimo di risultati da restituire
  *     responses:
  *       200:
  *         description: Lista dei prodotti con i maggiori cali di prezzo
  *       500:
  *         description: Errore del server
  */
-router.get('/price-drops', cacheMiddleware(60 * 60), dealsController.getPriceDrops);
+router.get('/price-drops', validate(schemas.getPriceDrops), cacheMiddleware(60 * 60, dependsOnPrices), dealsController.getPriceDrops);
 
 /**
  * @swagger
@@ -137,32 +81,13 @@ router.get('/price-drops', cacheMiddleware(60 * 60), dealsController.getPriceDro
  *   get:
  *     summary: Recupera i prodotti con i migliori risparmi in una categoria specifica
  *     tags: [Deals]
- *     parameters:
- *       - in: path
- *         name: category
- *         schema:
- *           type: string
- *         required: true
- *         description: Categoria del prodotto
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Numero massimo di risultati da restituire
- *       - in: query
- *         name: minSimilarity
- *         schema:
- *           type: number
- *           default: 0.7
- *         description: Punteggio minimo di similarità
  *     responses:
  *       200:
  *         description: Lista delle migliori offerte nella categoria specificata
  *       500:
  *         description: Errore del server
  */
-router.get('/category/:category', cacheMiddleware(60 * 60), dealsController.getDealsByCategory);
+router.get('/category/:category', validate(schemas.getDealsByCategory), cacheMiddleware(60 * 60), dealsController.getDealsByCategory);
 
 /**
  * @swagger
@@ -170,31 +95,12 @@ router.get('/category/:category', cacheMiddleware(60 * 60), dealsController.getD
  *   get:
  *     summary: Recupera i prodotti con i migliori risparmi per una marca specifica
  *     tags: [Deals]
- *     parameters:
- *       - in: path
- *         name: brand
- *         schema:
- *           type: string
- *         required: true
- *         description: Marca del prodotto
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Numero massimo di risultati da restituire
- *       - in: query
- *         name: minSimilarity
- *         schema:
- *           type: number
- *           default: 0.7
- *         description: Punteggio minimo di similarità
  *     responses:
  *       200:
  *         description: Lista delle migliori offerte per la marca specificata
  *       500:
  *         description: Errore del server
  */
-router.get('/brand/:brand', cacheMiddleware(60 * 60), dealsController.getDealsByBrand);
+router.get('/brand/:brand', validate(schemas.getDealsByBrand), cacheMiddleware(60 * 60), dealsController.getDealsByBrand);
 
 module.exports = router; 
\ No newline at end of file
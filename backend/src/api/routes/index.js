@@ -0,0 +1,57 @@
+/**
+ * Router dell'API
+ * /api/v1 (contratto normalizzato) serve tutte le route; i percorsi deprecati /api/... solo quelle
+ * che esistevano prima della versione (le route nuove dei router esistenti usano v1Only)
+ */
+const express = require('express');
+const productRoutes = require('./productRoutes');
+const priceRoutes = require('./priceRoutes');
+const compareRoutes = require('./compareRoutes');
+const dealsRoutes = require('./dealsRoutes');
+const trendsRoutes = require('./trendsRoutes');
+const priceAlertRoutes = require('./priceAlertRoutes');
+const advancedCompareRoutes = require('./advancedCompareRoutes');
+const authRoutes = require('./authRoutes');
+const adminRoutes = require('./adminRoutes');
+const { graphqlHandler } = require('../../graphql');
+const { optionalAuth } = require('../middleware/auth');
+
+// Router già presenti sui percorsi senza versione
+const legacyMounts = {
+  '/products': productRoutes,
+  '/prices': priceRoutes,
+  '/compare': compareRoutes,
+  '/advanced-compare': advancedCompareRoutes,
+  '/deals': dealsRoutes,
+  '/trends': trendsRoutes,
+  '/alerts': priceAlertRoutes
+};
+
+// Router per percorso di montaggio (usato anche per generare i parametri Swagger dagli schemi)
+const mounts = {
+  ...legacyMounts,
+  '/auth': authRoutes,
+  '/admin': adminRoutes
+};
+
+/**
+ * @param {Object} routerMounts - Router per percorso di montaggio
+ * @returns {Router}
+ */
+const buildRouter = (routerMounts) => {
+  const router = express.Router();
+  Object.entries(routerMounts).forEach(([path, routes]) => router.use(path, routes));
+  return router;
+};
+
+const v1Routes = buildRouter(mounts);
+// GraphQL ha il proprio formato di risposta ({ data, errors })
+v1Routes.use('/graphql', optionalAuth, graphqlHandler);
+
+const legacyRoutes = buildRouter(legacyMounts);
+
+module.exports = {
+  v1Routes,
+  legacyRoutes,
+  mounts
+};
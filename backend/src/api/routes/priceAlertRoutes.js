@@ -5,62 +5,76 @@
 const express = require('express');
 const router = express.Router();
 const priceAlertController = require('../controllers/priceAlertController');
-const { shortCache, mediumCache } = require('../../middleware/cacheMiddleware');
+const { validate } = require('../middleware/validate');
+const { v1Only } = require('../middleware/apiVersion');
+const schemas = require('../validation/alerts');
+const { authenticate } = require('../middleware/auth');
+
+// Gli avvisi appartengono all'utente autenticato: niente cache condivisa per URL
+router.use(authenticate);
 
 /**
  * @route GET /api/alerts
- * @description Ottieni tutti gli avvisi di prezzo per l'utente corrente
- * @access Pubblico
+ * @description Ottieni tutti gli avvisi di prezzo per l'utente corrente (paginazione a cursore: limit, cursor)
+ * @access Privato (JWT)
  */
-router.get('/', mediumCache, priceAlertController.getUserAlerts);
+router.get('/', validate(schemas.getUserAlerts), priceAlertController.getUserAlerts);
 
 /**
  * @route GET /api/alerts/:alertId
  * @description Ottieni i dettagli di un avviso di prezzo specifico
- * @access Pubblico
+ * @access Privato (JWT)
+ */
+router.get('/:alertId', validate(schemas.getAlertById), priceAlertController.getAlertById);
+
+/**
+ * @route GET /api/alerts/:alertId/deliveries
+ * @description Ottieni i tentativi di consegna delle notifiche di un avviso (paginazione a cursore: limit, cursor)
+ * @access Privato (JWT)
  */
-router.get('/:alertId', mediumCache, priceAlertController.getAlertById);
+router.get('/:alertId/deliveries', v1Only, validate(schemas.getAlertDeliveries), priceAlertController.getAlertDeliveries);
 
 /**
  * @route POST /api/alerts
  * @description Crea un nuovo avviso di prezzo
- * @access Pubblico
+ * @access Privato (JWT)
  */
-router.post('/', priceAlertController.createAlert);
+router.post('/', validate(schemas.createAlert), priceAlertController.createAlert);
 
 /**
  * @route PUT /api/alerts/:alertId
  * @description Aggiorna un avviso di prezzo esistente
- * @access Pubblico
+ * @access Privato (JWT)
  */
-router.put('/:alertId', priceAlertController.updateAlert);
+router.put('/:alertId', validate(schemas.updateAlert), priceAlertController.updateAlert);
 
 /**
  * @route DELETE /api/alerts/:alertId
  * @description Elimina un avviso di prezzo
- * @access Pubblico
+ * @access Privato (JWT)
  */
-router.delete('/:alertId', priceAlertController.deleteAlert);
+router.delete('/:alertId', validate(schemas.deleteAlert), priceAlertController.deleteAlert);
 
 /**
  * @route GET /api/alerts/product/:productId
- * @description Ottieni gli avvisi di prezzo per un prodotto specifico
- * @access Pubblico
+ * @description Ottieni gli avvisi di prezzo per un prodotto specifico (paginazione a cursore: limit, cursor)
+ * @access Privato (JWT)
  */
-router.get('/product/:productId', shortCache, priceAlertController.getAlertsByProduct);
+router.get('/product/:productId', validate(schemas.getAlertsByProduct), priceAlertController.getAlertsByProduct);
 
 /**
  * @route GET /api/alerts/status/:status
- * @description Ottieni gli avvisi di prezzo filtrati per stato
- * @access Pubblico
+ * @description Ottieni gli avvisi di prezzo filtrati per stato (paginazione a cursore: limit, cursor)
+ * @access Privato (JWT)
  */
-router.get('/status/:status', shortCache, priceAlertController.getAlertsByStatus);
+router.get('/status/:status', validate(schemas.getAlertsByStatus), priceAlertController.getAlertsByStatus);
 
 /**
  * @route POST /api/alerts/test/:alertId
- * @description Testa un avviso di prezzo (simula un trigger)
- * @access Pubblico
+ * @description Testa un avviso di prezzo: di default (dryRun=true) lo valuta e restituisce il risultato
+ *   senza inviare notifiche né aggiornarlo; con dryRun=false lo elabora come il job
+ * @access Privato (JWT)
  */
-router.post('/test/:alertId', priceAlertController.testAlert);
+router.post('/test/:alertId', validate(schemas.testAlert), priceAlertController.testAlert);
 
 module.exports = router; 
\ No newline at end of file
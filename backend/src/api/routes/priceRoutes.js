@@ -5,55 +5,77 @@
 const express = require('express');
 const router = express.Router();
 const priceController = require('../controllers/priceController');
-const { shortCache, mediumCache } = require('../../middleware/cacheMiddleware');
+const { validate } = require('../middleware/validate');
+const { v1Only } = require('../middleware/apiVersion');
+const schemas = require('../validation/prices');
+const { conditionalGet, priceHistoryLastModified } = require('../middleware/conditionalRequest');
+const { shortCache, mediumCache, customCache, CACHE_DURATIONS } = require('../../middleware/cacheMiddleware');
+const { PRICES_TAG } = require('../../utils/cacheTags');
+
+// ETag / Last-Modified dall'ultimo punto prezzo (?days è relativo a oggi)
+const historyValidators = conditionalGet(priceHistoryLastModified, { daily: true });
 
 /**
  * @route GET /api/prices/latest/:productId
  * @description Ottieni il prezzo più recente di un prodotto
  * @access Pubblico
  */
-router.get('/latest/:productId', shortCache, priceController.getLatestPrice);
+router.get('/latest/:productId', validate(schemas.getLatestPrice), shortCache, priceController.getLatestPrice);
 
 /**
  * @route GET /api/prices/history/:productId
- * @description Ottieni lo storico dei prezzi di un prodotto
+ * @description Ottieni lo storico dei prezzi di un prodotto (risoluzione automatica in base a ?days, oppure ?resolution=raw|daily|weekly)
+ * @access Pubblico
+ */
+router.get('/history/:productId', validate(schemas.getPriceHistory), historyValidators, mediumCache, priceController.getPriceHistory);
+
+/**
+ * @route GET /api/prices/history/:productId/:variantId
+ * @description Ottieni lo storico dei prezzi di una variante (PricePoint.variant.id), con gli stessi parametri dello storico del prodotto
  * @access Pubblico
  */
-router.get('/history/:productId', mediumCache, priceController.getPriceHistory);
+router.get('/history/:productId/:variantId', v1Only, validate(schemas.getPriceHistory), historyValidators, mediumCache, priceController.getPriceHistory);
 
 /**
  * @route GET /api/prices/stats/:productId
  * @description Ottieni statistiche sui prezzi di un prodotto
  * @access Pubblico
  */
-router.get('/stats/:productId', mediumCache, priceController.getPriceStats);
+router.get('/stats/:productId', validate(schemas.getPriceStats), mediumCache, priceController.getPriceStats);
 
 /**
  * @route GET /api/prices/compare/:productId1/:productId2
  * @description Confronta i prezzi di due prodotti
  * @access Pubblico
  */
-router.get('/compare/:productId1/:productId2', shortCache, priceController.comparePrices);
+router.get('/compare/:productId1/:productId2', validate(schemas.comparePrices), shortCache, priceController.comparePrices);
 
 /**
  * @route GET /api/prices/changes
- * @description Ottieni i cambiamenti di prezzo recenti
+ * @description Ottieni i cambiamenti di prezzo recenti (paginazione a cursore: limit, cursor)
  * @access Pubblico
  */
-router.get('/changes', shortCache, priceController.getRecentPriceChanges);
+router.get('/changes', validate(schemas.getRecentPriceChanges), customCache(CACHE_DURATIONS.SHORT, { dependsOn: [PRICES_TAG] }), priceController.getRecentPriceChanges);
 
 /**
  * @route GET /api/prices/changes/:productId
  * @description Ottieni i cambiamenti di prezzo recenti per un prodotto
  * @access Pubblico
  */
-router.get('/changes/:productId', shortCache, priceController.getProductPriceChanges);
+router.get('/changes/:productId', validate(schemas.getProductPriceChanges), shortCache, priceController.getProductPriceChanges);
 
 /**
  * @route GET /api/prices/fluctuations/:productId
  * @description Ottieni le fluttuazioni di prezzo di un prodotto
  * @access Pubblico
  */
-router.get('/fluctuations/:productId', mediumCache, priceController.getPriceFluctuations);
+router.get('/fluctuations/:productId', validate(schemas.getPriceFluctuations), mediumCache, priceController.getPriceFluctuations);
+
+/**
+ * @route GET /api/prices/variations/:productId/:variantId
+ * @description Ottieni le variazioni di prezzo di una variante nel periodo (?days, default 30)
+ * @access Pubblico
+ */
+router.get('/variations/:productId/:variantId', v1Only, validate(schemas.getPriceVariations), shortCache, priceController.getPriceVariations);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,33 +1,26 @@
 const express = require('express');
 const productController = require('../controllers/productController');
+const { validate } = require('../middleware/validate');
+const { v1Only } = require('../middleware/apiVersion');
+const schemas = require('../validation/products');
+const { conditionalGet, productLastModified, priceHistoryLastModified } = require('../middleware/conditionalRequest');
 const router = express.Router();
 
 /**
  * @swagger
  * /api/products:
  *   get:
- *     summary: Ottiene tutti i prodotti con paginazione e filtri
+ *     summary: Ottiene tutti i prodotti con paginazione a cursore e filtri
  *     tags: [Prodotti]
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Numero di pagina per la paginazione
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Numero di elementi per pagina
  *     responses:
  *       200:
- *         description: Lista di prodotti
+ *         description: Lista di prodotti (data) con pagination.nextCursor per la pagina successiva
+ *       400:
+ *         description: Cursore o ordinamento non valido
  *       500:
  *         description: Errore del server
  */
-router.get('/', productController.getAllProducts);
+router.get('/', validate(schemas.getAllProducts), productController.getAllProducts);
 
 /**
  * @swagger
@@ -35,34 +28,6 @@ router.get('/', productController.getAllProducts);
  *   get:
  *     summary: Trova prodotti simili tra diversi negozi (confronto avanzato)
  *     tags: [Prodotti]
- *     parameters:
- *       - in: query
- *         name: productId
- *         schema:
- *           type: string
- *         description: ID del prodotto di riferimento
- *       - in: query
- *         name: brand
- *         schema:
- *           type: string
- *         description: Brand per trovare prodotti simili
- *       - in: query
- *         name: name
- *         schema:
- *           type: string
- *         description: Nome del prodotto per trovare prodotti simili
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Numero massimo di risultati simili
- *       - in: query
- *         name: minSimilarity
- *         schema:
- *           type: number
- *           default: 0.7
- *         description: Punteggio minimo di similarità (0-1)
  *     responses:
  *       200:
  *         description: Lista di prodotti simili
@@ -85,7 +50,7 @@ router.get('/', productController.getAllProducts);
  *       500:
  *         description: Errore del server
  */
-router.get('/similar', productController.findSimilarProducts);
+router.get('/similar', validate(schemas.findSimilarProducts), productController.findSimilarProducts);
 
 /**
  * @swagger
@@ -119,40 +84,43 @@ router.get('/brands/all', productController.getBrands);
  * @swagger
  * /api/products/search:
  *   get:
- *     summary: Cerca prodotti con ricerca testuale
+ *     summary: Cerca prodotti con filtri multi-selezione e conteggi per faccetta
+ *     description: |
+ *       Restituisce i risultati e, in "facets", i conteggi per brand, negozio, fascia di prezzo,
+ *       fascia di prezzo unitario (EUR/kg), fascia di peso e disponibilità. I filtri accettano più
+ *       valori (parametro ripetuto o separato da virgole): valori della stessa faccetta sono in OR,
+ *       faccette diverse in AND. I conteggi di una faccetta ignorano la sua stessa selezione.
  *     tags: [Prodotti]
- *     parameters:
- *       - in: query
- *         name: q
- *         schema:
- *           type: string
- *         required: true
- *         description: Termine di ricerca testuale
- *       - in: query
- *         name: petType
- *         schema:
- *           type: string
- *         description: Tipo di animale (cane, gatto)
- *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *         description: Categoria del prodotto
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *         description: Numero massimo di risultati
  *     responses:
  *       200:
- *         description: Risultati della ricerca
+ *         description: Risultati della ricerca con conteggi per faccetta
  *       400:
- *         description: Parametri mancanti o non validi
+ *         description: Filtro o ordinamento non valido
+ *       500:
+ *         description: Errore del server
+ */
+router.get('/search', validate(schemas.searchProducts), productController.searchProducts);
+
+/**
+ * @swagger
+ * /api/products/suggest:
+ *   get:
+ *     summary: Suggerimenti durante la digitazione
+ *     description: |
+ *       Completamenti per il testo digitato, raggruppati in brands, categories e products e ordinati
+ *       per rilevanza. Ogni parola digitata deve essere l'inizio di una parola del suggerimento;
+ *       "highlight" contiene gli intervalli [start, end) del testo corrispondenti alla query.
+ *       Brand e categorie vengono suggeriti dal primo carattere, i prodotti dal secondo.
+ *     tags: [Prodotti]
+ *     responses:
+ *       200:
+ *         description: Suggerimenti per brand, categorie e prodotti
+ *       400:
+ *         description: Parametro q mancante
  *       500:
  *         description: Errore del server
  */
-router.get('/search', productController.searchProducts);
+router.get('/suggest', v1Only, validate(schemas.suggestProducts), productController.suggestProducts);
 
 /**
  * @swagger
@@ -166,30 +134,39 @@ router.get('/search', productController.searchProducts);
  *       500:
  *         description: Errore del server
  */
-router.get('/deals/best', productController.getBestDeals);
+router.get('/deals/best', validate(schemas.getBestDeals), productController.getBestDeals);
+
+/**
+ * @swagger
+ * /api/products/source/{source}/{sourceId}:
+ *   get:
+ *     summary: Ottiene un prodotto dal negozio e dal codice prodotto del negozio
+ *     tags: [Prodotti]
+ *     responses:
+ *       200:
+ *         description: Dettagli del prodotto con offers e bestOffer, come /api/products/{id}
+ *       404:
+ *         description: Prodotto non trovato
+ *       500:
+ *         description: Errore del server
+ */
+router.get('/source/:source/:sourceId', v1Only, validate(schemas.getProductBySource), productController.getProductBySource);
 
 /**
  * @swagger
  * /api/products/{id}:
  *   get:
- *     summary: Ottiene un singolo prodotto per ID
+ *     summary: Ottiene un singolo prodotto per ID con le offerte di tutti i negozi
  *     tags: [Prodotti]
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: ID del prodotto
  *     responses:
  *       200:
- *         description: Dettagli del prodotto
+ *         description: Dettagli del prodotto con offers (ordinate per prezzo effettivo, prima quelle disponibili) e bestOffer
  *       404:
  *         description: Prodotto non trovato
  *       500:
  *         description: Errore del server
  */
-router.get('/:id', productController.getProductById);
+router.get('/:id', validate(schemas.getProductById), conditionalGet(productLastModified), productController.getProductById);
 
 /**
  * @swagger
@@ -197,13 +174,6 @@ router.get('/:id', productController.getProductById);
  *   get:
  *     summary: Confronta i prezzi di un prodotto tra diversi negozi
  *     tags: [Prodotti]
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: ID del prodotto
  *     responses:
  *       200:
  *         description: Confronto dei prezzi
@@ -212,7 +182,7 @@ router.get('/:id', productController.getProductById);
  *       500:
  *         description: Errore del server
  */
-router.get('/:id/compare', productController.compareProductPrices);
+router.get('/:id/compare', validate(schemas.compareProductPrices), productController.compareProductPrices);
 
 /**
  * @swagger
@@ -220,20 +190,6 @@ router.get('/:id/compare', productController.compareProductPrices);
  *   get:
  *     summary: Ottiene lo storico dei prezzi di un prodotto nel tempo
  *     tags: [Prodotti]
- *     parameters:
- *       - in: path
- *         name: productId
- *         schema:
- *           type: string
- *         required: true
- *         description: ID del prodotto
- *       - in: query
- *         name: period
- *         schema:
- *           type: string
- *           enum: [7days, 30days, 90days, 1year, all]
- *           default: 30days
- *         description: Periodo di tempo per lo storico
  *     responses:
  *       200:
  *         description: Storico dei prezzi
@@ -242,6 +198,6 @@ router.get('/:id/compare', productController.compareProductPrices);
  *       500:
  *         description: Errore del server
  */
-router.get('/:productId/price-history', productController.getPriceHistory);
+router.get('/:productId/price-history', validate(schemas.getPriceHistory), conditionalGet(priceHistoryLastModified, { daily: true }), productController.getPriceHistory);
 
 module.exports = router;
\ No newline at end of file
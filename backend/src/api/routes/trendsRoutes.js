@@ -5,26 +5,20 @@ const { cacheMiddleware } = require('../../utils/cache');
 // Controllers
 const trendsController = require('../controllers/trendsController');
 
+// Validazione dei parametri
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/trends');
+
+// ETag / Last-Modified: i trend sono calcolati su periodi relativi a oggi
+const { conditionalGet, priceHistoryLastModified, productIdsLastModified, pricesLastModified } = require('../middleware/conditionalRequest');
+const latestPrices = conditionalGet(pricesLastModified, { daily: true });
+
 /**
  * @swagger
  * /api/trends/price-history/{productId}:
  *   get:
  *     summary: Ottiene lo storico dei prezzi di un prodotto con analisi
  *     tags: [Trend]
- *     parameters:
- *       - in: path
- *         name: productId
- *         schema:
- *           type: string
- *         required: true
- *         description: ID del prodotto
- *       - in: query
- *         name: period
- *         schema:
- *           type: string
- *           enum: [7days, 30days, 90days, 1year, all]
- *           default: 30days
- *         description: Periodo di tempo per l'analisi
  *     responses:
  *       200:
  *         description: Storico e analisi dei prezzi
@@ -33,7 +27,7 @@ const trendsController = require('../controllers/trendsController');
  *       500:
  *         description: Errore del server
  */
-router.get('/price-history/:productId', cacheMiddleware(60 * 60), trendsController.getProductPriceHistory);
+router.get('/price-history/:productId', validate(schemas.getProductPriceHistory), conditionalGet(priceHistoryLastModified, { daily: true }), cacheMiddleware(60 * 60), trendsController.getProductPriceHistory);
 
 /**
  * @swagger
@@ -41,28 +35,13 @@ router.get('/price-history/:productId', cacheMiddleware(60 * 60), trendsControll
  *   get:
  *     summary: Ottiene l'andamento dei prezzi per un tipo di animale
  *     tags: [Trend]
- *     parameters:
- *       - in: path
- *         name: petType
- *         schema:
- *           type: string
- *           enum: [cane, gatto]
- *         required: true
- *         description: Tipo di animale (cane/gatto)
- *       - in: query
- *         name: period
- *         schema:
- *           type: string
- *           enum: [7days, 30days, 90days, 1year, all]
- *           default: 30days
- *         description: Periodo di tempo per l'analisi
  *     responses:
  *       200:
  *         description: Andamento dei prezzi per tipo di animale
  *       500:
  *         description: Errore del server
  */
-router.get('/pet-type/:petType', cacheMiddleware(24 * 60 * 60), trendsController.getPetTypePriceTrends);
+router.get('/pet-type/:petType', validate(schemas.getPetTypePriceTrends), latestPrices, cacheMiddleware(24 * 60 * 60), trendsController.getPetTypePriceTrends);
 
 /**
  * @swagger
@@ -70,27 +49,13 @@ router.get('/pet-type/:petType', cacheMiddleware(24 * 60 * 60), trendsController
  *   get:
  *     summary: Ottiene l'andamento dei prezzi per una categoria
  *     tags: [Trend]
- *     parameters:
- *       - in: path
- *         name: category
- *         schema:
- *           type: string
- *         required: true
- *         description: Categoria del prodotto
- *       - in: query
- *         name: period
- *         schema:
- *           type: string
- *           enum: [7days, 30days, 90days, 1year, all]
- *           default: 30days
- *         description: Periodo di tempo per l'analisi
  *     responses:
  *       200:
  *         description: Andamento dei prezzi per categoria
  *       500:
  *         description: Errore del server
  */
-router.get('/category/:category', cacheMiddleware(24 * 60 * 60), trendsController.getCategoryPriceTrends);
+router.get('/category/:category', validate(schemas.getCategoryPriceTrends), latestPrices, cacheMiddleware(24 * 60 * 60), trendsController.getCategoryPriceTrends);
 
 /**
  * @swagger
@@ -98,28 +63,13 @@ router.get('/category/:category', cacheMiddleware(24 * 60 * 60), trendsControlle
  *   get:
  *     summary: Ottiene l'andamento dei prezzi per un negozio
  *     tags: [Trend]
- *     parameters:
- *       - in: path
- *         name: store
- *         schema:
- *           type: string
- *           enum: [zooplus, arcaplanet]
- *         required: true
- *         description: Nome del negozio
- *       - in: query
- *         name: period
- *         schema:
- *           type: string
- *           enum: [7days, 30days, 90days, 1year, all]
- *           default: 30days
- *         description: Periodo di tempo per l'analisi
  *     responses:
  *       200:
  *         description: Andamento dei prezzi per negozio
  *       500:
  *         description: Errore del server
  */
-router.get('/store/:store', cacheMiddleware(24 * 60 * 60), trendsController.getStorePriceTrends);
+router.get('/store/:store', validate(schemas.getStorePriceTrends), latestPrices, cacheMiddleware(24 * 60 * 60), trendsController.getStorePriceTrends);
 
 /**
  * @swagger
@@ -127,27 +77,13 @@ router.get('/store/:store', cacheMiddleware(24 * 60 * 60), trendsController.getS
  *   get:
  *     summary: Ottiene l'andamento dei prezzi per un brand
  *     tags: [Trend]
- *     parameters:
- *       - in: path
- *         name: brand
- *         schema:
- *           type: string
- *         required: true
- *         description: Nome del brand
- *       - in: query
- *         name: period
- *         schema:
- *           type: string
- *           enum: [7days, 30days, 90days, 1year, all]
- *           default: 30days
- *         description: Periodo di tempo per l'analisi
  *     responses:
  *       200:
  *         description: Andamento dei prezzi per brand
  *       500:
  *         description: Errore del server
  */
-router.get('/brand/:brand', cacheMiddleware(24 * 60 * 60), trendsController.getBrandPriceTrends);
+router.get('/brand/:brand', validate(schemas.getBrandPriceTrends), latestPrices, cacheMiddleware(24 * 60 * 60), trendsController.getBrandPriceTrends);
 
 /**
  * @swagger
@@ -155,28 +91,12 @@ router.get('/brand/:brand', cacheMiddleware(24 * 60 * 60), trendsController.getB
  *   get:
  *     summary: Confronta l'andamento dei prezzi tra diversi prodotti
  *     tags: [Trend]
- *     parameters:
- *       - in: query
- *         name: ids
- *         schema:
- *           type: array
- *           items:
- *             type: string
- *         required: true
- *         description: Array di ID dei prodotti da confrontare
- *       - in: query
- *         name: period
- *         schema:
- *           type: string
- *           enum: [7days, 30days, 90days, 1year, all]
- *           default: 30days
- *         description: Periodo di tempo per l'analisi
  *     responses:
  *       200:
  *         description: Confronto dell'andamento dei prezzi
  *       500:
  *         description: Errore del server
  */
-router.get('/compare', cacheMiddleware(60 * 60), trendsController.comparePriceTrends);
+router.get('/compare', validate(schemas.comparePriceTrends), conditionalGet(productIdsLastModified, { daily: true }), cacheMiddleware(60 * 60), trendsController.comparePriceTrends);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Schemi di validazione delle route /admin
+ */
+const Joi = require('joi');
+const config = require('../../config/config');
+const { objectId, objectIdList, cursorPage, body } = require('./common');
+const { ALERT_STATUSES } = require('./alerts');
+const { ALL_SCOPES } = require('../../services/apiKeyService');
+
+const matchParams = {
+  matchId: objectId('ID della relazione tra prodotti').required()
+};
+
+const reviewNotes = () => Joi.string().trim().max(1000).description('Note della revisione');
+
+// Coppia di prodotti delle decisioni manuali (link / unlink)
+const productPair = body({
+  productId: objectId('ID del primo prodotto').required(),
+  similarToId: objectId('ID del secondo prodotto').required()
+    .invalid(Joi.ref('productId'))
+    .messages({ 'any.invalid': 'similarToId deve essere diverso da productId' }),
+  notes: reviewNotes()
+});
+
+module.exports = {
+  getApiKeys: {
+    query: {
+      includeRevoked: Joi.boolean().default(false).description('Includi le chiavi revocate')
+    }
+  },
+
+  createApiKey: {
+    body: body({
+      name: Joi.string().trim().min(1).max(100).required().description('Nome della API key'),
+      scopes: Joi.array().items(Joi.string().valid(...ALL_SCOPES)).min(1).unique().required()
+        .description('Permessi della API key'),
+      expiresAt: Joi.date().iso().greater('now')
+        .messages({ 'date.greater': 'expiresAt deve essere una data futura' })
+        .description('Scadenza (ISO 8601, default: nessuna scadenza)')
+    })
+  },
+
+  revokeApiKey: {
+    params: {
+      keyId: objectId('ID della chiave API').required()
+    }
+  },
+
+  updateUserRole: {
+    params: {
+      userId: objectId('ID dell\'utente').required()
+    },
+    body: body({
+      role: Joi.string().valid('user', 'admin').required().description('Nuovo ruolo')
+    })
+  },
+
+  getAuditLogs: {
+    query: {
+      scope: Joi.string().description('Permesso usato per l\'operazione'),
+      actorId: Joi.string().description('ID dell\'utente o della chiave API'),
+      from: Joi.date().iso().description('Data iniziale (ISO 8601)'),
+      to: Joi.date().iso().description('Data finale (ISO 8601)'),
+      ...cursorPage(50)
+    }
+  },
+
+  getAllAlerts: {
+    query: {
+      userId: Joi.string().description('ID dell\'utente'),
+      status: Joi.string().valid(...ALERT_STATUSES).description('Stato dell\'avviso'),
+      ...cursorPage(20)
+    }
+  },
+
+  processAlerts: {
+    body: body()
+  },
+
+  deleteAlert: {
+    params: {
+      alertId: objectId('ID dell\'avviso').required()
+    }
+  },
+
+  runMatching: {
+    query: {
+      full: Joi.boolean().default(false).description('Ricalcola tutte le corrispondenze invece dei soli prodotti nuovi')
+    }
+  },
+
+  syncOffers: {
+    body: body()
+  },
+
+  invalidateCache: {
+    body: {
+      productIds: objectIdList('ID dei prodotti le cui risposte in cache vanno purgate')
+        .min(1)
+        .max(1000)
+        .required()
+    }
+  },
+
+  getReviewQueue: {
+    query: {
+      status: Joi.string().valid('ACTIVE', 'PENDING_REVIEW', 'REJECTED', 'ARCHIVED')
+        .description('Stato delle relazioni (default: in attesa e automatiche a bassa confidenza)'),
+      maxConfidence: Joi.number().min(0).max(1).default(config.matching.autoAcceptScore)
+        .description('Confidenza sotto la quale una relazione automatica va rivista'),
+      ...cursorPage(20)
+    }
+  },
+
+  linkProducts: {
+    body: productPair
+  },
+
+  unlinkProducts: {
+    body: productPair
+  },
+
+  approveMatch: {
+    params: matchParams,
+    body: body({ notes: reviewNotes() })
+  },
+
+  rejectMatch: {
+    params: matchParams,
+    body: body({ notes: reviewNotes() })
+  },
+
+  resetMatch: {
+    params: matchParams
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Schemi di validazione delle route /advanced-compare
+ */
+const Joi = require('joi');
+const { objectId, limit, body } = require('./common');
+
+module.exports = {
+  compareWithUnitPrices: {
+    params: {
+      productId: objectId('ID del prodotto').required()
+    }
+  },
+
+  findBestValueByBrand: {
+    params: {
+      brand: Joi.string().required().description('Brand'),
+      category: Joi.string().description('Categoria')
+    },
+    query: {
+      limit: limit(10)
+    }
+  },
+
+  compareSizes: {
+    query: {
+      namePattern: Joi.string().trim().min(3).max(200).required()
+        .description('Parte del nome comune ai formati da confrontare')
+    }
+  },
+
+  updateAllUnitPrices: {
+    query: {
+      limit: Joi.number().integer().min(1).max(100000).default(1000)
+        .description('Numero massimo di prodotti da aggiornare')
+    }
+  },
+
+  updateProductGroups: {
+    body: body()
+  }
+};
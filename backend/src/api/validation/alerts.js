@@ -0,0 +1,133 @@
+/**
+ * Schemi di validazione delle route /alerts
+ */
+const Joi = require('joi');
+const { objectId, cursorPage, body } = require('./common');
+
+const ALERT_STATUSES = ['ACTIVE', 'TRIGGERED', 'EXPIRED'];
+
+const ALERT_TYPES = ['PRICE_BELOW', 'PRICE_ABOVE', 'PRICE_CHANGE', 'BACK_IN_STOCK', 'GOING_OUT_OF_STOCK', 'UNIT_PRICE_BELOW', 'CROSS_STORE_BELOW', 'RULE'];
+
+const NOTIFICATION_TYPES = ['EMAIL', 'WEBHOOK', 'PUSH', 'SMS', 'NONE'];
+
+const NOTIFICATION_FREQUENCIES = ['ONCE', 'DAILY', 'ALWAYS'];
+
+/**
+ * Campo obbligatorio per i tipi di avviso indicati e vietato per gli altri
+ * @param {Object} schema
+ * @param {Array<string>} types
+ */
+const requiredFor = (schema, types) => Joi.when('type', {
+  is: Joi.valid(...types).required(),
+  then: schema.required(),
+  otherwise: Joi.forbidden()
+});
+
+// Campi dell'avviso modificabili; la regola (rule) viene validata da services/alertRules
+const alertFields = {
+  targetPrice: Joi.number().min(0).description('Prezzo target (EUR)'),
+  targetPercentage: Joi.number().min(0).max(100).description('Variazione percentuale rispetto al prezzo di riferimento'),
+  targetUnitPrice: Joi.number().greater(0).description('Prezzo al kg target (EUR/kg)'),
+  referencePrice: Joi.number().min(0).description('Prezzo di riferimento (default: ultimo prezzo rilevato)'),
+  minSimilarity: Joi.number().min(0).max(1)
+    .description('Similarità minima dei prodotti degli altri negozi (CROSS_STORE_BELOW, RULE)'),
+  rule: Joi.object().description('Regola componibile degli avvisi RULE (gruppi and/or e condizioni)'),
+  notificationEmail: Joi.string().trim().email().max(254).description('Email di notifica (default: email dell\'utente)'),
+  notificationWebhookUrl: Joi.string().trim().uri({ scheme: ['https'] }).max(2048)
+    .description('URL HTTPS del webhook di notifica'),
+  notificationType: Joi.string().valid(...NOTIFICATION_TYPES).description('Canale di notifica'),
+  notificationFrequency: Joi.string().valid(...NOTIFICATION_FREQUENCIES).description('Frequenza delle notifiche')
+};
+
+const alertParams = {
+  alertId: objectId('ID dell\'avviso').required()
+};
+
+module.exports = {
+  ALERT_STATUSES,
+  ALERT_TYPES,
+
+  getUserAlerts: {
+    query: {
+      status: Joi.string().valid(...ALERT_STATUSES).description('Stato dell\'avviso'),
+      ...cursorPage(10)
+    }
+  },
+
+  getAlertById: {
+    params: alertParams
+  },
+
+  getAlertDeliveries: {
+    params: alertParams,
+    query: cursorPage(20)
+  },
+
+  createAlert: {
+    body: body({
+      type: Joi.string().valid(...ALERT_TYPES).required().description('Tipo di avviso'),
+      productId: Joi.when('type', {
+        is: 'UNIT_PRICE_BELOW',
+        then: Joi.forbidden(),
+        otherwise: objectId('ID del prodotto').required()
+      }),
+      productGroupId: requiredFor(objectId('ID del gruppo di prodotti (UNIT_PRICE_BELOW)'), ['UNIT_PRICE_BELOW']),
+      ...alertFields,
+      targetPrice: Joi.when('type', {
+        is: Joi.valid('PRICE_BELOW', 'PRICE_ABOVE', 'CROSS_STORE_BELOW').required(),
+        then: alertFields.targetPrice.required(),
+        otherwise: alertFields.targetPrice
+      }),
+      targetPercentage: Joi.when('type', {
+        is: 'PRICE_CHANGE',
+        then: alertFields.targetPercentage.required(),
+        otherwise: alertFields.targetPercentage
+      }),
+      referencePrice: Joi.when('type', {
+        is: 'PRICE_CHANGE',
+        then: alertFields.referencePrice.required(),
+        otherwise: alertFields.referencePrice
+      }),
+      targetUnitPrice: requiredFor(alertFields.targetUnitPrice, ['UNIT_PRICE_BELOW']),
+      rule: requiredFor(alertFields.rule, ['RULE']),
+      notificationType: alertFields.notificationType.default('EMAIL'),
+      notificationFrequency: alertFields.notificationFrequency.default('ONCE')
+    })
+  },
+
+  updateAlert: {
+    params: alertParams,
+    body: body({
+      type: Joi.string().valid(...ALERT_TYPES).description('Tipo di avviso (UNIT_PRICE_BELOW non si può aggiungere né togliere)'),
+      ...alertFields,
+      // null torna alla soglia predefinita (matching.crossStoreMinScore)
+      minSimilarity: alertFields.minSimilarity.allow(null)
+    })
+  },
+
+  deleteAlert: {
+    params: alertParams
+  },
+
+  getAlertsByProduct: {
+    params: {
+      productId: objectId('ID del prodotto').required()
+    },
+    query: cursorPage(20)
+  },
+
+  getAlertsByStatus: {
+    params: {
+      status: Joi.string().valid(...ALERT_STATUSES).required().description('Stato dell\'avviso')
+    },
+    query: cursorPage(20)
+  },
+
+  testAlert: {
+    params: alertParams,
+    query: {
+      dryRun: Joi.boolean().default(true)
+        .description('Valuta l\'avviso senza inviare la notifica né aggiornarlo (false: elaborazione reale)')
+    }
+  }
+};
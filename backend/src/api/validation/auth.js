@@ -0,0 +1,42 @@
+/**
+ * Schemi di validazione delle route /auth
+ */
+const Joi = require('joi');
+const { body } = require('./common');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const email = () => Joi.string().trim().lowercase().email().max(254).description('Email dell\'account');
+
+const refreshToken = () => Joi.string().max(512).required().description('Refresh token ricevuto al login o all\'ultimo rinnovo');
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+
+  register: {
+    body: body({
+      email: email().required(),
+      password: Joi.string().min(MIN_PASSWORD_LENGTH).max(128).required().description('Password'),
+      name: Joi.string().trim().max(100).description('Nome visualizzato')
+    })
+  },
+
+  login: {
+    body: body({
+      email: email().required(),
+      password: Joi.string().max(128).required().description('Password')
+    })
+  },
+
+  refresh: {
+    body: body({
+      refreshToken: refreshToken()
+    })
+  },
+
+  logout: {
+    body: body({
+      refreshToken: refreshToken()
+    })
+  }
+};
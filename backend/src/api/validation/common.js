@@ -0,0 +1,102 @@
+/**
+ * Frammenti Joi condivisi dagli schemi delle route
+ * Ogni funzione restituisce un nuovo schema, così le route possono cambiare default e descrizione.
+ */
+const BaseJoi = require('joi');
+const { MAX_PAGE_SIZE } = require('../../utils/pagination');
+const { RESOLUTIONS } = require('../../services/priceHistory');
+
+// Tipo "list": un array che accetta anche un unico valore separato da virgole (a,b,c)
+const Joi = BaseJoi.extend({
+  type: 'list',
+  base: BaseJoi.array().single(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({ value: value.split(',').map(item => item.trim()).filter(Boolean) })
+  }
+});
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * ID MongoDB
+ * @param {string} description
+ */
+const objectId = (description = 'ID MongoDB') => Joi.string()
+  .pattern(OBJECT_ID_PATTERN, 'ID (24 caratteri esadecimali)')
+  .description(description);
+
+/**
+ * Dimensione della pagina
+ * @param {number} defaultValue
+ * @param {number} max
+ */
+const limit = (defaultValue = 20, max = MAX_PAGE_SIZE) => Joi.number().integer().min(1).max(max)
+  .default(defaultValue)
+  .description(`Numero massimo di risultati (massimo ${max})`);
+
+/**
+ * Parametri della paginazione a cursore (utils/pagination)
+ * @param {number} defaultLimit
+ */
+const cursorPage = (defaultLimit = 20) => ({
+  limit: limit(defaultLimit),
+  cursor: Joi.string().max(2048)
+    .description('Cursore della pagina successiva (pagination.nextCursor della risposta precedente)')
+});
+
+/**
+ * Numero di giorni all'indietro
+ * @param {number} defaultValue
+ */
+const days = (defaultValue = 30) => Joi.number().integer().min(1).max(3650)
+  .default(defaultValue)
+  .description('Giorni da considerare a partire da oggi');
+
+const petType = () => Joi.string().valid('cane', 'gatto', 'altro').description('Tipo di animale');
+
+const period = (defaultValue = '30days') => Joi.string()
+  .valid('7days', '30days', '90days', '1year', 'all')
+  .default(defaultValue)
+  .description('Periodo di tempo per l\'analisi');
+
+const resolution = () => Joi.string().valid('auto', ...RESOLUTIONS).default('auto')
+  .description('Dettaglio dei punti: auto sceglie in base al periodo');
+
+const similarity = (defaultValue = 0.7) => Joi.number().min(0).max(1).default(defaultValue)
+  .description('Punteggio minimo di similarità (0-1)');
+
+/**
+ * Parametro ripetibile o separato da virgole (es. brand=A&brand=B oppure brand=A,B)
+ * @param {string} description
+ */
+const multiValue = (description) => Joi.list().items(Joi.string()).description(description);
+
+/**
+ * Elenco di ID MongoDB (ripetibile o separato da virgole)
+ * @param {string} description
+ */
+const objectIdList = (description = 'ID MongoDB') => Joi.list()
+  .items(objectId())
+  .description(description);
+
+/**
+ * Corpo JSON di una richiesta: i campi non dichiarati vengono rifiutati (a differenza della query string)
+ * @param {Object} keys - Campi Joi (nessun campo: la route non accetta un corpo)
+ */
+const body = (keys = {}) => Joi.object(keys).unknown(false);
+
+module.exports = {
+  OBJECT_ID_PATTERN,
+  objectId,
+  limit,
+  cursorPage,
+  days,
+  petType,
+  period,
+  resolution,
+  similarity,
+  multiValue,
+  objectIdList,
+  body
+};
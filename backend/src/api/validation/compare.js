@@ -0,0 +1,59 @@
+/**
+ * Schemi di validazione delle route /compare
+ */
+const Joi = require('joi');
+const { objectId, limit, cursorPage, similarity } = require('./common');
+const { searchQuery } = require('./products');
+
+const productParams = {
+  productId: objectId('ID del prodotto di riferimento').required()
+};
+
+// Ricerca di prodotti simili o alternativi
+const similarQuery = {
+  limit: limit(10),
+  minSimilarity: similarity()
+};
+
+module.exports = {
+  searchAndCompare: {
+    query: searchQuery
+  },
+
+  getSimilarProducts: {
+    params: productParams,
+    query: similarQuery
+  },
+
+  getSimilarityScore: {
+    params: {
+      productId1: objectId('ID del primo prodotto').required(),
+      productId2: objectId('ID del secondo prodotto').required()
+    }
+  },
+
+  compareSourcesForProduct: {
+    params: productParams
+  },
+
+  calculateSavings: {
+    params: productParams
+  },
+
+  findCheaperAlternatives: {
+    params: productParams,
+    query: similarQuery
+  },
+
+  findPremiumAlternatives: {
+    params: productParams,
+    query: similarQuery
+  },
+
+  findBestValueProducts: {
+    params: {
+      category: Joi.string().required().description('Categoria')
+    },
+    query: cursorPage(10)
+  }
+};
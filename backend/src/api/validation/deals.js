@@ -0,0 +1,55 @@
+/**
+ * Schemi di validazione delle route /deals
+ */
+const Joi = require('joi');
+const { cursorPage, days } = require('./common');
+
+const minDiscount = (defaultValue = 10) => Joi.number().min(0).max(100).default(defaultValue)
+  .description('Percentuale minima di sconto');
+
+const dealsQuery = {
+  minDiscount: minDiscount(),
+  ...cursorPage(10)
+};
+
+module.exports = {
+  getBestDeals: {
+    query: dealsQuery
+  },
+
+  getBestDealsByPetType: {
+    params: {
+      petType: Joi.string().valid('cane', 'gatto', 'dog', 'cat').required().description('Tipo di animale')
+    },
+    query: dealsQuery
+  },
+
+  getTrendingDeals: {
+    query: {
+      days: days(7).max(365),
+      minDiscount: minDiscount(5),
+      ...cursorPage(10)
+    }
+  },
+
+  getPriceDrops: {
+    query: {
+      minAmount: Joi.number().min(0).default(5).description('Riduzione minima in euro'),
+      ...cursorPage(10)
+    }
+  },
+
+  getDealsByCategory: {
+    params: {
+      category: Joi.string().required().description('Categoria')
+    },
+    query: dealsQuery
+  },
+
+  getDealsByBrand: {
+    params: {
+      brand: Joi.string().required().description('Brand')
+    },
+    query: dealsQuery
+  }
+};
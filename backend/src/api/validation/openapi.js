@@ -0,0 +1,287 @@
+/**
+ * Parametri Swagger generati dagli schemi di validazione
+ * Percorre le route montate dal router dell'API e, per ogni route con il middleware validate,
+ * sostituisce i parametri path/query e il corpo (requestBody) documentati a mano con quelli
+ * ricavati dagli schemi Joi (tipo, limiti, valori ammessi, default, obbligatorietà) e aggiunge
+ * la risposta 400.
+ */
+
+const VALIDATION_ERROR_RESPONSE = {
+  description: 'Parametri della richiesta non validi',
+  content: {
+    'application/json': {
+      schema: { $ref: '#/components/schemas/ValidationError' }
+    }
+  }
+};
+
+// Schema dell'errore di validazione, da aggiungere a components.schemas
+const VALIDATION_ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', example: false },
+    error: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', example: 'VALIDATION_ERROR' },
+        message: { type: 'string', example: 'Parametri della richiesta non validi' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              in: { type: 'string', enum: ['params', 'query', 'body'] },
+              field: { type: 'string', example: 'days' },
+              message: { type: 'string', example: 'days deve essere maggiore o uguale a 1' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const OPENAPI_LOCATIONS = { params: 'path', query: 'query' };
+
+const findRule = (description, name) => (description.rules || []).find(rule => rule.name === name);
+
+/**
+ * Schema di un campo condizionale (Joi.when): il primo ramo non vietato
+ * @param {Object} description
+ * @returns {Object}
+ */
+const resolveConditional = (description) => {
+  if (!description.whens) return description;
+
+  const branches = description.whens.flatMap(when => [
+    ...(when.switch || []).map(item => item.then),
+    when.then,
+    when.otherwise
+  ]);
+  const branch = branches.find(item => item && (!item.flags || item.flags.presence !== 'forbidden'));
+
+  return branch ? resolveConditional(branch) : description;
+};
+
+/**
+ * Converte la descrizione di uno schema Joi (schema.describe()) in uno schema OpenAPI
+ * @param {Object} description
+ * @returns {Object}
+ */
+const toOpenApiSchema = (conditional) => {
+  const description = resolveConditional(conditional);
+  const flags = description.flags || {};
+  const schema = {};
+  const min = findRule(description, 'min');
+  const max = findRule(description, 'max');
+
+  switch (description.type) {
+    case 'object': {
+      schema.type = 'object';
+      const keys = Object.entries(description.keys || {})
+        .filter(([, key]) => !key.flags || key.flags.presence !== 'forbidden');
+      if (keys.length > 0) {
+        schema.properties = Object.fromEntries(keys.map(([name, key]) => {
+          const property = toOpenApiSchema(key);
+          const { flags: keyFlags = {} } = resolveConditional(key);
+          if (keyFlags.description) property.description = keyFlags.description;
+          return [name, property];
+        }));
+      }
+      const required = keys.filter(([, key]) => key.flags && key.flags.presence === 'required').map(([name]) => name);
+      if (required.length > 0) schema.required = required;
+      if (flags.unknown === false) schema.additionalProperties = false;
+      break;
+    }
+    case 'link':
+      schema.type = 'object';
+      break;
+    case 'any':
+    case 'alternatives':
+      break;
+    case 'number': {
+      schema.type = findRule(description, 'integer') ? 'integer' : 'number';
+      const greater = findRule(description, 'greater');
+      if (min) schema.minimum = min.args.limit;
+      if (greater) {
+        schema.minimum = greater.args.limit;
+        schema.exclusiveMinimum = true;
+      }
+      if (max) schema.maximum = max.args.limit;
+      break;
+    }
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'array':
+    case 'list':
+      schema.type = 'array';
+      schema.items = description.items && description.items[0]
+        ? toOpenApiSchema(description.items[0])
+        : { type: 'string' };
+      if (min) schema.minItems = min.args.limit;
+      if (max) schema.maxItems = max.args.limit;
+      break;
+    default: {
+      schema.type = 'string';
+      const pattern = findRule(description, 'pattern');
+      if (pattern) schema.pattern = pattern.args.regex.replace(/^\/(.*)\/[a-z]*$/, '$1');
+      if (findRule(description, 'email')) schema.format = 'email';
+      if (findRule(description, 'uri')) schema.format = 'uri';
+      if (min) schema.minLength = min.args.limit;
+      if (max) schema.maxLength = max.args.limit;
+    }
+  }
+
+  if (flags.only && description.allow) schema.enum = description.allow;
+  if (flags.default !== undefined && typeof flags.default !== 'object') schema.default = flags.default;
+
+  return schema;
+};
+
+/**
+ * Parametri OpenAPI di una route a partire dagli schemi compilati del middleware validate
+ * @param {Object} schemas - { params, query }
+ * @param {Array<string>} pathParams - Parametri presenti nel percorso documentato
+ * @returns {Array<Object>}
+ */
+const toParameters = (schemas, pathParams) => {
+  const parameters = [];
+
+  Object.entries(OPENAPI_LOCATIONS).forEach(([location, openApiLocation]) => {
+    if (!schemas[location]) return;
+
+    const { keys = {} } = schemas[location].describe();
+    Object.entries(keys).forEach(([name, description]) => {
+      if (openApiLocation === 'path' && !pathParams.includes(name)) return;
+
+      const flags = description.flags || {};
+      const parameter = {
+        in: openApiLocation,
+        name,
+        required: openApiLocation === 'path' || flags.presence === 'required',
+        schema: toOpenApiSchema(description)
+      };
+      if (flags.description) parameter.description = flags.description;
+      parameters.push(parameter);
+    });
+  });
+
+  return parameters;
+};
+
+/**
+ * Corpo OpenAPI (requestBody) dello schema body del middleware validate
+ * @param {Object} schema - Schema Joi compilato del corpo
+ * @returns {Object|null} null se la route non accetta campi nel corpo
+ */
+const toRequestBody = (schema) => {
+  const bodySchema = toOpenApiSchema(schema.describe());
+  if (!bodySchema.properties) return null;
+
+  return {
+    required: Boolean(bodySchema.required),
+    content: {
+      'application/json': { schema: bodySchema }
+    }
+  };
+};
+
+/**
+ * Percorsi OpenAPI di un percorso Express (/best-value/:brand/:category? diventa due percorsi)
+ * @param {string} expressPath
+ * @returns {Array<{ path: string, pathParams: Array<string> }>}
+ */
+const toOpenApiPaths = (expressPath) => {
+  const paths = [{ segments: [], pathParams: [] }];
+
+  expressPath.split('/').filter(Boolean).forEach(segment => {
+    const match = segment.match(/^:(\w+)(\?)?$/);
+    if (!match) {
+      paths.forEach(path => path.segments.push(segment));
+      return;
+    }
+
+    const [, name, optional] = match;
+    if (optional) {
+      paths.push(...paths.map(path => ({ segments: [...path.segments], pathParams: [...path.pathParams] })));
+      paths.slice(paths.length / 2).forEach(path => {
+        path.segments.push(`{${name}}`);
+        path.pathParams.push(name);
+      });
+    } else {
+      paths.forEach(path => {
+        path.segments.push(`{${name}}`);
+        path.pathParams.push(name);
+      });
+    }
+  });
+
+  return paths.map(({ segments, pathParams }) => ({
+    path: segments.length > 0 ? `/${segments.join('/')}` : '',
+    pathParams
+  }));
+};
+
+/**
+ * Aggiorna la specifica Swagger con i parametri degli schemi di validazione
+ * @param {Object} spec - Specifica generata da swagger-jsdoc (modificata sul posto)
+ * @param {Object} mounts - { '/products': router, ... } (routes/index.js)
+ * @param {string} basePath - Prefisso documentato (es. /api)
+ * @returns {Object} La specifica aggiornata
+ */
+const applyValidationSchemas = (spec, mounts, basePath) => {
+  spec.paths = spec.paths || {};
+  spec.components = spec.components || {};
+  spec.components.schemas = { ...spec.components.schemas, ValidationError: VALIDATION_ERROR_SCHEMA };
+
+  Object.entries(mounts).forEach(([mountPath, router]) => {
+    (router.stack || []).forEach(layer => {
+      if (!layer.route) return;
+
+      const validator = layer.route.stack.find(routeLayer => routeLayer.handle.schemas);
+      if (!validator) return;
+
+      const handler = layer.route.stack[layer.route.stack.length - 1].handle;
+
+      toOpenApiPaths(layer.route.path).forEach(({ path, pathParams }) => {
+        const fullPath = `${basePath}${mountPath}${path}`;
+        spec.paths[fullPath] = spec.paths[fullPath] || {};
+
+        Object.keys(layer.route.methods).forEach(method => {
+          const operation = spec.paths[fullPath][method]
+            || { operationId: handler.name || undefined, responses: {} };
+
+          operation.parameters = [
+            ...(operation.parameters || []).filter(parameter => !['path', 'query'].includes(parameter.in)),
+            ...toParameters(validator.handle.schemas, pathParams)
+          ];
+          if (validator.handle.schemas.body) {
+            const requestBody = toRequestBody(validator.handle.schemas.body);
+            if (requestBody) operation.requestBody = requestBody;
+            else delete operation.requestBody;
+          }
+          operation.responses = operation.responses || {};
+          operation.responses[400] = {
+            ...VALIDATION_ERROR_RESPONSE,
+            description: (operation.responses[400] && operation.responses[400].description)
+              || VALIDATION_ERROR_RESPONSE.description
+          };
+
+          spec.paths[fullPath][method] = operation;
+        });
+      });
+    });
+  });
+
+  return spec;
+};
+
+module.exports = {
+  toOpenApiSchema,
+  applyValidationSchemas
+};
@@ -0,0 +1,75 @@
+/**
+ * Schemi di validazione delle route /prices
+ */
+const Joi = require('joi');
+const { objectId, cursorPage, days, resolution } = require('./common');
+
+const productParams = {
+  productId: objectId('ID del prodotto').required()
+};
+
+const variantParams = {
+  ...productParams,
+  variantId: Joi.string().required().description('ID della variante (formato/peso)')
+};
+
+module.exports = {
+  getLatestPrice: {
+    params: productParams
+  },
+
+  getPriceHistory: {
+    params: {
+      ...productParams,
+      variantId: Joi.string().description('ID della variante (formato/peso)')
+    },
+    query: {
+      days: days(30),
+      limit: Joi.number().integer().min(1).max(1000).default(100)
+        .description('Numero massimo di punti (massimo 1000)'),
+      resolution: resolution()
+    }
+  },
+
+  getPriceStats: {
+    params: productParams,
+    query: {
+      days: days(90)
+    }
+  },
+
+  comparePrices: {
+    params: {
+      productId1: objectId('ID del primo prodotto').required(),
+      productId2: objectId('ID del secondo prodotto').required()
+    }
+  },
+
+  getRecentPriceChanges: {
+    query: {
+      days: days(7),
+      ...cursorPage(20)
+    }
+  },
+
+  getProductPriceChanges: {
+    params: productParams,
+    query: {
+      days: days(30)
+    }
+  },
+
+  getPriceFluctuations: {
+    params: productParams,
+    query: {
+      days: days(90)
+    }
+  },
+
+  getPriceVariations: {
+    params: variantParams,
+    query: {
+      days: days(30)
+    }
+  }
+};
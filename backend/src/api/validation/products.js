@@ -0,0 +1,105 @@
+/**
+ * Schemi di validazione delle route /products
+ */
+const Joi = require('joi');
+const { objectId, limit, cursorPage, petType, multiValue } = require('./common');
+
+// Campi ammessi in ?sort= per l'elenco prodotti (con - per l'ordine decrescente)
+const PRODUCT_SORT_FIELDS = ['_id', 'name', 'brand', 'price', 'createdAt', 'updatedAt', 'lastPriceUpdate'];
+
+// Parametri della ricerca con faccette, condivisi con /compare/search
+const searchQuery = {
+  q: Joi.string().trim().max(200).allow('').description('Testo da cercare'),
+  petType: petType(),
+  category: Joi.string().description('Categoria'),
+  brand: multiValue('Brand (ripetibile o separato da virgole)'),
+  store: multiValue('Negozio (ripetibile o separato da virgole)'),
+  source: multiValue('Alias di store'),
+  price: multiValue('Fasce di prezzo min-max in euro (es. 10-20)'),
+  unitPrice: multiValue('Fasce di prezzo al kg min-max (es. 5-10)'),
+  weight: multiValue('Fasce di peso min-max in grammi (es. 2000-5000)'),
+  availability: multiValue('Disponibilità (es. AVAILABLE)'),
+  sort: Joi.string().description('Ordinamento: relevance, price, unitPrice, name, newest (con - per invertire)'),
+  page: Joi.number().integer().min(1).default(1).description('Numero di pagina'),
+  limit: limit(20)
+};
+
+const productIdParams = {
+  id: objectId('ID della scheda prodotto o del prodotto canonico').required()
+};
+
+module.exports = {
+  PRODUCT_SORT_FIELDS,
+  searchQuery,
+
+  getAllProducts: {
+    query: {
+      petType: petType(),
+      category: Joi.string().description('Categoria'),
+      brand: Joi.string().description('Brand'),
+      source: Joi.string().description('Negozio di provenienza'),
+      minPrice: Joi.number().min(0).description('Prezzo minimo in euro'),
+      maxPrice: Joi.number().min(0).description('Prezzo massimo in euro'),
+      sort: Joi.string()
+        .valid(...PRODUCT_SORT_FIELDS, ...PRODUCT_SORT_FIELDS.map(field => `-${field}`))
+        .default('-updatedAt')
+        .description('Campo di ordinamento, con - per l\'ordine decrescente. Per scorrere tutto il catalogo usare _id'),
+      ...cursorPage(20)
+    }
+  },
+
+  findSimilarProducts: {
+    query: {
+      productId: objectId('Prodotto di riferimento'),
+      source: Joi.string().description('Negozio del prodotto di riferimento'),
+      brand: Joi.string().description('Brand'),
+      name: Joi.string().max(200).description('Nome del prodotto'),
+      weight: Joi.string().description('Peso (es. 2kg)'),
+      petType: petType(),
+      category: Joi.string().description('Categoria'),
+      limit: limit(10)
+    }
+  },
+
+  searchProducts: {
+    query: searchQuery
+  },
+
+  suggestProducts: {
+    query: {
+      q: Joi.string().trim().min(1).max(100).required().description('Testo digitato'),
+      limit: limit(5, 10).description('Suggerimenti per tipo (massimo 10)')
+    }
+  },
+
+  getBestDeals: {
+    query: {
+      limit: limit(5, 50)
+    }
+  },
+
+  getProductBySource: {
+    params: {
+      source: Joi.string().required().description('Negozio (es. zooplus, arcaplanet)'),
+      sourceId: Joi.string().required().description('Codice del prodotto nel negozio')
+    }
+  },
+
+  getProductById: {
+    params: productIdParams
+  },
+
+  compareProductPrices: {
+    params: productIdParams
+  },
+
+  getPriceHistory: {
+    params: {
+      productId: objectId('ID del prodotto').required()
+    },
+    query: {
+      timeRange: Joi.string().valid('7d', '1m', '3m', '6m', '1y').default('1m').description('Periodo dello storico'),
+      source: Joi.string().description('Negozio')
+    }
+  }
+};
@@ -0,0 +1,68 @@
+/**
+ * Schemi di validazione delle route /trends
+ */
+const Joi = require('joi');
+const { objectId, objectIdList, limit, petType, period, resolution } = require('./common');
+
+module.exports = {
+  getProductPriceHistory: {
+    params: {
+      productId: objectId('ID del prodotto').required()
+    },
+    query: {
+      period: period('all'),
+      source: Joi.string().description('Negozio'),
+      resolution: resolution()
+    }
+  },
+
+  getPetTypePriceTrends: {
+    params: {
+      petType: Joi.string().required().description('Tipo di animale')
+    },
+    query: {
+      period: period(),
+      limit: limit(10)
+    }
+  },
+
+  getCategoryPriceTrends: {
+    params: {
+      category: Joi.string().required().description('Categoria')
+    },
+    query: {
+      period: period(),
+      limit: limit(10)
+    }
+  },
+
+  getStorePriceTrends: {
+    params: {
+      store: Joi.string().required().description('Negozio')
+    },
+    query: {
+      period: period(),
+      category: Joi.string().description('Categoria'),
+      petType: petType()
+    }
+  },
+
+  getBrandPriceTrends: {
+    params: {
+      brand: Joi.string().required().description('Brand')
+    },
+    query: {
+      period: period()
+    }
+  },
+
+  comparePriceTrends: {
+    query: {
+      productIds: objectIdList('ID dei prodotti da confrontare (separati da virgole, massimo 10)')
+        .min(1)
+        .max(10)
+        .required(),
+      period: period()
+    }
+  }
+};
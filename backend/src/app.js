@@ -10,13 +10,9 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
 // Importa le routes
-const productRoutes = require('./api/routes/productRoutes');
-const priceRoutes = require('./api/routes/priceRoutes');
-const compareRoutes = require('./api/routes/compareRoutes');
-const dealsRoutes = require('./api/routes/dealsRoutes');
-const trendsRoutes = require('./api/routes/trendsRoutes');
-const priceAlertRoutes = require('./api/routes/priceAlertRoutes');
-const advancedCompareRoutes = require('./api/routes/advancedCompareRoutes');
+const { v1Routes, legacyRoutes, mounts: apiMounts } = require('./api/routes');
+const { v1Response, v1NotFound, legacyDeprecation } = require('./api/middleware/apiVersion');
+const { applyValidationSchemas } = require('./api/validation/openapi');
 
 // Configurazione del logger
 const logger = require('./utils/logger');
@@ -36,6 +32,9 @@ app.use(cors());   // Abilita CORS
 app.use(express.json()); // Parsing JSON
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } })); // Logging
 
+// Le risposte di /api/v1 (anche errori e 503 dei middleware seguenti) usano il contratto normalizzato
+app.use('/api/v1', v1Response);
+
 // Configura Swagger direttamente qui
 const swaggerOptions = {
   definition: {
@@ -43,7 +42,12 @@ const swaggerOptions = {
     info: {
       title: 'Pet Price Comparator API',
       version: '1.0.0',
-      description: 'API per il comparatore di prezzi di prodotti per animali domestici',
+      description: 'API per il comparatore di prezzi di prodotti per animali domestici. '
+        + 'I percorsi sono documentati senza versione: la versione corrente è /api/v1 '
+        + '(risposte { success, data, meta, pagination } ed errori { success, error: { code, message } }); '
+        + 'i percorsi /api/... senza versione sono deprecati (header Deprecation e Sunset) e servono solo '
+        + 'le route precedenti a /api/v1: autenticazione, amministrazione, GraphQL e le route aggiunte dopo '
+        + 'sono disponibili solo su /api/v1.',
       contact: {
         name: 'Pet Price Comparator Team',
         url: 'https://www.petpricecomparator.it',
@@ -84,9 +88,20 @@ const swaggerOptions = {
       {
         name: 'Notifiche',
         description: 'Notifiche e alert sui prezzi'
+      },
+      {
+        name: 'Autenticazione',
+        description: 'Registrazione e login degli utenti'
       }
     ],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT'
+        }
+      },
       schemas: {
         Product: {
           type: 'object',
@@ -150,7 +165,8 @@ const swaggerOptions = {
   ]
 };
 
-const swaggerSpec = swaggerJsdoc(swaggerOptions);
+// I parametri path/query e le risposte 400 vengono dagli schemi di validazione delle route
+const swaggerSpec = applyValidationSchemas(swaggerJsdoc(swaggerOptions), apiMounts, '/api');
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, { explorer: true }));
 app.get('/api-docs.json', (req, res) => {
   res.setHeader('Content-Type', 'application/json');
@@ -185,14 +201,10 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Impostazione routes
-app.use('/api/products', productRoutes);
-app.use('/api/prices', priceRoutes);
-app.use('/api/compare', compareRoutes);
-app.use('/api/advanced-compare', advancedCompareRoutes);
-app.use('/api/deals', dealsRoutes);
-app.use('/api/trends', trendsRoutes);
-app.use('/api/alerts', priceAlertRoutes);
+// Impostazione routes: /api/v1 è la versione corrente, /api/... resta disponibile fino al sunset
+// solo per le route che esistevano prima della versione
+app.use('/api/v1', v1Routes, v1NotFound);
+app.use('/api', legacyDeprecation, legacyRoutes);
 
 // Rotta health check
 app.get('/health', (req, res) => {
@@ -259,11 +271,13 @@ app.use((err, req, res, next) => {
 
 // Middleware per gestione errori generici
 app.use((err, req, res, next) => {
-  logger.error(`${err.status || 500} - ${err.message} - ${req.originalUrl} - ${req.method} - ${req.ip}`);
+  // I servizi segnalano i parametri non validi con statusCode (es. cursore di paginazione)
+  const status = err.status || err.statusCode || 500;
+  logger.error(`${status} - ${err.message} - ${req.originalUrl} - ${req.method} - ${req.ip}`);
   
-  res.status(err.status || 500).json({
+  res.status(status).json({
     error: {
-      message: process.env.NODE_ENV === 'production' ? 'Errore del server' : err.message,
+      message: process.env.NODE_ENV === 'production' && status >= 500 ? 'Errore del server' : err.message,
     }
   });
 });
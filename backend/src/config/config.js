@@ -3,6 +3,7 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 const Joi = require('joi');
 
 const config = {
@@ -28,6 +29,16 @@ const config = {
     rateLimitMax: 100 // 100 richieste per finestra
   },
   
+  // Configurazione dell'autenticazione utenti (JWT)
+  auth: {
+    // In produzione JWT_SECRET è obbligatorio
+    jwtSecret: process.env.JWT_SECRET ||
+      (process.env.NODE_ENV === 'production' ? undefined : 'dev-only-jwt-secret'),
+    accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10
+  },
+  
   // Configurazione dei servizi
   services: {
     // Pianificazione aggiornamenti
@@ -36,6 +47,92 @@ const config = {
     }
   },
 
+  // Configurazione delle notifiche per gli avvisi di prezzo
+  notifications: {
+    enabled: process.env.NOTIFICATIONS_ENABLED !== 'false',
+    // Se impostato, tutte le notifiche passano da questo canale (es. 'console' in sviluppo)
+    overrideChannel: process.env.NOTIFICATIONS_OVERRIDE_CHANNEL || undefined,
+    maxAttempts: parseInt(process.env.NOTIFICATIONS_MAX_ATTEMPTS, 10) || 3,
+    retryDelayMs: parseInt(process.env.NOTIFICATIONS_RETRY_DELAY_MS, 10) || 1000,
+    email: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || undefined,
+      pass: process.env.SMTP_PASS || undefined,
+      from: process.env.SMTP_FROM || 'Pet Price Comparator <alerts@petpricecomparator.local>'
+    },
+    webhook: {
+      url: process.env.NOTIFICATIONS_WEBHOOK_URL || undefined,
+      secret: process.env.NOTIFICATIONS_WEBHOOK_SECRET || undefined,
+      timeout: parseInt(process.env.NOTIFICATIONS_WEBHOOK_TIMEOUT_MS, 10) || 10000
+    },
+    console: {
+      // File JSON Lines opzionale in cui salvare le notifiche di sviluppo
+      file: process.env.NOTIFICATIONS_FILE || undefined
+    }
+  },
+
+  // Elaborazione degli avvisi di prezzo (jobs/alertsJob)
+  alerts: {
+    // Avvisi valutati in parallelo per lotto
+    batchSize: parseInt(process.env.ALERTS_BATCH_SIZE, 10) || 20
+  },
+
+  // Configurazione del motore di matching tra negozi
+  matching: {
+    // Sotto questo punteggio la coppia non viene salvata
+    minScore: parseFloat(process.env.MATCHING_MIN_SCORE) || 0.6,
+    // Da questo punteggio in su la coppia è ACTIVE, sotto resta PENDING_REVIEW
+    autoAcceptScore: parseFloat(process.env.MATCHING_AUTO_ACCEPT_SCORE) || 0.8,
+    // Prodotti elaborati per esecuzione incrementale
+    batchSize: parseInt(process.env.MATCHING_BATCH_SIZE, 10) || 500,
+    // Candidati massimi valutati per prodotto
+    maxCandidates: parseInt(process.env.MATCHING_MAX_CANDIDATES, 10) || 200,
+    // Punteggio minimo delle corrispondenze ACTIVE seguite dagli avvisi CROSS_STORE_BELOW
+    crossStoreMinScore: parseFloat(process.env.MATCHING_CROSS_STORE_MIN_SCORE) || 0.85
+  },
+
+  // Conservazione dello storico prezzi (services/priceHistory)
+  priceHistory: {
+    // Giorni per cui si conservano i punti prezzo grezzi, poi riassunti in aggregati giornalieri
+    rawRetentionDays: parseInt(process.env.PRICE_HISTORY_RAW_RETENTION_DAYS, 10) || 90,
+    // Giorni per cui si conservano gli aggregati giornalieri, poi riassunti in aggregati settimanali
+    dailyRetentionDays: parseInt(process.env.PRICE_HISTORY_DAILY_RETENTION_DAYS, 10) || 730,
+    // Intervalli più lunghi di questi vengono restituiti alla risoluzione successiva
+    rawMaxRangeDays: parseInt(process.env.PRICE_HISTORY_RAW_MAX_RANGE_DAYS, 10) || 31,
+    dailyMaxRangeDays: parseInt(process.env.PRICE_HISTORY_DAILY_MAX_RANGE_DAYS, 10) || 366
+  },
+
+  // Offerte e riduzioni di prezzo (api/controllers/dealsController)
+  deals: {
+    // Giorni di storico letti per le variazioni di prezzo, se la richiesta non indica un periodo
+    windowDays: parseInt(process.env.DEALS_WINDOW_DAYS, 10) || 30
+  },
+
+  // Configurazione della ricerca prodotti (services/search)
+  search: {
+    // memory: indice in memoria con stemming, sinonimi e fuzzy; mongo: indice $text di MongoDB
+    engine: process.env.SEARCH_ENGINE || 'memory',
+    synonymsFile: process.env.SEARCH_SYNONYMS_FILE
+      ? path.resolve(process.env.SEARCH_SYNONYMS_FILE)
+      : path.join(__dirname, 'search-synonyms.json'),
+    // Prodotti massimi restituiti dal motore per una query (poi filtrati e paginati)
+    maxCandidates: parseInt(process.env.SEARCH_MAX_CANDIDATES, 10) || 2000,
+    // Dopo questo intervallo l'indice in memoria viene ricostruito alla prima ricerca
+    refreshMinutes: parseInt(process.env.SEARCH_REFRESH_MINUTES, 10) || 60
+  },
+
+  // Cache delle risposte API (utils/cache): LRU in memoria davanti a Redis
+  cache: {
+    memoryMaxEntries: parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES, 10) || 500,
+    memoryMaxMb: parseInt(process.env.CACHE_MEMORY_MAX_MB, 10) || 64,
+    // Secondi dopo la scadenza in cui una voce viene ancora servita mentre viene ricalcolata (0: disattivato)
+    staleSeconds: process.env.CACHE_STALE_SECONDS !== undefined
+      ? parseInt(process.env.CACHE_STALE_SECONDS, 10)
+      : 300
+  },
+
   // Configurazione del logger
   logger: {
     level: process.env.LOG_LEVEL || 'info',
@@ -48,7 +145,19 @@ const config = {
   api: {
     basePath: '/api',
     version: '1.0',
-    docsPath: '/api-docs'
+    docsPath: '/api-docs',
+    // Percorsi senza versione (/api/...): serviti come prima, con gli header Deprecation e Sunset
+    legacy: {
+      deprecatedAt: process.env.API_LEGACY_DEPRECATED_AT || '2026-10-19',
+      sunsetAt: process.env.API_LEGACY_SUNSET_AT || '2027-04-30'
+    }
+  },
+
+  // Limiti delle query GraphQL (graphql/limits)
+  graphql: {
+    maxDepth: parseInt(process.env.GRAPHQL_MAX_DEPTH, 10) || 8,
+    // Costo: 1 per campo, moltiplicato per gli elementi attesi dei campi lista
+    maxComplexity: parseInt(process.env.GRAPHQL_MAX_COMPLEXITY, 10) || 5000
   }
 };
 
@@ -74,11 +183,69 @@ const schema = Joi.object({
     rateLimitWindow: Joi.number(),
     rateLimitMax: Joi.number()
   }),
+  auth: Joi.object({
+    jwtSecret: Joi.string().required(),
+    accessTokenExpiresIn: Joi.string().required(),
+    refreshTokenTtlDays: Joi.number().integer().min(1),
+    bcryptRounds: Joi.number().integer().min(4).max(15)
+  }).required(),
   services: Joi.object({
     scheduler: Joi.object({
       updateStatsInterval: Joi.string()
     })
   }),
+  notifications: Joi.object({
+    enabled: Joi.boolean(),
+    overrideChannel: Joi.string().valid('email', 'webhook', 'console'),
+    maxAttempts: Joi.number().integer().min(1),
+    retryDelayMs: Joi.number().integer().min(0),
+    email: Joi.object({
+      host: Joi.string(),
+      port: Joi.number(),
+      secure: Joi.boolean(),
+      user: Joi.string(),
+      pass: Joi.string(),
+      from: Joi.string()
+    }),
+    webhook: Joi.object({
+      url: Joi.string().uri(),
+      secret: Joi.string(),
+      timeout: Joi.number()
+    }),
+    console: Joi.object({
+      file: Joi.string()
+    })
+  }),
+  alerts: Joi.object({
+    batchSize: Joi.number().integer().min(1)
+  }),
+  matching: Joi.object({
+    minScore: Joi.number().min(0).max(1),
+    autoAcceptScore: Joi.number().min(0).max(1),
+    batchSize: Joi.number().integer().min(1),
+    maxCandidates: Joi.number().integer().min(1),
+    crossStoreMinScore: Joi.number().min(0).max(1)
+  }),
+  priceHistory: Joi.object({
+    rawRetentionDays: Joi.number().integer().min(1),
+    dailyRetentionDays: Joi.number().integer().min(Joi.ref('rawRetentionDays')),
+    rawMaxRangeDays: Joi.number().integer().min(1),
+    dailyMaxRangeDays: Joi.number().integer().min(Joi.ref('rawMaxRangeDays'))
+  }),
+  deals: Joi.object({
+    windowDays: Joi.number().integer().min(1)
+  }),
+  search: Joi.object({
+    engine: Joi.string().valid('memory', 'mongo'),
+    synonymsFile: Joi.string(),
+    maxCandidates: Joi.number().integer().min(1),
+    refreshMinutes: Joi.number().integer().min(1)
+  }),
+  cache: Joi.object({
+    memoryMaxEntries: Joi.number().integer().min(1),
+    memoryMaxMb: Joi.number().integer().min(1),
+    staleSeconds: Joi.number().integer().min(0)
+  }),
   logger: Joi.object({
     level: Joi.string(),
     file: Joi.string(),
@@ -88,7 +255,15 @@ const schema = Joi.object({
   api: Joi.object({
     basePath: Joi.string(),
     version: Joi.string(),
-    docsPath: Joi.string()
+    docsPath: Joi.string(),
+    legacy: Joi.object({
+      deprecatedAt: Joi.date().iso(),
+      sunsetAt: Joi.date().iso()
+    })
+  }),
+  graphql: Joi.object({
+    maxDepth: Joi.number().integer().min(1),
+    maxComplexity: Joi.number().integer().min(1)
   })
 });
 
@@ -0,0 +1,46 @@
+/**
+ * Data Access Layer
+ * Unico punto di accesso ai modelli canonici (src/models) e ai repository.
+ * Controller, job e script devono importare da qui invece di richiedere
+ * direttamente i modelli, così lo schema resta uno solo.
+ */
+const Product = require('../models/Product');
+const PricePoint = require('../models/PricePoint');
+const PriceAggregate = require('../models/PriceAggregate');
+const SimilarProduct = require('../models/SimilarProduct');
+const ProductGroup = require('../models/ProductGroup');
+const PriceAlert = require('../models/PriceAlert');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const CanonicalProduct = require('../models/CanonicalProduct');
+
+const products = require('./repositories/productRepository');
+const pricePoints = require('./repositories/pricePointRepository');
+const similarProducts = require('./repositories/similarProductRepository');
+const { connectToDatabase } = require('./services/database');
+
+module.exports = {
+  // Modelli canonici
+  Product,
+  PricePoint,
+  PriceAggregate,
+  SimilarProduct,
+  ProductGroup,
+  PriceAlert,
+  NotificationDelivery,
+  User,
+  RefreshToken,
+  ApiKey,
+  AuditLog,
+  CanonicalProduct,
+
+  // Repository
+  products,
+  pricePoints,
+  similarProducts,
+
+  connectToDatabase
+};
@@ -0,0 +1,354 @@
+/**
+ * Migrazione allo schema canonico
+ * Converte i documenti scritti con il vecchio schema (ex db/models e vecchie versioni del
+ * data-collector) nel formato dei modelli in src/models. Si esegue una volta, con
+ * `npm run db:migrate`, sui database creati prima dello schema canonico.
+ *
+ * La migrazione è idempotente: seleziona solo i documenti che hanno ancora campi
+ * legacy e può quindi essere eseguita più volte senza effetti collaterali.
+ */
+const mongoose = require('mongoose');
+const logger = require('../../utils/logger');
+const PriceAlert = require('../../models/PriceAlert');
+
+const BATCH_SIZE = 500;
+
+// Indici sostituiti nei modelli: mongoose crea i nuovi ma non elimina quelli vecchi
+const REPLACED_INDEXES = {
+  // Unicità per utente, prodotto e tipo: impedirebbe più avvisi sui gruppi di prodotti (productId assente)
+  // e più avvisi RULE o CROSS_STORE_BELOW con condizioni diverse sullo stesso prodotto (conditionsKey)
+  pricealerts: ['userId_1_productId_1_type_1', 'userId_1_productId_1_productGroupId_1_type_1'],
+  // Indici dei campi legacy creati dal vecchio data-collector
+  pricepoints: ['productId_1', 'variantId_1', 'recordedAt_1', 'productId_1_variantId_1_recordedAt_-1'],
+  products: ['prices.store_1']
+};
+
+/**
+ * Estrae valore e unità da una stringa di prezzo unitario legacy (es. "12,50 €/kg")
+ * @param {string} unitPrice
+ * @returns {Object|null} { value, unit }
+ */
+const parseUnitPrice = (unitPrice) => {
+  if (!unitPrice || typeof unitPrice !== 'string') return null;
+
+  const match = unitPrice.match(/(\d+(?:[.,]\d+)?)\s*€?\s*\/\s*(kg|g|l|ml|pz)/i);
+  if (!match) return null;
+
+  return {
+    value: parseFloat(match[1].replace(',', '.')),
+    unit: `EUR/${match[2].toLowerCase()}`
+  };
+};
+
+/**
+ * Prezzo pieno e percentuale di sconto da uno sconto legacy. Gli scraper salvano discountAmount
+ * come testo: una percentuale ("-15%") o un importo ("-3,50 €", "3.5")
+ * @param {number} amount - Prezzo scontato
+ * @param {string|number} discountAmount
+ * @returns {Object|null} { originalPrice, discountPercentage }, null se lo sconto non è interpretabile
+ */
+const parseDiscount = (amount, discountAmount) => {
+  if (typeof amount !== 'number' || amount <= 0 || discountAmount === null || discountAmount === undefined) return null;
+
+  const text = String(discountAmount);
+  const match = text.match(/(\d+(?:[.,]\d+)?)/);
+  if (!match) return null;
+
+  const value = parseFloat(match[1].replace(',', '.'));
+  if (!(value > 0)) return null;
+
+  let originalPrice;
+  if (text.includes('%')) {
+    if (value >= 100) return null;
+    originalPrice = amount / (1 - value / 100);
+  } else {
+    originalPrice = amount + value;
+  }
+
+  originalPrice = Math.round(originalPrice * 100) / 100;
+  return {
+    originalPrice,
+    discountPercentage: Math.round(((originalPrice - amount) / originalPrice) * 1000) / 10
+  };
+};
+
+/**
+ * Scorre una collezione con un cursore e applica le operazioni in batch
+ * @param {string} collectionName - Nome della collezione
+ * @param {Object} filter - Documenti da migrare
+ * @param {Function} buildOperation - doc -> operazione bulkWrite (o null per saltare)
+ * @returns {Promise<Object>} { migrated, failed }
+ */
+const migrateCollection = async (collectionName, filter, buildOperation) => {
+  const collection = mongoose.connection.collection(collectionName);
+  const cursor = collection.find(filter);
+
+  let operations = [];
+  let migrated = 0;
+  let failed = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+
+    try {
+      const result = await collection.bulkWrite(operations, { ordered: false });
+      migrated += result.modifiedCount + result.deletedCount;
+    } catch (error) {
+      // Con ordered: false le operazioni valide vengono comunque applicate
+      const writeErrors = error.writeErrors || [];
+      failed += writeErrors.length || operations.length;
+      migrated += error.result ? error.result.modifiedCount + error.result.deletedCount : 0;
+      logger.warn(`Migrazione ${collectionName}: ${writeErrors.length} documenti non migrati (${error.message})`);
+    }
+
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    const operation = buildOperation(doc);
+    if (operation) operations.push(operation);
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  logger.info(`Migrazione ${collectionName}: ${migrated} documenti migrati, ${failed} errori`);
+  return { migrated, failed };
+};
+
+/**
+ * pricepoints: productId/recordedAt/price.amount -> product/timestamp/price
+ */
+const migratePricePoints = () => migrateCollection(
+  'pricepoints',
+  { productId: { $exists: true } },
+  (doc) => {
+    const legacyPrice = doc.price && typeof doc.price === 'object' ? doc.price : {};
+    const $set = {
+      product: doc.productId,
+      price: legacyPrice.amount,
+      currency: legacyPrice.currency || 'EUR',
+      timestamp: doc.recordedAt || doc.createdAt || new Date(),
+      inStock: doc.inStock !== undefined ? doc.inStock : true
+    };
+
+    if (doc.variantId) $set.variant = { id: doc.variantId };
+
+    const pricePerUnit = parseUnitPrice(legacyPrice.unitPrice);
+    if (pricePerUnit) $set.pricePerUnit = pricePerUnit;
+
+    // Sconti non interpretabili vengono tralasciati: il punto resta valido con il solo prezzo
+    const discount = legacyPrice.discounted ? parseDiscount(legacyPrice.amount, legacyPrice.discountAmount) : null;
+    if (discount) Object.assign($set, discount);
+
+    // Un punto prezzo senza importo non è utilizzabile
+    if (typeof $set.price !== 'number') {
+      return { deleteOne: { filter: { _id: doc._id } } };
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set, $unset: { productId: '', recordedAt: '', variantId: '' } }
+      }
+    };
+  }
+);
+
+/**
+ * products: prices[] -> price/currency/url/availability, weight -> details.weight, ...
+ */
+const migrateProducts = () => migrateCollection(
+  'products',
+  {
+    $or: [
+      { prices: { $exists: true } },
+      { weight: { $exists: true } },
+      { rating: { $exists: true } },
+      { 'variants.0': { $exists: true } }
+    ]
+  },
+  (doc) => {
+    const $set = {};
+    const $unset = { prices: '', weight: '', rating: '', variants: '' };
+
+    // Il prezzo più recente è il primo elemento dell'array legacy
+    const latest = Array.isArray(doc.prices) && doc.prices.length > 0 ? doc.prices[0] : null;
+    if (latest) {
+      if (typeof latest.price === 'number') $set.price = latest.price;
+      if (latest.currency) $set.currency = latest.currency;
+      if (latest.url && !doc.url) $set.url = latest.url;
+      if (latest.lastUpdated) $set.lastPriceUpdate = latest.lastUpdated;
+      if (latest.inStock !== undefined) {
+        $set['availability.status'] = latest.inStock ? 'AVAILABLE' : 'OUT_OF_STOCK';
+        $set['availability.lastChecked'] = latest.lastUpdated || new Date();
+      }
+    }
+
+    if (doc.weight) $set['details.weight'] = doc.weight;
+    if (doc.rating !== undefined && doc.averageRating === undefined) $set.averageRating = doc.rating;
+
+    if (Array.isArray(doc.variants) && doc.variants.length > 0) {
+      $set['details.variants'] = doc.variants
+        .map(v => (typeof v === 'string' ? v : v.description || v.variantId))
+        .filter(Boolean);
+    }
+
+    return { updateOne: { filter: { _id: doc._id }, update: { $set, $unset } } };
+  }
+);
+
+/**
+ * similarproducts: productId/similarProductId/similarity -> product/similarTo/similarityScore
+ */
+const migrateSimilarProducts = () => migrateCollection(
+  'similarproducts',
+  { productId: { $exists: true } },
+  (doc) => {
+    const $set = {
+      product: doc.productId,
+      similarTo: doc.similarProductId,
+      similarityScore: doc.similarity,
+      similarityType: 'AUTOMATIC',
+      status: 'ACTIVE',
+      'metadata.algorithm': 'legacy',
+      'metadata.confidence': doc.similarity,
+      'metadata.lastUpdated': doc.updatedAt || new Date()
+    };
+
+    if (typeof doc.priceDifference === 'number') {
+      $set['priceDifference.absoluteAmount'] = doc.priceDifference;
+      $set['priceDifference.calculatedAt'] = doc.updatedAt || new Date();
+      if (doc.priceRatio) {
+        // priceRatio legacy = prezzo massimo / prezzo minimo della coppia
+        $set['priceDifference.percentageDifference'] = Math.round((doc.priceRatio - 1) * 1000) / 10;
+      }
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set,
+          $unset: { productId: '', similarProductId: '', similarity: '', priceRatio: '' }
+        }
+      }
+    };
+  }
+);
+
+/**
+ * pricealerts: isActive/percentageChange/lastNotified -> status/type/notificationSettings
+ */
+const migratePriceAlerts = () => migrateCollection(
+  'pricealerts',
+  { isActive: { $exists: true } },
+  (doc) => {
+    const hasTargetPrice = typeof doc.targetPrice === 'number';
+    const $set = {
+      type: hasTargetPrice ? 'PRICE_BELOW' : 'PRICE_CHANGE',
+      status: doc.isActive ? 'ACTIVE' : 'EXPIRED',
+      triggered: false,
+      notificationType: 'NONE',
+      'notificationSettings.frequency': doc.notifyOnAnyChange ? 'ALWAYS' : 'ONCE'
+    };
+
+    if (!hasTargetPrice) {
+      // notifyOnAnyChange equivale a una variazione minima
+      $set.targetPercentage = doc.percentageChange || 0.01;
+      $set.referencePrice = doc.currentPrice;
+    }
+    if (doc.lastNotified) $set['notificationSettings.lastSent'] = doc.lastNotified;
+
+    return {
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set,
+          $unset: {
+            isActive: '',
+            percentageChange: '',
+            notifyOnAnyChange: '',
+            lastNotified: '',
+            notificationsSent: '',
+            variantId: '',
+            source: ''
+          }
+        }
+      }
+    };
+  }
+);
+
+/**
+ * pricealerts: conditionsKey degli avvisi RULE e CROSS_STORE_BELOW creati prima del campo
+ */
+const migratePriceAlertConditions = () => migrateCollection(
+  'pricealerts',
+  { type: { $in: ['RULE', 'CROSS_STORE_BELOW'] }, conditionsKey: { $exists: false } },
+  (doc) => {
+    const conditionsKey = PriceAlert.buildConditionsKey(doc);
+    if (!conditionsKey) return null;
+
+    return {
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { conditionsKey } }
+      }
+    };
+  }
+);
+
+/**
+ * Elimina gli indici sostituiti nei modelli, se ancora presenti
+ * @returns {Promise<Array<string>>} Indici eliminati (collezione.indice)
+ */
+const dropReplacedIndexes = async () => {
+  const dropped = [];
+
+  for (const [collectionName, indexNames] of Object.entries(REPLACED_INDEXES)) {
+    const collection = mongoose.connection.collection(collectionName);
+
+    for (const indexName of indexNames) {
+      try {
+        if (await collection.indexExists(indexName)) {
+          await collection.dropIndex(indexName);
+          dropped.push(`${collectionName}.${indexName}`);
+          logger.info(`Migrazione: eliminato l'indice ${indexName} di ${collectionName}`);
+        }
+      } catch (error) {
+        // Collezione non ancora creata
+        if (error.codeName !== 'NamespaceNotFound') {
+          logger.warn(`Migrazione: impossibile eliminare l'indice ${indexName} di ${collectionName} (${error.message})`);
+        }
+      }
+    }
+  }
+
+  return dropped;
+};
+
+/**
+ * Esegue la migrazione di tutte le collezioni legacy
+ * @returns {Promise<Object>} Risultati per collezione
+ */
+const migrateLegacyDocuments = async () => {
+  logger.info('Avvio migrazione allo schema canonico');
+
+  const results = {
+    products: await migrateProducts(),
+    pricepoints: await migratePricePoints(),
+    similarproducts: await migrateSimilarProducts(),
+    pricealerts: await migratePriceAlerts(),
+    pricealertConditions: await migratePriceAlertConditions(),
+    droppedIndexes: await dropReplacedIndexes()
+  };
+
+  logger.info('Migrazione allo schema canonico completata');
+  return results;
+};
+
+module.exports = {
+  migrateLegacyDocuments,
+  parseUnitPrice,
+  parseDiscount
+};
@@ -0,0 +1,720 @@
+/**
+ * Price Point Repository
+ * Query condivise sullo storico prezzi (schema canonico: product, price, timestamp)
+ */
+const mongoose = require('mongoose');
+const PricePoint = require('../../models/PricePoint');
+const PriceAggregate = require('../../models/PriceAggregate');
+const Product = require('../../models/Product');
+
+// Livelli di dettaglio dello storico: punti grezzi, aggregati giornalieri e settimanali
+const RESOLUTIONS = ['raw', 'daily', 'weekly'];
+
+// Chiave univoca degli aggregati (indice unico di PriceAggregate, richiesto da $merge)
+const AGGREGATE_KEY = ['product', 'source', 'variantId', 'resolution', 'periodStart'];
+
+/**
+ * Converte un ID (stringa o ObjectId) in ObjectId per le aggregation pipeline
+ * @param {string|ObjectId} id
+ * @returns {ObjectId}
+ */
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+/**
+ * Costruisce il filtro base per un prodotto
+ * @param {string|ObjectId} productId - ID del prodotto
+ * @param {Object} options - source, variantId, from, to
+ * @returns {Object} Filtro MongoDB
+ */
+const buildProductQuery = (productId, { source, variantId, from, to } = {}) => {
+  const query = { product: productId };
+
+  if (source) query.source = source;
+  if (variantId) query['variant.id'] = variantId;
+
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+
+  return query;
+};
+
+/**
+ * Ultimo punto prezzo registrato per un prodotto
+ * @param {string|ObjectId} productId - ID del prodotto
+ * @param {Object} options - source, variantId
+ * @returns {Promise<Object|null>}
+ */
+const findLatest = async (productId, options = {}) => {
+  return PricePoint.findOne(buildProductQuery(productId, options))
+    .sort({ timestamp: -1 });
+};
+
+/**
+ * Storico prezzi di un prodotto
+ * @param {string|ObjectId} productId - ID del prodotto
+ * @param {Object} options - source, variantId, from, to, limit, sort (1 = dal più vecchio)
+ * @returns {Promise<Array>}
+ */
+const findHistory = async (productId, { limit, sort = 1, ...filters } = {}) => {
+  const query = PricePoint.find(buildProductQuery(productId, filters))
+    .sort({ timestamp: sort });
+
+  if (limit) query.limit(limit);
+  return query;
+};
+
+/**
+ * Ultimo prezzo per ciascuna fonte di un prodotto
+ * @param {string|ObjectId} productId - ID del prodotto
+ * @returns {Promise<Array>} Un punto prezzo per fonte, ordinati per prezzo crescente
+ */
+const findLatestBySource = async (productId) => {
+  const latest = await PricePoint.aggregate([
+    { $match: { product: toObjectId(productId) } },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: '$source', pricePoint: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$pricePoint' } },
+    { $sort: { price: 1 } }
+  ]);
+
+  return latest;
+};
+
+/**
+ * Ultimo punto prezzo per un insieme di prodotti
+ * @param {Array} productIds - ID dei prodotti
+ * @returns {Promise<Map>} Mappa productId (stringa) -> punto prezzo
+ */
+const findLatestForProducts = async (productIds) => {
+  const latest = await PricePoint.aggregate([
+    { $match: { product: { $in: productIds.map(toObjectId) } } },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: '$product', pricePoint: { $first: '$$ROOT' } } }
+  ]);
+
+  return new Map(latest.map(item => [item._id.toString(), item.pricePoint]));
+};
+
+/**
+ * Prezzi medi/minimi/massimi giornalieri, opzionalmente raggruppati per fonte
+ * @param {Object} options
+ * @param {Array} options.productIds - Limita ai prodotti indicati
+ * @param {string} options.source - Limita a una fonte
+ * @param {Date} options.from - Data di inizio
+ * @param {boolean} options.bySource - Se true restituisce una serie per fonte
+ * @returns {Promise<Array>} [{ _id: source, prices: [...] }] oppure [{ date, avg, min, max, count }]
+ */
+const aggregateDailyPrices = async ({ productIds, source, from, bySource = true } = {}) => {
+  const match = {};
+  if (productIds) match.product = { $in: productIds.map(toObjectId) };
+  if (source) match.source = source;
+  if (from) match.timestamp = { $gte: from };
+
+  const pipeline = [
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          ...(bySource ? { source: '$source' } : {}),
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }
+        },
+        avgPrice: { $avg: '$price' },
+        minPrice: { $min: '$price' },
+        maxPrice: { $max: '$price' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: bySource ? { '_id.source': 1, '_id.date': 1 } : { '_id.date': 1 } }
+  ];
+
+  const dailyPoint = {
+    date: '$_id.date',
+    avg: { $round: ['$avgPrice', 2] },
+    min: { $round: ['$minPrice', 2] },
+    max: { $round: ['$maxPrice', 2] },
+    count: '$count'
+  };
+
+  if (bySource) {
+    pipeline.push({ $group: { _id: '$_id.source', prices: { $push: dailyPoint } } });
+  } else {
+    pipeline.push({ $project: { _id: 0, ...dailyPoint } });
+  }
+
+  return PricePoint.aggregate(pipeline);
+};
+
+/**
+ * Variazioni di prezzo tra gli ultimi due punti registrati per prodotto.
+ * Usata da offerte, riduzioni di prezzo e variazioni recenti.
+ * @param {Object} options
+ * @param {Object} options.productFilter - Filtro sui prodotti (es. categoria, brand)
+ * @param {Date} options.from - Considera solo i punti successivi a questa data (senza, tutto lo storico)
+ * @param {number} options.minDiscount - Sconto percentuale minimo
+ * @param {number} options.minAmount - Riduzione minima in valore assoluto
+ * @param {string} options.direction - 'down' (default), 'up' o 'any'
+ * @param {Object} options.sort - Ordinamento (campi: discount, reduction, changedAt, _id)
+ * @param {Object} options.after - Filtro sulle variazioni dopo il cursore (utils/pagination)
+ * @param {number} options.limit
+ * @returns {Promise<Array>} [{ _id, product, currentPrice, previousPrice, discount, reduction, changedAt }]
+ */
+const aggregatePriceChanges = async ({
+  productFilter,
+  from,
+  minDiscount,
+  minAmount,
+  direction = 'down',
+  sort = { discount: -1 },
+  after,
+  limit = 10
+} = {}) => {
+  const match = {};
+  if (from) match.timestamp = { $gte: from };
+
+  if (productFilter && Object.keys(productFilter).length > 0) {
+    const productIds = await Product.distinct('_id', productFilter);
+    match.product = { $in: productIds };
+  }
+
+  const changeMatch = { previousPrice: { $gt: 0 } };
+  if (direction === 'down') changeMatch.reduction = { $gt: 0 };
+  if (direction === 'up') changeMatch.reduction = { $lt: 0 };
+  if (minDiscount !== undefined) changeMatch.discount = { $gte: minDiscount };
+  if (minAmount !== undefined) {
+    changeMatch.reduction = { ...changeMatch.reduction, $gte: minAmount };
+  }
+
+  return PricePoint.aggregate([
+    { $match: match },
+    { $sort: { product: 1, timestamp: -1 } },
+    {
+      $group: {
+        _id: '$product',
+        // Solo gli ultimi due prezzi (ordinati per timestamp decrescente)
+        prices: { $firstN: { n: 2, input: '$price' } },
+        changedAt: { $first: '$timestamp' },
+        source: { $first: '$source' }
+      }
+    },
+    {
+      $project: {
+        source: 1,
+        changedAt: 1,
+        currentPrice: { $arrayElemAt: ['$prices', 0] },
+        previousPrice: { $arrayElemAt: ['$prices', 1] }
+      }
+    },
+    {
+      $addFields: {
+        reduction: { $subtract: ['$previousPrice', '$currentPrice'] },
+        discount: {
+          $cond: [
+            { $gt: ['$previousPrice', 0] },
+            {
+              $multiply: [
+                { $divide: [{ $subtract: ['$previousPrice', '$currentPrice'] }, '$previousPrice'] },
+                100
+              ]
+            },
+            0
+          ]
+        }
+      }
+    },
+    { $match: after ? { $and: [changeMatch, after] } : changeMatch },
+    { $sort: sort },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'products',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'product'
+      }
+    },
+    { $unwind: '$product' }
+  ]);
+};
+
+/**
+ * Converte i punti prezzo in aggregati di un solo rilevamento,
+ * così punti grezzi e aggregati possono essere raggruppati insieme
+ */
+const RAW_AS_BUCKET = {
+  $project: {
+    _id: 0,
+    product: 1,
+    source: 1,
+    variantId: { $ifNull: ['$variant.id', ''] },
+    variantName: '$variant.name',
+    currency: { $ifNull: ['$currency', 'EUR'] },
+    inStock: { $ifNull: ['$inStock', true] },
+    open: '$price',
+    high: '$price',
+    low: '$price',
+    close: '$price',
+    sum: '$price',
+    count: { $literal: 1 },
+    promotions: { $cond: [{ $gt: ['$discountPercentage', 0] }, 1, 0] },
+    firstAt: '$timestamp',
+    lastAt: '$timestamp',
+    periodStart: '$timestamp',
+    rank: { $literal: 0 }
+  }
+};
+
+// Aggiunge agli aggregati salvati il livello di dettaglio (indice in RESOLUTIONS)
+const AGGREGATE_AS_BUCKET = {
+  $addFields: { rank: { $cond: [{ $eq: ['$resolution', 'weekly'] }, 2, 1] } }
+};
+
+/**
+ * Raggruppa punti e aggregati per prodotto, fonte, variante e periodo della risoluzione indicata.
+ * Gli elementi già alla risoluzione richiesta (o più grossolani) mantengono il proprio periodo.
+ * @param {string} resolution - raw, daily o weekly
+ * @returns {Array} Stage della pipeline
+ */
+const groupBuckets = (resolution) => {
+  const rank = RESOLUTIONS.indexOf(resolution);
+  const truncated = {
+    $dateTrunc: resolution === 'weekly'
+      ? { date: '$firstAt', unit: 'week', startOfWeek: 'monday' }
+      : { date: '$firstAt', unit: 'day' }
+  };
+
+  return [
+    { $sort: { firstAt: 1 } },
+    {
+      $group: {
+        _id: {
+          product: '$product',
+          source: '$source',
+          variantId: '$variantId',
+          periodStart: rank === 0 ? '$periodStart' : { $cond: [{ $gte: ['$rank', rank] }, '$periodStart', truncated] }
+        },
+        variantName: { $last: '$variantName' },
+        currency: { $last: '$currency' },
+        inStock: { $last: '$inStock' },
+        open: { $first: '$open' },
+        high: { $max: '$high' },
+        low: { $min: '$low' },
+        close: { $last: '$close' },
+        sum: { $sum: '$sum' },
+        count: { $sum: '$count' },
+        promotions: { $sum: '$promotions' },
+        firstAt: { $min: '$firstAt' },
+        lastAt: { $max: '$lastAt' },
+        rank: { $max: { $max: ['$rank', rank] } }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        product: '$_id.product',
+        source: '$_id.source',
+        variantId: '$_id.variantId',
+        periodStart: '$_id.periodStart',
+        variantName: 1,
+        currency: 1,
+        inStock: 1,
+        open: 1,
+        high: 1,
+        low: 1,
+        close: 1,
+        sum: 1,
+        count: 1,
+        avg: { $round: [{ $divide: ['$sum', '$count'] }, 2] },
+        promotions: 1,
+        firstAt: 1,
+        lastAt: 1,
+        rank: 1
+      }
+    }
+  ];
+};
+
+/**
+ * Unisce un aggregato appena calcolato a quello già salvato per lo stesso periodo
+ * (punti arrivati in ritardo o periodo riassunto in più esecuzioni).
+ * L'aggregato ricorda i rollup già uniti (rollupIds): ripetere la stessa unione non lo modifica,
+ * così un rollup interrotto prima dell'eliminazione dei dati di partenza può essere ripetuto.
+ * @param {string} rollupId - Rollup che ha prodotto il nuovo aggregato
+ * @returns {Array} Pipeline di whenMatched
+ */
+const mergeBucket = (rollupId) => {
+  const merged = {
+    open: { $cond: [{ $lt: ['$$new.firstAt', '$firstAt'] }, '$$new.open', '$open'] },
+    close: { $cond: [{ $gte: ['$$new.lastAt', '$lastAt'] }, '$$new.close', '$close'] },
+    inStock: { $cond: [{ $gte: ['$$new.lastAt', '$lastAt'] }, '$$new.inStock', '$inStock'] },
+    high: { $max: ['$high', '$$new.high'] },
+    low: { $min: ['$low', '$$new.low'] },
+    sum: { $add: ['$sum', '$$new.sum'] },
+    count: { $add: ['$count', '$$new.count'] },
+    avg: {
+      $round: [{ $divide: [{ $add: ['$sum', '$$new.sum'] }, { $add: ['$count', '$$new.count'] }] }, 2]
+    },
+    promotions: { $add: [{ $ifNull: ['$promotions', 0] }, '$$new.promotions'] },
+    firstAt: { $min: ['$firstAt', '$$new.firstAt'] },
+    lastAt: { $max: ['$lastAt', '$$new.lastAt'] },
+    rollupIds: { $setUnion: [{ $ifNull: ['$rollupIds', []] }, '$$new.rollupIds'] },
+    updatedAt: '$$NOW'
+  };
+  const alreadyMerged = { $in: [rollupId, { $ifNull: ['$rollupIds', []] }] };
+
+  return [{
+    $set: Object.fromEntries(Object.entries(merged)
+      .map(([field, value]) => [field, { $cond: [alreadyMerged, `$${field}`, value] }]))
+  }];
+};
+
+/**
+ * Stage finali del rollup: salva gli aggregati della risoluzione indicata
+ * @param {string} resolution - daily o weekly
+ * @param {string} rollupId - Rollup che produce gli aggregati
+ * @returns {Array} Stage della pipeline
+ */
+const mergeIntoAggregates = (resolution, rollupId) => [
+  { $set: { resolution, rollupIds: { $literal: [rollupId] }, createdAt: '$$NOW', updatedAt: '$$NOW' } },
+  { $unset: 'rank' },
+  {
+    $merge: {
+      into: PriceAggregate.collection.name,
+      on: AGGREGATE_KEY,
+      whenMatched: mergeBucket(rollupId),
+      whenNotMatched: 'insert'
+    }
+  }
+];
+
+/**
+ * Esegue un rollup in modo ripetibile.
+ * I dati di partenza vengono prima contrassegnati con l'ID del rollup (rollupId), poi uniti agli
+ * aggregati ed eliminati. I dati contrassegnati da un rollup interrotto (crash tra unione ed
+ * eliminazione) vengono completati con il loro ID, senza essere contati due volte.
+ * @param {Model} model - PricePoint o PriceAggregate
+ * @param {Object} match - Dati da riassumere
+ * @param {Array} stages - Stage che li raggruppano negli aggregati della risoluzione
+ * @param {string} resolution - daily o weekly
+ * @returns {Promise<number>} Dati riassunti ed eliminati
+ */
+const runRollup = async (model, match, stages, resolution) => {
+  // $merge richiede che l'indice unico sulla chiave esista già
+  await PriceAggregate.init();
+
+  const pending = await model.distinct('rollupId', { rollupId: { $ne: null } });
+  const rollupId = new mongoose.Types.ObjectId().toString();
+  await model.updateMany({ ...match, rollupId: null }, { $set: { rollupId } });
+
+  let deleted = 0;
+  for (const id of [...pending, rollupId]) {
+    await model.aggregate([
+      { $match: { rollupId: id } },
+      ...stages,
+      ...mergeIntoAggregates(resolution, id)
+    ]).allowDiskUse(true);
+
+    const { deletedCount } = await model.deleteMany({ rollupId: id });
+    // I dati del rollup non esistono più: l'ID non serve più agli aggregati
+    await PriceAggregate.updateMany({ rollupIds: id }, { $pull: { rollupIds: id } });
+    deleted += deletedCount;
+  }
+
+  return deleted;
+};
+
+/**
+ * Riassume i punti prezzo precedenti a una data in aggregati giornalieri e li elimina
+ * @param {Object} options
+ * @param {Date} options.before - Punti con timestamp precedente a questa data
+ * @param {Date} options.createdBefore - Ignora i punti salvati dopo questa data (import in corso)
+ * @returns {Promise<number>} Punti prezzo riassunti ed eliminati
+ */
+const rollupPricePoints = ({ before, createdBefore = new Date() }) => runRollup(
+  PricePoint,
+  { timestamp: { $lt: before }, createdAt: { $not: { $gte: createdBefore } } },
+  [RAW_AS_BUCKET, ...groupBuckets('daily')],
+  'daily'
+);
+
+/**
+ * Riassume gli aggregati giornalieri precedenti a una data in aggregati settimanali e li elimina
+ * @param {Object} options
+ * @param {Date} options.before - Aggregati con inizio periodo precedente a questa data
+ * @returns {Promise<number>} Aggregati giornalieri riassunti ed eliminati
+ */
+const rollupDailyAggregates = ({ before }) => runRollup(
+  PriceAggregate,
+  { resolution: 'daily', periodStart: { $lt: before } },
+  [AGGREGATE_AS_BUCKET, ...groupBuckets('weekly')],
+  'weekly'
+);
+
+/**
+ * Data del primo rilevamento di un prodotto, tra punti grezzi e aggregati
+ * @param {string|ObjectId} productId - ID del prodotto
+ * @param {Object} options - source, variantId
+ * @returns {Promise<Date|null>}
+ */
+const findFirstTimestamp = async (productId, { source, variantId } = {}) => {
+  const aggregateQuery = { product: productId };
+  if (source) aggregateQuery.source = source;
+  if (variantId) aggregateQuery.variantId = variantId;
+
+  const [firstPoint, firstAggregate] = await Promise.all([
+    PricePoint.findOne(buildProductQuery(productId, { source, variantId })).sort({ timestamp: 1 }).select('timestamp').lean(),
+    PriceAggregate.findOne(aggregateQuery).sort({ firstAt: 1 }).select('firstAt').lean()
+  ]);
+
+  const dates = [firstPoint && firstPoint.timestamp, firstAggregate && firstAggregate.firstAt].filter(Boolean);
+  return dates.length > 0 ? new Date(Math.min(...dates.map(date => date.getTime()))) : null;
+};
+
+/**
+ * Data dell'ultima modifica dello storico prezzi, per i validatori HTTP (ETag / Last-Modified):
+ * ultimo punto prezzo registrato o ultimo aggregato scritto dalla retention, che riassume e
+ * rimuove i punti grezzi senza aggiungere punti più recenti
+ * @param {Object} options
+ * @param {Array} options.productIds - Limita ai prodotti indicati (default: tutti i prodotti)
+ * @param {string} options.variantId - Limita a una variante
+ * @returns {Promise<Date|null>}
+ */
+const findLatestTimestamp = async ({ productIds, variantId } = {}) => {
+  const query = {};
+  const aggregateQuery = {};
+  if (productIds) {
+    query.product = { $in: productIds.map(toObjectId) };
+    aggregateQuery.product = query.product;
+  }
+  if (variantId) {
+    query['variant.id'] = variantId;
+    aggregateQuery.variantId = variantId;
+  }
+
+  const [latest, latestAggregate] = await Promise.all([
+    PricePoint.findOne(query).sort({ timestamp: -1 }).select('timestamp').lean(),
+    PriceAggregate.findOne(aggregateQuery).sort({ updatedAt: -1 }).select('updatedAt').lean()
+  ]);
+
+  const dates = [latest && latest.timestamp, latestAggregate && latestAggregate.updatedAt].filter(Boolean);
+  return dates.length > 0 ? new Date(Math.max(...dates.map(date => date.getTime()))) : null;
+};
+
+/**
+ * Prezzo più basso di un prodotto in un intervallo, tra punti grezzi e aggregati (low)
+ * Gli aggregati che si sovrappongono solo in parte all'intervallo vengono considerati per intero.
+ * @param {string|ObjectId} productId - ID del prodotto
+ * @param {Object} options
+ * @param {Date} options.from - Inizio dell'intervallo
+ * @param {Date} options.before - Fine dell'intervallo (esclusa)
+ * @returns {Promise<number|null>}
+ */
+const findLowestPrice = async (productId, { from, before }) => {
+  const product = toObjectId(productId);
+
+  const [lowest] = await PricePoint.aggregate([
+    { $match: { product, timestamp: { $gte: from, $lt: before } } },
+    { $project: { _id: 0, low: '$price' } },
+    {
+      $unionWith: {
+        coll: PriceAggregate.collection.name,
+        pipeline: [
+          { $match: { product, lastAt: { $gte: from }, firstAt: { $lt: before } } },
+          { $project: { _id: 0, low: 1 } }
+        ]
+      }
+    },
+    { $group: { _id: null, low: { $min: '$low' } } }
+  ]);
+
+  return lowest ? lowest.low : null;
+};
+
+/**
+ * Prezzo dell'ultimo rilevamento precedente a una data per la stessa variante, tra punti grezzi e
+ * aggregati (close), così il rilevamento precedente resta disponibile anche dopo il rollup
+ * @param {string|ObjectId} productId - ID del prodotto
+ * @param {Object} options
+ * @param {Date} options.before - Data del rilevamento attuale (esclusa)
+ * @param {string} options.variantId - Variante del rilevamento attuale
+ * @returns {Promise<number|null>}
+ */
+const findPreviousPrice = async (productId, { before, variantId }) => {
+  const product = toObjectId(productId);
+
+  const [previous] = await PricePoint.aggregate([
+    { $match: { product, 'variant.id': variantId || null, timestamp: { $lt: before } } },
+    { $sort: { timestamp: -1 } },
+    { $limit: 1 },
+    { $project: { _id: 0, at: '$timestamp', price: 1 } },
+    {
+      $unionWith: {
+        coll: PriceAggregate.collection.name,
+        pipeline: [
+          { $match: { product, variantId: variantId || '', lastAt: { $lt: before } } },
+          { $sort: { lastAt: -1 } },
+          { $limit: 1 },
+          { $project: { _id: 0, at: '$lastAt', price: '$close' } }
+        ]
+      }
+    },
+    { $sort: { at: -1 } },
+    { $limit: 1 }
+  ]);
+
+  return previous ? previous.price : null;
+};
+
+/**
+ * Cambi di disponibilità di un prodotto tra rilevamenti consecutivi successivi a una data.
+ * Il prodotto è disponibile se lo è almeno una variante (ultimo rilevamento di ciascuna);
+ * lo stato di partenza è quello dei rilevamenti precedenti alla data.
+ * I rilevamenti vengono letti tutti, a blocchi di batchSize (paginazione su timestamp e _id),
+ * così inStock è sempre lo stato dell'ultimo rilevamento.
+ * @param {string|ObjectId} productId - ID del prodotto
+ * @param {Object} options
+ * @param {Date} options.since - Considera solo i rilevamenti successivi
+ * @param {number} options.batchSize - Rilevamenti letti per query
+ * @returns {Promise<Object>} { transitions: [{ timestamp, inStock, price, variantId }], inStock, checkedAt }
+ *   (inStock null senza rilevamenti, checkedAt timestamp dell'ultimo rilevamento letto o null)
+ */
+const findAvailabilityTransitions = async (productId, { since, batchSize = 500 } = {}) => {
+  const product = toObjectId(productId);
+
+  const previous = await PricePoint.aggregate([
+    { $match: { product, timestamp: { $lte: since } } },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: { $ifNull: ['$variant.id', ''] }, inStock: { $first: { $ifNull: ['$inStock', true] } } } }
+  ]);
+
+  const variants = new Map(previous.map(item => [item._id, item.inStock]));
+  const isAvailable = () => (variants.size > 0 ? [...variants.values()].some(Boolean) : null);
+  const transitions = [];
+  let inStock = isAvailable();
+  let last = null;
+  let batch;
+
+  do {
+    const after = last
+      ? { $or: [{ timestamp: { $gt: last.timestamp } }, { timestamp: last.timestamp, _id: { $gt: last._id } }] }
+      : { timestamp: { $gt: since } };
+    batch = await PricePoint.find({ product, ...after })
+      .sort({ timestamp: 1, _id: 1 })
+      .limit(batchSize)
+      .select('timestamp inStock price variant.id')
+      .lean();
+
+    batch.forEach(point => {
+      const variantId = (point.variant && point.variant.id) || '';
+      variants.set(variantId, point.inStock !== false);
+
+      const available = isAvailable();
+      if (inStock !== null && available !== inStock) {
+        transitions.push({
+          timestamp: point.timestamp,
+          inStock: available,
+          price: point.price,
+          variantId: variantId || null
+        });
+      }
+      inStock = available;
+    });
+
+    if (batch.length > 0) last = batch[batch.length - 1];
+  } while (batch.length === batchSize);
+
+  return { transitions, inStock, checkedAt: last ? last.timestamp : null };
+};
+
+/**
+ * Serie storiche di più prodotti alla risoluzione indicata, con una sola aggregation.
+ * Combina punti grezzi e aggregati: quelli più dettagliati vengono raggruppati al volo,
+ * quelli più grossolani (già riassunti dalla retention) restano come sono.
+ * @param {Array} productIds - ID dei prodotti
+ * @param {Object} options - resolution (raw, daily, weekly), source, variantId, from, to, limit (per prodotto)
+ * @returns {Promise<Map>} Mappa productId (stringa) -> [{ timestamp, price, open, high, low, close, avg, count, source, variantId, resolution, ... }]
+ */
+const findHistorySeriesForProducts = async (productIds, { resolution = 'raw', limit, source, variantId, from, to } = {}) => {
+  const product = { $in: productIds.map(toObjectId) };
+
+  const aggregateMatch = { product };
+  if (source) aggregateMatch.source = source;
+  if (variantId) aggregateMatch.variantId = variantId;
+  if (from) aggregateMatch.lastAt = { $gte: from };
+  if (to) aggregateMatch.firstAt = { $lte: to };
+
+  const pipeline = [
+    { $match: buildProductQuery(product, { source, variantId, from, to }) },
+    RAW_AS_BUCKET,
+    {
+      $unionWith: {
+        coll: PriceAggregate.collection.name,
+        pipeline: [{ $match: aggregateMatch }, AGGREGATE_AS_BUCKET]
+      }
+    },
+    ...groupBuckets(resolution)
+  ];
+
+  if (limit) {
+    // Il limite vale per ciascun prodotto: numera i periodi nell'ordine della serie
+    pipeline.push(
+      {
+        $setWindowFields: {
+          partitionBy: '$product',
+          sortBy: { periodStart: 1, source: 1 },
+          output: { position: { $documentNumber: {} } }
+        }
+      },
+      { $match: { position: { $lte: limit } } },
+      { $unset: 'position' }
+    );
+  }
+
+  pipeline.push({ $sort: { periodStart: 1, source: 1 } });
+
+  const buckets = await PricePoint.aggregate(pipeline).allowDiskUse(true);
+
+  const series = new Map(productIds.map(id => [id.toString(), []]));
+  buckets.forEach(({ rank, sum, ...bucket }) => {
+    series.get(bucket.product.toString()).push({
+      ...bucket,
+      timestamp: bucket.periodStart,
+      price: bucket.close,
+      resolution: RESOLUTIONS[rank]
+    });
+  });
+
+  return series;
+};
+
+/**
+ * Serie storica di un prodotto alla risoluzione indicata (vedi findHistorySeriesForProducts)
+ * @param {string|ObjectId} productId - ID del prodotto
+ * @param {Object} options - resolution (raw, daily, weekly), source, variantId, from, to, limit
+ * @returns {Promise<Array>}
+ */
+const findHistorySeries = async (productId, options = {}) => {
+  const series = await findHistorySeriesForProducts([productId], options);
+  return series.get(productId.toString());
+};
+
+module.exports = {
+  RESOLUTIONS,
+  findLatest,
+  findHistory,
+  findHistorySeries,
+  findHistorySeriesForProducts,
+  findFirstTimestamp,
+  findLatestTimestamp,
+  findAvailabilityTransitions,
+  findLowestPrice,
+  findPreviousPrice,
+  findLatestBySource,
+  findLatestForProducts,
+  aggregateDailyPrices,
+  aggregatePriceChanges,
+  rollupPricePoints,
+  rollupDailyAggregates
+};
@@ -0,0 +1,41 @@
+/**
+ * Product Repository
+ * Query condivise sui prodotti usate da controller e job
+ */
+const mongoose = require('mongoose');
+const Product = require('../../models/Product');
+
+/**
+ * Verifica se un valore è un ObjectId valido
+ * @param {string} id - ID da verificare
+ * @returns {boolean}
+ */
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Trova un prodotto per ID restituendo null per ID non validi
+ * @param {string} id - ID del prodotto
+ * @param {Object} options - Opzioni (select, lean)
+ * @returns {Promise<Object|null>}
+ */
+const findById = async (id, { select, lean = false } = {}) => {
+  if (!isValidId(id)) return null;
+
+  const query = Product.findById(id);
+  if (select) query.select(select);
+  if (lean) query.lean();
+  return query;
+};
+
+/**
+ * Restituisce gli ID dei prodotti che corrispondono al filtro
+ * @param {Object} filter - Filtro MongoDB sui prodotti
+ * @returns {Promise<Array>}
+ */
+const findIds = async (filter = {}) => Product.distinct('_id', filter);
+
+module.exports = {
+  isValidId,
+  findById,
+  findIds
+};
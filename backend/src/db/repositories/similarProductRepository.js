@@ -0,0 +1,189 @@
+/**
+ * Similar Product Repository
+ * Le relazioni di similarità sono salvate come coppie (product, similarTo):
+ * qui vengono lette in entrambe le direzioni, così i chiamanti non devono
+ * sapere da quale lato è stato registrato il prodotto.
+ */
+const SimilarProduct = require('../../models/SimilarProduct');
+const Product = require('../../models/Product');
+
+/**
+ * Normalizza un record di similarità rispetto al prodotto di partenza
+ * @param {Object} record - Documento SimilarProduct con product/similarTo popolati
+ * @param {string} productId - ID del prodotto di partenza
+ * @returns {Object|null} { product, similarityScore, matchingFeatures, similarityReason, record }
+ */
+const toRelation = (record, productId) => {
+  const isForward = record.product && record.product._id
+    ? record.product._id.toString() === productId.toString()
+    : false;
+  const other = isForward ? record.similarTo : record.product;
+
+  // Il prodotto collegato potrebbe essere stato eliminato
+  if (!other || !other._id) return null;
+
+  return {
+    product: other,
+    similarityScore: record.similarityScore,
+    similarityType: record.similarityType,
+    matchingFeatures: record.matchingFeatures || [],
+    similarityReason: record.similarityReason,
+    record
+  };
+};
+
+/**
+ * Prodotti simili a quello indicato, ordinati per punteggio decrescente
+ * @param {string} productId - ID del prodotto
+ * @param {Object} options
+ * @param {number} options.minScore - Punteggio minimo (0-1)
+ * @param {number} options.limit - Numero massimo di risultati
+ * @param {Array<string>} options.statuses - Stati ammessi (default ACTIVE)
+ * @param {boolean} options.differentSource - Solo prodotti di un'altra fonte
+ * @returns {Promise<Array>}
+ */
+const findSimilar = async (productId, {
+  minScore = 0,
+  limit,
+  statuses = ['ACTIVE'],
+  differentSource = false
+} = {}) => {
+  const records = await SimilarProduct.find({
+    $or: [{ product: productId }, { similarTo: productId }],
+    similarityScore: { $gte: minScore },
+    status: { $in: statuses }
+  })
+    .populate('product')
+    .populate('similarTo')
+    .sort({ similarityScore: -1 });
+
+  return collectRelations(records, productId, { limit, differentSource });
+};
+
+/**
+ * Relazioni di un prodotto a partire dai record già letti (ordinati per punteggio)
+ * @param {Array} records - Documenti SimilarProduct con product/similarTo popolati
+ * @param {string} productId - ID del prodotto di partenza
+ * @param {Object} options - limit, differentSource
+ * @returns {Array}
+ */
+const collectRelations = (records, productId, { limit, differentSource = false } = {}) => {
+  // Le coppie possono essere registrate in entrambe le direzioni
+  const seen = new Set();
+  const relations = [];
+
+  for (const record of records) {
+    const relation = toRelation(record, productId);
+    if (!relation) continue;
+
+    const otherId = relation.product._id.toString();
+    if (otherId === productId.toString() || seen.has(otherId)) continue;
+    seen.add(otherId);
+
+    if (differentSource) {
+      const self = record.product._id.toString() === productId.toString() ? record.product : record.similarTo;
+      if (self && self.source === relation.product.source) continue;
+    }
+
+    relations.push(relation);
+  }
+
+  return limit ? relations.slice(0, limit) : relations;
+};
+
+/**
+ * Prodotti simili per più prodotti con una sola query (stesse opzioni di findSimilar)
+ * @param {Array} productIds - ID dei prodotti
+ * @param {Object} options - minScore, limit, statuses, differentSource
+ * @returns {Promise<Map<string, Array>>} ID prodotto -> relazioni ordinate per punteggio
+ */
+const findSimilarForProducts = async (productIds, {
+  minScore = 0,
+  statuses = ['ACTIVE'],
+  ...options
+} = {}) => {
+  const records = await SimilarProduct.find({
+    $or: [{ product: { $in: productIds } }, { similarTo: { $in: productIds } }],
+    similarityScore: { $gte: minScore },
+    status: { $in: statuses }
+  })
+    .populate('product')
+    .populate('similarTo')
+    .sort({ similarityScore: -1 });
+
+  const involves = (record, productId) => [record.product, record.similarTo]
+    .some(side => side && side._id && side._id.toString() === productId.toString());
+
+  return new Map(productIds.map(productId => [
+    productId.toString(),
+    collectRelations(records.filter(record => involves(record, productId)), productId, options)
+  ]));
+};
+
+/**
+ * Record di similarità tra due prodotti, in qualsiasi direzione
+ * @param {string} productId1
+ * @param {string} productId2
+ * @returns {Promise<Object|null>}
+ */
+const findPair = async (productId1, productId2) => {
+  return SimilarProduct.findOne({
+    $or: [
+      { product: productId1, similarTo: productId2 },
+      { product: productId2, similarTo: productId1 }
+    ]
+  });
+};
+
+/**
+ * Tutte le relazioni che coinvolgono almeno uno dei prodotti indicati
+ * @param {Array} productIds - ID dei prodotti
+ * @param {Object} options - statuses
+ * @returns {Promise<Array>} Documenti lean con product/similarTo come ObjectId
+ */
+const findForProducts = async (productIds, { statuses = ['ACTIVE'] } = {}) => {
+  return SimilarProduct.find({
+    $or: [
+      { product: { $in: productIds } },
+      { similarTo: { $in: productIds } }
+    ],
+    status: { $in: statuses }
+  }).lean();
+};
+
+/**
+ * Elimina le relazioni automatiche che puntano a prodotti non più disponibili
+ * @returns {Promise<Object>} { removedCount, productIds } relazioni eliminate e prodotti coinvolti
+ */
+const removeForUnavailableProducts = async () => {
+  const unavailableIds = await Product.distinct('_id', {
+    'availability.status': { $in: ['OUT_OF_STOCK', 'DISCONTINUED'] }
+  });
+
+  if (unavailableIds.length === 0) return { removedCount: 0, productIds: [] };
+
+  const obsolete = await SimilarProduct.find({
+    similarityType: 'AUTOMATIC',
+    $or: [
+      { product: { $in: unavailableIds } },
+      { similarTo: { $in: unavailableIds } }
+    ]
+  }).select('product similarTo').lean();
+
+  if (obsolete.length === 0) return { removedCount: 0, productIds: [] };
+
+  const result = await SimilarProduct.deleteMany({ _id: { $in: obsolete.map(match => match._id) } });
+
+  return {
+    removedCount: result.deletedCount,
+    productIds: obsolete.flatMap(match => [match.product, match.similarTo])
+  };
+};
+
+module.exports = {
+  findSimilar,
+  findSimilarForProducts,
+  findPair,
+  findForProducts,
+  removeForUnavailableProducts
+};
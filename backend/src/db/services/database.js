@@ -1,12 +1,9 @@
 const mongoose = require('mongoose');
 const logger = require('../../utils/logger');
 
-async function connectToDatabase() {
+async function connectToDatabase(uri = process.env.MONGODB_URI) {
   try {
-    await mongoose.connect(process.env.MONGODB_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true
-    });
+    await mongoose.connect(uri);
     
     mongoose.connection.on('error', (err) => {
       logger.error(`Errore di connessione MongoDB: ${err}`);
@@ -19,4 +16,4 @@ async function connectToDatabase() {
   }
 }
 
-module.exports = { connectToDatabase };
\ No newline at end of file
+module.exports = { connectToDatabase };
@@ -0,0 +1,41 @@
+/**
+ * Endpoint GraphQL (POST /api/graphql, GET per le query)
+ * Ogni richiesta riceve nel contesto l'utente autenticato (se presente) e nuovi DataLoader;
+ * le query oltre i limiti di profondità e costo (config.graphql) vengono rifiutate in validazione.
+ */
+const { GraphQLError } = require('graphql');
+const { createHandler } = require('graphql-http/lib/use/express');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { schema } = require('./schema');
+const { createLoaders } = require('./loaders');
+const { createQueryLimitsRule } = require('./limits');
+
+const graphqlHandler = createHandler({
+  schema,
+  context: (req) => {
+    // req.raw è la richiesta Express, già passata da optionalAuth
+    const user = req.raw.user || null;
+    return { user, loaders: createLoaders({ user }) };
+  },
+  validationRules: (req, args, specifiedRules) => [
+    ...specifiedRules,
+    createQueryLimitsRule({ ...config.graphql, variables: args.variableValues })
+  ],
+  formatError: (error) => {
+    const { originalError } = error;
+
+    // Errori di validazione dei servizi (statusCode 400) e GraphQLError vengono restituiti così come sono;
+    // gli errori imprevisti vengono registrati senza esporre i dettagli interni
+    if (!originalError || originalError instanceof GraphQLError || originalError.statusCode === 400) {
+      return error;
+    }
+
+    logger.error(`GraphQL error in ${(error.path || []).join('.')}: ${originalError.message}`);
+    return new GraphQLError('Errore interno del server', { nodes: error.nodes, path: error.path });
+  }
+});
+
+module.exports = {
+  graphqlHandler
+};
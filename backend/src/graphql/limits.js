@@ -0,0 +1,132 @@
+/**
+ * Limiti delle query GraphQL (regola di validazione)
+ * Le query troppo annidate o troppo costose vengono rifiutate prima dell'esecuzione.
+ *
+ * Costo: 1 per campo; i campi lista moltiplicano il costo dei sottocampi per il numero di
+ * elementi attesi (argomento limit o first, poi il suo default nello schema, poi gli ID richiesti
+ * con ids, infine DEFAULT_LIST_SIZE).
+ * Profondità: livelli di campi annidati (product { priceHistory { points { price } } } = 4).
+ */
+const { GraphQLError, Kind, getNamedType, getNullableType, isListType } = require('graphql');
+
+// Elementi attesi per i campi lista senza un argomento di limite
+const DEFAULT_LIST_SIZE = 10;
+
+const LIMIT_ARGUMENTS = ['limit', 'first'];
+
+/**
+ * Numero di elementi attesi da un campo lista
+ * @param {Object} node - Nodo Field della query
+ * @param {Object} fieldDef - Definizione del campo nello schema
+ * @param {Object} variables - Variabili della richiesta
+ * @returns {number}
+ */
+const listSize = (node, fieldDef, variables) => {
+  for (const name of LIMIT_ARGUMENTS) {
+    const argument = (node.arguments || []).find(item => item.name.value === name);
+    if (argument && argument.value.kind === Kind.INT) return parseInt(argument.value.value, 10);
+    if (argument && argument.value.kind === Kind.VARIABLE) {
+      const value = variables[argument.value.name.value];
+      if (Number.isInteger(value)) return value;
+    }
+
+    const definition = fieldDef.args.find(item => item.name === name);
+    if (definition && Number.isInteger(definition.defaultValue)) return definition.defaultValue;
+  }
+
+  const ids = (node.arguments || []).find(item => item.name.value === 'ids');
+  if (ids && ids.value.kind === Kind.LIST) return ids.value.values.length;
+  if (ids && ids.value.kind === Kind.VARIABLE && Array.isArray(variables[ids.value.name.value])) {
+    return variables[ids.value.name.value].length;
+  }
+
+  return DEFAULT_LIST_SIZE;
+};
+
+/**
+ * Profondità e costo di un insieme di selezioni
+ * @param {ValidationContext} context
+ * @param {Object} selectionSet
+ * @param {GraphQLNamedType} parentType
+ * @param {Object} variables
+ * @param {Set<string>} fragments - Frammenti già visitati (i cicli sono segnalati da NoFragmentCyclesRule)
+ * @returns {{ depth: number, complexity: number }}
+ */
+const measure = (context, selectionSet, parentType, variables, fragments = new Set()) => {
+  const total = { depth: 0, complexity: 0 };
+  const add = ({ depth, complexity }) => {
+    total.depth = Math.max(total.depth, depth);
+    total.complexity += complexity;
+  };
+
+  selectionSet.selections.forEach((selection) => {
+    if (selection.kind === Kind.FIELD) {
+      const fields = parentType && typeof parentType.getFields === 'function' ? parentType.getFields() : {};
+      const fieldDef = fields[selection.name.value];
+      // __typename e campi sconosciuti (segnalati dalle regole standard) non hanno costo
+      if (!fieldDef) return;
+
+      const child = selection.selectionSet
+        ? measure(context, selection.selectionSet, getNamedType(fieldDef.type), variables, fragments)
+        : { depth: 0, complexity: 0 };
+      const multiplier = isListType(getNullableType(fieldDef.type)) ? listSize(selection, fieldDef, variables) : 1;
+
+      add({ depth: child.depth + 1, complexity: 1 + multiplier * child.complexity });
+      return;
+    }
+
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition ? context.getSchema().getType(selection.typeCondition.name.value) : parentType;
+      add(measure(context, selection.selectionSet, type, variables, fragments));
+      return;
+    }
+
+    const name = selection.name.value;
+    const fragment = context.getFragment(name);
+    if (!fragment || fragments.has(name)) return;
+
+    add(measure(
+      context,
+      fragment.selectionSet,
+      context.getSchema().getType(fragment.typeCondition.name.value),
+      variables,
+      new Set([...fragments, name])
+    ));
+  });
+
+  return total;
+};
+
+/**
+ * Crea la regola di validazione con i limiti indicati
+ * @param {Object} options
+ * @param {number} options.maxDepth - Profondità massima
+ * @param {number} options.maxComplexity - Costo massimo
+ * @param {Object} options.variables - Variabili della richiesta (per gli argomenti limit passati come variabili)
+ * @returns {Function} ValidationRule
+ */
+const createQueryLimitsRule = ({ maxDepth, maxComplexity, variables = {} }) => (context) => ({
+  OperationDefinition(node) {
+    const rootType = context.getSchema().getRootType(node.operation);
+    const { depth, complexity } = measure(context, node.selectionSet, rootType, variables || {});
+
+    if (depth > maxDepth) {
+      context.reportError(new GraphQLError(
+        `La query supera la profondità massima consentita (${depth} su ${maxDepth})`,
+        { nodes: node, extensions: { code: 'QUERY_TOO_DEEP' } }
+      ));
+    }
+
+    if (complexity > maxComplexity) {
+      context.reportError(new GraphQLError(
+        `La query supera il costo massimo consentito (${complexity} su ${maxComplexity})`,
+        { nodes: node, extensions: { code: 'QUERY_TOO_COMPLEX' } }
+      ));
+    }
+  }
+});
+
+module.exports = {
+  DEFAULT_LIST_SIZE,
+  createQueryLimitsRule
+};
@@ -0,0 +1,107 @@
+/**
+ * DataLoader per le risorse GraphQL
+ * Un set di loader per richiesta: le letture dei campi di più prodotti nella stessa
+ * query vengono raccolte e risolte con una sola query MongoDB per tipo di dato.
+ */
+const DataLoader = require('dataloader');
+const {
+  Product,
+  ProductGroup,
+  PriceAlert,
+  products: productRepository,
+  pricePoints,
+  similarProducts
+} = require('../db');
+const offerService = require('../services/offers');
+const priceHistoryService = require('../services/priceHistory');
+
+/**
+ * Loader con le opzioni fissate (es. soglia di similarità), uno per combinazione di opzioni
+ * @param {Function} create - options -> DataLoader
+ * @returns {Function} options -> DataLoader
+ */
+const loaderPerOptions = (create) => {
+  const loaders = new Map();
+
+  return (options = {}) => {
+    const key = JSON.stringify(options);
+    if (!loaders.has(key)) loaders.set(key, create(options));
+    return loaders.get(key);
+  };
+};
+
+/**
+ * Crea i loader di una richiesta
+ * @param {Object} context
+ * @param {Object|null} context.user - Utente autenticato (per gli avvisi)
+ * @returns {Object}
+ */
+const createLoaders = ({ user } = {}) => {
+  // Schede Product per ID (null per ID non validi o inesistenti)
+  const product = new DataLoader(async (ids) => {
+    const validIds = ids.filter(productRepository.isValidId);
+    const found = await Product.find({ _id: { $in: validIds } }).lean();
+    const byId = new Map(found.map(item => [item._id.toString(), item]));
+    return ids.map(id => byId.get(id.toString()) || null);
+  }, { cacheKeyFn: id => id.toString() });
+
+  // Offerte dell'articolo a cui appartiene la scheda
+  const offers = new DataLoader(async (ids) => {
+    const listings = (await product.loadMany(ids)).filter(item => item && !(item instanceof Error));
+    const byListing = await offerService.getOffersForListings(listings);
+    return ids.map(id => byListing.get(id.toString()) || { canonicalProduct: null, offers: [] });
+  }, { cacheKeyFn: id => id.toString() });
+
+  // Ultimo punto prezzo per scheda
+  const latestPrice = new DataLoader(async (ids) => {
+    const latest = await pricePoints.findLatestForProducts(ids);
+    return ids.map(id => latest.get(id.toString()) || null);
+  }, { cacheKeyFn: id => id.toString() });
+
+  // Storico prezzi per scheda negli ultimi `days` giorni (argomenti di Product.priceHistory):
+  // le schede con gli stessi argomenti vengono lette con una sola query
+  const requestedAt = Date.now();
+  const priceHistory = loaderPerOptions(({ days, ...options }) => new DataLoader(async (ids) => {
+    const from = new Date(requestedAt - days * 24 * 60 * 60 * 1000);
+    const series = await priceHistoryService.getPriceSeriesForProducts(ids, { ...options, from });
+    return ids.map(id => series.get(id.toString()));
+  }, { cacheKeyFn: id => id.toString() }));
+
+  // Prodotti simili per scheda, con le opzioni di similarProducts.findSimilar
+  const similar = loaderPerOptions(options => new DataLoader(async (ids) => {
+    const relations = await similarProducts.findSimilarForProducts(ids, options);
+    return ids.map(id => relations.get(id.toString()) || []);
+  }, { cacheKeyFn: id => id.toString() }));
+
+  // Gruppo di formati (ProductGroup) che contiene la scheda
+  const productGroup = new DataLoader(async (ids) => {
+    const groups = await ProductGroup.find({ 'variants.productId': { $in: ids } }).lean();
+    const byProduct = new Map();
+    groups.forEach(group => group.variants.forEach(variant => {
+      byProduct.set(variant.productId.toString(), group);
+    }));
+    return ids.map(id => byProduct.get(id.toString()) || null);
+  }, { cacheKeyFn: id => id.toString() });
+
+  // Avvisi dell'utente autenticato per scheda, dal più recente
+  const alerts = new DataLoader(async (ids) => {
+    const found = await PriceAlert.find({ userId: user.id, productId: { $in: ids } })
+      .sort({ createdAt: -1 })
+      .lean();
+    return ids.map(id => found.filter(alert => alert.productId.toString() === id.toString()));
+  }, { cacheKeyFn: id => id.toString() });
+
+  return {
+    product,
+    offers,
+    latestPrice,
+    priceHistory,
+    similar,
+    productGroup,
+    alerts
+  };
+};
+
+module.exports = {
+  createLoaders
+};
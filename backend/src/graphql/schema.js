@@ -0,0 +1,374 @@
+/**
+ * Schema GraphQL
+ * Prodotti con offerte, storico prezzi, prodotti simili, gruppi di formati e avvisi:
+ * una pagina prodotto si ottiene con una sola richiesta invece di 4-6 chiamate REST.
+ * Le query riusano i servizi delle API REST; le letture per più prodotti passano dai loader.
+ */
+const { buildSchema, GraphQLError } = require('graphql');
+const { PriceAlert } = require('../db');
+const searchService = require('../services/search');
+const compareService = require('../services/compare');
+
+const typeDefs = `
+  scalar DateTime
+
+  enum Resolution {
+    auto
+    raw
+    daily
+    weekly
+  }
+
+  enum AlertStatus {
+    ACTIVE
+    TRIGGERED
+    EXPIRED
+  }
+
+  type Query {
+    "Scheda prodotto per ID"
+    product(id: ID!): Product
+    "Più schede in una sola richiesta (null per gli ID non trovati)"
+    products(ids: [ID!]!): [Product]!
+    "Ricerca con gli stessi parametri di /api/products/search"
+    search(
+      q: String
+      petType: String
+      category: String
+      brand: [String!]
+      store: [String!]
+      price: [String!]
+      unitPrice: [String!]
+      weight: [String!]
+      availability: [String!]
+      sort: String
+      page: Int
+      limit: Int
+    ): SearchResult!
+    "Avvisi dell'utente autenticato"
+    alerts(status: AlertStatus): [PriceAlert!]!
+  }
+
+  type SearchResult {
+    total: Int!
+    page: Int!
+    totalPages: Int!
+    sort: String!
+    items: [Product!]!
+  }
+
+  type Product {
+    id: ID!
+    name: String!
+    brand: String
+    category: String
+    petType: String
+    description: String
+    source: String!
+    sourceId: String
+    url: String
+    imageUrl: String
+    price: Float
+    currency: String
+    availability: String
+    lastPriceUpdate: DateTime
+    canonicalProductId: ID
+    latestPrice: PricePoint
+    "Offerte di tutti i negozi per lo stesso articolo, prima le disponibili e poi per prezzo"
+    offers: [Offer!]!
+    bestOffer: Offer
+    "Offerte degli altri negozi con la differenza rispetto a questa scheda"
+    otherSources: [SourceComparison!]!
+    priceHistory(days: Int = 30, resolution: Resolution = auto, limit: Int = 100, variantId: String): PriceHistory!
+    similarProducts(minSimilarity: Float = 0.7, limit: Int = 10): [SimilarProduct!]!
+    cheaperAlternatives(minSimilarity: Float = 0.7, limit: Int = 10): [CheaperAlternative!]!
+    group: ProductGroup
+    "Avvisi dell'utente autenticato su questa scheda (null con un errore se la richiesta non è autenticata)"
+    alerts: [PriceAlert!]
+  }
+
+  type Offer {
+    listingId: ID!
+    product: Product
+    store: String!
+    sourceId: String
+    name: String
+    url: String
+    price: Float
+    originalPrice: Float
+    effectivePrice: Float
+    currency: String
+    inStock: Boolean!
+    lastSeenAt: DateTime
+  }
+
+  type SourceComparison {
+    product: Product
+    source: String!
+    price: Float
+    link: String
+    inStock: Boolean
+    lastSeenAt: DateTime
+    priceDifference: Float
+    priceDifferencePercentage: Float
+    isCheaper: Boolean
+  }
+
+  type PricePoint {
+    timestamp: DateTime!
+    price: Float!
+    source: String
+    variantId: String
+    variantName: String
+    currency: String
+    inStock: Boolean
+    isPromotion: Boolean!
+    "Dettaglio del punto: raw, daily o weekly"
+    resolution: String!
+    open: Float
+    high: Float
+    low: Float
+    close: Float
+    avg: Float
+    count: Int
+  }
+
+  type PriceHistory {
+    resolution: String!
+    points: [PricePoint!]!
+  }
+
+  type SimilarProduct {
+    product: Product!
+    similarity: Float!
+    similarityType: String
+    matchingFeatures: [String!]!
+  }
+
+  type CheaperAlternative {
+    product: Product
+    price: Float!
+    similarity: Float!
+    priceDifference: Float!
+    savingsPercentage: Float!
+  }
+
+  type Measure {
+    value: Float
+    unit: String
+  }
+
+  type ProductGroupVariant {
+    product: Product
+    size: String
+    weight: Measure
+    price: Float
+    unitPrice: Measure
+    bestValue: Boolean
+  }
+
+  type PriceRange {
+    min: Float
+    max: Float
+    unitMin: Float
+    unitMax: Float
+  }
+
+  type ProductGroup {
+    id: ID!
+    name: String!
+    brand: String
+    category: String
+    petType: String
+    variantCount: Int!
+    priceRange: PriceRange
+    bestValue: ProductGroupVariant
+    variants: [ProductGroupVariant!]!
+  }
+
+  type PriceAlert {
+    id: ID!
+    product: Product
+    type: String!
+    targetPrice: Float
+    targetPercentage: Float
+    referencePrice: Float
+    targetUnitPrice: Float
+    minSimilarity: Float
+    currentPrice: Float
+    currentUnitPrice: Float
+    status: AlertStatus!
+    triggered: Boolean!
+    triggeredAt: DateTime
+    createdAt: DateTime
+  }
+`;
+
+/**
+ * Errore restituito ai client quando serve l'autenticazione
+ * @returns {GraphQLError}
+ */
+const unauthenticated = () => new GraphQLError('Autenticazione richiesta: token mancante, non valido o scaduto', {
+  extensions: { code: 'UNAUTHORIZED' }
+});
+
+const id = (doc) => doc._id.toString();
+
+const resolvers = {
+  DateTime: {
+    serialize: (value) => new Date(value).toISOString(),
+    parseValue: (value) => new Date(value)
+  },
+
+  Query: {
+    product: (_, args, { loaders }) => loaders.product.load(args.id),
+
+    products: (_, args, { loaders }) => loaders.product.loadMany(args.ids)
+      .then(items => items.map(item => (item instanceof Error ? null : item))),
+
+    search: async (_, args, { loaders }) => {
+      const result = await searchService.searchProducts(args);
+      // I risultati della ricerca sono proiezioni: i campi completi arrivano dal loader
+      const items = await loaders.product.loadMany(result.data.map(item => item._id));
+
+      return {
+        total: result.total,
+        page: result.page,
+        totalPages: result.totalPages,
+        sort: result.sort,
+        items: items.filter(item => item && !(item instanceof Error))
+      };
+    },
+
+    alerts: async (_, args, { user }) => {
+      if (!user) throw unauthenticated();
+
+      const filter = { userId: user.id };
+      if (args.status) filter.status = args.status;
+      return PriceAlert.find(filter).sort({ createdAt: -1 }).lean();
+    }
+  },
+
+  Product: {
+    id,
+    availability: (product) => (product.availability ? product.availability.status : null),
+    canonicalProductId: (product) => (product.canonicalProduct ? product.canonicalProduct.toString() : null),
+    latestPrice: (product, _, { loaders }) => loaders.latestPrice.load(product._id),
+    offers: async (product, _, { loaders }) => (await loaders.offers.load(product._id)).offers,
+    bestOffer: async (product, _, { loaders }) => {
+      const { offers } = await loaders.offers.load(product._id);
+      return offers.find(offer => offer.effectivePrice != null) || null;
+    },
+    otherSources: async (product, _, { loaders }) => {
+      const { offers } = await loaders.offers.load(product._id);
+      return compareService.compareSources(product._id, offers).alternativeSources;
+    },
+    priceHistory: (product, args, { loaders }) => loaders.priceHistory(args).load(product._id),
+    similarProducts: async (product, args, { loaders }) => {
+      const relations = await loaders.similar({ minScore: args.minSimilarity }).load(product._id);
+      return relations.slice(0, args.limit);
+    },
+    cheaperAlternatives: async (product, args, { loaders }) => {
+      const latest = await loaders.latestPrice.load(product._id);
+      if (!latest) return [];
+
+      const relations = await loaders.similar({ minScore: args.minSimilarity }).load(product._id);
+      const prices = await loaders.latestPrice.loadMany(relations.map(relation => relation.product._id));
+      const latestPrices = new Map(relations
+        .map((relation, index) => [relation.product._id.toString(), prices[index]])
+        .filter(([, point]) => point && !(point instanceof Error)));
+
+      return compareService.rankCheaperAlternatives({
+        currentPrice: latest.price,
+        relations,
+        latestPrices,
+        limit: args.limit
+      });
+    },
+    group: (product, _, { loaders }) => loaders.productGroup.load(product._id),
+    alerts: (product, _, { user, loaders }) => {
+      if (!user) throw unauthenticated();
+      return loaders.alerts.load(product._id);
+    }
+  },
+
+  Offer: {
+    listingId: (offer) => offer.listing.toString(),
+    product: (offer, _, { loaders }) => loaders.product.load(offer.listing),
+    inStock: (offer) => offer.inStock !== false
+  },
+
+  SourceComparison: {
+    product: (comparison, _, { loaders }) => loaders.product.load(comparison.productId)
+  },
+
+  PricePoint: {
+    isPromotion: (point) => (point.promotions != null ? point.promotions > 0 : point.discountPercentage > 0),
+    resolution: (point) => point.resolution || 'raw',
+    variantId: (point) => (point.variant ? point.variant.id : point.variantId) || null,
+    variantName: (point) => (point.variant ? point.variant.name : point.variantName) || null
+  },
+
+  SimilarProduct: {
+    similarity: (relation) => relation.similarityScore
+  },
+
+  CheaperAlternative: {
+    product: (alternative, _, { loaders }) => loaders.product.load(alternative.productId)
+  },
+
+  ProductGroup: {
+    id,
+    name: (group) => group.baseProduct.name,
+    brand: (group) => group.baseProduct.brand,
+    category: (group) => group.baseProduct.category,
+    petType: (group) => group.baseProduct.petType,
+    variantCount: (group) => group.variantCount || group.variants.length,
+    bestValue: (group) => group.variants.find(variant => variant.bestValue) || null,
+    variants: (group) => group.variants || []
+  },
+
+  ProductGroupVariant: {
+    product: (variant, _, { loaders }) => loaders.product.load(variant.productId)
+  },
+
+  PriceAlert: {
+    id,
+    // Gli avvisi sul prezzo al kg riguardano un gruppo di prodotti, non un prodotto
+    product: (alert, _, { loaders }) => (alert.productId ? loaders.product.load(alert.productId) : null)
+  }
+};
+
+/**
+ * Collega i resolver ai campi e agli scalari dello schema costruito dall'SDL
+ * @param {GraphQLSchema} schema
+ * @param {Object} resolverMap - { Tipo: { campo: resolver } } oppure { Scalare: { serialize, parseValue } }
+ * @returns {GraphQLSchema}
+ */
+const attachResolvers = (schema, resolverMap) => {
+  Object.entries(resolverMap).forEach(([typeName, fields]) => {
+    const type = schema.getType(typeName);
+    if (!type) throw new Error(`Tipo GraphQL sconosciuto: ${typeName}`);
+
+    if (typeof type.getFields !== 'function') {
+      // Scalare personalizzato
+      Object.assign(type, fields);
+      return;
+    }
+
+    const typeFields = type.getFields();
+    Object.entries(fields).forEach(([fieldName, resolve]) => {
+      if (!typeFields[fieldName]) throw new Error(`Campo GraphQL sconosciuto: ${typeName}.${fieldName}`);
+      typeFields[fieldName].resolve = resolve;
+    });
+  });
+
+  return schema;
+};
+
+const schema = attachResolvers(buildSchema(typeDefs), resolvers);
+
+module.exports = {
+  typeDefs,
+  schema
+};
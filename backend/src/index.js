@@ -7,8 +7,8 @@ const app = require('./app');
 const logger = require('./utils/logger');
 const { setupScheduledJobs } = require('./jobs');
 const cron = require('node-cron');
-const Product = require('./models/Product');
-const PricePoint = require('./models/PricePoint');
+const { Product, PricePoint } = require('./db');
+const searchService = require('./services/search');
 
 // Importa i job
 let checkPriceAlerts;
@@ -59,6 +59,13 @@ const connectWithRetry = (retryCount = 0) => {
         } catch (err) {
           logger.error(`Errore nella verifica iniziale del database: ${err.message}`);
         }
+        
+        // Costruisce l'indice di ricerca prima delle prime richieste
+        try {
+          await searchService.rebuildIndex();
+        } catch (err) {
+          logger.error(`Errore nella costruzione dell'indice di ricerca: ${err.message}`);
+        }
       }, 5000);
     })
     .catch(err => {
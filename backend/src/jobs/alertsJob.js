@@ -1,11 +1,12 @@
 /**
  * Price alerts scheduled jobs
  */
+const config = require('../config/config');
 const logger = require('../utils/logger');
-const PriceAlert = require('../models/PriceAlert');
-const Product = require('../models/Product');
-const PricePoint = require('../models/PricePoint');
-const { clearCache } = require('../utils/cache');
+const { PriceAlert, Product, pricePoints, similarProducts } = require('../db');
+const notifier = require('../services/notifications');
+const alertRules = require('../services/alertRules');
+const priceNormalizer = require('../utils/priceNormalizer');
 
 /**
  * Process all price alerts 
@@ -17,38 +18,39 @@ async function processPriceAlerts() {
   try {
     logger.info('Starting price alerts processing');
     
-    // Get all active alerts
-    const activeAlerts = await PriceAlert.find({ 
-      status: 'ACTIVE',
-      triggered: false
-    }).populate('productId');
-    
-    logger.info(`Found ${activeAlerts.length} active price alerts to process`);
+    // Active alerts (recurring alerts stay ACTIVE after triggering) are read with a cursor
+    // and processed in batches of alerts.batchSize running in parallel
+    const cursor = PriceAlert.find({ status: 'ACTIVE' })
+      .populate('productId')
+      .populate('productGroupId')
+      .cursor();
     
-    if (activeAlerts.length === 0) {
-      return { 
-        status: 'success',
-        processed: 0,
-        triggered: 0
-      };
-    }
+    let processed = 0;
+    let triggeredAlerts = 0;
+    let batch = [];
     
-    // Process each alert
-    const results = await Promise.all(
-      activeAlerts.map(alert => processAlert(alert))
-    );
-    
-    // Count triggered alerts
-    const triggeredAlerts = results.filter(r => r.triggered).length;
+    const processBatch = async () => {
+      const results = await Promise.all(batch.map(alert => processAlert(alert)));
+      processed += results.length;
+      triggeredAlerts += results.filter(r => r.triggered).length;
+      batch = [];
+    };
     
-    // Clear alerts cache
-    await clearCache('api:/alerts/*');
+    for await (const alert of cursor) {
+      batch.push(alert);
+      if (batch.length >= config.alerts.batchSize) {
+        await processBatch();
+      }
+    }
+    if (batch.length > 0) {
+      await processBatch();
+    }
     
-    logger.info(`Price alerts processing completed. Triggered ${triggeredAlerts} of ${activeAlerts.length} alerts`);
+    logger.info(`Price alerts processing completed. Triggered ${triggeredAlerts} of ${processed} alerts`);
     
     return {
       status: 'success',
-      processed: activeAlerts.length,
+      processed,
       triggered: triggeredAlerts
     };
   } catch (error) {
@@ -57,33 +59,107 @@ async function processPriceAlerts() {
   }
 }
 
+/**
+ * Save fields of an alert (nothing is saved in a dry run)
+ * @param {Object} alert
+ * @param {Object} fields - Fields to $set
+ * @param {Object} options - dryRun
+ */
+async function saveAlert(alert, fields, { dryRun = false } = {}) {
+  if (dryRun) return;
+  await PriceAlert.updateOne({ _id: alert._id }, { $set: fields });
+}
+
+/**
+ * Notify a triggered alert and save its state
+ * ONCE alerts are closed unless delivery failed (retried on the next run). With keepSuppressed a
+ * notification held back by the frequency also leaves the alert pending.
+ * In a dry run the alert is neither notified nor saved: only the evaluation is returned.
+ * @param {Object} alert - The triggered alert
+ * @param {Object} event - Notification data: currentPrice, statusMessage and variant / extra
+ * @param {Object} settings
+ * @param {string} settings.label - Alert kind in the log message
+ * @param {Object} settings.update - Fields saved along with the trigger
+ * @param {Object} settings.deliveredUpdate - Fields saved only when the notification went out
+ * @param {boolean} settings.keepSuppressed - A suppressed notification does not count as delivered
+ * @param {Object} options - dryRun
+ * @returns {Object} Processing result
+ */
+async function triggerAlert(alert, event, { label = 'Alert', update = {}, deliveredUpdate = {}, keepSuppressed = false } = {}, { dryRun = false } = {}) {
+  if (dryRun) {
+    return {
+      alertId: alert._id,
+      triggered: true,
+      status: alert.status,
+      dryRun: true,
+      currentPrice: event.currentPrice,
+      message: event.statusMessage,
+      details: { ...(event.variant ? { variant: event.variant } : {}), ...event.extra }
+    };
+  }
+  
+  const triggeredAt = new Date();
+  const notification = await notifier.notifyAlert(alert, { ...event, triggeredAt });
+  
+  const delivered = notification.status !== 'FAILED'
+    && !(keepSuppressed && notification.status === 'SUPPRESSED');
+  const status = delivered && !notifier.isRecurring(alert) ? 'TRIGGERED' : 'ACTIVE';
+  
+  const $set = {
+    status,
+    triggered: true,
+    triggeredAt,
+    statusMessage: event.statusMessage,
+    ...update,
+    ...(delivered ? deliveredUpdate : {})
+  };
+  if (typeof event.currentPrice === 'number') $set.currentPrice = event.currentPrice;
+  
+  await saveAlert(alert, $set);
+  
+  logger.info(`${label} triggered: ${alert._id} - ${event.statusMessage} (notification: ${notification.status})`);
+  
+  return {
+    alertId: alert._id,
+    triggered: true,
+    status,
+    notification,
+    message: event.statusMessage
+  };
+}
+
 /**
  * Process a single price alert
  * @param {Object} alert - The price alert to process
+ * @param {Object} options - dryRun: evaluate the alert without notifying or saving it
  * @returns {Object} Processing result
  */
-async function processAlert(alert) {
+async function processAlert(alert, options = {}) {
   try {
+    if (alert.type === 'UNIT_PRICE_BELOW') {
+      return await processUnitPriceAlert(alert, options);
+    }
+    
     // Product may have been removed
     if (!alert.productId) {
-      await PriceAlert.updateOne(
-        { _id: alert._id },
-        { 
-          $set: { 
-            status: 'EXPIRED',
-            statusMessage: 'Product no longer exists'
-          } 
-        }
-      );
+      await saveAlert(alert, { status: 'EXPIRED', statusMessage: 'Product no longer exists' }, options);
       return { alertId: alert._id, triggered: false, status: 'EXPIRED' };
     }
     
+    if (alert.type === 'BACK_IN_STOCK' || alert.type === 'GOING_OUT_OF_STOCK') {
+      return await processStockAlert(alert, options);
+    }
+    
+    if (alert.type === 'CROSS_STORE_BELOW') {
+      return await processCrossStoreAlert(alert, options);
+    }
+    
+    if (alert.type === 'RULE') {
+      return await processRuleAlert(alert, options);
+    }
+    
     // Get the latest price for the product
-    const latestPricePoint = await PricePoint.findOne(
-      { productId: alert.productId._id },
-      {},
-      { sort: { timestamp: -1 } }
-    );
+    const latestPricePoint = await pricePoints.findLatest(alert.productId._id);
     
     if (!latestPricePoint) {
       return { alertId: alert._id, triggered: false, status: 'ACTIVE' };
@@ -122,34 +198,18 @@ async function processAlert(alert) {
         logger.warn(`Unknown alert type: ${alert.type}`);
     }
     
-    // If alert conditions are met, update the alert status
+    // If alert conditions are met, notify the user and update the alert status
     if (triggered) {
-      await PriceAlert.updateOne(
-        { _id: alert._id },
-        { 
-          $set: { 
-            triggered: true,
-            triggeredAt: new Date(),
-            currentPrice,
-            statusMessage
-          } 
-        }
-      );
-      
-      // This is where you'd send the actual notifications
-      // For now, we just log it
-      logger.info(`Alert triggered: ${alert._id} - ${statusMessage}`);
-      
-      // Here you would add code to send notifications via:
-      // - Email
-      // - Push notification
-      // - SMS
-      // etc.
+      return await triggerAlert(alert, { currentPrice, statusMessage }, {}, options);
+    }
+    
+    if (currentPrice !== alert.currentPrice) {
+      await saveAlert(alert, { currentPrice }, options);
     }
     
     return { 
       alertId: alert._id, 
-      triggered, 
+      triggered: false, 
       status: 'ACTIVE',
       message: statusMessage 
     };
@@ -159,9 +219,304 @@ async function processAlert(alert) {
   }
 }
 
+/**
+ * Process a BACK_IN_STOCK / GOING_OUT_OF_STOCK alert
+ * The alert fires on an availability transition between consecutive scrapes that happened after
+ * the last notified one and still holds. A transition held back by the notification frequency
+ * (DAILY) or by a failed delivery stays pending and is notified on a later run, unless the
+ * availability changes back in the meantime; with ALWAYS each transition is notified once.
+ * Every evaluation without a pending transition moves stockCheckedAt to the last scrape read, so
+ * the scrapes are read once and the availability is always the current one.
+ * @param {Object} alert - The stock alert to process (productId populated)
+ * @param {Object} options - dryRun
+ * @returns {Object} Processing result
+ */
+async function processStockAlert(alert, options = {}) {
+  const wantsInStock = alert.type === 'BACK_IN_STOCK';
+  const since = [alert.lastStockTransitionAt || alert.createdAt, alert.stockCheckedAt]
+    .filter(Boolean)
+    .reduce((latest, date) => (date > latest ? date : latest));
+  
+  const { transitions, inStock, checkedAt } = await pricePoints.findAvailabilityTransitions(alert.productId._id, { since });
+  const transition = inStock === wantsInStock
+    ? transitions.filter(item => item.inStock === wantsInStock).pop()
+    : null;
+  
+  if (!transition) {
+    if (checkedAt) {
+      await saveAlert(alert, { stockCheckedAt: checkedAt }, options);
+    }
+    const statusMessage = inStock === null
+      ? 'No availability data for this product yet'
+      : `Product is ${inStock ? 'in stock' : 'out of stock'}, no ${wantsInStock ? 'back-in-stock' : 'out-of-stock'} transition since ${since.toISOString()}`;
+    return { alertId: alert._id, triggered: false, status: 'ACTIVE', message: statusMessage };
+  }
+  
+  const currentPrice = transition.price;
+  const priceText = typeof currentPrice === 'number' ? ` at ${currentPrice.toFixed(2)}€` : '';
+  const statusMessage = wantsInStock
+    ? `Product is back in stock${priceText} since ${transition.timestamp.toISOString()}`
+    : `Product went out of stock on ${transition.timestamp.toISOString()} (last price${priceText || ' unknown'})`;
+  
+  return triggerAlert(alert, {
+    currentPrice,
+    statusMessage,
+    extra: {
+      availability: {
+        inStock,
+        changedAt: transition.timestamp.toISOString(),
+        variantId: transition.variantId
+      }
+    }
+  }, {
+    label: 'Stock alert',
+    // Notified transition: the next ones are searched from here
+    deliveredUpdate: { lastStockTransitionAt: transition.timestamp, stockCheckedAt: checkedAt },
+    keepSuppressed: true
+  }, options);
+}
+
+/**
+ * Process a UNIT_PRICE_BELOW alert on a product group
+ * The variants are re-ranked on the current prices of their products with the same computation
+ * used to build the group (priceNormalizer.summarizeGroupVariants): the alert fires when the best
+ * value among the sizes still available goes below the target price per kg.
+ * @param {Object} alert - The unit price alert to process (productGroupId populated)
+ * @param {Object} options - dryRun
+ * @returns {Object} Processing result
+ */
+async function processUnitPriceAlert(alert, options = {}) {
+  const group = alert.productGroupId;
+  
+  // Group may have been removed
+  if (!group) {
+    await saveAlert(alert, { status: 'EXPIRED', statusMessage: 'Product group no longer exists' }, options);
+    return { alertId: alert._id, triggered: false, status: 'EXPIRED' };
+  }
+  
+  const products = await Product.find({
+    _id: { $in: group.variants.map(variant => variant.productId) },
+    'availability.status': { $nin: ['OUT_OF_STOCK', 'DISCONTINUED'] }
+  }).select('name brand price details source url imageUrl').lean();
+  
+  const summary = priceNormalizer.summarizeGroupVariants(
+    products.map(product => priceNormalizer.buildGroupVariant(product)).filter(Boolean)
+  );
+  
+  if (!summary) {
+    return { alertId: alert._id, triggered: false, status: 'ACTIVE', message: 'No size with a price per kg available' };
+  }
+  
+  const best = summary.variants[0];
+  const product = products.find(item => item._id.equals(best.productId));
+  const currentUnitPrice = best.unitPrice.value;
+  const currentPrice = best.price;
+  const triggered = currentUnitPrice <= alert.targetUnitPrice;
+  const statusMessage = triggered ?
+    `Price per kg dropped to ${currentUnitPrice.toFixed(2)} EUR/kg (${best.size} at ${product.source}, ${currentPrice.toFixed(2)}€), below your target of ${alert.targetUnitPrice.toFixed(2)} EUR/kg` :
+    `Best price per kg (${currentUnitPrice.toFixed(2)} EUR/kg, ${best.size} at ${product.source}) still above your target (${alert.targetUnitPrice.toFixed(2)} EUR/kg)`;
+  
+  if (!triggered) {
+    if (currentUnitPrice !== alert.currentUnitPrice) {
+      await saveAlert(alert, { currentUnitPrice, currentPrice }, options);
+    }
+    return { alertId: alert._id, triggered: false, status: 'ACTIVE', message: statusMessage };
+  }
+  
+  const variant = {
+    productId: product._id.toString(),
+    name: product.name,
+    size: best.size,
+    source: product.source,
+    url: product.url,
+    price: currentPrice,
+    unitPrice: best.unitPrice
+  };
+  
+  return triggerAlert(alert, { currentPrice, statusMessage, variant }, {
+    label: 'Unit price alert',
+    update: { currentUnitPrice }
+  }, options);
+}
+
+/**
+ * Offers of the watched listing and of its matched equivalents in the other stores
+ * (ACTIVE SimilarProduct relations scoring at least the alert minSimilarity)
+ * @param {Object} alert - CROSS_STORE_BELOW or RULE alert (productId populated)
+ * @returns {Object} { offers: [{ listing, point, similarityScore }] by price, watchedPoint }
+ */
+async function findStoreOffers(alert) {
+  const watched = alert.productId;
+  const minScore = typeof alert.minSimilarity === 'number'
+    ? alert.minSimilarity
+    : config.matching.crossStoreMinScore;
+  
+  const relations = await similarProducts.findSimilar(watched._id, { minScore, differentSource: true });
+  const candidates = [
+    { listing: watched, similarityScore: 1 },
+    ...relations.map(relation => ({ listing: relation.product, similarityScore: relation.similarityScore }))
+  ];
+  const latest = await pricePoints.findLatestForProducts(candidates.map(candidate => candidate.listing._id));
+  
+  const offers = candidates
+    .map(candidate => ({ ...candidate, point: latest.get(candidate.listing._id.toString()) }))
+    .filter(({ point }) => point)
+    .sort((a, b) => a.point.price - b.point.price);
+  
+  return { offers, watchedPoint: latest.get(watched._id.toString()) || null };
+}
+
+/**
+ * Process a CROSS_STORE_BELOW alert
+ * Besides the watched listing, the alert follows its matched equivalents in the other stores
+ * (ACTIVE SimilarProduct relations scoring at least minSimilarity) and fires when the cheapest
+ * available offer among them is at or below the target price.
+ * @param {Object} alert - The cross-store alert to process (productId populated)
+ * @param {Object} options - dryRun
+ * @returns {Object} Processing result
+ */
+async function processCrossStoreAlert(alert, options = {}) {
+  const watched = alert.productId;
+  const { offers: storeOffers, watchedPoint } = await findStoreOffers(alert);
+  
+  // Only listings that can be bought: last scraped price in stock, product not unavailable
+  const offers = storeOffers.filter(({ listing, point }) => point.inStock !== false
+    && !['OUT_OF_STOCK', 'DISCONTINUED'].includes(listing.availability && listing.availability.status));
+  
+  if (offers.length === 0) {
+    return { alertId: alert._id, triggered: false, status: 'ACTIVE', message: 'No available offer in any store' };
+  }
+  
+  const best = offers[0];
+  const currentPrice = best.point.price;
+  const store = best.listing.source;
+  const triggered = currentPrice <= alert.targetPrice;
+  
+  if (!triggered) {
+    if (currentPrice !== alert.currentPrice) {
+      await saveAlert(alert, { currentPrice }, options);
+    }
+    return {
+      alertId: alert._id,
+      triggered: false,
+      status: 'ACTIVE',
+      message: `Best offer (${currentPrice.toFixed(2)}€ at ${store}) still above your target (${alert.targetPrice.toFixed(2)}€)`
+    };
+  }
+  
+  // Saving against the last price of the watched listing (even if it is out of stock)
+  const watchedPrice = watchedPoint ? watchedPoint.price : null;
+  const saving = watchedPrice !== null ? {
+    amount: Math.round((watchedPrice - currentPrice) * 100) / 100,
+    percentage: watchedPrice > 0 ? Math.round(((watchedPrice - currentPrice) / watchedPrice) * 10000) / 100 : 0
+  } : null;
+  
+  const statusMessage = `Best offer ${currentPrice.toFixed(2)}€ at ${store}, below your target of ${alert.targetPrice.toFixed(2)}€`
+    + (saving ? ` (saving ${saving.amount.toFixed(2)}€ against ${watched.source})` : '');
+  
+  return triggerAlert(alert, {
+    currentPrice,
+    statusMessage,
+    extra: {
+      offer: {
+        productId: best.listing._id.toString(),
+        name: best.listing.name,
+        store,
+        price: currentPrice,
+        url: best.point.url || best.listing.url,
+        similarityScore: best.similarityScore,
+        isWatchedListing: best.listing._id.equals(watched._id)
+      },
+      watchedPrice,
+      saving
+    }
+  }, { label: 'Cross-store alert' }, options);
+}
+
+/**
+ * Process a RULE alert
+ * The rule tree (services/alertRules) is evaluated on each offer of the watched listing and of its
+ * matched equivalents in the other stores; the alert fires on the cheapest offer satisfying it.
+ * @param {Object} alert - The rule alert to process (productId populated)
+ * @param {Object} options - dryRun
+ * @returns {Object} Processing result
+ */
+async function processRuleAlert(alert, options = {}) {
+  const watched = alert.productId;
+  const { offers, watchedPoint } = await findStoreOffers(alert);
+  const windows = alertRules.historyWindows(alert.rule);
+  const usesPreviousPrice = alertRules.usesPreviousPrice(alert.rule);
+  const dayMs = 24 * 60 * 60 * 1000;
+  
+  // Historical lows and previous prices are only loaded when the rule uses them
+  const evaluated = await Promise.all(offers.map(async (offer) => {
+    const before = new Date(offer.point.timestamp);
+    const lows = {};
+    await Promise.all(windows.map(async (days) => {
+      lows[days] = await pricePoints.findLowestPrice(offer.listing._id, {
+        from: new Date(before.getTime() - days * dayMs),
+        before
+      });
+    }));
+    const previousPrice = usesPreviousPrice
+      ? await pricePoints.findPreviousPrice(offer.listing._id, {
+        before,
+        variantId: offer.point.variant && offer.point.variant.id
+      })
+      : null;
+    // Drops from the reference are measured against the reference price of the watched listing
+    const facts = alertRules.buildFacts(offer.listing, offer.point, lows, {
+      previousPrice,
+      referencePrice: alert.referencePrice
+    });
+    return { ...offer, facts };
+  }));
+  
+  const description = alertRules.describeRule(alert.rule);
+  const match = evaluated.find(offer => alertRules.evaluateRule(alert.rule, offer.facts));
+  
+  if (!match) {
+    const currentPrice = watchedPoint ? watchedPoint.price : null;
+    if (currentPrice !== null && currentPrice !== alert.currentPrice) {
+      await saveAlert(alert, { currentPrice }, options);
+    }
+    return {
+      alertId: alert._id,
+      triggered: false,
+      status: 'ACTIVE',
+      message: `No offer in ${evaluated.length} stores matches the rule: ${description}`
+    };
+  }
+  
+  const { facts } = match;
+  const currentPrice = facts.price;
+  const statusMessage = `Rule matched at ${facts.store} (${currentPrice.toFixed(2)}€): ${description}`;
+  
+  return triggerAlert(alert, {
+    currentPrice,
+    statusMessage,
+    extra: {
+      rule: description,
+      offer: {
+        productId: match.listing._id.toString(),
+        name: match.listing.name,
+        store: facts.store,
+        price: currentPrice,
+        unitPrice: facts.unitPrice,
+        discount: facts.discount,
+        inStock: facts.inStock,
+        url: match.point.url || match.listing.url,
+        similarityScore: match.similarityScore,
+        isWatchedListing: match.listing._id.equals(watched._id)
+      }
+    }
+  }, { label: 'Rule alert' }, options);
+}
+
 /**
  * Clean up expired alerts
- * Removes alerts that have been triggered more than 30 days ago
+ * Removes closed alerts (TRIGGERED or EXPIRED) that have been triggered more than 30 days ago;
+ * recurring alerts stay ACTIVE after triggering and are kept
  */
 async function cleanupOldAlerts() {
   try {
@@ -169,6 +524,7 @@ async function cleanupOldAlerts() {
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
     const result = await PriceAlert.deleteMany({
+      status: { $in: ['TRIGGERED', 'EXPIRED'] },
       triggered: true,
       triggeredAt: { $lt: thirtyDaysAgo }
     });
@@ -187,5 +543,9 @@ async function cleanupOldAlerts() {
 module.exports = {
   processPriceAlerts,
   processAlert,
+  processStockAlert,
+  processUnitPriceAlert,
+  processCrossStoreAlert,
+  processRuleAlert,
   cleanupOldAlerts
 }; 
\ No newline at end of file
@@ -3,10 +3,14 @@
  */
 const cron = require('node-cron');
 const logger = require('../utils/logger');
-const { clearCache } = require('../utils/cache');
 const productsJob = require('./productsJob');
 const trendsJob = require('./trendsJob');
 const alertsJob = require('./alertsJob');
+const matchingEngine = require('../services/matching');
+const offerService = require('../services/offers');
+const priceHistory = require('../services/priceHistory');
+const searchService = require('../services/search');
+const cacheInvalidation = require('../services/cacheInvalidation');
 
 // Jobs configuration
 const JOBS = {
@@ -34,35 +38,53 @@ const JOBS = {
     description: 'Process and send price alerts'
   },
   
-  // Refresh cache for frequently accessed data (hourly)
-  REFRESH_CACHE: {
-    schedule: '0 * * * *',
+  // Purge cached responses that depend on prices and products written since the last run,
+  // including the data-collector writes (every minute)
+  INVALIDATE_CACHE: {
+    schedule: '* * * * *',
     enabled: true,
-    handler: async () => {
-      try {
-        await clearCache('api:/deals/*');
-        await clearCache('api:/products/featured');
-        logger.info('Cache refreshed for frequently changing data');
-      } catch (error) {
-        logger.error(`Failed to refresh cache: ${error.message}`);
-      }
-    },
-    description: 'Refresh cache for frequently accessed data'
+    handler: () => cacheInvalidation.syncRecentWrites(),
+    description: 'Purge cache entries tagged with recently written products'
   },
   
-  // Clean up old data (weekly on Sunday at 1:00 AM)
+  // Match newly imported products across stores (hourly)
+  MATCH_PRODUCTS: {
+    schedule: '45 * * * *',
+    enabled: true,
+    handler: () => matchingEngine.runIncremental(),
+    description: 'Match new products across stores'
+  },
+  
+  // Group store listings into canonical products with their offers (hourly, after matching)
+  SYNC_OFFERS: {
+    schedule: '55 * * * *',
+    enabled: true,
+    handler: () => offerService.syncPending(),
+    description: 'Sync canonical products and store offers'
+  },
+  
+  // Rebuild the in-memory product search and suggestion indexes (hourly, after the offers sync)
+  REBUILD_SEARCH_INDEX: {
+    schedule: '58 * * * *',
+    enabled: true,
+    handler: () => searchService.rebuildIndex(),
+    description: 'Rebuild the product search and suggestion indexes'
+  },
+  
+  // Re-index search and autocomplete as soon as new products are imported (every 10 minutes)
+  INDEX_IMPORTED_PRODUCTS: {
+    schedule: '*/10 * * * *',
+    enabled: true,
+    handler: () => searchService.refreshIfImported(),
+    description: 'Rebuild the search and suggestion indexes after product imports'
+  },
+  
+  // Roll up expired price points into daily and weekly OHLC aggregates (weekly on Sunday at 1:00 AM)
   CLEANUP_OLD_DATA: {
     schedule: '0 1 * * 0',
     enabled: true,
-    handler: async () => {
-      try {
-        // Implement cleanup logic
-        logger.info('Old data cleanup completed');
-      } catch (error) {
-        logger.error(`Failed to clean up old data: ${error.message}`);
-      }
-    },
-    description: 'Clean up old and redundant data'
+    handler: () => priceHistory.runRetention(),
+    description: 'Apply the price history retention policy'
   }
 };
 
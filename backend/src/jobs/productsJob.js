@@ -2,9 +2,8 @@
  * Product-related scheduled jobs
  */
 const logger = require('../utils/logger');
-const Product = require('../models/Product');
-const SimilarProduct = require('../models/SimilarProduct');
-const { clearCache } = require('../utils/cache');
+const { Product, SimilarProduct, similarProducts } = require('../db');
+const cacheInvalidation = require('../services/cacheInvalidation');
 
 /**
  * Update product data and refresh cache
@@ -21,10 +20,9 @@ async function updateProductData() {
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
     // Find products that haven't been updated in 30 days and mark as potentially unavailable
+    const outdatedIds = await Product.distinct('_id', { 'lastPriceUpdate': { $lt: thirtyDaysAgo } });
     const outdatedProducts = await Product.updateMany(
-      { 
-        'lastPriceUpdate': { $lt: thirtyDaysAgo } 
-      },
+      { _id: { $in: outdatedIds } },
       { 
         $set: { 
           'availability.status': 'POTENTIALLY_UNAVAILABLE',
@@ -36,11 +34,10 @@ async function updateProductData() {
     logger.info(`Marked ${outdatedProducts.modifiedCount} products as potentially unavailable`);
     
     // 2. Refresh similar products data
-    await refreshSimilarProducts();
+    const { productIds: unlinkedIds } = await refreshSimilarProducts();
     
-    // 3. Clear product-related cache
-    await clearCache('api:/products/*');
-    await clearCache('api:/deals/*');
+    // 3. Purge the cached responses of the products updated above
+    await cacheInvalidation.invalidateProducts([...outdatedIds, ...unlinkedIds]);
     
     logger.info('Product data update completed successfully');
     return {
@@ -67,14 +64,9 @@ async function refreshSimilarProducts() {
     const beforeCount = await SimilarProduct.countDocuments();
     
     // Remove similar product entries for products that are no longer available
-    const result = await SimilarProduct.deleteMany({
-      $or: [
-        { 'product1.available': false },
-        { 'product2.available': false }
-      ]
-    });
+    const { removedCount, productIds } = await similarProducts.removeForUnavailableProducts();
     
-    logger.info(`Removed ${result.deletedCount} obsolete similar product entries`);
+    logger.info(`Removed ${removedCount} obsolete similar product entries`);
     
     // You might add logic here to find new similar products
     // This would typically involve complex product matching algorithms
@@ -85,7 +77,8 @@ async function refreshSimilarProducts() {
     logger.info(`Similar products refresh completed. Before: ${beforeCount}, After: ${afterCount}`);
     return {
       status: 'success',
-      removedCount: result.deletedCount,
+      removedCount,
+      productIds,
       beforeCount,
       afterCount
     };
@@ -2,9 +2,7 @@
  * Trend analysis scheduled jobs
  */
 const logger = require('../utils/logger');
-const Product = require('../models/Product');
-const PricePoint = require('../models/PricePoint');
-const { clearCache } = require('../utils/cache');
+const { Product, PricePoint, pricePoints: pricePointRepository } = require('../db');
 
 /**
  * Generate price trends and analytics
@@ -27,9 +25,6 @@ async function generateTrends() {
       analyzeCategoryTrends()
     ]);
     
-    // Clear trend-related cache
-    await clearCache('api:/trends/*');
-    
     logger.info('Trend analysis completed successfully');
     return {
       status: 'success',
@@ -63,7 +58,7 @@ async function findLargestPriceDrops() {
       // Group by product ID and find min and max prices
       { 
         $group: { 
-          _id: '$productId',
+          _id: '$product',
           minPrice: { $min: '$price' },
           maxPrice: { $max: '$price' },
           pricePoints: { $push: { price: '$price', timestamp: '$timestamp' } },
@@ -117,38 +112,15 @@ async function calculatePriceIncreases() {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
-    // Similar aggregation to findLargestPriceDrops but for increases
+    // Compare the first and last price of each product in the period
     const result = await PricePoint.aggregate([
       { $match: { timestamp: { $gte: thirtyDaysAgo } } },
+      { $sort: { timestamp: 1 } },
       { 
         $group: { 
-          _id: '$productId',
-          earliestPrice: { 
-            $first: { 
-              $arrayElemAt: [
-                { $filter: {
-                  input: '$price',
-                  as: 'p',
-                  cond: { $eq: ['$$p.timestamp', '$oldestTimestamp'] }
-                }},
-                0
-              ]
-            }
-          },
-          latestPrice: { 
-            $first: { 
-              $arrayElemAt: [
-                { $filter: {
-                  input: '$price',
-                  as: 'p',
-                  cond: { $eq: ['$$p.timestamp', '$newestTimestamp'] }
-                }},
-                0
-              ]
-            }
-          },
-          oldestTimestamp: { $min: '$timestamp' },
-          newestTimestamp: { $max: '$timestamp' }
+          _id: '$product',
+          earliestPrice: { $first: '$price' },
+          latestPrice: { $last: '$price' }
         } 
       },
       {
@@ -182,7 +154,7 @@ async function calculatePriceStability() {
       { $match: { timestamp: { $gte: ninetyDaysAgo } } },
       { 
         $group: { 
-          _id: '$productId',
+          _id: '$product',
           pricePoints: { $push: '$price' },
           priceCount: { $sum: 1 },
           avgPrice: { $avg: '$price' },
@@ -241,28 +213,15 @@ async function analyzeCategoryTrends() {
     for (const [category, productIds] of Object.entries(productsByCategory)) {
       if (productIds.length < 5) continue; // Skip categories with too few products
       
-      // Find price points for products in this category
-      const pricePoints = await PricePoint.find({
-        productId: { $in: productIds },
-        timestamp: { $gte: thirtyDaysAgo }
-      }).sort({ timestamp: 1 });
-      
-      // Group price points by date (day) and calculate average price
-      const pricesByDay = {};
-      pricePoints.forEach(pp => {
-        const day = pp.timestamp.toISOString().split('T')[0];
-        if (!pricesByDay[day]) {
-          pricesByDay[day] = { sum: 0, count: 0 };
-        }
-        pricesByDay[day].sum += pp.price;
-        pricesByDay[day].count += 1;
-      });
-      
-      // Calculate average price for each day
-      const trend = Object.entries(pricesByDay).map(([day, data]) => ({
-        day,
-        avgPrice: data.sum / data.count
-      })).sort((a, b) => new Date(a.day) - new Date(b.day));
+      // Average price per day for products in this category
+      const trend = (await pricePointRepository.aggregateDailyPrices({
+        productIds,
+        from: thirtyDaysAgo,
+        bySource: false
+      })).map(point => ({
+        day: point.date,
+        avgPrice: point.avg
+      }));
       
       // Calculate trend direction
       if (trend.length >= 2) {
@@ -40,9 +40,10 @@ const dayCache = cacheMiddleware(CACHE_DURATIONS.DAY);
 /**
  * Utility to create a cache middleware with custom duration
  * @param {number} durationInSeconds - Cache duration in seconds
+ * @param {Object} options - Options of cacheMiddleware (staleWhileRevalidate, dependsOn)
  * @returns {Function} Express middleware
  */
-const customCache = (durationInSeconds) => cacheMiddleware(durationInSeconds);
+const customCache = (durationInSeconds, options) => cacheMiddleware(durationInSeconds, options);
 
 /**
  * Dynamic cache based on content type
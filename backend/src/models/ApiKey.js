@@ -0,0 +1,59 @@
+/**
+ * API Key Model
+ * Chiavi per l'accesso machine-to-machine agli endpoint amministrativi.
+ * La chiave in chiaro viene mostrata solo alla creazione: qui si salva l'hash SHA-256.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Verifica se il modello esiste già per evitare l'errore "OverwriteModelError"
+if (mongoose.models.ApiKey) {
+  module.exports = mongoose.models.ApiKey;
+} else {
+  const ApiKeySchema = new Schema({
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    
+    // Primi caratteri della chiave, per riconoscerla nei log e nelle liste
+    prefix: {
+      type: String,
+      required: true
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    
+    // Scope concessi (es. catalog:write, alerts:admin)
+    scopes: {
+      type: [String],
+      required: true
+    },
+    
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastUsedAt: Date,
+    expiresAt: Date,
+    revokedAt: Date
+  }, {
+    timestamps: true
+  });
+
+  ApiKeySchema.set('toJSON', {
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      delete ret.__v;
+      return ret;
+    }
+  });
+  
+  // Esporta il modello verificando prima se esiste già
+  module.exports = mongoose.models.ApiKey || mongoose.model('ApiKey', ApiKeySchema);
+}
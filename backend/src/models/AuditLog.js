@@ -0,0 +1,62 @@
+/**
+ * Audit Log Model
+ * Registro delle chiamate agli endpoint protetti da scope: chi, cosa e con quali parametri
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Verifica se il modello esiste già per evitare l'errore "OverwriteModelError"
+if (mongoose.models.AuditLog) {
+  module.exports = mongoose.models.AuditLog;
+} else {
+  const AuditLogSchema = new Schema({
+    // Scope richiesto dalla route
+    scope: {
+      type: String,
+      required: true,
+      index: true
+    },
+    method: {
+      type: String,
+      required: true
+    },
+    path: {
+      type: String,
+      required: true
+    },
+    
+    // Chiamante: utente admin (JWT) oppure API key
+    actor: {
+      type: {
+        type: String,
+        enum: ['user', 'apiKey'],
+        required: true
+      },
+      id: {
+        type: String,
+        required: true,
+        index: true
+      },
+      label: String
+    },
+    
+    // Parametri della richiesta (i campi sensibili sono oscurati)
+    params: {
+      params: Schema.Types.Mixed,
+      query: Schema.Types.Mixed,
+      body: Schema.Types.Mixed
+    },
+    
+    statusCode: Number,
+    durationMs: Number,
+    ipAddress: String,
+    userAgent: String
+  }, {
+    timestamps: true
+  });
+
+  AuditLogSchema.index({ createdAt: -1 });
+  
+  // Esporta il modello verificando prima se esiste già
+  module.exports = mongoose.models.AuditLog || mongoose.model('AuditLog', AuditLogSchema);
+}
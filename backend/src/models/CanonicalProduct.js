@@ -0,0 +1,94 @@
+/**
+ * Canonical Product Model
+ * Un articolo unico con le offerte dei diversi negozi (zooplus, arcaplanet, ...).
+ * Ogni offerta corrisponde a una scheda Product raccolta da un negozio; le schede vengono
+ * raggruppate a partire dalle corrispondenze confermate (services/offers).
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Verifica se il modello esiste già per evitare l'errore "OverwriteModelError"
+if (mongoose.models.CanonicalProduct) {
+  module.exports = mongoose.models.CanonicalProduct;
+} else {
+  const OfferSchema = new Schema({
+    // Scheda del negozio da cui proviene l'offerta
+    listing: {
+      type: Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    store: {
+      type: String,
+      required: true
+    },
+    sourceId: String,
+    name: String,
+    url: String,
+    
+    price: Number,
+    originalPrice: Number,
+    // Prezzo effettivamente pagato (ultimo prezzo rilevato, già scontato)
+    effectivePrice: Number,
+    currency: {
+      type: String,
+      default: 'EUR'
+    },
+    
+    inStock: {
+      type: Boolean,
+      default: true
+    },
+    lastSeenAt: Date
+  }, {
+    _id: false
+  });
+
+  const CanonicalProductSchema = new Schema({
+    name: {
+      type: String,
+      required: true,
+      index: true
+    },
+    brand: {
+      type: String,
+      index: true
+    },
+    category: String,
+    petType: String,
+    imageUrl: String,
+    gtin: String,
+    weightGrams: Number,
+    
+    // Offerte ordinate per prezzo effettivo (prima quelle disponibili)
+    offers: [OfferSchema],
+    
+    bestOffer: {
+      store: String,
+      listing: {
+        type: Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      effectivePrice: Number
+    },
+    priceRange: {
+      min: Number,
+      max: Number
+    },
+    storeCount: {
+      type: Number,
+      default: 0
+    },
+    
+    lastSyncedAt: Date
+  }, {
+    timestamps: true
+  });
+  
+  CanonicalProductSchema.index({ 'offers.listing': 1 });
+  CanonicalProductSchema.index({ 'bestOffer.effectivePrice': 1 });
+  CanonicalProductSchema.index({ updatedAt: -1 });
+  
+  // Esporta il modello verificando prima se esiste già
+  module.exports = mongoose.models.CanonicalProduct || mongoose.model('CanonicalProduct', CanonicalProductSchema);
+}
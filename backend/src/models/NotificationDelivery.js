@@ -0,0 +1,60 @@
+/**
+ * Notification Delivery Model
+ * Registra ogni tentativo di consegna di una notifica per un avviso di prezzo
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Verifica se il modello esiste già per evitare l'errore "OverwriteModelError"
+if (mongoose.models.NotificationDelivery) {
+  module.exports = mongoose.models.NotificationDelivery;
+} else {
+  const NotificationDeliverySchema = new Schema({
+    // Avviso che ha generato la notifica
+    alert: {
+      type: Schema.Types.ObjectId,
+      ref: 'PriceAlert',
+      required: true,
+      index: true
+    },
+    userId: {
+      type: String,
+      index: true
+    },
+    
+    // Canale utilizzato e destinatario (email, URL del webhook, file)
+    channel: {
+      type: String,
+      enum: ['email', 'webhook', 'console'],
+      required: true
+    },
+    recipient: String,
+    
+    // Esito del tentativo
+    status: {
+      type: String,
+      enum: ['SENT', 'FAILED', 'SKIPPED'],
+      required: true,
+      index: true
+    },
+    attempt: {
+      type: Number,
+      default: 1
+    },
+    error: String,
+    
+    // Risposta del canale (es. messageId SMTP, status code HTTP)
+    response: Schema.Types.Mixed,
+    
+    // Contenuto inviato
+    subject: String,
+    payload: Schema.Types.Mixed
+  }, {
+    timestamps: true
+  });
+
+  NotificationDeliverySchema.index({ alert: 1, createdAt: -1 });
+  
+  // Esporta il modello verificando prima se esiste già
+  module.exports = mongoose.models.NotificationDelivery || mongoose.model('NotificationDelivery', NotificationDeliverySchema);
+}
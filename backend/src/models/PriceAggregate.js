@@ -0,0 +1,92 @@
+/**
+ * Price Aggregate Model
+ * Aggregati OHLC (apertura/massimo/minimo/chiusura) dello storico prezzi.
+ * Quando i PricePoint superano il periodo di conservazione vengono riassunti in un
+ * aggregato giornaliero per prodotto, fonte e variante; gli aggregati giornalieri più
+ * vecchi vengono a loro volta riassunti in aggregati settimanali (services/priceHistory).
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Verifica se il modello esiste già per evitare l'errore "OverwriteModelError"
+if (mongoose.models.PriceAggregate) {
+  module.exports = mongoose.models.PriceAggregate;
+} else {
+  const PriceAggregateSchema = new Schema({
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    source: {
+      type: String,
+      required: true
+    },
+    // Stringa vuota se il punto prezzo non aveva una variante
+    variantId: {
+      type: String,
+      default: ''
+    },
+    variantName: String,
+
+    resolution: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      required: true
+    },
+    // Inizio del periodo (mezzanotte UTC, lunedì per gli aggregati settimanali)
+    periodStart: {
+      type: Date,
+      required: true
+    },
+
+    // OHLC
+    open: Number,
+    high: Number,
+    low: Number,
+    close: Number,
+    // Somma e numero dei prezzi originali, per unire gli aggregati senza perdere la media
+    sum: Number,
+    count: Number,
+    avg: Number,
+    // Prezzi rilevati in promozione (discountPercentage > 0)
+    promotions: {
+      type: Number,
+      default: 0
+    },
+
+    // Primo e ultimo rilevamento compresi nell'aggregato
+    firstAt: Date,
+    lastAt: Date,
+
+    currency: {
+      type: String,
+      default: 'EUR'
+    },
+    // Disponibilità all'ultimo rilevamento
+    inStock: Boolean,
+
+    // Rollup della retention che sta riassumendo questo aggregato giornaliero in un settimanale
+    rollupId: String,
+    // Rollup già uniti all'aggregato i cui dati di partenza non sono ancora stati eliminati
+    rollupIds: [String]
+  }, {
+    timestamps: true
+  });
+
+  // Chiave dell'aggregato (usata anche da $merge durante il rollup)
+  PriceAggregateSchema.index(
+    { product: 1, source: 1, variantId: 1, resolution: 1, periodStart: 1 },
+    { unique: true }
+  );
+  PriceAggregateSchema.index({ product: 1, firstAt: 1 });
+  PriceAggregateSchema.index({ resolution: 1, periodStart: 1 });
+  // Ultimo aggregato scritto, per i validatori HTTP dello storico (pricePoints.findLatestTimestamp)
+  PriceAggregateSchema.index({ product: 1, updatedAt: -1 });
+  PriceAggregateSchema.index({ updatedAt: -1 });
+  PriceAggregateSchema.index({ rollupId: 1 }, { sparse: true });
+  PriceAggregateSchema.index({ rollupIds: 1 });
+
+  // Esporta il modello verificando prima se esiste già
+  module.exports = mongoose.models.PriceAggregate || mongoose.model('PriceAggregate', PriceAggregateSchema);
+}
@@ -2,15 +2,16 @@
  * Price Alert Model
  * Schema for storing user price alerts
  */
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { isEmail } = require('../utils/email');
 const Schema = mongoose.Schema;
 
 const PriceAlertSchema = new Schema({
-  // User identification (simple string until auth is implemented)
+  // Owner of the alert (User id from the JWT)
   userId: {
     type: String,
     required: true,
-    default: 'anonymous',
     index: true
   },
   
@@ -18,25 +19,59 @@ const PriceAlertSchema = new Schema({
   productId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
-    required: true,
+    required: function() {
+      return this.type !== 'UNIT_PRICE_BELOW';
+    },
+    index: true
+  },
+  
+  // Reference to the product group being monitored (for UNIT_PRICE_BELOW alerts, all sizes)
+  productGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductGroup',
+    required: function() {
+      return this.type === 'UNIT_PRICE_BELOW';
+    },
     index: true
   },
   
   // Type of alert
   type: {
     type: String,
-    enum: ['PRICE_BELOW', 'PRICE_ABOVE', 'PRICE_CHANGE'],
+    enum: ['PRICE_BELOW', 'PRICE_ABOVE', 'PRICE_CHANGE', 'BACK_IN_STOCK', 'GOING_OUT_OF_STOCK', 'UNIT_PRICE_BELOW', 'CROSS_STORE_BELOW', 'RULE'],
     required: true
   },
   
-  // Target price (for PRICE_BELOW and PRICE_ABOVE alerts)
+  // Target price (for PRICE_BELOW, PRICE_ABOVE and CROSS_STORE_BELOW alerts)
   targetPrice: {
     type: Number,
     required: function() {
-      return this.type === 'PRICE_BELOW' || this.type === 'PRICE_ABOVE';
+      return ['PRICE_BELOW', 'PRICE_ABOVE', 'CROSS_STORE_BELOW'].includes(this.type);
     }
   },
   
+  // Rule expression tree of and/or groups and conditions (for RULE alerts, validated by services/alertRules)
+  rule: {
+    type: Schema.Types.Mixed,
+    required: function() {
+      return this.type === 'RULE';
+    }
+  },
+  
+  // Minimum similarity score of the matched products in other stores (for CROSS_STORE_BELOW and
+  // RULE alerts, default config.matching.crossStoreMinScore)
+  minSimilarity: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  
+  // Conditions that tell apart alerts of the same type on the same product (rule hash for RULE alerts,
+  // target price and similarity for CROSS_STORE_BELOW alerts), set before validation
+  conditionsKey: {
+    type: String
+  },
+  
   // Target percentage change (for PRICE_CHANGE alerts)
   targetPercentage: {
     type: Number,
@@ -53,11 +88,36 @@ const PriceAlertSchema = new Schema({
     }
   },
   
+  // Target price per kg in EUR/kg (for UNIT_PRICE_BELOW alerts)
+  targetUnitPrice: {
+    type: Number,
+    required: function() {
+      return this.type === 'UNIT_PRICE_BELOW';
+    }
+  },
+  
   // Current price when the alert was created or last checked
   currentPrice: {
     type: Number
   },
   
+  // Best price per kg of the group when the alert was last checked (for UNIT_PRICE_BELOW alerts)
+  currentUnitPrice: {
+    type: Number
+  },
+  
+  // Availability transition last notified (for BACK_IN_STOCK and GOING_OUT_OF_STOCK alerts):
+  // only transitions between scrapes after this date (or after creation) can trigger the alert
+  lastStockTransitionAt: {
+    type: Date
+  },
+
+  // Last scrape examined by a stock alert evaluation that found no pending transition:
+  // the next evaluation reads only the scrapes after it
+  stockCheckedAt: {
+    type: Date
+  },
+  
   // Alert status
   status: {
     type: String,
@@ -87,9 +147,7 @@ const PriceAlertSchema = new Schema({
   notificationEmail: {
     type: String,
     validate: {
-      validator: function(v) {
-        return /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/.test(v);
-      },
+      validator: isEmail,
       message: 'Please enter a valid email address'
     },
     required: function() {
@@ -97,10 +155,27 @@ const PriceAlertSchema = new Schema({
     }
   },
   
+  // Webhook to receive notifications (for WEBHOOK notifications), HTTPS only
+  notificationWebhookUrl: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^https:\/\/\S+$/i.test(v);
+      },
+      message: 'Please enter a valid HTTPS webhook URL'
+    }
+  },
+  
+  // Secret signing this alert's webhook payloads (X-Signature), returned only when generated
+  notificationWebhookSecret: {
+    type: String,
+    select: false
+  },
+  
   // Notification type
   notificationType: {
     type: String,
-    enum: ['EMAIL', 'PUSH', 'SMS', 'NONE'],
+    enum: ['EMAIL', 'WEBHOOK', 'PUSH', 'SMS', 'NONE'],
     default: 'EMAIL'
   },
   
@@ -119,8 +194,59 @@ const PriceAlertSchema = new Schema({
   timestamps: true
 });
 
+/**
+ * Serialize a value with sorted object keys, so equal rules give the same text
+ * @param {*} value
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Build the conditions key of an alert (part of the unique index)
+ * @param {Object} alert - type, rule, targetPrice, minSimilarity
+ * @returns {string|undefined} undefined for types allowed once per product
+ */
+PriceAlertSchema.statics.buildConditionsKey = function(alert) {
+  if (alert.type === 'RULE' && alert.rule) {
+    return crypto.createHash('sha256').update(canonicalJson(alert.rule)).digest('hex');
+  }
+  if (alert.type === 'CROSS_STORE_BELOW') {
+    return `${alert.targetPrice}|${alert.minSimilarity === undefined || alert.minSimilarity === null ? '' : alert.minSimilarity}`;
+  }
+  return undefined;
+};
+
+/**
+ * Generate a webhook signing secret
+ * @returns {string}
+ */
+PriceAlertSchema.statics.generateWebhookSecret = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// New alerts with a webhook get their own signing secret; the conditions key follows the current conditions
+PriceAlertSchema.pre('validate', function(next) {
+  if (this.isNew && this.notificationWebhookUrl && !this.notificationWebhookSecret) {
+    this.notificationWebhookSecret = this.constructor.generateWebhookSecret();
+  }
+  this.conditionsKey = this.constructor.buildConditionsKey(this);
+  next();
+});
+
 // Create indexes
-PriceAlertSchema.index({ userId: 1, productId: 1, type: 1 }, { unique: true });
+// Product alerts have no productGroupId and group alerts no productId; RULE and CROSS_STORE_BELOW
+// alerts on the same product are allowed as long as their conditions differ
+PriceAlertSchema.index({ userId: 1, productId: 1, productGroupId: 1, type: 1, conditionsKey: 1 }, { unique: true });
 PriceAlertSchema.index({ createdAt: -1 });
 PriceAlertSchema.index({ updatedAt: -1 });
 PriceAlertSchema.index({ triggered: 1, triggeredAt: 1 });
@@ -77,7 +77,10 @@ if (mongoose.models.PricePoint) {
       userAgent: String,
       ipAddress: String,
       apiVersion: String
-    }
+    },
+    
+    // Retention rollup that is summarizing this point (set until the point is deleted)
+    rollupId: String
   }, {
     timestamps: true
   });
@@ -85,7 +88,9 @@ if (mongoose.models.PricePoint) {
   // Indices for faster queries
   PricePointSchema.index({ product: 1, source: 1, timestamp: -1 });
   PricePointSchema.index({ product: 1, timestamp: -1 });
+  PricePointSchema.index({ product: 1, 'variant.id': 1, timestamp: -1 });
   PricePointSchema.index({ source: 1, timestamp: -1 });
+  PricePointSchema.index({ rollupId: 1 }, { sparse: true });
   
   // Esporta il modello verificando prima se esiste già
   module.exports = mongoose.models.PricePoint || mongoose.model('PricePoint', PricePointSchema);
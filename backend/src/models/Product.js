@@ -43,8 +43,15 @@ if (mongoose.models.Product) {
       type: String,
       index: true
     },
+    sku: String,
+    // EAN/GTIN, quando il negozio lo espone
+    gtin: {
+      type: String,
+      index: true,
+      sparse: true
+    },
     url: String,
-    
+
     // Images
     imageUrl: String,
     additionalImages: [String],
@@ -133,6 +140,30 @@ if (mongoose.models.Product) {
       }
     },
     
+    // Articolo canonico che raggruppa le offerte dei negozi (services/offers)
+    canonicalProduct: {
+      type: Schema.Types.ObjectId,
+      ref: 'CanonicalProduct',
+      index: true
+    },
+    offersSyncedAt: Date,
+    
+    // Chiavi normalizzate del motore di matching (services/matching)
+    matching: {
+      brandKey: {
+        type: String,
+        index: true
+      },
+      tokens: {
+        type: [String],
+        index: true
+      },
+      weightGrams: Number,
+      keysVersion: String,
+      lastMatchedAt: Date,
+      algorithmVersion: String
+    },
+    
     // SEO/analysis data
     keywords: [String],
     popularity: {
@@ -157,6 +188,8 @@ if (mongoose.models.Product) {
   ProductSchema.index({ name: 1, brand: 1 });
   ProductSchema.index({ petType: 1, category: 1 });
   ProductSchema.index({ source: 1, sourceId: 1 }, { unique: true });
+  // Scansione delle modifiche recenti per l'invalidazione della cache
+  ProductSchema.index({ updatedAt: -1 });
   
   // Create text index for search
   ProductSchema.index({ 
@@ -0,0 +1,42 @@
+/**
+ * Refresh Token Model
+ * Refresh token opachi, salvati come hash SHA-256. Ogni utilizzo ruota il token:
+ * quello vecchio viene revocato e collegato al nuovo tramite replacedBy.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Verifica se il modello esiste già per evitare l'errore "OverwriteModelError"
+if (mongoose.models.RefreshToken) {
+  module.exports = mongoose.models.RefreshToken;
+} else {
+  const RefreshTokenSchema = new Schema({
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: Date,
+    replacedBy: String,
+    userAgent: String,
+    ipAddress: String
+  }, {
+    timestamps: true
+  });
+
+  // MongoDB elimina automaticamente i token scaduti
+  RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  
+  // Esporta il modello verificando prima se esiste già
+  module.exports = mongoose.models.RefreshToken || mongoose.model('RefreshToken', RefreshTokenSchema);
+}
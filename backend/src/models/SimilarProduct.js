@@ -97,6 +97,7 @@ if (mongoose.models.SimilarProduct) {
   // Create indexes for efficient querying
   SimilarProductSchema.index({ product: 1, similarityScore: -1 });
   SimilarProductSchema.index({ similarTo: 1, similarityScore: -1 });
+  SimilarProductSchema.index({ updatedAt: -1 });
   
   // Ensure unique relationship pairs
   SimilarProductSchema.index({ product: 1, similarTo: 1 }, { unique: true });
@@ -0,0 +1,61 @@
+/**
+ * User Model
+ * Account utente per l'autenticazione e la gestione degli avvisi di prezzo
+ */
+const mongoose = require('mongoose');
+const { isEmail } = require('../utils/email');
+const Schema = mongoose.Schema;
+
+// Verifica se il modello esiste già per evitare l'errore "OverwriteModelError"
+if (mongoose.models.User) {
+  module.exports = mongoose.models.User;
+} else {
+  const UserSchema = new Schema({
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      validate: {
+        validator: isEmail,
+        message: 'Please enter a valid email address'
+      }
+    },
+    
+    // Hash bcrypt della password (mai restituito dalle API)
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    
+    name: {
+      type: String,
+      trim: true
+    },
+    
+    // Gli admin hanno tutti gli scope (vedi services/apiKeyService)
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user'
+    },
+    
+    lastLoginAt: Date
+  }, {
+    timestamps: true
+  });
+
+  // Rimuove i campi sensibili dalla serializzazione JSON
+  UserSchema.set('toJSON', {
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      delete ret.__v;
+      return ret;
+    }
+  });
+  
+  // Esporta il modello verificando prima se esiste già
+  module.exports = mongoose.models.User || mongoose.model('User', UserSchema);
+}
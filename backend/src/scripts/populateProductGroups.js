@@ -6,8 +6,7 @@
  */
 require('dotenv').config();
 const mongoose = require('mongoose');
-const Product = require('../models/Product');
-const ProductGroup = require('../models/ProductGroup');
+const { Product, ProductGroup } = require('../db');
 const priceNormalizer = require('../utils/priceNormalizer');
 const logger = require('../utils/logger');
 
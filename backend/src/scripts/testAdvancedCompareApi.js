@@ -7,7 +7,7 @@
 require('dotenv').config();
 const axios = require('axios');
 const mongoose = require('mongoose');
-const Product = require('../models/Product');
+const { Product } = require('../db');
 const logger = require('../utils/logger');
 
 // Configurazione API
@@ -0,0 +1,290 @@
+/**
+ * Alert Rules Service
+ * Regole componibili degli avvisi di tipo RULE: un albero di gruppi (and / or) e condizioni
+ * sui dati di un'offerta (prezzo, prezzo al kg, sconto, calo di prezzo, disponibilità, negozio, minimo storico).
+ *
+ *   { "and": [
+ *     { "field": "price", "op": "lt", "value": 40 },
+ *     { "field": "inStock" },
+ *     { "or": [{ "field": "store", "value": "arcaplanet" }, { "field": "historicalLow", "days": 90 }] }
+ *   ] }
+ *
+ * La regola viene validata alla creazione e alla modifica dell'avviso (validateRule) e valutata da
+ * alertsJob sui dati di ciascuna offerta (buildFacts, evaluateRule).
+ */
+const Joi = require('joi');
+const MESSAGES = require('../../utils/validationMessages');
+const priceNormalizer = require('../../utils/priceNormalizer');
+
+// Confronti ammessi per i campi numerici
+const COMPARISONS = {
+  lt: { symbol: '<', test: (actual, expected) => actual < expected },
+  lte: { symbol: '<=', test: (actual, expected) => actual <= expected },
+  gt: { symbol: '>', test: (actual, expected) => actual > expected },
+  gte: { symbol: '>=', test: (actual, expected) => actual >= expected }
+};
+
+// Campi numerici: prezzo (EUR), prezzo al kg (EUR/kg), sconto del negozio (%)
+const NUMERIC_FIELDS = ['price', 'unitPrice', 'discount'];
+
+const FIELDS = [...NUMERIC_FIELDS, 'drop', 'inStock', 'store', 'historicalLow'];
+
+const STORE_OPERATORS = ['eq', 'ne', 'in', 'nin'];
+
+// Prezzi da cui si misura il calo (%): rilevamento precedente dell'offerta o prezzo di riferimento dell'avviso
+const DROP_BASES = ['previous', 'reference'];
+
+// Limiti della regola: profondità dei gruppi, condizioni totali, finestra del minimo storico
+const MAX_DEPTH = 4;
+const MAX_CONDITIONS = 20;
+const MAX_HISTORY_DAYS = 365;
+const DEFAULT_HISTORY_DAYS = 90;
+
+const group = () => Joi.array().items(Joi.link('#alertRule')).min(1).max(MAX_CONDITIONS);
+
+const storeName = () => Joi.string().trim().lowercase().max(100);
+
+const ruleSchema = Joi.object({
+  and: group(),
+  or: group(),
+  field: Joi.string().valid(...FIELDS),
+  op: Joi.when('field', {
+    switch: [
+      { is: Joi.valid(...NUMERIC_FIELDS, 'drop').required(), then: Joi.string().valid(...Object.keys(COMPARISONS)).required() },
+      { is: Joi.valid('store').required(), then: Joi.string().valid(...STORE_OPERATORS).default('eq') }
+    ],
+    otherwise: Joi.forbidden()
+  }),
+  value: Joi.when('field', {
+    switch: [
+      { is: Joi.valid(...NUMERIC_FIELDS).required(), then: Joi.number().min(0).required() },
+      { is: Joi.valid('drop').required(), then: Joi.number().min(0).max(100).required() },
+      {
+        is: Joi.valid('store').required(),
+        then: Joi.when('op', {
+          is: Joi.valid('in', 'nin').required(),
+          then: Joi.array().items(storeName()).single().min(1).max(MAX_CONDITIONS).required(),
+          otherwise: storeName().required()
+        })
+      },
+      { is: Joi.valid('inStock', 'historicalLow').required(), then: Joi.boolean().default(true) }
+    ],
+    otherwise: Joi.forbidden()
+  }),
+  days: Joi.when('field', {
+    is: Joi.valid('historicalLow').required(),
+    then: Joi.number().integer().min(1).max(MAX_HISTORY_DAYS).default(DEFAULT_HISTORY_DAYS),
+    otherwise: Joi.forbidden()
+  }),
+  from: Joi.when('field', {
+    is: Joi.valid('drop').required(),
+    then: Joi.string().valid(...DROP_BASES).default('previous'),
+    otherwise: Joi.forbidden()
+  })
+})
+  .xor('and', 'or', 'field')
+  .messages({
+    'object.base': '{{#label}} deve essere un oggetto',
+    'object.missing': '{{#label}} deve contenere un gruppo (and, or) o una condizione (field)',
+    'object.xor': '{{#label}} può contenere un solo tra and, or e field',
+    'any.unknown': '{{#label}} non è ammesso per questa condizione'
+  })
+  .id('alertRule')
+  .label('rule');
+
+/**
+ * Profondità dei gruppi e numero di condizioni di una regola
+ * @param {Object} rule
+ * @returns {{ depth: number, conditions: number }}
+ */
+const measureRule = (rule) => {
+  const children = rule.and || rule.or;
+  if (!children) return { depth: 0, conditions: 1 };
+
+  return children.map(measureRule).reduce((total, child) => ({
+    depth: Math.max(total.depth, child.depth + 1),
+    conditions: total.conditions + child.conditions
+  }), { depth: 1, conditions: 0 });
+};
+
+/**
+ * Valida una regola e applica i default (op di store, value di inStock e historicalLow, days, from di drop)
+ * @param {Object} rule
+ * @returns {{ value: Object|null, errors: Array<string> }}
+ */
+const validateRule = (rule) => {
+  const { value, error } = ruleSchema.validate(rule, {
+    abortEarly: false,
+    convert: true,
+    errors: { wrap: { label: false } },
+    messages: MESSAGES
+  });
+
+  if (error) {
+    return { value: null, errors: error.details.map(detail => detail.message) };
+  }
+
+  const { depth, conditions } = measureRule(value);
+  const errors = [];
+  if (depth > MAX_DEPTH) errors.push(`rule può annidare al massimo ${MAX_DEPTH} livelli di gruppi`);
+  if (conditions > MAX_CONDITIONS) errors.push(`rule può contenere al massimo ${MAX_CONDITIONS} condizioni`);
+
+  return errors.length > 0 ? { value: null, errors } : { value, errors };
+};
+
+/**
+ * Finestre (giorni) dei minimi storici usati dalla regola, da calcolare prima della valutazione
+ * @param {Object} rule - Regola validata
+ * @returns {Array<number>}
+ */
+const historyWindows = (rule) => {
+  const days = new Set();
+
+  const visit = (node) => {
+    (node.and || node.or || []).forEach(visit);
+    if (node.field === 'historicalLow') days.add(node.days);
+  };
+
+  visit(rule);
+  return [...days];
+};
+
+/**
+ * Verifica se la regola misura un calo dal rilevamento precedente, da caricare prima della valutazione
+ * @param {Object} rule - Regola validata
+ * @returns {boolean}
+ */
+const usesPreviousPrice = (rule) => {
+  if (rule.and || rule.or) return (rule.and || rule.or).some(usesPreviousPrice);
+  return rule.field === 'drop' && rule.from === 'previous';
+};
+
+/**
+ * Calo percentuale di un prezzo rispetto a un prezzo di partenza (negativo se il prezzo è salito)
+ * @param {number} price
+ * @param {number|null} base
+ * @returns {number|null} null senza un prezzo di partenza
+ */
+const dropPercentage = (price, base) => {
+  if (typeof base !== 'number' || base <= 0) return null;
+  return Math.round(((base - price) / base) * 10000) / 100;
+};
+
+/**
+ * Dati di un'offerta su cui valutare una regola
+ * @param {Object} listing - Scheda Product (details.weight, availability, source)
+ * @param {Object} point - Ultimo PricePoint della scheda
+ * @param {Object} lows - Prezzo minimo dei giorni precedenti il rilevamento, per finestra ({ 90: 31.5 })
+ * @param {Object} bases - Prezzi da cui misurare il calo: previousPrice (rilevamento precedente), referencePrice
+ * @returns {Object} { price, unitPrice, discount, drops, inStock, store, lows }
+ */
+const buildFacts = (listing, point, lows = {}, { previousPrice = null, referencePrice = null } = {}) => {
+  const weight = listing.details && listing.details.weight;
+  const unitPrice = weight ? priceNormalizer.calculatePricePerKg(point.price, weight) : null;
+
+  let discount = 0;
+  if (typeof point.discountPercentage === 'number') {
+    discount = point.discountPercentage;
+  } else if (point.originalPrice > point.price) {
+    discount = ((point.originalPrice - point.price) / point.originalPrice) * 100;
+  }
+
+  return {
+    price: point.price,
+    unitPrice: unitPrice ? Math.round(unitPrice * 100) / 100 : null,
+    discount: Math.round(discount * 100) / 100,
+    drops: {
+      previous: dropPercentage(point.price, previousPrice),
+      reference: dropPercentage(point.price, referencePrice)
+    },
+    inStock: point.inStock !== false
+      && !['OUT_OF_STOCK', 'DISCONTINUED'].includes(listing.availability && listing.availability.status),
+    store: String(point.source || listing.source || '').toLowerCase(),
+    lows
+  };
+};
+
+/**
+ * Valuta una condizione
+ * @param {Object} condition
+ * @param {Object} facts - buildFacts
+ * @returns {boolean}
+ */
+const evaluateCondition = ({ field, op, value, days, from }, facts) => {
+  if (NUMERIC_FIELDS.includes(field)) {
+    // Senza il dato (es. peso sconosciuto per il prezzo al kg) la condizione non è soddisfatta
+    return typeof facts[field] === 'number' && COMPARISONS[op].test(facts[field], value);
+  }
+
+  switch (field) {
+    case 'drop': {
+      // Senza il prezzo di partenza (primo rilevamento) la condizione non è soddisfatta
+      const drop = facts.drops[from];
+      return typeof drop === 'number' && COMPARISONS[op].test(drop, value);
+    }
+
+    case 'inStock':
+      return facts.inStock === value;
+
+    case 'store': {
+      const stores = [].concat(value);
+      return ['eq', 'in'].includes(op) ? stores.includes(facts.store) : !stores.includes(facts.store);
+    }
+
+    case 'historicalLow': {
+      // Minimo storico: prezzo attuale non superiore a quelli dei giorni precedenti
+      const low = facts.lows[days];
+      if (typeof low !== 'number') return false;
+      return (facts.price <= low) === value;
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Valuta una regola sui dati di un'offerta
+ * @param {Object} rule - Regola validata
+ * @param {Object} facts - buildFacts
+ * @returns {boolean}
+ */
+const evaluateRule = (rule, facts) => {
+  if (rule.and) return rule.and.every(child => evaluateRule(child, facts));
+  if (rule.or) return rule.or.some(child => evaluateRule(child, facts));
+  return evaluateCondition(rule, facts);
+};
+
+/**
+ * Descrizione leggibile di una regola (messaggi di stato e notifiche)
+ * @param {Object} rule - Regola validata
+ * @param {boolean} nested - Racchiude i gruppi tra parentesi
+ * @returns {string}
+ */
+const describeRule = (rule, nested = false) => {
+  const children = rule.and || rule.or;
+  if (children) {
+    const text = children.map(child => describeRule(child, true)).join(rule.and ? ' AND ' : ' OR ');
+    return nested && children.length > 1 ? `(${text})` : text;
+  }
+
+  const { field, op, value, days, from } = rule;
+  if (NUMERIC_FIELDS.includes(field)) return `${field} ${COMPARISONS[op].symbol} ${value}`;
+  if (field === 'drop') return `drop(${from}) ${COMPARISONS[op].symbol} ${value}%`;
+  if (field === 'store') {
+    const symbols = { eq: '=', ne: '!=', in: 'in', nin: 'not in' };
+    return `store ${symbols[op]} ${Array.isArray(value) ? `[${value.join(', ')}]` : value}`;
+  }
+  if (field === 'inStock') return value ? 'inStock' : 'NOT inStock';
+  return `${value ? '' : 'NOT '}historicalLow(${days}d)`;
+};
+
+module.exports = {
+  FIELDS,
+  validateRule,
+  historyWindows,
+  usesPreviousPrice,
+  buildFacts,
+  evaluateRule,
+  describeRule
+};
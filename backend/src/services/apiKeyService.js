@@ -0,0 +1,94 @@
+/**
+ * API Key Service
+ * Scope disponibili, generazione e verifica delle API key
+ */
+const crypto = require('crypto');
+const { ApiKey } = require('../db');
+
+// Scope richiesti dagli endpoint amministrativi
+const SCOPES = {
+  CATALOG_WRITE: 'catalog:write',
+  ALERTS_ADMIN: 'alerts:admin',
+  USERS_ADMIN: 'users:admin'
+};
+
+const ALL_SCOPES = Object.values(SCOPES);
+
+const KEY_PREFIX = 'ppc_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Verifica se un insieme di scope concessi include quello richiesto
+ * @param {string[]} granted - Scope concessi
+ * @param {string} scope - Scope richiesto
+ * @returns {boolean}
+ */
+const hasScope = (granted = [], scope) => granted.includes(scope);
+
+/**
+ * Crea una nuova API key
+ * @param {Object} options - name, scopes, createdBy, expiresAt
+ * @returns {Promise<Object>} { apiKey, key } - key è la chiave in chiaro, restituita una sola volta
+ */
+const createApiKey = async ({ name, scopes, createdBy, expiresAt }) => {
+  const invalid = (scopes || []).filter(scope => !ALL_SCOPES.includes(scope));
+  if (!scopes || scopes.length === 0 || invalid.length > 0) {
+    const error = new Error(`Scope non validi: ${invalid.join(', ') || 'nessuno scope indicato'}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key),
+    scopes: [...new Set(scopes)],
+    createdBy,
+    expiresAt
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Risolve una API key in chiaro e ne aggiorna lastUsedAt
+ * @param {string} key - API key in chiaro
+ * @returns {Promise<Object|null>} Documento ApiKey oppure null se non valida, revocata o scaduta
+ */
+const resolveApiKey = async (key) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null });
+
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    return null;
+  }
+
+  apiKey.lastUsedAt = new Date();
+  await apiKey.save();
+
+  return apiKey;
+};
+
+/**
+ * Revoca una API key
+ * @param {string} id - ID della chiave
+ * @returns {Promise<Object|null>} Documento aggiornato oppure null se non trovata
+ */
+const revokeApiKey = (id) => ApiKey.findOneAndUpdate(
+  { _id: id, revokedAt: null },
+  { $set: { revokedAt: new Date() } },
+  { new: true }
+);
+
+module.exports = {
+  SCOPES,
+  ALL_SCOPES,
+  hasScope,
+  createApiKey,
+  resolveApiKey,
+  revokeApiKey
+};
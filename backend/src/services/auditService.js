@@ -0,0 +1,52 @@
+/**
+ * Audit Service
+ * Scrive nell'audit log le chiamate agli endpoint protetti da scope
+ */
+const logger = require('../utils/logger');
+const { AuditLog } = require('../db');
+
+// Campi mai salvati in chiaro nell'audit log
+const SENSITIVE_FIELDS = ['password', 'passwordHash', 'token', 'refreshToken', 'accessToken', 'key', 'apiKey', 'secret'];
+
+/**
+ * Copia i parametri oscurando i campi sensibili
+ * @param {*} value - Oggetto da copiare
+ * @returns {*}
+ */
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.entries(value).reduce((acc, [field, fieldValue]) => {
+    acc[field] = SENSITIVE_FIELDS.includes(field) ? '[REDACTED]' : redact(fieldValue);
+    return acc;
+  }, {});
+};
+
+/**
+ * Salva una voce di audit. Gli errori vengono solo loggati: l'audit non deve
+ * mai far fallire la richiesta che lo ha generato.
+ * @param {Object} entry - scope, method, path, actor, params, statusCode, durationMs, ipAddress, userAgent
+ * @returns {Promise<Object|null>}
+ */
+const recordAudit = async (entry) => {
+  logger.info(`[audit] ${entry.actor.type}:${entry.actor.label || entry.actor.id} ${entry.method} ${entry.path} (${entry.scope}) -> ${entry.statusCode}`);
+
+  try {
+    return await AuditLog.create({
+      ...entry,
+      params: redact(entry.params)
+    });
+  } catch (error) {
+    logger.error(`Failed to write audit log: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  redact,
+  recordAudit
+};
@@ -0,0 +1,151 @@
+/**
+ * Auth Service
+ * Hash delle password, access token JWT e refresh token opachi con rotazione
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const { RefreshToken } = require('../db');
+
+/**
+ * @param {string} password - Password in chiaro
+ * @returns {Promise<string>} Hash bcrypt
+ */
+const hashPassword = (password) => bcrypt.hash(password, config.auth.bcryptRounds);
+
+/**
+ * @param {string} password - Password in chiaro
+ * @param {string} passwordHash - Hash bcrypt salvato
+ * @returns {Promise<boolean>}
+ */
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+/**
+ * Genera un access token JWT per l'utente
+ * @param {Object} user - Documento User
+ * @returns {string}
+ */
+const generateAccessToken = (user) => jwt.sign(
+  { sub: user._id.toString(), email: user.email },
+  config.auth.jwtSecret,
+  { expiresIn: config.auth.accessTokenExpiresIn }
+);
+
+/**
+ * Verifica un access token JWT
+ * @param {string} token
+ * @returns {Object|null} Payload del token oppure null se non valido o scaduto
+ */
+const verifyAccessToken = (token) => {
+  try {
+    return jwt.verify(token, config.auth.jwtSecret);
+  } catch (error) {
+    return null;
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Crea e salva un nuovo refresh token per l'utente
+ * @param {Object} user - Documento User
+ * @param {Object} meta - userAgent, ipAddress
+ * @returns {Promise<string>} Token in chiaro (restituito una sola volta al client)
+ */
+const issueRefreshToken = async (user, meta = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt,
+    userAgent: meta.userAgent,
+    ipAddress: meta.ipAddress
+  });
+
+  return token;
+};
+
+/**
+ * Genera la coppia access token / refresh token
+ * @param {Object} user - Documento User
+ * @param {Object} meta - userAgent, ipAddress
+ * @returns {Promise<Object>} { accessToken, refreshToken, tokenType, expiresIn }
+ */
+const issueTokens = async (user, meta = {}) => ({
+  accessToken: generateAccessToken(user),
+  refreshToken: await issueRefreshToken(user, meta),
+  tokenType: 'Bearer',
+  expiresIn: config.auth.accessTokenExpiresIn
+});
+
+/**
+ * Ruota un refresh token: revoca quello ricevuto ed emette una nuova coppia di token.
+ * La revoca è atomica (findOneAndUpdate sul token non ancora revocato): tra due richieste concorrenti
+ * con lo stesso token solo una ottiene la nuova coppia, l'altra è trattata come riutilizzo.
+ * Il riutilizzo di un token già revocato revoca tutti i token dell'utente.
+ * @param {string} token - Refresh token in chiaro
+ * @param {Object} meta - userAgent, ipAddress
+ * @returns {Promise<Object|null>} { userId, tokens } oppure null se il token non è valido
+ */
+const rotateRefreshToken = async (token, meta = {}) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } },
+    { new: true }
+  ).populate('user');
+
+  if (!stored) {
+    const revoked = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } }).select('user');
+    if (revoked) {
+      // Possibile furto del token: invalida tutte le sessioni dell'utente
+      await RefreshToken.updateMany(
+        { user: revoked.user, revokedAt: null },
+        { $set: { revokedAt: now } }
+      );
+    }
+    return null;
+  }
+
+  if (!stored.user) {
+    return null;
+  }
+
+  const tokens = await issueTokens(stored.user, meta);
+
+  await RefreshToken.updateOne(
+    { _id: stored._id },
+    { $set: { replacedBy: hashToken(tokens.refreshToken) } }
+  );
+
+  return { userId: stored.user._id, tokens };
+};
+
+/**
+ * Revoca un refresh token (logout)
+ * @param {string} token - Refresh token in chiaro
+ * @returns {Promise<boolean>} true se il token è stato revocato
+ */
+const revokeRefreshToken = async (token) => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken
+};
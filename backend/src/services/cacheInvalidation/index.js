@@ -0,0 +1,95 @@
+/**
+ * Cache Invalidation Service
+ * Purga le voci della cache API che dipendono dai prodotti scritti (prezzi, schede, offerte,
+ * corrispondenze tra negozi), usando i tag assegnati da cacheMiddleware (utils/cacheTags).
+ *
+ * I prezzi vengono scritti anche dal data-collector, che è un processo separato: syncRecentWrites
+ * legge le scritture avvenute dall'ultima esecuzione (_id dei PricePoint, updatedAt di schede,
+ * prodotti canonici e corrispondenze, tutti indicizzati) e viene eseguito ogni minuto dal job
+ * INVALIDATE_CACHE in ogni istanza, che purga così anche la propria cache in memoria (con o senza
+ * Redis). Chi scrive dal backend può chiamare invalidateProducts direttamente.
+ */
+const mongoose = require('mongoose');
+const logger = require('../../utils/logger');
+const { Product, PricePoint, CanonicalProduct, SimilarProduct, products: productRepository } = require('../../db');
+const { purgeTags, listTagValues } = require('../../utils/cache');
+const { PATTERN_KINDS, PRICES_TAG, buildTag, tagsForProduct } = require('../../utils/cacheTags');
+
+// Alla prima esecuzione si guardano indietro 24 ore, la durata massima di una voce in cache
+const INITIAL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Margine per le scritture in corso durante la scansione precedente
+const OVERLAP_MS = 5 * 1000;
+
+let lastSync = null;
+
+/**
+ * Purga le voci che dipendono dai prodotti indicati
+ * @param {Array<string|ObjectId>} productIds
+ * @param {Object} options
+ * @param {boolean} options.pricesChanged - Sono stati scritti prezzi: purga anche le route che dipendono da tutti i prezzi
+ * @returns {Promise<Object>} { products, purged }
+ */
+const invalidateProducts = async (productIds, { pricesChanged = false } = {}) => {
+  const ids = [...new Set(productIds.filter(Boolean).map(id => id.toString()))]
+    .filter(id => productRepository.isValidId(id));
+
+  if (ids.length === 0) {
+    return { products: ids.length, purged: 0 };
+  }
+
+  const [listings, ...values] = await Promise.all([
+    Product.find({ _id: { $in: ids } }).select('category brand petType source').lean(),
+    ...PATTERN_KINDS.map(kind => listTagValues(kind))
+  ]);
+  const registered = Object.fromEntries(PATTERN_KINDS.map((kind, index) => [kind, values[index]]));
+
+  // Anche i prodotti eliminati (non più trovati) hanno voci da purgare
+  const tags = new Set(ids.map(id => buildTag('product', id)));
+  if (pricesChanged) tags.add(PRICES_TAG);
+  listings.forEach(listing => tagsForProduct(listing, registered).forEach(tag => tags.add(tag)));
+
+  const purged = await purgeTags([...tags]);
+  return { products: ids.length, purged };
+};
+
+/**
+ * Purga le voci dei prodotti scritti dall'ultima esecuzione
+ * @returns {Promise<Object>} { since, products, purged }
+ */
+const syncRecentWrites = async () => {
+  const startedAt = new Date();
+  const since = lastSync || new Date(startedAt.getTime() - INITIAL_WINDOW_MS);
+  const sinceId = mongoose.Types.ObjectId.createFromTime(Math.floor(since.getTime() / 1000));
+
+  const [pricedProducts, listings, canonicals, matches] = await Promise.all([
+    PricePoint.aggregate([
+      { $match: { _id: { $gte: sinceId } } },
+      { $group: { _id: '$product' } }
+    ]),
+    Product.find({ updatedAt: { $gte: since } }).select('_id').lean(),
+    CanonicalProduct.find({ updatedAt: { $gte: since } }).select('offers.listing').lean(),
+    SimilarProduct.find({ updatedAt: { $gte: since } }).select('product similarTo').lean()
+  ]);
+
+  const productIds = [
+    ...pricedProducts.map(item => item._id),
+    ...listings.map(listing => listing._id),
+    ...canonicals.flatMap(canonical => (canonical.offers || []).map(offer => offer.listing)),
+    ...matches.flatMap(match => [match.product, match.similarTo])
+  ];
+
+  const result = await invalidateProducts(productIds, { pricesChanged: pricedProducts.length > 0 });
+  lastSync = new Date(startedAt.getTime() - OVERLAP_MS);
+
+  if (result.products > 0) {
+    logger.info(`Cache invalidation: ${result.products} products written since ${since.toISOString()}, ${result.purged} entries purged`);
+  }
+
+  return { since, ...result };
+};
+
+module.exports = {
+  invalidateProducts,
+  syncRecentWrites
+};
@@ -0,0 +1,108 @@
+/**
+ * Compare Service
+ * Confronti di prezzo usati sia dalle API REST (compareController) sia da GraphQL:
+ * offerte degli altri negozi per lo stesso articolo e alternative simili più economiche.
+ * Le funzioni di calcolo ricevono i dati già letti, così GraphQL può caricarli in batch.
+ */
+const { pricePoints, similarProducts } = require('../../db');
+
+/**
+ * Confronta l'offerta di una scheda con quelle degli altri negozi per lo stesso articolo
+ * @param {string} productId - ID della scheda di partenza
+ * @param {Array} offers - Offerte dell'articolo (offerService.getOffers)
+ * @returns {Object} { currentPrice, alternativeSources }
+ */
+const compareSources = (productId, offers) => {
+  const currentOffer = offers.find(offer => offer.listing.toString() === productId.toString());
+  const currentPrice = currentOffer ? currentOffer.effectivePrice : null;
+
+  const alternativeSources = offers
+    .filter(offer => offer.listing.toString() !== productId.toString())
+    .map(offer => {
+      const price = offer.effectivePrice;
+
+      // Calculate price difference if prices are available
+      let priceDifference = null;
+      let priceDifferencePercentage = null;
+
+      if (currentPrice != null && price != null) {
+        priceDifference = price - currentPrice;
+        priceDifferencePercentage = ((price - currentPrice) / currentPrice) * 100;
+      }
+
+      return {
+        productId: offer.listing,
+        name: offer.name,
+        source: offer.store,
+        price,
+        link: offer.url || null,
+        inStock: offer.inStock,
+        lastSeenAt: offer.lastSeenAt,
+        priceDifference,
+        priceDifferencePercentage,
+        isCheaper: priceDifference !== null ? priceDifference < 0 : null
+      };
+    });
+
+  return { currentPrice, alternativeSources };
+};
+
+/**
+ * Alternative simili più economiche, dal risparmio maggiore
+ * @param {Object} params
+ * @param {number} params.currentPrice - Prezzo attuale del prodotto di partenza
+ * @param {Array} params.relations - Prodotti simili (similarProducts.findSimilar)
+ * @param {Map<string, Object>} params.latestPrices - ID prodotto -> ultimo PricePoint
+ * @param {number} params.limit - Numero massimo di alternative
+ * @returns {Array}
+ */
+const rankCheaperAlternatives = ({ currentPrice, relations, latestPrices, limit = 10 }) => relations
+  .map(relation => {
+    const alternative = relation.product;
+    const latest = latestPrices.get(alternative._id.toString());
+
+    return {
+      productId: alternative._id,
+      name: alternative.name,
+      brand: alternative.brand,
+      price: latest ? latest.price : null,
+      imageUrl: alternative.imageUrl,
+      source: alternative.source,
+      similarity: relation.similarityScore,
+      similarityFactors: relation.matchingFeatures
+    };
+  })
+  .filter(alternative => alternative.price !== null && alternative.price < currentPrice)
+  // Largest discount first
+  .sort((a, b) => a.price - b.price)
+  .slice(0, limit)
+  .map(alternative => ({
+    ...alternative,
+    priceDifference: currentPrice - alternative.price,
+    savingsPercentage: ((currentPrice - alternative.price) / currentPrice) * 100
+  }));
+
+/**
+ * Alternative simili più economiche di un prodotto
+ * @param {string} productId - ID del prodotto
+ * @param {Object} options - minSimilarity, limit
+ * @returns {Promise<Object|null>} { currentPrice, alternatives }, null senza prezzi rilevati
+ */
+const findCheaperAlternatives = async (productId, { minSimilarity = 0.7, limit = 10 } = {}) => {
+  const latest = await pricePoints.findLatest(productId);
+  if (!latest) return null;
+
+  const relations = await similarProducts.findSimilar(productId, { minScore: minSimilarity });
+  const latestPrices = await pricePoints.findLatestForProducts(relations.map(relation => relation.product._id));
+
+  return {
+    currentPrice: latest.price,
+    alternatives: rankCheaperAlternatives({ currentPrice: latest.price, relations, latestPrices, limit })
+  };
+};
+
+module.exports = {
+  compareSources,
+  rankCheaperAlternatives,
+  findCheaperAlternatives
+};
@@ -0,0 +1,325 @@
+/**
+ * Motore di matching tra negozi
+ * Unico punto in cui si decide se due prodotti di negozi diversi sono lo stesso articolo.
+ * Scrive le relazioni in SimilarProduct con algoritmo, versione e confidenza e lavora in modo
+ * incrementale: elabora solo i prodotti non ancora confrontati con la versione corrente.
+ */
+const logger = require('../../utils/logger');
+const config = require('../../config/config');
+const { Product, SimilarProduct, similarProducts } = require('../../db');
+const { buildMatchKeys } = require('./normalizers');
+const { scoreMatch, weightRange } = require('./scorer');
+
+const ALGORITHM = 'cross-store-matcher';
+// Incrementare quando cambia la logica: tutti i prodotti verranno riconfrontati
+const ALGORITHM_VERSION = '1.0.0';
+
+const KEYS_BATCH_SIZE = 500;
+
+// Campi necessari per calcolare chiavi e differenze di prezzo
+const CANDIDATE_FIELDS = 'name brand source price gtin sku petType details.weight packageInfo.weight matching';
+const CANDIDATE_PROJECTION = Object.fromEntries(CANDIDATE_FIELDS.split(' ').map(field => [field, 1]));
+
+/**
+ * Differenza di prezzo tra due prodotti (percentuale rispetto al più economico)
+ */
+const calculatePriceDifference = (priceA, priceB) => {
+  if (!priceA || !priceB) return undefined;
+
+  return {
+    absoluteAmount: Math.round(Math.abs(priceA - priceB) * 100) / 100,
+    percentageDifference: Math.round((Math.max(priceA, priceB) / Math.min(priceA, priceB) - 1) * 1000) / 10,
+    calculatedAt: new Date()
+  };
+};
+
+/**
+ * Calcola e salva le chiavi di matching dei prodotti che non le hanno
+ * (o le hanno calcolate con una versione precedente)
+ * @returns {Promise<number>} Prodotti aggiornati
+ */
+const refreshMatchKeys = async () => {
+  const cursor = Product.find({ 'matching.keysVersion': { $ne: ALGORITHM_VERSION } })
+    .select(CANDIDATE_FIELDS)
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    // timestamps: false per non alterare updatedAt dei prodotti
+    await Product.bulkWrite(operations, { ordered: false, timestamps: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const product of cursor) {
+    const keys = buildMatchKeys(product);
+    operations.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: {
+          $set: {
+            'matching.brandKey': keys.brandKey,
+            'matching.tokens': keys.tokens,
+            'matching.weightGrams': keys.weightGrams,
+            'matching.keysVersion': ALGORITHM_VERSION
+          }
+        }
+      }
+    });
+
+    if (operations.length >= KEYS_BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return updated;
+};
+
+/**
+ * Prodotti di altri negozi che possono corrispondere a quello dato.
+ * Usa le chiavi salvate per restringere la ricerca agli articoli che lo scorer non scarterebbe:
+ * stesso EAN, oppure almeno un token del nome in comune, stesso brand normalizzato (se noto) e peso
+ * compatibile (se noto). Prima del limite maxCandidates i candidati sono ordinati per EAN e numero
+ * di token in comune, così il limite non esclude i più promettenti.
+ * @param {Object} product - Prodotto (anche non salvato, es. parametri di ricerca)
+ * @param {Object} keys - Chiavi del prodotto
+ * @returns {Promise<Array>} Documenti lean
+ */
+const findCandidates = async (product, keys) => {
+  const criteria = [];
+
+  if (product.gtin) {
+    criteria.push({ gtin: product.gtin });
+  }
+
+  // Senza token in comune il punteggio del nome è 0 e la coppia viene scartata
+  if (keys.tokens.length > 0) {
+    const byKeys = { 'matching.tokens': { $in: keys.tokens } };
+    if (keys.brandKey) {
+      byKeys['matching.brandKey'] = keys.brandKey;
+    }
+    if (keys.weightGrams) {
+      // I prodotti senza peso noto restano candidati
+      const [minGrams, maxGrams] = weightRange(keys.weightGrams);
+      byKeys.$or = [
+        { 'matching.weightGrams': { $gte: minGrams, $lte: maxGrams } },
+        { 'matching.weightGrams': null }
+      ];
+    }
+    criteria.push(byKeys);
+  }
+
+  if (criteria.length === 0) return [];
+
+  const query = {
+    $or: criteria,
+    'availability.status': { $ne: 'DISCONTINUED' }
+  };
+  if (product._id) query._id = { $ne: product._id };
+  if (product.source) query.source = { $ne: product.source };
+
+  return Product.aggregate([
+    { $match: query },
+    {
+      $addFields: {
+        _sameGtin: product.gtin ? { $eq: ['$gtin', product.gtin] } : false,
+        _sharedTokens: { $size: { $setIntersection: [{ $ifNull: ['$matching.tokens', []] }, keys.tokens] } }
+      }
+    },
+    { $sort: { _sameGtin: -1, _sharedTokens: -1, _id: 1 } },
+    { $limit: config.matching.maxCandidates },
+    { $project: CANDIDATE_PROJECTION }
+  ]);
+};
+
+/**
+ * Trova e valuta i prodotti corrispondenti senza salvare nulla
+ * @param {Object} product - Prodotto di riferimento
+ * @param {Object} options - minScore, bestPerSource (solo il migliore per negozio),
+ *   excludeIds (prodotti da non considerare, es. coppie rifiutate, esclusi prima della scelta per negozio)
+ * @returns {Promise<Array>} [{ product, score, confidence, matchingFeatures, reason }] ordinati per punteggio
+ */
+const findMatches = async (product, { minScore = config.matching.minScore, bestPerSource = true, excludeIds = new Set() } = {}) => {
+  const keys = buildMatchKeys(product);
+  const candidates = await findCandidates(product, keys);
+
+  const matches = candidates
+    .filter(candidate => !excludeIds.has(candidate._id.toString()))
+    .map(candidate => ({ product: candidate, ...scoreMatch(keys, buildMatchKeys(candidate)) }))
+    .filter(match => match.score !== undefined && match.score >= minScore)
+    .sort((a, b) => b.score - a.score || b.confidence - a.confidence);
+
+  if (!bestPerSource) return matches;
+
+  // Un prodotto corrisponde al più a un articolo per negozio
+  const seenSources = new Set();
+  return matches.filter(match => {
+    if (seenSources.has(match.product.source)) return false;
+    seenSources.add(match.product.source);
+    return true;
+  });
+};
+
+/**
+ * Crea o aggiorna la relazione tra due prodotti.
+ * Le relazioni manuali (decise nella coda di revisione) o rifiutate non vengono toccate.
+ * @returns {Promise<Object>} { record, action: 'created'|'updated'|'skipped' }
+ */
+const saveMatch = async (product, match) => {
+  const existing = await similarProducts.findPair(product._id, match.product._id);
+
+  if (existing && (existing.similarityType !== 'AUTOMATIC' || existing.status === 'REJECTED')) {
+    return { record: existing, action: 'skipped' };
+  }
+
+  const record = existing || new SimilarProduct({
+    product: product._id,
+    similarTo: match.product._id
+  });
+
+  record.similarityScore = match.score;
+  record.similarityType = 'AUTOMATIC';
+  record.matchingFeatures = match.matchingFeatures;
+  record.similarityReason = match.reason;
+  record.status = match.confidence >= config.matching.autoAcceptScore ? 'ACTIVE' : 'PENDING_REVIEW';
+  record.priceDifference = calculatePriceDifference(product.price, match.product.price);
+  record.metadata = {
+    lastUpdated: new Date(),
+    algorithm: ALGORITHM,
+    algorithmVersion: ALGORITHM_VERSION,
+    confidence: match.confidence
+  };
+
+  await record.save();
+  return { record, action: existing ? 'updated' : 'created' };
+};
+
+/**
+ * Confronta un prodotto con gli altri negozi e salva le relazioni trovate.
+ * I prodotti di coppie rifiutate nella revisione sono esclusi prima di scegliere il migliore per
+ * negozio, così il secondo candidato può prenderne il posto. Le relazioni automatiche che
+ * coinvolgono il prodotto (in entrambe le direzioni) e non sono più confermate vengono archiviate.
+ * @param {Object} product - Documento Product
+ * @returns {Promise<Object>} { matched, created, updated, skipped, archived }
+ */
+const matchProduct = async (product) => {
+  const stats = { matched: 0, created: 0, updated: 0, skipped: 0, archived: 0 };
+
+  const rejected = await similarProducts.findForProducts([product._id], { statuses: ['REJECTED'] });
+  const excludeIds = new Set(rejected.map(relation => (
+    relation.product.equals(product._id) ? relation.similarTo : relation.product
+  ).toString()));
+
+  const matches = await findMatches(product, { excludeIds });
+  const keptIds = [];
+
+  for (const match of matches) {
+    const { record, action } = await saveMatch(product, match);
+    keptIds.push(record._id);
+    stats.matched++;
+    stats[action]++;
+  }
+
+  const archived = await SimilarProduct.updateMany(
+    {
+      $or: [{ product: product._id }, { similarTo: product._id }],
+      _id: { $nin: keptIds },
+      similarityType: 'AUTOMATIC',
+      status: { $in: ['ACTIVE', 'PENDING_REVIEW'] }
+    },
+    { $set: { status: 'ARCHIVED', 'metadata.lastUpdated': new Date() } }
+  );
+  stats.archived = archived.modifiedCount;
+
+  await Product.updateOne(
+    { _id: product._id },
+    { $set: { 'matching.lastMatchedAt': new Date(), 'matching.algorithmVersion': ALGORITHM_VERSION } },
+    { timestamps: false }
+  );
+
+  return stats;
+};
+
+/**
+ * Esecuzione incrementale: calcola le chiavi mancanti e confronta i prodotti non ancora
+ * elaborati con la versione corrente dell'algoritmo (tipicamente quelli appena importati)
+ * @param {Object} options
+ * @param {boolean} options.full - Riconfronta tutto il catalogo
+ * @param {boolean} options.untilDone - Continua finché ci sono prodotti da elaborare
+ * @param {number} options.batchSize - Prodotti per lotto
+ * @returns {Promise<Object>} Statistiche dell'esecuzione
+ */
+const runIncremental = async ({ full = false, untilDone = false, batchSize = config.matching.batchSize } = {}) => {
+  const startedAt = Date.now();
+
+  if (full) {
+    await Product.updateMany(
+      {},
+      { $unset: { 'matching.lastMatchedAt': '', 'matching.algorithmVersion': '' } },
+      { timestamps: false }
+    );
+  }
+
+  const keysUpdated = await refreshMatchKeys();
+  const totals = { processed: 0, matched: 0, created: 0, updated: 0, skipped: 0, archived: 0, failed: 0 };
+  const pendingFilter = {
+    'matching.algorithmVersion': { $ne: ALGORITHM_VERSION },
+    'availability.status': { $ne: 'DISCONTINUED' }
+  };
+
+  let batch;
+  do {
+    batch = await Product.find(pendingFilter)
+      .select(CANDIDATE_FIELDS)
+      .sort({ createdAt: 1 })
+      .limit(batchSize)
+      .lean();
+
+    for (const product of batch) {
+      try {
+        const stats = await matchProduct(product);
+        Object.keys(stats).forEach(key => { totals[key] += stats[key]; });
+      } catch (error) {
+        totals.failed++;
+        logger.error(`Matching fallito per il prodotto ${product._id}: ${error.message}`);
+        // Segna comunque il prodotto per non bloccare i lotti successivi
+        await Product.updateOne(
+          { _id: product._id },
+          { $set: { 'matching.lastMatchedAt': new Date(), 'matching.algorithmVersion': ALGORITHM_VERSION } },
+          { timestamps: false }
+        );
+      }
+      totals.processed++;
+    }
+  } while (untilDone && batch.length === batchSize);
+
+  const remaining = await Product.countDocuments(pendingFilter);
+
+  logger.info(`Matching ${ALGORITHM}@${ALGORITHM_VERSION}: ${totals.processed} prodotti elaborati, ` +
+    `${totals.created} relazioni create, ${totals.updated} aggiornate, ${totals.archived} archiviate, ` +
+    `${remaining} in attesa`);
+
+  return {
+    algorithm: ALGORITHM,
+    algorithmVersion: ALGORITHM_VERSION,
+    keysUpdated,
+    ...totals,
+    remaining,
+    durationMs: Date.now() - startedAt
+  };
+};
+
+module.exports = {
+  ALGORITHM,
+  ALGORITHM_VERSION,
+  calculatePriceDifference,
+  findMatches,
+  matchProduct,
+  refreshMatchKeys,
+  runIncremental
+};
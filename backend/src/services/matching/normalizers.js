@@ -0,0 +1,167 @@
+/**
+ * Normalizzatori del motore di matching
+ * Trasformano brand, nome, peso e codici di un prodotto in chiavi confrontabili tra negozi
+ */
+const { extractWeight, convertToStandardUnit } = require('../../utils/priceNormalizer');
+
+// Parole che non aiutano a distinguere un prodotto
+const STOP_WORDS = new Set([
+  'e', 'ed', 'con', 'di', 'del', 'della', 'dei', 'delle', 'a', 'al', 'alla', 'da', 'in', 'su', 'per',
+  'tra', 'fra', 'il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', 'x', 'pz', 'pezzi',
+  'confezione', 'conf', 'pack', 'formato', 'offerta', 'the', 'and', 'for', 'with'
+]);
+
+// Suffissi societari e generici rimossi dai brand
+const BRAND_SUFFIXES = /\b(spa|srl|gmbh|inc|ltd|sa|pet ?food|pet ?nutrition)\b/g;
+
+// Varianti note dello stesso brand
+const BRAND_ALIASES = {
+  'hills science plan': 'hills',
+  'hills prescription diet': 'hills',
+  'royal canin veterinary': 'royal canin',
+  'royal canin veterinary diet': 'royal canin',
+  'purina pro plan': 'pro plan',
+  'purina one': 'one',
+  'n d': 'farmina',
+  'farmina n d': 'farmina',
+  'trainer natural': 'trainer'
+};
+
+// Pesi nel testo: "2 x 400 g", "1,5kg", "400gr"
+const MULTIPACK_PATTERN = /(\d+)\s*x\s*(\d+(?:[.,]\d+)?)\s*(kg|gr|g|ml|l|lb|oz)\b/i;
+const WEIGHT_PATTERN = /(\d+(?:[.,]\d+)?)\s*(kg|gr|g|ml|l|lb|oz)\b/i;
+const WEIGHT_PATTERN_GLOBAL = /(\d+\s*x\s*)?\d+(?:[.,]\d+)?\s*(kg|gr|g|ml|l|lb|oz)\b/gi;
+
+/**
+ * Minuscolo, senza accenti e senza punteggiatura
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) => {
+  if (!text) return '';
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['\u2019`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Normalizza un brand ("Hill's Science Plan" -> "hills")
+ * @param {string} brand
+ * @returns {string|null}
+ */
+const normalizeBrand = (brand) => {
+  const normalized = normalizeText(brand).replace(BRAND_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+  if (!normalized) return null;
+  return BRAND_ALIASES[normalized] || normalized;
+};
+
+/**
+ * Estrae il peso in grammi da un testo usando priceNormalizer.extractWeight
+ * @param {string} text - Nome prodotto o campo peso
+ * @returns {number|null}
+ */
+const parseWeightText = (text) => {
+  if (!text) return null;
+
+  const multipack = String(text).match(MULTIPACK_PATTERN);
+  const match = multipack || String(text).match(WEIGHT_PATTERN);
+  if (!match) return null;
+
+  // extractWeight non gestisce la virgola decimale né l'unità "gr"
+  const weightStr = match[0].replace(/,/g, '.').replace(/gr\b/i, 'g');
+  const grams = convertToStandardUnit(extractWeight(weightStr));
+
+  return grams && grams > 0 ? Math.round(grams * 100) / 100 : null;
+};
+
+/**
+ * Peso del prodotto in grammi: prima i campi strutturati, poi il nome
+ * @param {Object} product
+ * @returns {number|null}
+ */
+const parseWeightGrams = (product) => {
+  const sources = [
+    product.details && product.details.weight,
+    product.packageInfo && product.packageInfo.weight && product.packageInfo.weight.original,
+    product.name
+  ];
+
+  for (const source of sources) {
+    const grams = parseWeightText(source);
+    if (grams) return grams;
+  }
+
+  return null;
+};
+
+/**
+ * Tokenizza il nome escludendo pesi, stop word e parole del brand
+ * @param {string} name
+ * @param {string|null} brandKey - Brand normalizzato
+ * @returns {string[]} Token unici
+ */
+const tokenizeName = (name, brandKey) => {
+  const brandTokens = new Set((brandKey || '').split(' ').filter(Boolean));
+  const withoutWeights = String(name || '').replace(WEIGHT_PATTERN_GLOBAL, ' ');
+
+  const tokens = normalizeText(withoutWeights)
+    .split(' ')
+    .filter(token => token.length > 1 && !/^\d+$/.test(token))
+    .filter(token => !STOP_WORDS.has(token) && !brandTokens.has(token));
+
+  return [...new Set(tokens)];
+};
+
+/**
+ * Normalizza un codice EAN/GTIN (solo cifre, senza zeri iniziali)
+ * @param {string} code
+ * @returns {string|null}
+ */
+const normalizeGtin = (code) => {
+  const digits = String(code || '').replace(/\D/g, '').replace(/^0+/, '');
+  return digits.length >= 8 ? digits : null;
+};
+
+/**
+ * Normalizza uno SKU (alfanumerico maiuscolo)
+ * @param {string} sku
+ * @returns {string|null}
+ */
+const normalizeSku = (sku) => {
+  const normalized = String(sku || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalized.length >= 5 ? normalized : null;
+};
+
+/**
+ * Calcola tutte le chiavi di matching di un prodotto
+ * @param {Object} product - Documento Product (o oggetto con name, brand, ...)
+ * @returns {Object} { brandKey, tokens, weightGrams, gtin, sku, petType }
+ */
+const buildMatchKeys = (product) => {
+  const brandKey = normalizeBrand(product.brand);
+
+  return {
+    brandKey,
+    tokens: tokenizeName(product.name, brandKey),
+    weightGrams: parseWeightGrams(product),
+    gtin: normalizeGtin(product.gtin),
+    sku: normalizeSku(product.sku),
+    petType: product.petType ? normalizeText(product.petType) : null
+  };
+};
+
+module.exports = {
+  normalizeText,
+  normalizeBrand,
+  parseWeightText,
+  parseWeightGrams,
+  tokenizeName,
+  normalizeGtin,
+  normalizeSku,
+  buildMatchKeys
+};
@@ -0,0 +1,115 @@
+/**
+ * Scorer del motore di matching
+ * Confronta le chiavi di due prodotti e restituisce punteggio, confidenza e feature in comune
+ */
+
+// Peso delle componenti nel punteggio finale
+const WEIGHTS = {
+  name: 0.6,
+  brand: 0.2,
+  weight: 0.2
+};
+
+// Differenza di peso tollerata (arrotondamenti tra negozi, es. 1.5kg vs 1500g)
+const WEIGHT_TOLERANCE = 0.03;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Similarità tra due insiemi di token: media tra Jaccard e overlap coefficient,
+ * così un nome più descrittivo dell'altro non viene penalizzato troppo
+ * @param {string[]} tokensA
+ * @param {string[]} tokensB
+ * @returns {number} 0-1
+ */
+const tokenSimilarity = (tokensA, tokensB) => {
+  if (!tokensA.length || !tokensB.length) return 0;
+
+  const setB = new Set(tokensB);
+  const common = tokensA.filter(token => setB.has(token)).length;
+  const union = new Set([...tokensA, ...tokensB]).size;
+
+  const jaccard = common / union;
+  const overlap = common / Math.min(tokensA.length, tokensB.length);
+
+  return (jaccard + overlap) / 2;
+};
+
+/**
+ * Verifica se due pesi coincidono entro la tolleranza
+ */
+const sameWeight = (gramsA, gramsB) =>
+  Math.abs(gramsA - gramsB) / Math.max(gramsA, gramsB) <= WEIGHT_TOLERANCE;
+
+/**
+ * Intervallo di pesi compatibili con quello dato secondo sameWeight (per filtrare i candidati)
+ * @param {number} grams
+ * @returns {number[]} [min, max] in grammi
+ */
+const weightRange = (grams) => [grams * (1 - WEIGHT_TOLERANCE), grams / (1 - WEIGHT_TOLERANCE)];
+
+/**
+ * Confronta due prodotti
+ * @param {Object} a - Chiavi del primo prodotto (normalizers.buildMatchKeys)
+ * @param {Object} b - Chiavi del secondo prodotto
+ * @returns {Object|null} { score, confidence, matchingFeatures, reason } oppure null se
+ *   i prodotti sono sicuramente diversi (EAN, brand, peso o animale diversi)
+ */
+const scoreMatch = (a, b) => {
+  // EAN/GTIN: identificativo universale, decide da solo
+  if (a.gtin && b.gtin) {
+    if (a.gtin !== b.gtin) return null;
+    return {
+      score: 1,
+      confidence: 0.99,
+      matchingFeatures: ['gtin'],
+      reason: 'Stesso codice EAN/GTIN'
+    };
+  }
+
+  if (a.brandKey && b.brandKey && a.brandKey !== b.brandKey) return null;
+  if (a.petType && b.petType && a.petType !== b.petType) return null;
+  if (a.weightGrams && b.weightGrams && !sameWeight(a.weightGrams, b.weightGrams)) return null;
+
+  const nameScore = tokenSimilarity(a.tokens, b.tokens);
+  if (nameScore === 0) return null;
+
+  const matchingFeatures = ['name'];
+  const brandKnown = Boolean(a.brandKey && b.brandKey);
+  const weightKnown = Boolean(a.weightGrams && b.weightGrams);
+
+  // Un segnale mancante vale metà punteggio e abbassa la confidenza
+  let score = nameScore * WEIGHTS.name;
+  score += brandKnown ? WEIGHTS.brand : WEIGHTS.brand / 2;
+  score += weightKnown ? WEIGHTS.weight : WEIGHTS.weight / 2;
+  if (brandKnown) matchingFeatures.push('brand');
+  if (weightKnown) matchingFeatures.push('weight');
+
+  if (a.sku && b.sku && a.sku === b.sku) {
+    score = Math.max(score, 0.95);
+    matchingFeatures.push('sku');
+  }
+
+  let confidence = score;
+  if (!brandKnown) confidence *= 0.85;
+  if (!weightKnown) confidence *= 0.85;
+
+  const reasons = [`nome simile al ${Math.round(nameScore * 100)}%`];
+  if (brandKnown) reasons.push('stesso brand');
+  if (weightKnown) reasons.push(`stesso peso (${a.weightGrams}g)`);
+  if (matchingFeatures.includes('sku')) reasons.push('stesso SKU');
+
+  return {
+    score: round(score),
+    confidence: round(confidence),
+    matchingFeatures,
+    reason: reasons.join(', ')
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  tokenSimilarity,
+  weightRange,
+  scoreMatch
+};
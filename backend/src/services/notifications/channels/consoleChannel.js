@@ -0,0 +1,33 @@
+/**
+ * Canale console/file per lo sviluppo
+ * Scrive la notifica nel log e, se configurato, la aggiunge a un file JSON Lines
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../utils/logger');
+
+/**
+ * Crea il canale console
+ * @param {Object} options - file (opzionale)
+ * @returns {Object} Canale di notifica
+ */
+const createConsoleChannel = (options = {}) => ({
+  name: 'console',
+
+  resolveRecipient: (alert) => alert.notificationEmail || alert.notificationWebhookUrl || alert.userId,
+
+  send: async (recipient, message) => {
+    logger.info(`[NOTIFICA] ${recipient}: ${message.subject}`);
+
+    if (options.file) {
+      const entry = JSON.stringify({ recipient, sentAt: new Date().toISOString(), ...message });
+      await fs.promises.mkdir(path.dirname(options.file), { recursive: true });
+      await fs.promises.appendFile(options.file, `${entry}\n`);
+      return { file: options.file };
+    }
+
+    return { logged: true };
+  }
+});
+
+module.exports = createConsoleChannel;
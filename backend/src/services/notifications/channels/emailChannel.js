@@ -0,0 +1,46 @@
+/**
+ * Canale email (SMTP)
+ * Usa nodemailer; in sviluppo può puntare a un sink SMTP locale (es. MailHog, porta 1025)
+ */
+const nodemailer = require('nodemailer');
+
+/**
+ * Crea il canale email
+ * @param {Object} options - host, port, secure, user, pass, from
+ * @returns {Object} Canale di notifica
+ */
+const createEmailChannel = (options) => {
+  let transport = null;
+
+  const getTransport = () => {
+    if (!transport) {
+      transport = nodemailer.createTransport({
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        auth: options.user ? { user: options.user, pass: options.pass } : undefined
+      });
+    }
+    return transport;
+  };
+
+  return {
+    name: 'email',
+
+    resolveRecipient: (alert) => alert.notificationEmail || null,
+
+    send: async (recipient, message) => {
+      const info = await getTransport().sendMail({
+        from: options.from,
+        to: recipient,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+
+      return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+    }
+  };
+};
+
+module.exports = createEmailChannel;
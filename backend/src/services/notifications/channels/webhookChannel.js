@@ -0,0 +1,136 @@
+/**
+ * Canale webhook generico
+ * Invia il contenuto della notifica in POST come JSON, firmato con HMAC-SHA256 nell'header X-Signature.
+ *
+ * Gli URL indicati dagli utenti negli avvisi devono usare HTTPS e non possono puntare a indirizzi
+ * privati, di loopback o link-local: il controllo avviene sugli indirizzi risolti dal DNS al momento
+ * della connessione, per cui vale anche se il DNS dell'host cambia dopo la creazione dell'avviso.
+ * Ogni avviso firma con il proprio segreto (notificationWebhookSecret); l'URL e il segreto
+ * configurati dall'amministratore (NOTIFICATIONS_WEBHOOK_URL/SECRET) restano attendibili.
+ */
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { PriceAlert } = require('../../../db');
+
+// Reti non raggiungibili dai webhook degli utenti
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Verifica se un indirizzo IP è privato, di loopback, link-local o riservato
+ * (gli indirizzi IPv4 mappati in IPv6 seguono le regole IPv4)
+ * @param {string} address
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * lookup per https.Agent che rifiuta gli host risolti in indirizzi non ammessi
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`Indirizzo del webhook non ammesso: ${hostname} risolve in ${blocked.address}`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const guardedAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Verifica un URL di webhook indicato da un utente prima dell'invio
+ * @param {string} recipient
+ * @returns {URL}
+ */
+const assertPublicHttpsUrl = (recipient) => {
+  const url = new URL(recipient);
+  if (url.protocol !== 'https:') {
+    throw new Error('Il webhook deve usare HTTPS');
+  }
+
+  // Gli IP letterali non passano dal lookup
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new Error(`Indirizzo del webhook non ammesso: ${hostname}`);
+  }
+
+  return url;
+};
+
+/**
+ * Segreto di firma dell'avviso (il campo non viene letto di default dalle query)
+ * @param {Object} alert
+ * @returns {Promise<string|undefined>}
+ */
+const resolveAlertSecret = async (alert) => {
+  if (alert.notificationWebhookSecret) return alert.notificationWebhookSecret;
+
+  const stored = await PriceAlert.findById(alert._id).select('+notificationWebhookSecret').lean();
+  return stored ? stored.notificationWebhookSecret : undefined;
+};
+
+/**
+ * Crea il canale webhook
+ * @param {Object} options - url (default), secret, timeout
+ * @returns {Object} Canale di notifica
+ */
+const createWebhookChannel = (options) => ({
+  name: 'webhook',
+
+  resolveRecipient: (alert) => alert.notificationWebhookUrl || options.url || null,
+
+  send: async (recipient, message, alert) => {
+    const trusted = Boolean(options.url) && recipient === options.url;
+
+    let secret = options.secret;
+    if (!trusted) {
+      assertPublicHttpsUrl(recipient);
+      secret = alert ? await resolveAlertSecret(alert) : undefined;
+      if (!secret) {
+        throw new Error('Segreto del webhook mancante: reinviare l\'URL del webhook dell\'avviso per generarne uno');
+      }
+    }
+
+    const body = JSON.stringify({
+      event: 'price_alert.triggered',
+      subject: message.subject,
+      text: message.text,
+      data: message.data
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-Signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    const response = await axios.post(recipient, body, {
+      headers,
+      timeout: options.timeout,
+      // Per gli URL degli utenti niente redirect né proxy: la connessione passa dal lookup controllato
+      ...(trusted ? {} : { httpsAgent: guardedAgent, maxRedirects: 0, proxy: false })
+    });
+
+    return { statusCode: response.status };
+  }
+});
+
+module.exports = createWebhookChannel;
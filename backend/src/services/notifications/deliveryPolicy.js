@@ -0,0 +1,51 @@
+/**
+ * Regole di frequenza per le notifiche degli avvisi di prezzo
+ * (notificationSettings.frequency / notificationSettings.lastSent)
+ */
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Verifica se un avviso può essere notificato in questo momento
+ * @param {Object} alert - Avviso di prezzo
+ * @param {Date} now - Istante di riferimento
+ * @returns {Object} { allowed, reason }
+ */
+const shouldNotify = (alert, now = new Date()) => {
+  const settings = alert.notificationSettings || {};
+  const frequency = settings.frequency || 'ONCE';
+  const lastSent = settings.lastSent ? new Date(settings.lastSent) : null;
+
+  switch (frequency) {
+    case 'ALWAYS':
+      return { allowed: true };
+
+    case 'DAILY':
+      if (lastSent && now.getTime() - lastSent.getTime() < ONE_DAY_MS) {
+        return { allowed: false, reason: `Notifica già inviata il ${lastSent.toISOString()} (frequenza giornaliera)` };
+      }
+      return { allowed: true };
+
+    case 'ONCE':
+    default:
+      if (lastSent) {
+        return { allowed: false, reason: `Notifica già inviata il ${lastSent.toISOString()}` };
+      }
+      return { allowed: true };
+  }
+};
+
+/**
+ * Indica se l'avviso deve restare attivo dopo essere scattato
+ * @param {Object} alert - Avviso di prezzo
+ * @returns {boolean}
+ */
+const isRecurring = (alert) => {
+  const frequency = alert.notificationSettings && alert.notificationSettings.frequency;
+  return frequency === 'DAILY' || frequency === 'ALWAYS';
+};
+
+module.exports = {
+  shouldNotify,
+  isRecurring
+};
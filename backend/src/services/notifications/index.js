@@ -0,0 +1,137 @@
+/**
+ * Notifier per gli avvisi di prezzo
+ * Seleziona il canale in base a notificationType, applica le regole di frequenza
+ * e registra ogni tentativo di consegna in NotificationDelivery.
+ *
+ * Nuovi canali possono essere aggiunti con registerChannel(name, channel), dove
+ * channel espone resolveRecipient(alert) e send(recipient, message, alert).
+ */
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const { PriceAlert, NotificationDelivery } = require('../../db');
+const { shouldNotify, isRecurring } = require('./deliveryPolicy');
+const { buildAlertMessage } = require('./messageBuilder');
+const createEmailChannel = require('./channels/emailChannel');
+const createWebhookChannel = require('./channels/webhookChannel');
+const createConsoleChannel = require('./channels/consoleChannel');
+
+// Canale associato a ciascun notificationType dell'avviso
+const CHANNEL_BY_TYPE = {
+  EMAIL: 'email',
+  WEBHOOK: 'webhook'
+};
+
+const channels = new Map();
+
+/**
+ * Registra (o sostituisce) un canale di notifica
+ * @param {string} name - Nome del canale
+ * @param {Object} channel - { resolveRecipient(alert), send(recipient, message, alert) }
+ */
+const registerChannel = (name, channel) => {
+  channels.set(name, channel);
+};
+
+/**
+ * @param {string} name - Nome del canale
+ * @returns {Object|undefined}
+ */
+const getChannel = (name) => channels.get(name);
+
+registerChannel('email', createEmailChannel(config.notifications.email));
+registerChannel('webhook', createWebhookChannel(config.notifications.webhook));
+registerChannel('console', createConsoleChannel(config.notifications.console));
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Salva un tentativo di consegna senza interrompere l'elaborazione in caso di errore
+ */
+const recordDelivery = async (delivery) => {
+  try {
+    await NotificationDelivery.create(delivery);
+  } catch (error) {
+    logger.error(`Impossibile registrare la consegna della notifica per l'avviso ${delivery.alert}: ${error.message}`);
+  }
+};
+
+/**
+ * Invia la notifica per un avviso scattato
+ * @param {Object} alert - Avviso di prezzo (productId popolato se disponibile)
+ * @param {Object} event - Dati dell'evento (currentPrice, statusMessage, extra)
+ * @returns {Promise<Object>} { status, channel, attempts, reason }
+ *   status: SENT | FAILED | SKIPPED | SUPPRESSED | DISABLED | NONE
+ */
+const notifyAlert = async (alert, event = {}) => {
+  const options = config.notifications;
+
+  if (!options.enabled) {
+    return { status: 'DISABLED' };
+  }
+
+  if (alert.notificationType === 'NONE' && !options.overrideChannel) {
+    return { status: 'NONE' };
+  }
+
+  const now = new Date();
+  const policy = shouldNotify(alert, now);
+  if (!policy.allowed) {
+    return { status: 'SUPPRESSED', reason: policy.reason };
+  }
+
+  const message = buildAlertMessage(alert, { ...event, triggeredAt: now });
+  const channelName = options.overrideChannel || CHANNEL_BY_TYPE[alert.notificationType];
+  const channel = channelName && getChannel(channelName);
+  const baseDelivery = {
+    alert: alert._id,
+    userId: alert.userId,
+    channel: channelName || 'console',
+    subject: message.subject,
+    payload: message.data
+  };
+
+  if (!channel) {
+    const reason = `Nessun canale disponibile per il tipo di notifica ${alert.notificationType}`;
+    await recordDelivery({ ...baseDelivery, status: 'SKIPPED', error: reason });
+    return { status: 'SKIPPED', channel: channelName, reason };
+  }
+
+  const recipient = channel.resolveRecipient(alert);
+  if (!recipient) {
+    const reason = `Nessun destinatario configurato per il canale ${channelName}`;
+    await recordDelivery({ ...baseDelivery, status: 'SKIPPED', error: reason });
+    return { status: 'SKIPPED', channel: channelName, reason };
+  }
+
+  for (let attempt = 1; attempt <= options.maxAttempts; attempt++) {
+    try {
+      const response = await channel.send(recipient, message, alert);
+      await recordDelivery({ ...baseDelivery, recipient, status: 'SENT', attempt, response });
+
+      await PriceAlert.updateOne(
+        { _id: alert._id },
+        { $set: { 'notificationSettings.lastSent': now } }
+      );
+
+      logger.info(`Notifica inviata per l'avviso ${alert._id} tramite ${channelName} (tentativo ${attempt})`);
+      return { status: 'SENT', channel: channelName, attempts: attempt };
+    } catch (error) {
+      await recordDelivery({ ...baseDelivery, recipient, status: 'FAILED', attempt, error: error.message });
+      logger.warn(`Invio notifica fallito per l'avviso ${alert._id} tramite ${channelName} (tentativo ${attempt}/${options.maxAttempts}): ${error.message}`);
+
+      if (attempt < options.maxAttempts) {
+        await wait(options.retryDelayMs * attempt);
+      }
+    }
+  }
+
+  return { status: 'FAILED', channel: channelName, attempts: options.maxAttempts };
+};
+
+module.exports = {
+  notifyAlert,
+  registerChannel,
+  getChannel,
+  shouldNotify,
+  isRecurring
+};
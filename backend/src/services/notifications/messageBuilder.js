@@ -0,0 +1,175 @@
+/**
+ * Costruzione del contenuto delle notifiche per gli avvisi di prezzo, di prezzo al kg e di disponibilità
+ */
+
+const formatPrice = (value) => (typeof value === 'number' ? `${value.toFixed(2)}€` : 'N/D');
+
+const formatUnitPrice = (value) => (typeof value === 'number' ? `${value.toFixed(2)} €/kg` : 'N/D');
+
+// Oggetto, introduzione ed etichetta del prezzo per gli avvisi sulla disponibilità
+const STOCK_MESSAGES = {
+  BACK_IN_STOCK: {
+    subject: (name) => `Di nuovo disponibile: ${name}`,
+    intro: (name) => `"${name}" è di nuovo disponibile.`,
+    priceLabel: 'Prezzo attuale'
+  },
+  GOING_OUT_OF_STOCK: {
+    subject: (name) => `Non più disponibile: ${name}`,
+    intro: (name) => `"${name}" non è più disponibile.`,
+    priceLabel: 'Ultimo prezzo'
+  }
+};
+
+/**
+ * Righe del messaggio per un avviso sul prezzo al kg di un gruppo di prodotti
+ * @param {Object} alert - Avviso UNIT_PRICE_BELOW
+ * @param {Object} event - Dati dell'evento, con la variante (formato e negozio) che ha fatto scattare l'avviso
+ * @param {string} groupName
+ * @returns {Array<string>}
+ */
+const buildUnitPriceLines = (alert, event, groupName) => {
+  const variant = event.variant || {};
+  const lines = [
+    `Il tuo avviso sul prezzo al kg per "${groupName}" è scattato.`,
+    '',
+    `Prezzo al kg: ${formatUnitPrice(variant.unitPrice && variant.unitPrice.value)} (formato ${variant.size || 'N/D'} da ${variant.source || 'N/D'})`,
+    `Prezzo della confezione: ${formatPrice(event.currentPrice)}`,
+    `Prezzo al kg target: ${formatUnitPrice(alert.targetUnitPrice)}`
+  ];
+  if (event.statusMessage) lines.push('', event.statusMessage);
+  if (variant.url) lines.push('', `Vai al prodotto: ${variant.url}`);
+  return lines;
+};
+
+/**
+ * Righe del messaggio per un avviso sul prezzo in tutti i negozi (CROSS_STORE_BELOW)
+ * @param {Object} alert - Avviso CROSS_STORE_BELOW
+ * @param {Object} event - Dati dell'evento, con offerta migliore e risparmio in extra
+ * @param {string} productName - Scheda seguita dall'avviso
+ * @param {Object|null} product - Scheda seguita (popolata)
+ * @returns {Array<string>}
+ */
+const buildCrossStoreLines = (alert, event, productName, product) => {
+  const { offer = {}, saving, watchedPrice } = event.extra || {};
+  const lines = [
+    `Il tuo avviso di prezzo per "${productName}" è scattato.`,
+    '',
+    `Offerta migliore: ${formatPrice(offer.price)} da ${offer.store || 'N/D'}`,
+    `Prezzo target: ${formatPrice(alert.targetPrice)}`
+  ];
+  if (saving && !offer.isWatchedListing) {
+    lines.push(`Risparmio rispetto a ${product ? product.source : 'la scheda seguita'} (${formatPrice(watchedPrice)}): ${formatPrice(saving.amount)} (${saving.percentage}%)`);
+  }
+  if (offer.name && !offer.isWatchedListing) lines.push(`Prodotto equivalente: ${offer.name}`);
+  if (event.statusMessage) lines.push('', event.statusMessage);
+  if (offer.url) lines.push('', `Vai all'offerta: ${offer.url}`);
+  return lines;
+};
+
+/**
+ * Righe del messaggio per un avviso con regola (RULE)
+ * @param {Object} event - Dati dell'evento, con regola e offerta che la soddisfa in extra
+ * @param {string} productName - Scheda seguita dall'avviso
+ * @returns {Array<string>}
+ */
+const buildRuleLines = (event, productName) => {
+  const { offer = {}, rule } = event.extra || {};
+  const lines = [
+    `Il tuo avviso per "${productName}" è scattato: la regola è soddisfatta.`,
+    '',
+    `Regola: ${rule || 'N/D'}`,
+    `Offerta: ${formatPrice(offer.price)} da ${offer.store || 'N/D'}${offer.inStock === false ? ' (non disponibile)' : ''}`
+  ];
+  if (typeof offer.unitPrice === 'number') lines.push(`Prezzo al kg: ${formatUnitPrice(offer.unitPrice)}`);
+  if (offer.discount > 0) lines.push(`Sconto: ${offer.discount}%`);
+  if (offer.name && !offer.isWatchedListing) lines.push(`Prodotto equivalente: ${offer.name}`);
+  if (offer.url) lines.push('', `Vai all'offerta: ${offer.url}`);
+  return lines;
+};
+
+/**
+ * Costruisce il messaggio di notifica per un avviso scattato
+ * @param {Object} alert - Avviso di prezzo (productId o productGroupId popolati se disponibili)
+ * @param {Object} event - Dati dell'evento (currentPrice, statusMessage, variant, extra)
+ * @returns {Object} { subject, text, html, data }
+ */
+const buildAlertMessage = (alert, event = {}) => {
+  const product = alert.productId && alert.productId.name ? alert.productId : null;
+  const group = alert.productGroupId && alert.productGroupId.baseProduct ? alert.productGroupId : null;
+  const productName = product ? product.name : 'Prodotto monitorato';
+  const groupName = group
+    ? [group.baseProduct.brand, group.baseProduct.name].filter(Boolean).join(' ')
+    : 'Gruppo di prodotti monitorato';
+
+  const data = {
+    alertId: alert._id ? alert._id.toString() : undefined,
+    userId: alert.userId,
+    type: alert.type,
+    product: product ? {
+      id: product._id.toString(),
+      name: product.name,
+      brand: product.brand,
+      source: product.source,
+      url: product.url,
+      imageUrl: product.imageUrl
+    } : null,
+    ...(alert.type === 'UNIT_PRICE_BELOW' ? {
+      productGroup: group ? {
+        id: group._id.toString(),
+        name: group.baseProduct.name,
+        brand: group.baseProduct.brand
+      } : null,
+      variant: event.variant || null,
+      targetUnitPrice: alert.targetUnitPrice
+    } : {}),
+    currentPrice: event.currentPrice,
+    targetPrice: alert.targetPrice,
+    targetPercentage: alert.targetPercentage,
+    referencePrice: alert.referencePrice,
+    message: event.statusMessage,
+    triggeredAt: (event.triggeredAt || new Date()).toISOString(),
+    ...(event.extra || {})
+  };
+
+  const stock = STOCK_MESSAGES[alert.type];
+  let subject;
+  let lines;
+
+  if (alert.type === 'UNIT_PRICE_BELOW') {
+    const unitPrice = event.variant && event.variant.unitPrice;
+    subject = `Prezzo al kg: ${groupName} a ${formatUnitPrice(unitPrice && unitPrice.value)}`;
+    lines = buildUnitPriceLines(alert, event, groupName);
+  } else if (alert.type === 'CROSS_STORE_BELOW') {
+    const offer = (event.extra && event.extra.offer) || {};
+    subject = `Avviso prezzo: ${productName} a ${formatPrice(event.currentPrice)} da ${offer.store || 'N/D'}`;
+    lines = buildCrossStoreLines(alert, event, productName, product);
+  } else if (alert.type === 'RULE') {
+    const offer = (event.extra && event.extra.offer) || {};
+    subject = `Avviso: ${productName} a ${formatPrice(event.currentPrice)} da ${offer.store || 'N/D'}`;
+    lines = buildRuleLines(event, productName);
+  } else {
+    subject = stock
+      ? stock.subject(productName)
+      : `Avviso prezzo: ${productName} a ${formatPrice(event.currentPrice)}`;
+
+    lines = [
+      stock ? stock.intro(productName) : `Il tuo avviso di prezzo per "${productName}" è scattato.`,
+      '',
+      `${stock ? stock.priceLabel : 'Prezzo attuale'}: ${formatPrice(event.currentPrice)}`
+    ];
+    if (typeof alert.targetPrice === 'number') lines.push(`Prezzo target: ${formatPrice(alert.targetPrice)}`);
+    if (event.statusMessage) lines.push('', event.statusMessage);
+    if (product && product.url) lines.push('', `Vai al prodotto: ${product.url}`);
+  }
+
+  const text = lines.join('\n');
+  const html = lines
+    .map(line => (line ? `<p>${line.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</p>` : ''))
+    .join('\n');
+
+  return { subject, text, html, data };
+};
+
+module.exports = {
+  buildAlertMessage
+};
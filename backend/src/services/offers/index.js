@@ -0,0 +1,324 @@
+/**
+ * Offers Service
+ * Raggruppa le schede Product dei diversi negozi in un CanonicalProduct con un'offerta per scheda.
+ * I gruppi seguono le corrispondenze confermate (ACTIVE) del motore di matching o della
+ * revisione manuale; le corrispondenze legacy non vengono usate.
+ */
+const logger = require('../../utils/logger');
+const config = require('../../config/config');
+const { Product, CanonicalProduct, SimilarProduct, pricePoints } = require('../../db');
+const { ALGORITHM } = require('../matching');
+const { buildMatchKeys } = require('../matching/normalizers');
+const cacheInvalidation = require('../cacheInvalidation');
+
+// Limite di sicurezza per catene di corrispondenze anomale
+const MAX_GROUP_SIZE = 50;
+
+const LISTING_FIELDS = 'name brand category petType imageUrl gtin source sourceId url price currency ' +
+  'availability details.weight packageInfo.weight canonicalProduct lastPriceUpdate updatedAt';
+
+// Corrispondenze che definiscono lo stesso articolo
+const CONFIRMED_MATCH = {
+  status: 'ACTIVE',
+  $or: [
+    { similarityType: 'MANUAL' },
+    { 'metadata.algorithm': ALGORITHM }
+  ]
+};
+
+/**
+ * Ordina le offerte: prima quelle disponibili, poi per prezzo effettivo crescente
+ * @param {Array} offers
+ * @returns {Array} Nuovo array ordinato
+ */
+const sortOffers = (offers) => [...offers].sort((a, b) => {
+  if (a.inStock !== b.inStock) return a.inStock ? -1 : 1;
+  if (a.effectivePrice == null) return 1;
+  if (b.effectivePrice == null) return -1;
+  return a.effectivePrice - b.effectivePrice;
+});
+
+/**
+ * Costruisce l'offerta di una scheda a partire dall'ultimo prezzo rilevato
+ * @param {Object} listing - Scheda Product (lean)
+ * @param {Object} latestPoint - Ultimo PricePoint della scheda (opzionale)
+ * @returns {Object}
+ */
+const buildOffer = (listing, latestPoint) => {
+  const available = !listing.availability || listing.availability.status === 'AVAILABLE';
+  const seenDates = [
+    latestPoint && latestPoint.timestamp,
+    listing.availability && listing.availability.lastChecked,
+    listing.lastPriceUpdate
+  ].filter(Boolean).map(date => new Date(date).getTime());
+
+  return {
+    listing: listing._id,
+    store: listing.source,
+    sourceId: listing.sourceId,
+    name: listing.name,
+    url: (latestPoint && latestPoint.url) || listing.url,
+    price: listing.price || (latestPoint ? latestPoint.price : null),
+    originalPrice: latestPoint ? latestPoint.originalPrice : undefined,
+    effectivePrice: latestPoint ? latestPoint.price : (listing.price || null),
+    currency: listing.currency || 'EUR',
+    inStock: available && (!latestPoint || latestPoint.inStock !== false),
+    lastSeenAt: seenDates.length > 0 ? new Date(Math.max(...seenDates)) : undefined
+  };
+};
+
+/**
+ * Costruisce le offerte ordinate per un insieme di schede
+ * @param {Array} listings - Schede Product (lean)
+ * @returns {Promise<Array>}
+ */
+const buildOffers = async (listings) => {
+  const latest = await pricePoints.findLatestForProducts(listings.map(listing => listing._id));
+  return sortOffers(listings.map(listing => buildOffer(listing, latest.get(listing._id.toString()))));
+};
+
+/**
+ * Schede collegate a quella data tramite corrispondenze confermate (visita in ampiezza)
+ * @param {string} listingId
+ * @returns {Promise<string[]>} ID delle schede del gruppo, inclusa quella di partenza
+ */
+const findGroup = async (listingId) => {
+  const group = new Set([listingId.toString()]);
+  let frontier = [listingId.toString()];
+
+  while (frontier.length > 0 && group.size < MAX_GROUP_SIZE) {
+    const edges = await SimilarProduct.find({
+      ...CONFIRMED_MATCH,
+      $and: [{ $or: [{ product: { $in: frontier } }, { similarTo: { $in: frontier } }] }]
+    }).select('product similarTo').lean();
+
+    frontier = [];
+    for (const edge of edges) {
+      for (const id of [edge.product.toString(), edge.similarTo.toString()]) {
+        if (!group.has(id) && group.size < MAX_GROUP_SIZE) {
+          group.add(id);
+          frontier.push(id);
+        }
+      }
+    }
+  }
+
+  return [...group];
+};
+
+/**
+ * Salva il CanonicalProduct di un gruppo di schede
+ * @param {Array} listings - Schede del gruppo (lean)
+ * @param {string|null} canonicalId - CanonicalProduct da riutilizzare
+ * @returns {Promise<Object>} CanonicalProduct salvato
+ */
+const saveGroup = async (listings, canonicalId) => {
+  const offers = await buildOffers(listings);
+  // I dati descrittivi vengono dalla scheda più completa
+  const reference = [...listings].sort((a, b) =>
+    Number(Boolean(b.brand)) - Number(Boolean(a.brand)) ||
+    Number(Boolean(b.imageUrl)) - Number(Boolean(a.imageUrl)))[0];
+  const prices = offers.map(offer => offer.effectivePrice).filter(price => price != null);
+  const best = offers.find(offer => offer.effectivePrice != null);
+
+  const data = {
+    name: reference.name,
+    brand: reference.brand,
+    category: reference.category,
+    petType: reference.petType,
+    imageUrl: (listings.find(listing => listing.imageUrl) || {}).imageUrl,
+    gtin: (listings.find(listing => listing.gtin) || {}).gtin,
+    weightGrams: buildMatchKeys(reference).weightGrams,
+    offers,
+    bestOffer: best ? { store: best.store, listing: best.listing, effectivePrice: best.effectivePrice } : undefined,
+    priceRange: prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : undefined,
+    storeCount: new Set(offers.map(offer => offer.store)).size,
+    lastSyncedAt: new Date()
+  };
+
+  const canonical = canonicalId
+    ? await CanonicalProduct.findByIdAndUpdate(canonicalId, { $set: data }, { new: true, upsert: true })
+    : await CanonicalProduct.create(data);
+
+  await Product.updateMany(
+    { _id: { $in: listings.map(listing => listing._id) } },
+    { $set: { canonicalProduct: canonical._id, offersSyncedAt: new Date() } },
+    { timestamps: false }
+  );
+
+  return canonical;
+};
+
+/**
+ * Ricostruisce i CanonicalProduct delle schede indicate (e dei gruppi a cui appartengono).
+ * Riutilizza i CanonicalProduct esistenti, divide quelli non più coerenti ed elimina quelli rimasti vuoti.
+ * @param {Array} listingIds - ID delle schede da sincronizzare
+ * @returns {Promise<Object>} { groups, listings, removed }
+ */
+const syncListings = async (listingIds) => {
+  const queue = listingIds.map(id => id.toString());
+  const done = new Set();
+  const claimed = new Set();
+  const touched = new Set();
+  const stats = { groups: 0, listings: 0, removed: 0 };
+
+  while (queue.length > 0) {
+    const seed = queue.shift();
+    if (done.has(seed)) continue;
+
+    const groupIds = await findGroup(seed);
+    const listings = await Product.find({ _id: { $in: groupIds } }).select(LISTING_FIELDS).lean();
+    listings.forEach(listing => done.add(listing._id.toString()));
+    done.add(seed);
+    if (listings.length === 0) continue;
+
+    // Riutilizza il CanonicalProduct più vecchio non ancora assegnato in questa sincronizzazione
+    const currentIds = [...new Set(listings
+      .map(listing => listing.canonicalProduct && listing.canonicalProduct.toString())
+      .filter(Boolean))].sort();
+    currentIds.forEach(id => touched.add(id));
+    const reusable = currentIds.find(id => !claimed.has(id)) || null;
+    if (reusable) claimed.add(reusable);
+
+    // Le schede rimaste nei vecchi gruppi ma non più collegate vanno risincronizzate
+    if (currentIds.length > 0) {
+      const leftovers = await Product.find({
+        canonicalProduct: { $in: currentIds },
+        _id: { $nin: groupIds }
+      }).select('_id').lean();
+      leftovers.forEach(listing => queue.push(listing._id.toString()));
+    }
+
+    await saveGroup(listings, reusable);
+    stats.groups++;
+    stats.listings += listings.length;
+  }
+
+  // Elimina i CanonicalProduct rimasti senza schede
+  for (const canonicalId of touched) {
+    if (!claimed.has(canonicalId) && !(await Product.exists({ canonicalProduct: canonicalId }))) {
+      await CanonicalProduct.deleteOne({ _id: canonicalId });
+      stats.removed++;
+    }
+  }
+
+  // Le risposte in cache delle schede sincronizzate riportano le offerte precedenti
+  await cacheInvalidation.invalidateProducts([...done]);
+
+  return stats;
+};
+
+/**
+ * Segna le schede da risincronizzare (es. dopo una decisione manuale sulle corrispondenze)
+ * @param {Array} listingIds
+ */
+const markStale = (listingIds) => Product.updateMany(
+  { _id: { $in: listingIds } },
+  { $unset: { offersSyncedAt: '' } },
+  { timestamps: false }
+);
+
+/**
+ * Sincronizza le schede nuove, modificate o riconfrontate dopo l'ultima sincronizzazione
+ * @param {Object} options - batchSize
+ * @returns {Promise<Object>} Statistiche
+ */
+const syncPending = async ({ batchSize = config.matching.batchSize } = {}) => {
+  const pending = await Product.find({
+    $or: [
+      { offersSyncedAt: null },
+      { $expr: { $gt: ['$updatedAt', '$offersSyncedAt'] } },
+      { $expr: { $gt: ['$matching.lastMatchedAt', '$offersSyncedAt'] } }
+    ]
+  })
+    .select('_id')
+    .limit(batchSize)
+    .lean();
+
+  const stats = await syncListings(pending.map(listing => listing._id));
+  logger.info(`Offerte sincronizzate: ${stats.listings} schede in ${stats.groups} prodotti canonici, ${stats.removed} rimossi`);
+
+  return { pending: pending.length, ...stats };
+};
+
+/**
+ * Offerte di un prodotto, ordinate per prezzo effettivo.
+ * Accetta l'ID di una scheda Product o di un CanonicalProduct; se la scheda non è ancora
+ * stata sincronizzata, l'offerta viene calcolata al volo.
+ * @param {Object} listing - Scheda Product (lean) oppure null
+ * @param {string} canonicalId - ID CanonicalProduct (se listing è null)
+ * @returns {Promise<Object|null>} { canonicalProduct, offers }
+ */
+const getOffers = async (listing, canonicalId) => {
+  const id = listing ? listing.canonicalProduct : canonicalId;
+  const canonical = id ? await CanonicalProduct.findById(id).lean() : null;
+
+  if (canonical) {
+    return { canonicalProduct: canonical, offers: sortOffers(canonical.offers) };
+  }
+  if (!listing) return null;
+
+  return { canonicalProduct: null, offers: await buildOffers([listing]) };
+};
+
+/**
+ * Offerte di più schede con un numero fisso di query (per liste di risultati)
+ * @param {Array} listings - Schede Product (lean, con _id e canonicalProduct)
+ * @returns {Promise<Map<string, Object>>} ID scheda -> { canonicalProduct, offers }
+ */
+const getOffersForListings = async (listings) => {
+  const canonicalIds = [...new Set(listings
+    .filter(listing => listing.canonicalProduct)
+    .map(listing => listing.canonicalProduct.toString()))];
+  const canonicals = await CanonicalProduct.find({ _id: { $in: canonicalIds } }).lean();
+  const canonicalById = new Map(canonicals.map(canonical => [canonical._id.toString(), canonical]));
+
+  const result = new Map();
+  const unsynced = [];
+
+  listings.forEach(listing => {
+    const canonical = listing.canonicalProduct && canonicalById.get(listing.canonicalProduct.toString());
+    if (canonical) {
+      result.set(listing._id.toString(), { canonicalProduct: canonical, offers: sortOffers(canonical.offers) });
+    } else {
+      unsynced.push(listing._id);
+    }
+  });
+
+  if (unsynced.length > 0) {
+    // Schede non ancora sincronizzate: un'offerta calcolata al volo
+    const unsyncedListings = await Product.find({ _id: { $in: unsynced } }).select(LISTING_FIELDS).lean();
+    const latest = await pricePoints.findLatestForProducts(unsynced);
+
+    unsyncedListings.forEach(listing => {
+      const offer = buildOffer(listing, latest.get(listing._id.toString()));
+      result.set(listing._id.toString(), { canonicalProduct: null, offers: [offer] });
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Aggiunge il prezzo al kg alle offerte
+ * @param {Array} offers
+ * @param {number} weightGrams - Peso della confezione (stesso articolo in tutti i negozi)
+ * @returns {Array} Nuove offerte con unitPrice ({ value, unit } o null)
+ */
+const withUnitPrices = (offers, weightGrams) => offers.map(offer => ({
+  ...offer,
+  unitPrice: weightGrams > 0 && offer.effectivePrice != null
+    ? { value: Math.round(offer.effectivePrice / (weightGrams / 1000) * 100) / 100, unit: 'EUR/kg' }
+    : null
+}));
+
+module.exports = {
+  sortOffers,
+  buildOffers,
+  syncListings,
+  syncPending,
+  markStale,
+  getOffers,
+  getOffersForListings,
+  withUnitPrices
+};
@@ -0,0 +1,145 @@
+/**
+ * Price History Service
+ * Conservazione a più livelli dello storico prezzi:
+ * - punti grezzi (PricePoint) per config.priceHistory.rawRetentionDays giorni
+ * - poi aggregati OHLC giornalieri (PriceAggregate) per dailyRetentionDays giorni
+ * - poi aggregati OHLC settimanali, conservati senza limite
+ * Le letture scelgono la risoluzione in base all'intervallo richiesto.
+ */
+const logger = require('../../utils/logger');
+const config = require('../../config/config');
+const { pricePoints } = require('../../db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const { RESOLUTIONS } = pricePoints;
+
+/**
+ * Mezzanotte UTC del giorno indicato
+ * @param {Date} date
+ * @returns {Date}
+ */
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Lunedì (mezzanotte UTC) della settimana indicata, come $dateTrunc con startOfWeek: monday
+ * @param {Date} date
+ * @returns {Date}
+ */
+const startOfUtcWeek = (date) => {
+  const day = startOfUtcDay(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+/**
+ * Date limite della retention: i punti precedenti a rawBefore diventano aggregati giornalieri,
+ * gli aggregati giornalieri precedenti a dailyBefore diventano settimanali.
+ * Le date sono allineate all'inizio del giorno e della settimana, così nessun periodo viene diviso.
+ * @param {Date} now
+ * @returns {{ rawBefore: Date, dailyBefore: Date }}
+ */
+const getRetentionCutoffs = (now = new Date()) => {
+  const { rawRetentionDays, dailyRetentionDays } = config.priceHistory;
+
+  return {
+    rawBefore: startOfUtcDay(new Date(now.getTime() - rawRetentionDays * DAY_MS)),
+    dailyBefore: startOfUtcWeek(new Date(now.getTime() - dailyRetentionDays * DAY_MS))
+  };
+};
+
+/**
+ * Applica la retention: riassume e rimuove punti grezzi e aggregati giornalieri scaduti.
+ * Prima vengono chiusi gli aggregati settimanali, poi i punti grezzi: i punti arrivati in ritardo
+ * con date molto vecchie finiscono negli aggregati giornalieri e vengono riassunti all'esecuzione successiva.
+ * @param {Object} options
+ * @param {Date} options.now - Data di riferimento (default: adesso)
+ * @returns {Promise<Object>} { rawBefore, dailyBefore, rolledUpPoints, rolledUpDays }
+ */
+const runRetention = async ({ now = new Date() } = {}) => {
+  const { rawBefore, dailyBefore } = getRetentionCutoffs(now);
+
+  const rolledUpDays = await pricePoints.rollupDailyAggregates({ before: dailyBefore });
+  const rolledUpPoints = await pricePoints.rollupPricePoints({ before: rawBefore, createdBefore: now });
+
+  logger.info(`Retention storico prezzi: ${rolledUpPoints} punti riassunti in aggregati giornalieri ` +
+    `(prima del ${rawBefore.toISOString()}), ${rolledUpDays} aggregati giornalieri riassunti in settimanali ` +
+    `(prima del ${dailyBefore.toISOString()})`);
+
+  return { rawBefore, dailyBefore, rolledUpPoints, rolledUpDays };
+};
+
+/**
+ * Sceglie la risoluzione per un intervallo: punti grezzi per intervalli brevi e recenti,
+ * aggregati giornalieri fino a dailyMaxRangeDays (se ancora conservati), settimanali oltre.
+ * @param {Object} options
+ * @param {Date|null} options.from - Inizio dell'intervallo (null = tutto lo storico)
+ * @param {Date} options.to - Fine dell'intervallo (default: adesso)
+ * @param {Date} options.now - Data di riferimento (default: adesso)
+ * @returns {string} raw, daily o weekly
+ */
+const chooseResolution = ({ from, to, now = new Date() } = {}) => {
+  if (!from) {
+    return 'weekly';
+  }
+
+  const { rawRetentionDays, dailyRetentionDays, rawMaxRangeDays, dailyMaxRangeDays } = config.priceHistory;
+  const rangeDays = ((to || now).getTime() - from.getTime()) / DAY_MS;
+  const ageDays = (now.getTime() - from.getTime()) / DAY_MS;
+
+  if (rangeDays <= rawMaxRangeDays && ageDays <= rawRetentionDays) {
+    return 'raw';
+  }
+  if (rangeDays <= dailyMaxRangeDays && ageDays <= dailyRetentionDays) {
+    return 'daily';
+  }
+  return 'weekly';
+};
+
+/**
+ * Storico prezzi di un prodotto alla risoluzione adatta all'intervallo
+ * @param {string|ObjectId} productId - ID del prodotto
+ * @param {Object} options - from, to, source, variantId, limit, resolution (auto, raw, daily, weekly)
+ * @returns {Promise<{ resolution: string, points: Array }>}
+ */
+const getPriceSeries = async (productId, { resolution = 'auto', ...options } = {}) => {
+  let selected = resolution;
+
+  if (!resolution || resolution === 'auto') {
+    // Senza data di inizio l'intervallo parte dal primo rilevamento del prodotto
+    const from = options.from ||
+      await pricePoints.findFirstTimestamp(productId, { source: options.source, variantId: options.variantId });
+    selected = chooseResolution({ from, to: options.to });
+  }
+
+  const points = await pricePoints.findHistorySeries(productId, { ...options, resolution: selected });
+  return { resolution: selected, points };
+};
+
+/**
+ * Storico prezzi di più prodotti con le stesse opzioni (loader GraphQL).
+ * Con un intervallo noto la risoluzione è la stessa per tutti e basta una query; con
+ * resolution auto e senza data di inizio dipende dal primo rilevamento di ciascun prodotto.
+ * @param {Array} productIds - ID dei prodotti
+ * @param {Object} options - from, to, source, variantId, limit (per prodotto), resolution
+ * @returns {Promise<Map>} Mappa productId (stringa) -> { resolution, points }
+ */
+const getPriceSeriesForProducts = async (productIds, { resolution = 'auto', ...options } = {}) => {
+  if ((!resolution || resolution === 'auto') && !options.from) {
+    const series = await Promise.all(productIds.map(id => getPriceSeries(id, { resolution, ...options })));
+    return new Map(productIds.map((id, index) => [id.toString(), series[index]]));
+  }
+
+  const selected = !resolution || resolution === 'auto' ? chooseResolution({ from: options.from, to: options.to }) : resolution;
+  const points = await pricePoints.findHistorySeriesForProducts(productIds, { ...options, resolution: selected });
+
+  return new Map(productIds.map(id => [id.toString(), { resolution: selected, points: points.get(id.toString()) }]));
+};
+
+module.exports = {
+  RESOLUTIONS,
+  getRetentionCutoffs,
+  runRetention,
+  chooseResolution,
+  getPriceSeries,
+  getPriceSeriesForProducts
+};
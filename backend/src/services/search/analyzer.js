@@ -0,0 +1,63 @@
+/**
+ * Analisi del testo per la ricerca: normalizzazione, stop word e stemming italiano.
+ * Lo stesso analizzatore viene usato per indicizzare i prodotti e per le query,
+ * così "gatti" e "gatto" producono lo stesso termine ("gatt").
+ */
+const snowball = require('snowball-stemmers');
+
+const stemmer = snowball.newStemmer('italian');
+
+// Stop word italiane (e poche inglesi frequenti nei nomi dei prodotti)
+const STOP_WORDS = new Set([
+  'a', 'ad', 'al', 'alla', 'alle', 'allo', 'ai', 'agli', 'con', 'da', 'dal', 'dalla', 'dai', 'de', 'del',
+  'della', 'delle', 'dello', 'dei', 'degli', 'di', 'e', 'ed', 'fra', 'gli', 'i', 'il', 'in', 'la', 'le',
+  'lo', 'nel', 'nella', 'nelle', 'nei', 'o', 'per', 'su', 'sul', 'sulla', 'tra', 'un', 'una', 'uno',
+  'and', 'for', 'the', 'with', 'x'
+]);
+
+// I token più corti non vengono ridotti alla radice
+const MIN_STEM_LENGTH = 4;
+
+/**
+ * Normalizza un testo: minuscole, senza accenti, possessivo inglese unito ("hill's" -> "hills")
+ * @param {string} text
+ * @returns {string}
+ */
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/(\w)['’]s\b/g, '$1s');
+
+/**
+ * Divide un testo in token normalizzati, senza stop word
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => normalize(text)
+  .split(/[^a-z0-9]+/)
+  .filter(token => token && !STOP_WORDS.has(token));
+
+/**
+ * Radice di un token (i token con cifre, come "400g", restano invariati)
+ * @param {string} token - Token già normalizzato
+ * @returns {string}
+ */
+const stem = (token) => {
+  if (token.length < MIN_STEM_LENGTH || /\d/.test(token)) return token;
+  return stemmer.stem(token);
+};
+
+/**
+ * Termini di un testo: token normalizzati e ridotti alla radice, nell'ordine originale
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const analyze = (text) => tokenize(text).map(stem);
+
+module.exports = {
+  normalize,
+  tokenize,
+  stem,
+  analyze
+};
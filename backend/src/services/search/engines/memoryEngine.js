@@ -0,0 +1,254 @@
+/**
+ * Motore di ricerca in memoria
+ * Indice invertito costruito dalla collection Product (nome, brand, categoria, tipo di animale,
+ * keywords) con stemming italiano, sinonimi e ricerca fuzzy per distanza di edit.
+ * L'indice viene ricostruito per intero e sostituito solo a costruzione completata.
+ */
+const { Product } = require('../../../db');
+const { tokenize, stem } = require('../analyzer');
+
+// Peso dei campi indicizzati
+const FIELD_WEIGHTS = {
+  name: 3,
+  brand: 3,
+  category: 1,
+  petType: 1,
+  keywords: 1
+};
+
+// Peso delle corrispondenze approssimate rispetto a quelle esatte, per numero di errori
+const FUZZY_FACTORS = [1, 0.6, 0.4];
+
+/**
+ * Errori ammessi per una parola della query: nessuno sotto i 4 caratteri, 2 da 7 in su
+ * @param {string} token
+ * @returns {number}
+ */
+const maxEditsFor = (token) => {
+  if (token.length < 4 || /\d/.test(token)) return 0;
+  return token.length >= 7 ? 2 : 1;
+};
+
+/**
+ * Distanza di edit (Damerau-Levenshtein ristretta) con soglia: oltre maxEdits restituisce maxEdits + 1
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxEdits
+ * @returns {number}
+ */
+const editDistance = (a, b, maxEdits) => {
+  if (Math.abs(a.length - b.length) > maxEdits) return maxEdits + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      // Trasposizione di due caratteri adiacenti ("cnaine" -> "canine")
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxEdits) return maxEdits + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Crea il motore in memoria
+ * @param {Object} options
+ * @param {Object} options.synonyms - Dizionario dei sinonimi (createSynonymDictionary)
+ * @returns {Object} Motore di ricerca
+ */
+const createMemoryEngine = ({ synonyms }) => {
+  let index = null;
+
+  /**
+   * Aggiunge un prodotto alle strutture dell'indice in costruzione
+   */
+  const addDocument = (target, product) => {
+    const docIndex = target.ids.length;
+    const weights = new Map();
+
+    target.ids.push(product._id.toString());
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const value = Array.isArray(product[field]) ? product[field].join(' ') : product[field];
+      if (!value) return;
+
+      const tokens = tokenize(value);
+      const terms = tokens.map(stem);
+      tokens.forEach((token, position) => target.surfaces.set(token, terms[position]));
+
+      [...terms, ...synonyms.conceptsIn(terms)].forEach(term => {
+        weights.set(term, (weights.get(term) || 0) + weight);
+      });
+    });
+
+    weights.forEach((weight, term) => {
+      if (!target.postings.has(term)) target.postings.set(term, new Map());
+      target.postings.get(term).set(docIndex, weight);
+    });
+  };
+
+  /**
+   * Termini dell'indice le cui parole originali sono simili alla parola indicata.
+   * Il confronto avviene prima dello stemming, che può allontanare una parola sbagliata
+   * dalla radice corretta ("scatolete" -> "scatol", "scatolette" -> "scatolett").
+   * @param {string} token - Parola normalizzata della query
+   * @returns {Map<string, number>} termine -> errori
+   */
+  const fuzzyTerms = (token) => {
+    const maxEdits = maxEditsFor(token);
+    const terms = new Map();
+    if (maxEdits === 0) return terms;
+
+    index.vocabulary.forEach(surface => {
+      const distance = editDistance(token, surface, maxEdits);
+      if (distance > 0 && distance <= maxEdits) {
+        const term = index.surfaces.get(surface);
+        terms.set(term, Math.min(terms.get(term) === undefined ? distance : terms.get(term), distance));
+      }
+    });
+
+    return terms;
+  };
+
+  /**
+   * Converte la query in clausole: ogni clausola è una parola (o frase del dizionario)
+   * con i termini alternativi che la soddisfano e il relativo peso
+   * @param {string} query
+   * @returns {Array<{ text: string, alternatives: Map<string, number> }>}
+   */
+  const parseQuery = (query) => {
+    const tokens = tokenize(query);
+    const terms = tokens.map(stem);
+    const clauses = [];
+
+    for (let position = 0; position < terms.length;) {
+      const phrase = synonyms.phraseAt(terms, position);
+
+      if (phrase) {
+        clauses.push({
+          text: terms.slice(position, position + phrase.length).join(' '),
+          alternatives: new Map([[phrase.concept, 1]])
+        });
+        position += phrase.length;
+        continue;
+      }
+
+      const term = terms[position];
+      const alternatives = new Map([[term, 1]]);
+      synonyms.conceptsOf(term).forEach(concept => alternatives.set(concept, 1));
+
+      // Parola assente dall'indice: probabile errore di battitura
+      if (!index.postings.has(term)) {
+        fuzzyTerms(tokens[position]).forEach((distance, candidate) => {
+          const factor = FUZZY_FACTORS[distance];
+          alternatives.set(candidate, Math.max(alternatives.get(candidate) || 0, factor));
+          synonyms.conceptsOf(candidate).forEach(concept => {
+            alternatives.set(concept, Math.max(alternatives.get(concept) || 0, factor));
+          });
+        });
+      }
+
+      clauses.push({ text: term, alternatives });
+      position++;
+    }
+
+    return clauses;
+  };
+
+  return {
+    name: 'memory',
+
+    isReady: () => index !== null,
+
+    builtAt: () => (index ? index.builtAt : null),
+
+    /**
+     * Ricostruisce l'indice leggendo tutti i prodotti
+     * @returns {Promise<Object>} { documents, terms }
+     */
+    rebuild: async () => {
+      // surfaces: parola originale -> termine indicizzato
+      const target = { ids: [], postings: new Map(), surfaces: new Map() };
+      const cursor = Product.find({}, Object.keys(FIELD_WEIGHTS).join(' ')).lean().cursor();
+
+      for await (const product of cursor) {
+        addDocument(target, product);
+      }
+
+      // Vocabolario per la ricerca fuzzy (esclusi i termini con cifre)
+      target.vocabulary = [...target.surfaces.keys()].filter(surface => !/\d/.test(surface));
+      target.builtAt = new Date();
+      index = target;
+
+      return { documents: target.ids.length, terms: target.postings.size };
+    },
+
+    /**
+     * Cerca i prodotti che contengono tutte le parole della query
+     * (o tutte tranne una, se nessun prodotto le contiene tutte)
+     * @param {string} query
+     * @param {Object} options - limit
+     * @returns {Promise<Array<{ id: string, score: number }>>} Ordinati per rilevanza
+     */
+    search: async (query, { limit = 1000 } = {}) => {
+      const clauses = parseQuery(query);
+      if (clauses.length === 0) return [];
+
+      const documentCount = index.ids.length;
+      const scores = new Map();
+
+      clauses.forEach(clause => {
+        const clauseScores = new Map();
+
+        clause.alternatives.forEach((factor, term) => {
+          const posting = index.postings.get(term);
+          if (!posting) return;
+
+          const idf = Math.log(1 + documentCount / posting.size);
+          posting.forEach((weight, docIndex) => {
+            const score = idf * weight * factor;
+            if (score > (clauseScores.get(docIndex) || 0)) clauseScores.set(docIndex, score);
+          });
+        });
+
+        clauseScores.forEach((score, docIndex) => {
+          const entry = scores.get(docIndex) || { score: 0, matched: 0 };
+          entry.score += score;
+          entry.matched++;
+          scores.set(docIndex, entry);
+        });
+      });
+
+      const matching = (required) => [...scores.entries()].filter(([, entry]) => entry.matched >= required);
+
+      let results = matching(clauses.length);
+      if (results.length === 0 && clauses.length > 1) {
+        results = matching(clauses.length - 1);
+      }
+
+      return results
+        .sort((a, b) => b[1].score - a[1].score)
+        .slice(0, limit)
+        .map(([docIndex, entry]) => ({ id: index.ids[docIndex], score: Math.round(entry.score * 1000) / 1000 }));
+    }
+  };
+};
+
+module.exports = createMemoryEngine;
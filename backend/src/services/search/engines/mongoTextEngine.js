@@ -0,0 +1,36 @@
+/**
+ * Motore di ricerca basato sull'indice $text di MongoDB (product_search_index)
+ * Nessun indice da costruire; non gestisce sinonimi né errori di battitura.
+ */
+const { Product } = require('../../../db');
+
+/**
+ * Crea il motore $text
+ * @returns {Object} Motore di ricerca
+ */
+const createMongoTextEngine = () => ({
+  name: 'mongo',
+
+  isReady: () => true,
+
+  builtAt: () => null,
+
+  rebuild: async () => ({ documents: await Product.estimatedDocumentCount(), terms: null }),
+
+  /**
+   * @param {string} query
+   * @param {Object} options - limit
+   * @returns {Promise<Array<{ id: string, score: number }>>} Ordinati per rilevanza
+   */
+  search: async (query, { limit = 1000 } = {}) => {
+    const products = await Product.find({ $text: { $search: query } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .select('_id')
+      .lean();
+
+    return products.map(product => ({ id: product._id.toString(), score: product.score }));
+  }
+});
+
+module.exports = createMongoTextEngine;
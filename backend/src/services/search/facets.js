@@ -0,0 +1,271 @@
+/**
+ * Faccette della ricerca prodotti
+ * Ogni faccetta ha un valore calcolato per prodotto (in FACET_VALUES) e può essere
+ * a termini (brand, negozio, disponibilità) o a fasce (prezzo, prezzo unitario, peso).
+ * I filtri accettano più valori: quelli della stessa faccetta sono in OR, faccette diverse in AND.
+ */
+
+// Fasce di prezzo (EUR)
+const PRICE_BANDS = [
+  { id: '0-10', min: 0, max: 10, label: 'Fino a 10 €' },
+  { id: '10-25', min: 10, max: 25, label: '10 - 25 €' },
+  { id: '25-50', min: 25, max: 50, label: '25 - 50 €' },
+  { id: '50-100', min: 50, max: 100, label: '50 - 100 €' },
+  { id: '100+', min: 100, label: 'Oltre 100 €' }
+];
+
+// Fasce di prezzo unitario (EUR/kg)
+const UNIT_PRICE_BANDS = [
+  { id: '0-5', min: 0, max: 5, label: 'Fino a 5 €/kg' },
+  { id: '5-10', min: 5, max: 10, label: '5 - 10 €/kg' },
+  { id: '10-20', min: 10, max: 20, label: '10 - 20 €/kg' },
+  { id: '20-40', min: 20, max: 40, label: '20 - 40 €/kg' },
+  { id: '40+', min: 40, label: 'Oltre 40 €/kg' }
+];
+
+// Fasce di peso della confezione (grammi)
+const WEIGHT_BANDS = [
+  { id: '0-500', min: 0, max: 500, label: 'Fino a 500 g' },
+  { id: '500-2000', min: 500, max: 2000, label: '500 g - 2 kg' },
+  { id: '2000-5000', min: 2000, max: 5000, label: '2 - 5 kg' },
+  { id: '5000-10000', min: 5000, max: 10000, label: '5 - 10 kg' },
+  { id: '10000+', min: 10000, label: 'Oltre 10 kg' }
+];
+
+const FACETS = {
+  brand: { type: 'terms', field: 'brand' },
+  store: { type: 'terms', field: 'store' },
+  price: { type: 'range', field: 'price', bands: PRICE_BANDS },
+  unitPrice: { type: 'range', field: 'unitPrice', bands: UNIT_PRICE_BANDS },
+  weight: { type: 'range', field: 'weightGrams', bands: WEIGHT_BANDS },
+  availability: { type: 'terms', field: 'availability' }
+};
+
+// Massimo numero di valori restituiti per le faccette a termini
+const MAX_TERMS = 50;
+
+// Prezzo unitario: quello calcolato da update-unit-prices oppure prezzo / peso del matching
+const COMPUTED_UNIT_PRICE = {
+  $cond: [
+    { $and: [{ $gt: ['$price', 0] }, { $gt: ['$matching.weightGrams', 0] }] },
+    { $round: [{ $divide: ['$price', { $divide: ['$matching.weightGrams', 1000] }] }, 2] },
+    null
+  ]
+};
+
+/**
+ * Stage che calcola i valori delle faccette per ogni prodotto (campo facetValues)
+ */
+const FACET_VALUES = {
+  $addFields: {
+    facetValues: {
+      brand: '$brand',
+      store: '$source',
+      // Prezzo 0 = prezzo non ancora rilevato
+      price: { $cond: [{ $gt: ['$price', 0] }, '$price', null] },
+      unitPrice: { $ifNull: ['$unitPrice.value', COMPUTED_UNIT_PRICE] },
+      weightGrams: { $ifNull: ['$matching.weightGrams', null] },
+      availability: { $ifNull: ['$availability.status', 'AVAILABLE'] }
+    }
+  }
+};
+
+/**
+ * Errore di validazione dei filtri (restituito come 400)
+ * @param {string} message
+ * @returns {Error}
+ */
+const invalidFilter = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Converte un parametro multi-valore (ripetuto o separato da virgole) in array
+ * @param {string|Array} value
+ * @returns {Array<string>}
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Estrae dai parametri della richiesta i valori selezionati per ogni faccetta
+ * @param {Object} query - Parametri della richiesta (brand, store/source, price, unitPrice, weight, availability)
+ * @returns {Object} { [faccetta]: [valori] } solo per le faccette filtrate
+ */
+const parseSelections = (query = {}) => {
+  const selections = {};
+  const raw = {
+    ...query,
+    // "source" è il nome usato dagli altri endpoint per il negozio
+    store: [...toList(query.store), ...toList(query.source)]
+  };
+
+  Object.entries(FACETS).forEach(([name, facet]) => {
+    const values = toList(raw[name]);
+    if (values.length === 0) return;
+
+    if (facet.type === 'range') {
+      const unknown = values.filter(value => !facet.bands.some(band => band.id === value));
+      if (unknown.length > 0) {
+        throw invalidFilter(`Fascia non valida per ${name}: ${unknown.join(', ')} ` +
+          `(valori ammessi: ${facet.bands.map(band => band.id).join(', ')})`);
+      }
+    }
+
+    selections[name] = [...new Set(values)];
+  });
+
+  return selections;
+};
+
+/**
+ * Condizione MongoDB di una fascia
+ * @param {string} path - Campo su cui applicare la fascia
+ * @param {Object} band - { min, max }
+ * @returns {Object}
+ */
+const bandCondition = (path, band) => ({
+  [path]: band.max === undefined ? { $gte: band.min } : { $gte: band.min, $lt: band.max }
+});
+
+/**
+ * Filtro di una faccetta per i valori selezionati
+ * @param {string} name - Nome della faccetta
+ * @param {Array<string>} values - Valori selezionati
+ * @returns {Object}
+ */
+const facetFilter = (name, values) => {
+  const facet = FACETS[name];
+  const path = `facetValues.${facet.field}`;
+
+  if (facet.type === 'terms') {
+    return { [path]: { $in: values } };
+  }
+
+  return {
+    $or: facet.bands
+      .filter(band => values.includes(band.id))
+      .map(band => bandCondition(path, band))
+  };
+};
+
+/**
+ * Filtro con tutte le selezioni, esclusa eventualmente una faccetta.
+ * I conteggi di una faccetta ignorano la sua stessa selezione, così gli altri valori restano selezionabili.
+ * @param {Object} selections - Risultato di parseSelections
+ * @param {string} except - Faccetta da escludere
+ * @returns {Object}
+ */
+const selectionFilter = (selections, except) => {
+  const conditions = Object.entries(selections)
+    .filter(([name]) => name !== except)
+    .map(([name, values]) => facetFilter(name, values));
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * Pipeline di conteggio di una faccetta (da usare dentro $facet)
+ * @param {string} name - Nome della faccetta
+ * @param {Object} selections - Selezioni correnti
+ * @returns {Array}
+ */
+const countPipeline = (name, selections) => {
+  const facet = FACETS[name];
+  const path = `$facetValues.${facet.field}`;
+  const pipeline = [{ $match: selectionFilter(selections, name) }];
+
+  if (facet.type === 'terms') {
+    pipeline.push(
+      { $match: { [`facetValues.${facet.field}`]: { $nin: [null, ''] } } },
+      { $group: { _id: path, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_TERMS }
+    );
+  } else {
+    pipeline.push({
+      $group: {
+        _id: null,
+        ...Object.fromEntries(facet.bands.map((band, index) => [
+          `band${index}`,
+          {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $gte: [path, band.min] },
+                    ...(band.max === undefined ? [] : [{ $lt: [path, band.max] }])
+                  ]
+                },
+                1,
+                0
+              ]
+            }
+          }
+        ]))
+      }
+    });
+  }
+
+  return pipeline;
+};
+
+/**
+ * Stage $facet con i conteggi di tutte le faccette
+ * @param {Object} selections - Selezioni correnti
+ * @returns {Object} Rami da aggiungere allo stage $facet
+ */
+const buildFacetBranches = (selections) => Object.fromEntries(
+  Object.keys(FACETS).map(name => [`facet_${name}`, countPipeline(name, selections)])
+);
+
+/**
+ * Converte i conteggi calcolati da $facet nella risposta dell'API
+ * @param {Object} result - Documento prodotto da $facet
+ * @param {Object} selections - Selezioni correnti
+ * @returns {Object} { brand: [{ value, count, selected }], price: [{ id, label, min, max, count, selected }], ... }
+ */
+const formatFacets = (result, selections) => Object.fromEntries(
+  Object.entries(FACETS).map(([name, facet]) => {
+    const selected = selections[name] || [];
+    const rows = result[`facet_${name}`] || [];
+
+    if (facet.type === 'terms') {
+      const values = rows.map(row => ({ value: row._id, count: row.count, selected: selected.includes(row._id) }));
+
+      // I valori selezionati restano visibili anche se non hanno più risultati
+      selected
+        .filter(value => !values.some(item => item.value === value))
+        .forEach(value => values.push({ value, count: 0, selected: true }));
+
+      return [name, values];
+    }
+
+    const counts = rows[0] || {};
+    return [name, facet.bands.map((band, index) => ({
+      id: band.id,
+      label: band.label,
+      min: band.min,
+      max: band.max === undefined ? null : band.max,
+      count: counts[`band${index}`] || 0,
+      selected: selected.includes(band.id)
+    }))];
+  })
+);
+
+module.exports = {
+  FACETS,
+  FACET_VALUES,
+  invalidFilter,
+  parseSelections,
+  selectionFilter,
+  buildFacetBranches,
+  formatFacets
+};
@@ -0,0 +1,320 @@
+/**
+ * Search Service
+ * Ricerca prodotti con filtri multi-selezione e conteggi per faccetta
+ * (brand, negozio, fascia di prezzo, prezzo unitario, peso e disponibilità).
+ * Risultati, totale e conteggi sono calcolati con una sola aggregazione ($facet);
+ * con l'ordinamento per rilevanza la pagina viene letta a parte nell'ordine del motore.
+ *
+ * La ricerca testuale è delegata a un motore (config.search.engine) che restituisce
+ * gli ID dei prodotti ordinati per rilevanza. Nuovi motori possono essere aggiunti con
+ * registerEngine(name, engine), dove engine espone isReady(), builtAt(), rebuild() e
+ * search(query, { limit }).
+ *
+ * I suggerimenti durante la digitazione usano un indice per prefisso (suggester), ricostruito
+ * insieme a quello del motore e ogni volta che vengono importati nuovi prodotti.
+ */
+const mongoose = require('mongoose');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const { Product } = require('../../db');
+const {
+  FACET_VALUES,
+  invalidFilter,
+  parseSelections,
+  selectionFilter,
+  buildFacetBranches,
+  formatFacets
+} = require('./facets');
+const { loadSynonyms } = require('./synonyms');
+const createMemoryEngine = require('./engines/memoryEngine');
+const createMongoTextEngine = require('./engines/mongoTextEngine');
+const createSuggester = require('./suggester');
+
+const engines = new Map();
+
+/**
+ * Registra (o sostituisce) un motore di ricerca
+ * @param {string} name - Nome del motore
+ * @param {Object} engine - { isReady(), builtAt(), rebuild(), search(query, options) }
+ */
+const registerEngine = (name, engine) => {
+  engines.set(name, engine);
+};
+
+/**
+ * Motore configurato in config.search.engine
+ * @returns {Object}
+ */
+const getEngine = () => {
+  const engine = engines.get(config.search.engine);
+  if (!engine) {
+    throw new Error(`Motore di ricerca non registrato: ${config.search.engine}`);
+  }
+  return engine;
+};
+
+registerEngine('memory', createMemoryEngine({ synonyms: loadSynonyms(config.search.synonymsFile) }));
+registerEngine('mongo', createMongoTextEngine());
+
+const suggester = createSuggester();
+
+// Ricostruzione in corso (condivisa tra le richieste concorrenti)
+let building = null;
+
+// Inizio dell'ultima ricostruzione completata: i prodotti creati dopo non sono ancora indicizzati
+let indexedAt = null;
+
+/**
+ * Ricostruisce l'indice del motore configurato e quello dei suggerimenti
+ * @returns {Promise<Object>} { documents, terms, suggestions }
+ */
+const rebuildIndex = async () => {
+  if (!building) {
+    const engine = getEngine();
+    const startedAt = new Date();
+
+    building = Promise.all([engine.rebuild(), suggester.rebuild()])
+      .then(([stats, suggestions]) => {
+        indexedAt = startedAt;
+        logger.info(`Indice di ricerca "${engine.name}" ricostruito: ${stats.documents} prodotti, ` +
+          `${stats.terms} termini, ${suggestions.entries} suggerimenti in ${Date.now() - startedAt.getTime()} ms`);
+        return { ...stats, suggestions: suggestions.entries };
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  return building;
+};
+
+/**
+ * Ricostruisce gli indici se dall'ultima costruzione sono stati importati nuovi prodotti
+ * @returns {Promise<Object|null>} Statistiche della ricostruzione, null se non necessaria
+ */
+const refreshIfImported = async () => {
+  if (indexedAt && !(await Product.exists({ createdAt: { $gte: indexedAt } }))) {
+    return null;
+  }
+
+  return rebuildIndex();
+};
+
+/**
+ * Restituisce il motore pronto all'uso: al primo utilizzo attende la costruzione dell'indice,
+ * se l'indice è più vecchio di config.search.refreshMinutes lo ricostruisce in background
+ * @returns {Promise<Object>}
+ */
+const ensureIndex = async () => {
+  const engine = getEngine();
+
+  if (!engine.isReady()) {
+    await rebuildIndex();
+    return engine;
+  }
+
+  const builtAt = engine.builtAt();
+  if (builtAt && Date.now() - builtAt.getTime() > config.search.refreshMinutes * 60 * 1000) {
+    rebuildIndex().catch(error => logger.error(`Errore nella ricostruzione dell'indice di ricerca: ${error.message}`));
+  }
+
+  return engine;
+};
+
+/**
+ * Prodotti che corrispondono a una ricerca testuale, ordinati per rilevanza
+ * @param {string} query
+ * @returns {Promise<Array<{ id: string, score: number }>>}
+ */
+const findTextMatches = async (query) => {
+  const engine = await ensureIndex();
+  return engine.search(query, { limit: config.search.maxCandidates });
+};
+
+// Suggerimenti massimi per tipo
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * Suggerimenti per il testo digitato (prodotti, brand e categorie) con gli intervalli da evidenziare
+ * @param {Object} params - q, limit (per tipo)
+ * @returns {Promise<Object>} { brands, categories, products }
+ */
+const suggest = async (params = {}) => {
+  const q = params.q ? String(params.q).trim() : '';
+  if (!q) {
+    throw invalidFilter('Il parametro q è obbligatorio');
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 5, 1), MAX_SUGGESTIONS);
+
+  if (!suggester.isReady()) {
+    await rebuildIndex();
+  }
+
+  return suggester.suggest(q, { limit });
+};
+
+// Campi ordinabili (prefisso "-" per l'ordine decrescente)
+const SORT_FIELDS = {
+  relevance: 'score',
+  price: 'facetValues.price',
+  unitPrice: 'facetValues.unitPrice',
+  weight: 'facetValues.weightGrams',
+  name: 'name',
+  updatedAt: 'updatedAt'
+};
+
+const MAX_LIMIT = 100;
+
+const RESULT_FIELDS = {
+  name: 1,
+  brand: 1,
+  petType: 1,
+  category: 1,
+  price: 1,
+  currency: 1,
+  imageUrl: 1,
+  source: 1,
+  url: 1,
+  lastPriceUpdate: 1,
+  availability: 1,
+  packageInfo: 1,
+  canonicalProduct: 1,
+  unitPrice: {
+    $cond: [
+      { $eq: ['$facetValues.unitPrice', null] },
+      null,
+      { value: '$facetValues.unitPrice', unit: { $ifNull: ['$unitPrice.unit', 'EUR/kg'] } }
+    ]
+  },
+  weightGrams: '$facetValues.weightGrams'
+};
+
+/**
+ * Interpreta il parametro sort
+ * @param {string} sort - Es. "unitPrice", "-price", "relevance"
+ * @param {boolean} hasQuery - Se è presente una ricerca testuale
+ * @returns {{ key: string, field: string, order: number }}
+ */
+const parseSort = (sort, hasQuery) => {
+  const value = sort || (hasQuery ? 'relevance' : '-updatedAt');
+  const key = value.replace(/^-/, '');
+  const field = SORT_FIELDS[key];
+
+  if (!field || (key === 'relevance' && !hasQuery)) {
+    throw invalidFilter(`Ordinamento non valido: ${value} ` +
+      `(valori ammessi: ${Object.keys(SORT_FIELDS).join(', ')}, anche con prefisso "-"; relevance solo con q)`);
+  }
+
+  // La rilevanza è sempre decrescente
+  const order = key === 'relevance' || value.startsWith('-') ? -1 : 1;
+  return { key: value, field, order };
+};
+
+/**
+ * Stage di ordinamento: i prodotti senza il valore ordinato (es. prezzo unitario non calcolabile) vanno in fondo
+ * @param {Object} sort - Risultato di parseSort
+ * @returns {Array}
+ */
+const sortStages = ({ field, order }) => [
+  { $addFields: { sortMissing: { $cond: [{ $eq: [{ $ifNull: [`$${field}`, null] }, null] }, 1, 0] } } },
+  { $sort: { sortMissing: 1, [field]: order, _id: 1 } }
+];
+
+/**
+ * Ricerca prodotti con faccette
+ * @param {Object} params - Parametri della richiesta:
+ *   q, petType, category, brand, store (o source), price, unitPrice, weight, availability, sort, page, limit
+ * @returns {Promise<Object>} { data, total, page, limit, totalPages, sort, selections, facets }
+ */
+const searchProducts = async (params = {}) => {
+  const q = params.q ? String(params.q).trim() : '';
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), MAX_LIMIT);
+  const selections = parseSelections(params);
+  const sort = parseSort(params.sort, Boolean(q));
+  const skip = (page - 1) * limit;
+
+  const baseMatch = {};
+  if (params.petType) baseMatch.petType = params.petType;
+  if (params.category) baseMatch.category = params.category;
+
+  // Punteggio di rilevanza per ID prodotto
+  let scores = null;
+  if (q) {
+    const matches = await findTextMatches(q);
+    scores = new Map(matches.map(match => [match.id, match.score]));
+    baseMatch._id = { $in: matches.map(match => new mongoose.Types.ObjectId(match.id)) };
+  }
+
+  const selected = selectionFilter(selections);
+  const byRelevance = sort.field === 'score';
+
+  const [result] = await Product.aggregate([
+    { $match: baseMatch },
+    FACET_VALUES,
+    {
+      $facet: {
+        // Per la rilevanza servono tutti gli ID filtrati: l'ordinamento è quello del motore
+        results: byRelevance
+          ? [{ $match: selected }, { $project: { _id: 1 } }]
+          : [
+            { $match: selected },
+            ...sortStages(sort),
+            { $skip: skip },
+            { $limit: limit },
+            { $project: RESULT_FIELDS }
+          ],
+        total: [
+          { $match: selected },
+          { $count: 'count' }
+        ],
+        ...buildFacetBranches(selections)
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+  let data = result.results;
+
+  if (byRelevance) {
+    const pageIds = data
+      .map(item => item._id)
+      .sort((a, b) => scores.get(b.toString()) - scores.get(a.toString()))
+      .slice(skip, skip + limit);
+
+    const products = await Product.aggregate([
+      { $match: { _id: { $in: pageIds } } },
+      FACET_VALUES,
+      { $project: RESULT_FIELDS }
+    ]);
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+    data = pageIds.map(id => byId.get(id.toString())).filter(Boolean);
+  }
+
+  if (scores) {
+    data = data.map(product => ({ ...product, score: scores.get(product._id.toString()) }));
+  }
+
+  return {
+    data,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    sort: sort.key,
+    selections,
+    facets: formatFacets(result, selections)
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  registerEngine,
+  getEngine,
+  rebuildIndex,
+  refreshIfImported,
+  findTextMatches,
+  suggest,
+  searchProducts
+};
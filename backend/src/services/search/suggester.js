@@ -0,0 +1,271 @@
+/**
+ * Suggerimenti di ricerca (search-as-you-type)
+ * Indice per prefisso in memoria di prodotti, brand e categorie: per ogni prefisso di ogni parola
+ * l'indice conserva le voci che lo contengono, già ordinate per popolarità, così una richiesta
+ * legge solo le prime voci della lista più corta e può essere fatta a ogni tasto premuto.
+ */
+const { Product } = require('../../db');
+const { normalize } = require('./analyzer');
+
+// Lunghezza massima dei prefissi indicizzati: oltre, le voci vengono verificate parola per parola
+const MAX_PREFIX_LENGTH = 10;
+
+// Caratteri minimi della query per suggerire prodotti (brand e categorie già dal primo carattere)
+const MIN_PRODUCT_QUERY_LENGTH = 2;
+
+// Voci esaminate per ogni suggerimento restituito, prima dell'ordinamento finale
+const CANDIDATES_PER_RESULT = 5;
+
+// Tipo di voce -> gruppo della risposta
+const GROUPS = {
+  brand: 'brands',
+  category: 'categories',
+  product: 'products'
+};
+
+const TYPES = Object.keys(GROUPS);
+
+/**
+ * Parole di un testo con la loro posizione nel testo originale, per l'evidenziazione.
+ * La normalizzazione è la stessa dell'analizzatore (minuscole, senza accenti, "hill's" -> "hills").
+ * @param {string} text
+ * @returns {Array<{ norm: string, offsets: Array<number> }>} offsets: indice originale di ogni carattere di norm
+ */
+const splitWords = (text) => {
+  const words = [];
+  let current = null;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = normalize(text[index]);
+
+    if (/^[a-z0-9]$/.test(char)) {
+      if (!current) {
+        current = { norm: '', offsets: [] };
+        words.push(current);
+      }
+      current.norm += char;
+      current.offsets.push(index);
+    } else if (current && /['’]/.test(text[index]) && /^s$/i.test(text[index + 1] || '') && !/[a-z0-9]/i.test(text[index + 2] || '')) {
+      // Possessivo inglese: l'apostrofo resta nella parola ma non nel testo normalizzato
+      continue;
+    } else {
+      current = null;
+    }
+  }
+
+  return words;
+};
+
+/**
+ * Parole normalizzate della query (l'ultima è un prefisso)
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+const queryTokens = (query) => splitWords(String(query || '')).map(word => word.norm);
+
+/**
+ * Confronta la query con una voce: ogni parola della query deve essere il prefisso di una
+ * parola diversa della voce
+ * @param {Array<string>} tokens
+ * @param {Array<Object>} words - Parole della voce (splitWords)
+ * @returns {Array<{ word: number, length: number }>|null} Parola corrispondente per ogni token
+ */
+const matchTokens = (tokens, words) => {
+  const used = new Set();
+  const matches = [];
+
+  // Prima i token più lunghi, che hanno meno parole candidate
+  const order = tokens.map((token, position) => position).sort((a, b) => tokens[b].length - tokens[a].length);
+
+  for (const position of order) {
+    const token = tokens[position];
+    const word = words.findIndex((item, index) => !used.has(index) && item.norm.startsWith(token));
+    if (word === -1) return null;
+
+    used.add(word);
+    matches[position] = { word, length: token.length };
+  }
+
+  return matches;
+};
+
+/**
+ * Intervalli del testo originale da evidenziare
+ * @param {Array<Object>} words
+ * @param {Array<Object>} matches - Risultato di matchTokens
+ * @returns {Array<{ start: number, end: number }>} Ordinati, end escluso
+ */
+const highlightRanges = (words, matches) => matches
+  .map(({ word, length }) => ({
+    start: words[word].offsets[0],
+    end: words[word].offsets[length - 1] + 1
+  }))
+  .sort((a, b) => a.start - b.start);
+
+/**
+ * Punteggio di un suggerimento: popolarità, parole complete e corrispondenza a inizio testo
+ * @param {Object} entry
+ * @param {Array<string>} tokens
+ * @param {Array<Object>} matches
+ * @returns {number}
+ */
+const scoreEntry = (entry, tokens, matches) => {
+  let score = Math.log(1 + entry.count);
+
+  matches.forEach(({ word }, position) => {
+    if (entry.words[word].norm === tokens[position]) score += 1;
+  });
+  if (matches.some(({ word }) => word === 0)) score += 2;
+
+  // A parità di corrispondenza, testi più corti (più vicini a quanto digitato)
+  return score - entry.words.length * 0.05;
+};
+
+/**
+ * Crea il suggeritore
+ * @returns {Object} { isReady, builtAt, rebuild, suggest }
+ */
+const createSuggester = () => {
+  let index = null;
+
+  /**
+   * Voci da indicizzare: brand e categorie con il numero di prodotti, prodotti con lo stesso
+   * nome raggruppati (lo stesso articolo venduto da più negozi)
+   */
+  const collectEntries = async () => {
+    const entries = new Map();
+
+    const add = (type, key, text, product) => {
+      const id = `${type}:${key}`;
+      let entry = entries.get(id);
+
+      if (!entry) {
+        entry = { type, text, count: 0, words: splitWords(text) };
+        if (type === 'product') {
+          entry.product = product;
+          entry.minPrice = null;
+          entry.stores = new Set();
+        }
+        entries.set(id, entry);
+      }
+
+      entry.count++;
+      if (type === 'product') {
+        entry.stores.add(product.source);
+        if (typeof product.price === 'number' && (entry.minPrice === null || product.price < entry.minPrice)) {
+          entry.minPrice = product.price;
+          entry.product = product;
+        }
+      }
+    };
+
+    const cursor = Product.find({}, 'name brand category price imageUrl source').lean().cursor();
+
+    for await (const product of cursor) {
+      const name = product.name && product.name.trim();
+      const brand = product.brand && product.brand.trim();
+
+      if (name) add('product', splitWords(name).map(word => word.norm).join(' '), name, product);
+      if (brand) add('brand', brand.toLowerCase(), brand, product);
+      if (product.category) add('category', product.category, product.category, product);
+    }
+
+    return [...entries.values()].filter(entry => entry.words.length > 0);
+  };
+
+  return {
+    isReady: () => index !== null,
+
+    builtAt: () => (index ? index.builtAt : null),
+
+    /**
+     * Ricostruisce l'indice per prefisso leggendo tutti i prodotti
+     * @returns {Promise<Object>} { entries, prefixes }
+     */
+    rebuild: async () => {
+      // Voci in ordine di popolarità: le liste dei prefissi risultano già ordinate
+      const entries = (await collectEntries()).sort((a, b) => b.count - a.count || a.text.length - b.text.length);
+      const prefixes = new Map(TYPES.map(type => [type, new Map()]));
+
+      entries.forEach((entry, position) => {
+        const lists = prefixes.get(entry.type);
+
+        entry.words.forEach(word => {
+          for (let length = 1; length <= Math.min(word.norm.length, MAX_PREFIX_LENGTH); length++) {
+            const prefix = word.norm.slice(0, length);
+            if (!lists.has(prefix)) lists.set(prefix, []);
+
+            const list = lists.get(prefix);
+            // Due parole della stessa voce con lo stesso prefisso
+            if (list[list.length - 1] !== position) list.push(position);
+          }
+        });
+      });
+
+      index = { entries, prefixes, builtAt: new Date() };
+
+      return {
+        entries: entries.length,
+        prefixes: TYPES.reduce((total, type) => total + prefixes.get(type).size, 0)
+      };
+    },
+
+    /**
+     * Suggerimenti per il testo digitato, raggruppati per tipo
+     * @param {string} query
+     * @param {Object} options - limit (per tipo)
+     * @returns {Object} { brands, categories, products }
+     */
+    suggest: (query, { limit = 5 } = {}) => {
+      const tokens = queryTokens(query);
+      const result = { brands: [], categories: [], products: [] };
+      if (tokens.length === 0) return result;
+
+      const queryLength = tokens.join('').length;
+
+      TYPES.forEach(type => {
+        if (type === 'product' && queryLength < MIN_PRODUCT_QUERY_LENGTH) return;
+
+        const lists = index.prefixes.get(type);
+        const candidateLists = tokens.map(token => lists.get(token.slice(0, MAX_PREFIX_LENGTH)) || []);
+        // La lista più corta è la più selettiva
+        const list = candidateLists.reduce((shortest, item) => (item.length < shortest.length ? item : shortest));
+
+        const candidates = [];
+        for (const position of list) {
+          const entry = index.entries[position];
+          const matches = matchTokens(tokens, entry.words);
+          if (matches) candidates.push({ entry, matches, score: scoreEntry(entry, tokens, matches) });
+          if (candidates.length >= limit * CANDIDATES_PER_RESULT) break;
+        }
+
+        result[GROUPS[type]] = candidates
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit)
+          .map(({ entry, matches }) => {
+            const suggestion = {
+              type,
+              text: entry.text,
+              highlight: highlightRanges(entry.words, matches)
+            };
+
+            if (type === 'product') {
+              suggestion.id = entry.product._id.toString();
+              suggestion.brand = entry.product.brand;
+              suggestion.imageUrl = entry.product.imageUrl;
+              suggestion.price = entry.minPrice;
+              suggestion.stores = [...entry.stores];
+            } else {
+              suggestion.count = entry.count;
+            }
+
+            return suggestion;
+          });
+      });
+
+      return result;
+    }
+  };
+};
+
+module.exports = createSuggester;
@@ -0,0 +1,102 @@
+/**
+ * Dizionario dei sinonimi della ricerca
+ * Ogni gruppo del file JSON (config.search.synonymsFile) diventa un "concetto" (~0, ~1, ...):
+ * i prodotti che contengono una delle parole o frasi del gruppo vengono indicizzati anche
+ * con il concetto, e le query che ne contengono una cercano il concetto.
+ */
+const fs = require('fs');
+const { analyze } = require('./analyzer');
+
+/**
+ * Crea il dizionario a partire dai gruppi di sinonimi
+ * @param {Array<Array<string>>} groups - Es. [["crocchette", "cibo secco"], ...]
+ * @returns {Object} Dizionario
+ */
+const createSynonymDictionary = (groups = []) => {
+  // Termine singolo -> concetti
+  const single = new Map();
+  // Frasi di più termini, dalla più lunga
+  const phrases = [];
+
+  groups.forEach((group, index) => {
+    const concept = `~${index}`;
+
+    group.forEach(phrase => {
+      const terms = analyze(phrase);
+
+      if (terms.length === 1) {
+        if (!single.has(terms[0])) single.set(terms[0], new Set());
+        single.get(terms[0]).add(concept);
+      } else if (terms.length > 1) {
+        phrases.push({ terms, concept });
+      }
+    });
+  });
+
+  phrases.sort((a, b) => b.terms.length - a.terms.length);
+
+  /**
+   * Concetti di un singolo termine
+   * @param {string} term
+   * @returns {Array<string>}
+   */
+  const conceptsOf = (term) => [...(single.get(term) || [])];
+
+  /**
+   * Frase più lunga del dizionario che inizia alla posizione indicata
+   * @param {Array<string>} terms
+   * @param {number} start
+   * @returns {Object|null} { concept, length }
+   */
+  const phraseAt = (terms, start) => {
+    const phrase = phrases.find(candidate =>
+      candidate.terms.every((term, offset) => terms[start + offset] === term));
+
+    return phrase ? { concept: phrase.concept, length: phrase.terms.length } : null;
+  };
+
+  /**
+   * Tutti i concetti presenti in una sequenza di termini (per l'indicizzazione)
+   * @param {Array<string>} terms
+   * @returns {Set<string>}
+   */
+  const conceptsIn = (terms) => {
+    const concepts = new Set();
+
+    terms.forEach((term, index) => {
+      conceptsOf(term).forEach(concept => concepts.add(concept));
+      phrases
+        .filter(phrase => phrase.terms.every((item, offset) => terms[index + offset] === item))
+        .forEach(phrase => concepts.add(phrase.concept));
+    });
+
+    return concepts;
+  };
+
+  return {
+    size: groups.length,
+    conceptsOf,
+    phraseAt,
+    conceptsIn
+  };
+};
+
+/**
+ * Carica il dizionario da file JSON ({ "groups": [[...], ...] })
+ * @param {string} file - Percorso del file
+ * @returns {Object} Dizionario
+ */
+const loadSynonyms = (file) => {
+  const { groups } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(groups) || !groups.every(group => Array.isArray(group) && group.every(item => typeof item === 'string'))) {
+    throw new Error(`Dizionario dei sinonimi non valido (${file}): "groups" deve essere un array di array di stringhe`);
+  }
+
+  return createSynonymDictionary(groups);
+};
+
+module.exports = {
+  createSynonymDictionary,
+  loadSynonyms
+};
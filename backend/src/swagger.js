@@ -408,7 +408,13 @@ const swaggerOptions = {
           summary: 'Recupera lo storico dei prezzi di un prodotto',
           parameters: [
             { $ref: '#/components/parameters/productId' },
-            { $ref: '#/components/parameters/period' }
+            { $ref: '#/components/parameters/period' },
+            {
+              name: 'resolution',
+              in: 'query',
+              description: 'Punti grezzi o aggregati OHLC (auto = in base al periodo)',
+              schema: { type: 'string', enum: ['auto', 'raw', 'daily', 'weekly'], default: 'auto' }
+            }
           ],
           responses: {
             '200': {
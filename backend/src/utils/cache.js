@@ -1,14 +1,42 @@
 /**
- * Redis cache utility for improving API performance
+ * Cache delle risposte API a due livelli: LRU in memoria del processo davanti a Redis
+ * - una voce scaduta da meno di staleWhileRevalidate secondi viene ancora servita (X-Cache: STALE)
+ *   mentre una sola richiesta in background la ricalcola
+ * - richieste concorrenti senza voce per la stessa URL attendono il calcolo della prima (coalescing)
+ * - senza Redis (non configurato, giù o in riconnessione) resta attivo il livello in memoria
  */
 const redis = require('redis');
 const { promisify } = require('util');
+const config = require('../config/config');
 const logger = require('./logger');
+const createMemoryCache = require('./memoryCache');
+const { PATTERN_KINDS, tagsForResponse } = require('./cacheTags');
 
 // Redis configuration
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
 const DEFAULT_EXPIRATION = 3600; // 1 hour in seconds
 
+// Insiemi tag -> chiavi delle voci: durano più della voce più lunga (24 ore), così una voce
+// in cache resta sempre raggiungibile dai suoi tag
+const TAG_PREFIX = 'cache:tag:';
+const TAG_VALUES_PREFIX = 'cache:tagvalues:';
+const TAG_TTL = 25 * 60 * 60;
+
+// Contatori per route (hash Redis condiviso tra le istanze)
+const STATS_KEY = 'cache:stats';
+const LOOKUP_OUTCOMES = ['hits', 'stale', 'coalesced', 'misses'];
+
+// Oltre questo tempo un calcolo in corso non blocca più le richieste in attesa né il refresh successivo
+const REFRESH_TIMEOUT_MS = 30 * 1000;
+
+const memoryCache = createMemoryCache({
+  maxEntries: config.cache.memoryMaxEntries,
+  maxSize: config.cache.memoryMaxMb * 1024 * 1024
+});
+
+// Calcoli in corso per chiave: Promise della voce prodotta (null se la risposta non è salvabile)
+const inFlight = new Map();
+
 // Create Redis client
 let redisClient;
 let getAsync;
@@ -49,58 +77,242 @@ const initRedisClient = async () => {
   }
 };
 
+/**
+ * Verifica se Redis è pronto: durante la riconnessione il client accoda i comandi invece di
+ * rifiutarli, quindi non basta che sia aperto
+ * @returns {boolean}
+ */
+const isCacheAvailable = () => Boolean(redisClient && redisClient.isReady);
+
+/**
+ * Route della richiesta per le statistiche, uguale per /api e /api/v1 (es. /deals/best/:petType)
+ * @param {Object} req
+ * @returns {string}
+ */
+const routeLabel = (req) => `${req.baseUrl}${req.route ? req.route.path : req.path}`
+  .replace(/^\/api(\/v\d+)?/, '');
+
+/**
+ * Conta un accesso alla cache per la route
+ * @param {string} route
+ * @param {string} outcome - hits, stale, coalesced, misses
+ */
+const recordLookup = (route, outcome) => {
+  if (!isCacheAvailable()) return;
+
+  redisClient.hIncrBy(STATS_KEY, `${route}|${outcome}`, 1)
+    .catch(err => logger.warn(`Cache stats error: ${err.message}`));
+};
+
+/**
+ * Legge una voce: prima dalla memoria, poi da Redis se in memoria manca o è scaduta.
+ * Una voce trovata in Redis viene copiata in memoria.
+ * @param {string} key
+ * @returns {Promise<Object|null>} { body, validators, tags, expiresAt, staleUntil }
+ */
+const readEntry = async (key) => {
+  const local = memoryCache.get(key);
+  if ((local && local.expiresAt > Date.now()) || !isCacheAvailable()) {
+    return local;
+  }
+
+  try {
+    const cached = await redisClient.get(key);
+    if (!cached) return local;
+
+    const entry = JSON.parse(cached);
+    if (local && local.expiresAt >= entry.expiresAt) return local;
+
+    memoryCache.set(key, entry);
+    return entry;
+  } catch (err) {
+    logger.warn(`Cache read error: ${err.message}`);
+    return local;
+  }
+};
+
+/**
+ * Salva una voce in memoria e in Redis, aggiungendola agli insiemi dei suoi tag
+ * @param {string} key - Chiave della voce
+ * @param {Object} entry - { body, validators, tags, expiresAt, staleUntil }
+ */
+const storeEntry = async (key, entry) => {
+  memoryCache.set(key, entry);
+
+  if (!isCacheAvailable()) return;
+
+  const ttl = Math.ceil((entry.staleUntil - Date.now()) / 1000);
+  const tagTtl = Math.max(TAG_TTL, ttl);
+  const multi = redisClient.multi().set(key, JSON.stringify(entry), { EX: ttl });
+
+  entry.tags.forEach(tag => {
+    multi.sAdd(`${TAG_PREFIX}${tag}`, key).expire(`${TAG_PREFIX}${tag}`, tagTtl);
+
+    // Filtri confrontati con regex: servono i valori usati per sapere quali tag purgare
+    const [kind, ...rest] = tag.split(':');
+    if (PATTERN_KINDS.includes(kind)) {
+      multi.sAdd(`${TAG_VALUES_PREFIX}${kind}`, rest.join(':')).expire(`${TAG_VALUES_PREFIX}${kind}`, tagTtl);
+    }
+  });
+
+  await multi.exec();
+};
+
+/**
+ * Verifica se una voce corrisponde alla versione corrente dei dati (validatori di conditionalGet)
+ * @param {Object} entry
+ * @param {Object} validators
+ * @returns {boolean}
+ */
+const matchesValidators = (entry, validators) => !validators
+  || !entry.validators
+  || entry.validators.etag === validators.etag;
+
+/**
+ * Invia una voce al client
+ * @param {Object} res
+ * @param {Object} entry
+ * @param {string} state - Valore dell'header X-Cache (HIT, STALE)
+ */
+const sendEntry = (res, entry, state) => {
+  res.set('X-Cache', state);
+
+  if (!entry.validators) {
+    return res.status(200).json({
+      ...JSON.parse(entry.body),
+      _cache: true
+    });
+  }
+
+  // Risposta salvata con i validatori: il corpo viene inviato identico (ETag forte)
+  res.set('ETag', entry.validators.etag);
+  res.set('Last-Modified', entry.validators.lastModified);
+  return res.status(200).type('json').send(entry.body);
+};
+
+/**
+ * Esegue il controller della route e ne salva la risposta. Le richieste concorrenti sulla stessa
+ * chiave attendono la Promise registrata in inFlight.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @param {Object} options
+ * @param {string} options.cacheKey
+ * @param {number} options.duration - Durata in secondi
+ * @param {number} options.staleWhileRevalidate - Secondi in cui la voce scaduta resta servibile
+ * @param {Array<string>} options.dependsOn - Tag di dipendenza della route
+ * @param {boolean} options.background - Il client ha già ricevuto la voce stale: la risposta non viene inviata
+ */
+const refresh = (req, res, next, { cacheKey, duration, staleWhileRevalidate, dependsOn, background }) => {
+  let settle;
+  const pending = new Promise(resolve => { settle = resolve; });
+  const timer = setTimeout(() => settle(null), REFRESH_TIMEOUT_MS);
+  timer.unref();
+
+  inFlight.set(cacheKey, pending);
+  pending.then(() => {
+    clearTimeout(timer);
+    if (inFlight.get(cacheKey) === pending) inFlight.delete(cacheKey);
+  });
+
+  const { validators } = res.locals;
+  const originalSend = res.send;
+
+  res.send = function (body) {
+    // res.send(oggetto) passa da res.json, che richiama res.send con la stringa
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      return this.json(body);
+    }
+
+    let entry = null;
+
+    // Only cache successful responses
+    if (res.statusCode === 200) {
+      try {
+        // Don't cache error responses
+        const data = JSON.parse(body);
+        if (!data.error) {
+          const expiresAt = Date.now() + duration * 1000;
+          entry = {
+            body: String(body),
+            validators,
+            tags: tagsForResponse(req, data, dependsOn),
+            expiresAt,
+            staleUntil: expiresAt + staleWhileRevalidate * 1000
+          };
+          storeEntry(cacheKey, entry).catch(err => logger.error(`Cache store error: ${err.message}`));
+        }
+      } catch (err) {
+        logger.error(`Cache serialization error: ${err.message}`);
+      }
+    }
+
+    settle(entry);
+    return background ? this : originalSend.call(this, body);
+  };
+
+  if (!background) {
+    res.on('close', () => settle(null));
+  }
+
+  next();
+};
+
 /**
  * Cache middleware for Express routes
+ * Le voci sono etichettate con i dati da cui dipendono (utils/cacheTags) e vengono purgate
+ * da purgeTags quando quei dati cambiano.
  * @param {number} duration - Cache duration in seconds
+ * @param {Object} options
+ * @param {number} options.staleWhileRevalidate - Secondi dopo la scadenza in cui la voce viene servita mentre si ricalcola
+ * @param {Array<string>} options.dependsOn - Tag di dipendenza della route (es. PRICES_TAG di utils/cacheTags)
  * @returns {Function} Express middleware
  */
-const cacheMiddleware = (duration = DEFAULT_EXPIRATION) => {
+const cacheMiddleware = (duration = DEFAULT_EXPIRATION, { staleWhileRevalidate = config.cache.staleSeconds, dependsOn = [] } = {}) => {
   return async (req, res, next) => {
-    // Skip caching if Redis is not connected
-    if (!redisClient || !redisClient.isOpen) {
-      return next();
-    }
-
     // Create a cache key from the request URL
     const cacheKey = `api:${req.originalUrl || req.url}`;
 
+    // Validatori ETag / Last-Modified della versione corrente (middleware conditionalGet)
+    const { validators } = res.locals;
+    const route = routeLabel(req);
+    const options = { cacheKey, duration, staleWhileRevalidate, dependsOn };
+
     try {
-      // Check if we have a cache hit
-      const cachedData = await redisClient.get(cacheKey);
-      
-      if (cachedData) {
-        // Return cached data and avoid processing the request
-        const data = JSON.parse(cachedData);
-        return res.status(200).json({
-          ...data,
-          _cache: true
-        });
+      // Una voce salvata prima che i dati cambiassero non viene servita, nemmeno come stale
+      const entry = await readEntry(cacheKey);
+      const usable = entry && matchesValidators(entry, validators) ? entry : null;
+
+      if (usable && usable.expiresAt > Date.now()) {
+        recordLookup(route, 'hits');
+        return sendEntry(res, usable, 'HIT');
       }
 
-      // Modify response to store data in cache before sending it
-      const originalSend = res.send;
-      res.send = function (body) {
-        // Only cache successful responses
-        if (res.statusCode === 200) {
-          try {
-            // Don't cache error responses
-            const data = JSON.parse(body);
-            if (!data.error) {
-              redisClient.set(cacheKey, body, {
-                EX: duration
-              });
-            }
-          } catch (err) {
-            logger.error(`Cache serialization error: ${err.message}`);
-          }
+      if (usable && staleWhileRevalidate > 0) {
+        recordLookup(route, 'stale');
+        sendEntry(res, usable, 'STALE');
+
+        // Un solo ricalcolo per chiave: gli altri client ricevono la voce stale
+        if (!inFlight.has(cacheKey)) {
+          refresh(req, res, next, { ...options, background: true });
         }
-        return originalSend.call(this, body);
-      };
+        return undefined;
+      }
+
+      const pending = inFlight.get(cacheKey);
+      if (pending) {
+        const result = await pending;
+        if (result && matchesValidators(result, validators)) {
+          recordLookup(route, 'coalesced');
+          return sendEntry(res, result, 'HIT');
+        }
+      }
 
-      next();
+      recordLookup(route, 'misses');
+      return refresh(req, res, next, { ...options, background: false });
     } catch (err) {
       logger.error(`Cache middleware error: ${err.message}`);
-      next();
+      return next();
     }
   };
 };
@@ -125,6 +337,105 @@ const clearCache = async (pattern) => {
   }
 };
 
+/**
+ * Purga le voci etichettate con almeno uno dei tag indicati, in memoria e in Redis
+ * @param {Array<string>} tags
+ * @returns {Promise<number>} Numero di voci eliminate
+ */
+const purgeTags = async (tags) => {
+  if (tags.length === 0) {
+    return 0;
+  }
+
+  const uniqueTags = [...new Set(tags)];
+  const keys = new Set(memoryCache.purgeTags(uniqueTags));
+
+  if (isCacheAvailable()) {
+    try {
+      const tagKeys = uniqueTags.map(tag => `${TAG_PREFIX}${tag}`);
+      const redisKeys = await redisClient.sUnion(tagKeys);
+
+      if (redisKeys.length > 0) {
+        await redisClient.del(redisKeys);
+        await redisClient.hIncrBy(STATS_KEY, 'purged', redisKeys.length);
+      }
+      await redisClient.del(tagKeys);
+
+      redisKeys.forEach(key => keys.add(key));
+    } catch (err) {
+      logger.error(`Error purging cache tags: ${err.message}`);
+    }
+  }
+
+  logger.info(`Purged ${keys.size} cache entries for ${uniqueTags.length} tags`);
+  return keys.size;
+};
+
+/**
+ * Valori di un tipo di tag confrontato con regex (category, brand) usati dalle voci in cache
+ * @param {string} kind
+ * @returns {Promise<Array<string>>}
+ */
+const listTagValues = async (kind) => {
+  const values = new Set(memoryCache.tagValues(kind));
+
+  if (isCacheAvailable()) {
+    (await redisClient.sMembers(`${TAG_VALUES_PREFIX}${kind}`)).forEach(value => values.add(value));
+  }
+
+  return [...values];
+};
+
+/**
+ * Statistiche della cache: accessi per route ed esito (hit, stale, coalesced, miss), hit ratio,
+ * voci purgate dai tag (contatori condivisi in Redis) e occupazione della cache in memoria del processo
+ * @returns {Promise<Object>}
+ */
+const getCacheStats = async () => {
+  const counters = isCacheAvailable() ? await redisClient.hGetAll(STATS_KEY) : {};
+  const byRoute = new Map();
+  const empty = () => Object.fromEntries(LOOKUP_OUTCOMES.map(outcome => [outcome, 0]));
+
+  Object.entries(counters).forEach(([field, value]) => {
+    const separator = field.lastIndexOf('|');
+    if (separator === -1) return;
+
+    const route = field.slice(0, separator);
+    const stats = byRoute.get(route) || { route, ...empty() };
+    stats[field.slice(separator + 1)] = parseInt(value, 10);
+    byRoute.set(route, stats);
+  });
+
+  // Hit ratio: richieste servite senza eseguire il controller
+  const lookups = stats => LOOKUP_OUTCOMES.reduce((sum, outcome) => sum + stats[outcome], 0);
+  const hitRatio = (stats) => (lookups(stats) > 0
+    ? Math.round((lookups(stats) - stats.misses) / lookups(stats) * 1000) / 1000
+    : null);
+
+  const routes = [...byRoute.values()]
+    .map(stats => ({ ...stats, hitRatio: hitRatio(stats) }))
+    .sort((a, b) => lookups(b) - lookups(a));
+  const totals = routes.reduce((sum, stats) => Object.fromEntries(LOOKUP_OUTCOMES
+    .map(outcome => [outcome, sum[outcome] + stats[outcome]])), empty());
+
+  return {
+    redis: isCacheAvailable(),
+    routes,
+    totals: { ...totals, hitRatio: hitRatio(totals) },
+    purged: parseInt(counters.purged || 0, 10),
+    memory: memoryCache.stats()
+  };
+};
+
+/**
+ * Azzera le statistiche della cache
+ */
+const resetCacheStats = async () => {
+  if (isCacheAvailable()) {
+    await redisClient.del(STATS_KEY);
+  }
+};
+
 /**
  * Clear all cache
  */
@@ -157,7 +468,12 @@ const closeRedisConnection = async () => {
 
 module.exports = {
   initRedisClient,
+  isCacheAvailable,
   cacheMiddleware,
+  purgeTags,
+  listTagValues,
+  getCacheStats,
+  resetCacheStats,
   clearCache,
   clearAllCache,
   closeRedisConnection
@@ -0,0 +1,161 @@
+/**
+ * Tag delle voci di cache
+ *
+ * Ogni risposta salvata in cache viene etichettata con i dati da cui dipende:
+ * - product:<id>  prodotti richiesti (productId, id, productIds) o presenti nel corpo della risposta
+ * - brand:<b>, category:<c>, store:<s>, petType:<p>  il filtro della richiesta, se non riguarda prodotti precisi
+ * - all  elenchi non filtrati (offerte migliori, variazioni recenti, ricerca senza filtri)
+ * - prices:*  dipendenza della route da tutti i prezzi (cacheMiddleware con dependsOn: [PRICES_TAG])
+ * Quando un prodotto cambia vengono purgati i tag del prodotto e dei suoi filtri (tagsForProduct).
+ * "all" non viene purgato a ogni scrittura: gli elenchi non filtrati si aggiornano per i prodotti
+ * che contengono (tag product:<id>). Gli elenchi calcolati sui prezzi di tutti i prodotti (offerte,
+ * variazioni recenti) dichiarano la dipendenza prices:*, purgata a ogni scrittura di prezzi.
+ */
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const ALL_TAG = 'all';
+
+// Dipendenza delle route calcolate sui prezzi di tutti i prodotti
+const PRICES_TAG = 'prices:*';
+
+// Parametri (path o query, già validati) che limitano i dati della risposta, dal più specifico
+const PARAM_KINDS = [
+  ['product', ['id', 'productId', 'productId1', 'productId2', 'productIds']],
+  ['brand', ['brand']],
+  ['category', ['category']],
+  ['store', ['store', 'source']],
+  ['petType', ['petType']]
+];
+
+// I controller filtrano brand e categoria con regex case-insensitive: il confronto con un prodotto
+// avviene sui valori registrati (listTagValues), non per uguaglianza
+const PATTERN_KINDS = ['category', 'brand'];
+
+// Metacaratteri delle regex: un filtro che li contiene non viene interpretato
+const REGEX_META_PATTERN = /[\\^$.*+?()[\]{}|]/;
+
+const PET_TYPE_ALIASES = { cat: 'gatto', dog: 'cane' };
+
+// Chiavi del corpo della risposta che contengono ID di prodotti
+const PRODUCT_ID_KEYS = ['_id', 'id', 'productId', 'product', 'listing', 'similarTo'];
+
+// Limite di tag per voce (elenchi lunghi)
+const MAX_PRODUCT_TAGS = 500;
+
+/**
+ * Tag di un valore
+ * @param {string} kind - product, brand, category, store, petType
+ * @param {*} value
+ * @returns {string}
+ */
+const buildTag = (kind, value) => {
+  const text = String(value);
+  if (PATTERN_KINDS.includes(kind)) return `${kind}:${text.toLowerCase()}`;
+  if (kind === 'petType') return `${kind}:${PET_TYPE_ALIASES[text] || text}`;
+  return `${kind}:${text}`;
+};
+
+/**
+ * ID dei prodotti presenti nel corpo di una risposta (anche annidati o popolati)
+ * @param {*} body
+ * @returns {Set<string>}
+ */
+const collectProductIds = (body) => {
+  const ids = new Set();
+
+  const visit = (value) => {
+    if (ids.size >= MAX_PRODUCT_TAGS || value === null || typeof value !== 'object') return;
+
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (PRODUCT_ID_KEYS.includes(key) && typeof child === 'string' && OBJECT_ID_PATTERN.test(child)) {
+        if (ids.size < MAX_PRODUCT_TAGS) ids.add(child);
+        return;
+      }
+      visit(child);
+    });
+  };
+
+  visit(body);
+  return ids;
+};
+
+/**
+ * Tag di una risposta da salvare in cache
+ * @param {Object} req - Richiesta (params e query già validati)
+ * @param {*} body - Corpo JSON della risposta
+ * @param {Array<string>} dependsOn - Dipendenze della route (es. PRICES_TAG), aggiunte sempre
+ * @returns {Array<string>}
+ */
+const tagsForResponse = (req, body, dependsOn = []) => {
+  const tags = new Set();
+
+  // Basta il filtro più specifico: la risposta dipende solo da prodotti che lo soddisfano
+  PARAM_KINDS.some(([kind, names]) => {
+    names.forEach(name => {
+      [req.params && req.params[name], req.query && req.query[name]]
+        .flat()
+        .filter(value => value !== undefined && value !== null && value !== '')
+        .forEach(value => tags.add(buildTag(kind, value)));
+    });
+    return tags.size > 0;
+  });
+
+  if (tags.size === 0) tags.add(ALL_TAG);
+  dependsOn.forEach(tag => tags.add(tag));
+
+  collectProductIds(body).forEach(id => tags.add(buildTag('product', id)));
+
+  return [...tags];
+};
+
+/**
+ * Verifica se un filtro registrato seleziona il valore di un prodotto.
+ * I filtri arrivano dalle richieste dei client: non vengono mai compilati come regex nel processo.
+ * Un filtro semplice seleziona i valori che lo contengono (come la regex case-insensitive dei
+ * controller); un filtro con metacaratteri viene considerato corrispondente, così la voce
+ * viene purgata anziché restare obsoleta.
+ * @param {string} filter - Valore registrato (già in minuscolo)
+ * @param {string} value
+ * @returns {boolean}
+ */
+const matchesFilter = (filter, value) => {
+  if (REGEX_META_PATTERN.test(filter)) return true;
+  return String(value).toLowerCase().includes(filter.toLowerCase());
+};
+
+/**
+ * Tag da purgare quando un prodotto viene scritto
+ * @param {Object} product - { _id, category, brand, petType, source }
+ * @param {Object} registered - { category: [...], brand: [...] } valori usati dalle voci in cache
+ * @returns {Array<string>}
+ */
+const tagsForProduct = (product, registered = {}) => {
+  const tags = [buildTag('product', product._id)];
+
+  if (product.source) tags.push(buildTag('store', product.source));
+  if (product.petType) tags.push(buildTag('petType', product.petType));
+
+  PATTERN_KINDS.forEach(kind => {
+    if (!product[kind]) return;
+    (registered[kind] || [])
+      .filter(filter => matchesFilter(filter, product[kind]))
+      .forEach(filter => tags.push(buildTag(kind, filter)));
+  });
+
+  return tags;
+};
+
+module.exports = {
+  ALL_TAG,
+  PRICES_TAG,
+  PATTERN_KINDS,
+  buildTag,
+  tagsForResponse,
+  tagsForProduct
+};
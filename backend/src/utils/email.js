@@ -0,0 +1,18 @@
+/**
+ * Validazione degli indirizzi email
+ * Stessa regola degli schemi Joi delle API (Joi.string().email()), usata anche dai modelli:
+ * un indirizzo accettato in registrazione o nella creazione di un avviso viene sempre salvato.
+ */
+const Joi = require('joi');
+
+const EMAIL_SCHEMA = Joi.string().email().max(254);
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isEmail = (value) => !EMAIL_SCHEMA.validate(value).error;
+
+module.exports = {
+  isEmail
+};
@@ -0,0 +1,107 @@
+/**
+ * Cache in memoria (LRU) del processo
+ * Primo livello della cache delle risposte (utils/cache): limitata per numero di voci e per dimensione
+ * dei corpi, elimina le voci usate meno di recente. Resta attiva anche quando Redis non è raggiungibile.
+ */
+
+/**
+ * Crea una cache LRU
+ * @param {Object} options
+ * @param {number} options.maxEntries - Numero massimo di voci
+ * @param {number} options.maxSize - Dimensione massima dei corpi (caratteri)
+ * @returns {Object} { get, set, remove, purgeTags, tagValues, stats }
+ */
+const createMemoryCache = ({ maxEntries, maxSize }) => {
+  // Map conserva l'ordine di inserimento: la prima voce è la meno usata di recente
+  const entries = new Map();
+  let size = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return false;
+
+    entries.delete(key);
+    size -= entry.body.length;
+    return true;
+  };
+
+  /**
+   * Voce non ancora scaduta del tutto (fresca o servibile come stale)
+   * @param {string} key
+   * @returns {Object|null} { body, validators, tags, expiresAt, staleUntil }
+   */
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (entry.staleUntil <= Date.now()) {
+      remove(key);
+      return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  /**
+   * Salva una voce, eliminando le meno usate oltre i limiti
+   * @param {string} key
+   * @param {Object} entry - { body, validators, tags, expiresAt, staleUntil }
+   */
+  const set = (key, entry) => {
+    remove(key);
+    if (entry.body.length > maxSize) return;
+
+    entries.set(key, entry);
+    size += entry.body.length;
+
+    while (entries.size > maxEntries || size > maxSize) {
+      remove(entries.keys().next().value);
+    }
+  };
+
+  /**
+   * Elimina le voci etichettate con almeno uno dei tag
+   * @param {Array<string>} tags
+   * @returns {Array<string>} Chiavi eliminate
+   */
+  const purgeTags = (tags) => {
+    const wanted = new Set(tags);
+    const keys = [...entries]
+      .filter(([, entry]) => entry.tags.some(tag => wanted.has(tag)))
+      .map(([key]) => key);
+
+    keys.forEach(remove);
+    return keys;
+  };
+
+  /**
+   * Valori dei tag di un tipo (es. brand) usati dalle voci in memoria
+   * @param {string} kind
+   * @returns {Array<string>}
+   */
+  const tagValues = (kind) => {
+    const prefix = `${kind}:`;
+    const values = new Set();
+
+    entries.forEach(entry => entry.tags
+      .filter(tag => tag.startsWith(prefix))
+      .forEach(tag => values.add(tag.slice(prefix.length))));
+
+    return [...values];
+  };
+
+  const stats = () => ({ entries: entries.size, maxEntries, size, maxSize });
+
+  return {
+    get,
+    set,
+    remove,
+    purgeTags,
+    tagValues,
+    stats
+  };
+};
+
+module.exports = createMemoryCache;
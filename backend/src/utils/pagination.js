@@ -0,0 +1,271 @@
+/**
+ * Paginazione a cursore per gli endpoint di elenco
+ *
+ * Ogni pagina è ordinata per chiavi stabili (l'ordinamento richiesto più _id come spareggio) e il
+ * cursore contiene i valori di quelle chiavi per l'ultimo elemento restituito. La pagina successiva
+ * riparte da quei valori invece che da un offset, quindi i documenti inseriti o rimossi nel frattempo
+ * non causano duplicati né salti. Per scorrere l'intero catalogo conviene ordinare per una chiave che
+ * non cambia (_id, createdAt): un documento aggiornato durante la scansione su updatedAt si sposta
+ * in cima all'elenco e non verrebbe riletto.
+ *
+ * Risposta: { success, data: [...], pagination: { limit, count, hasMore, nextCursor }, meta? }
+ */
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Errore per parametri di paginazione non validi (400)
+ * @param {string} message
+ * @returns {Error}
+ */
+const invalidPagination = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Normalizza un ordinamento MongoDB in coppie [campo, direzione] aggiungendo lo spareggio
+ * @param {Object} sort - Es. { price: 1 }
+ * @param {string} tieBreaker - Campo univoco usato come ultima chiave
+ * @returns {Array<Array>}
+ */
+const normalizeSort = (sort, tieBreaker) => {
+  const keys = Object.entries(sort).map(([field, direction]) => [field, direction < 0 ? -1 : 1]);
+
+  if (!keys.some(([field]) => field === tieBreaker)) {
+    const lastDirection = keys.length > 0 ? keys[keys.length - 1][1] : 1;
+    keys.push([tieBreaker, lastDirection]);
+  }
+
+  return keys;
+};
+
+const sortSignature = (keys) => keys.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+/**
+ * Valore di un campo (anche annidato, es. 'metadata.confidence') di un documento o di un oggetto
+ */
+const readField = (doc, field) => {
+  if (doc && typeof doc.get === 'function') return doc.get(field);
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+};
+
+// Date e ObjectId vengono marcati per ricostruire il tipo originale alla lettura del cursore
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string' && !Number.isNaN(Date.parse(value.$date))) return new Date(value.$date);
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw invalidPagination('Cursore non valido');
+  }
+  return value;
+};
+
+/**
+ * Crea il cursore opaco che punta dopo un elemento
+ * @param {Object} item - Ultimo elemento della pagina
+ * @param {Array<Array>} keys - Chiavi di ordinamento normalizzate
+ * @returns {string}
+ */
+const encodeCursor = (item, keys) => Buffer.from(JSON.stringify({
+  s: sortSignature(keys),
+  v: keys.map(([field]) => encodeValue(readField(item, field)))
+})).toString('base64url');
+
+/**
+ * Legge un cursore verificando che sia stato creato con lo stesso ordinamento
+ * @param {string} cursor
+ * @param {Array<Array>} keys - Chiavi di ordinamento normalizzate
+ * @returns {Array} Valori delle chiavi
+ */
+const decodeCursor = (cursor, keys) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidPagination('Cursore non valido');
+  }
+
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== keys.length) {
+    throw invalidPagination('Cursore non valido');
+  }
+  if (payload.s !== sortSignature(keys)) {
+    throw invalidPagination('Il cursore è stato creato con un ordinamento diverso');
+  }
+
+  return payload.v.map(decodeValue);
+};
+
+/**
+ * Condizioni MongoDB per i valori che seguono `value` nella direzione indicata.
+ * MongoDB ordina null e campi mancanti prima di ogni altro valore.
+ */
+const afterValue = (field, value, direction) => {
+  if (direction > 0) {
+    return [{ [field]: value === null ? { $ne: null } : { $gt: value } }];
+  }
+  return value === null ? [] : [{ [field]: { $lt: value } }, { [field]: null }];
+};
+
+/**
+ * Filtro MongoDB per i documenti che seguono il cursore nell'ordinamento
+ * @param {Array<Array>} keys - Chiavi di ordinamento normalizzate
+ * @param {Array} values - Valori decodificati dal cursore
+ * @returns {Object}
+ */
+const buildAfterFilter = (keys, values) => {
+  const branches = [];
+
+  keys.forEach(([field, direction], index) => {
+    const equal = {};
+    keys.slice(0, index).forEach(([previous], i) => {
+      equal[previous] = values[i];
+    });
+    afterValue(field, values[index], direction).forEach(condition => {
+      branches.push({ ...equal, ...condition });
+    });
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: { $in: [] } };
+};
+
+/**
+ * Legge limit e cursor dalla query string
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {Object} options.sort - Ordinamento MongoDB della lista
+ * @param {number} options.defaultLimit - Dimensione predefinita della pagina
+ * @param {string} options.tieBreaker - Campo univoco aggiunto in coda all'ordinamento (default _id)
+ * @returns {Object} { limit, sort, keys, after, cursorValues }
+ */
+const parsePageParams = (query, { sort = {}, defaultLimit = DEFAULT_PAGE_SIZE, tieBreaker = '_id' } = {}) => {
+  const requested = query.limit !== undefined ? parseInt(query.limit, 10) : defaultLimit;
+  if (Number.isNaN(requested) || requested < 1) {
+    throw invalidPagination('Il parametro limit deve essere un intero positivo');
+  }
+
+  const keys = normalizeSort(sort, tieBreaker);
+  const cursorValues = query.cursor ? decodeCursor(String(query.cursor), keys) : null;
+
+  return {
+    limit: Math.min(requested, MAX_PAGE_SIZE),
+    sort: Object.fromEntries(keys),
+    keys,
+    after: cursorValues ? buildAfterFilter(keys, cursorValues) : null,
+    cursorValues
+  };
+};
+
+/**
+ * Costruisce la pagina da una lettura di limit + 1 elementi (l'elemento in più indica che ce ne sono altri)
+ * @param {Array} items - Elementi letti, già ordinati e filtrati dopo il cursore
+ * @param {Object} params - Risultato di parsePageParams
+ * @returns {Object} { items, hasMore, nextCursor }
+ */
+const buildPage = (items, { limit, keys }) => {
+  const hasMore = items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    items: pageItems,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1], keys) : null
+  };
+};
+
+/**
+ * Legge una pagina di documenti di un modello
+ * @param {Model} model - Modello Mongoose
+ * @param {Object} filter - Filtro MongoDB
+ * @param {Object} params - Risultato di parsePageParams
+ * @param {Object} options - select, populate (opzioni di Query.populate, anche in array), lean
+ * @returns {Promise<Object>} { items, hasMore, nextCursor }
+ */
+const findPage = async (model, filter, params, { select, populate, lean = false } = {}) => {
+  const query = model.find(params.after ? { $and: [filter, params.after] } : filter)
+    .sort(params.sort)
+    .limit(params.limit + 1);
+
+  if (select) query.select(select);
+  [].concat(populate || []).forEach(option => query.populate(option));
+  if (lean) query.lean();
+
+  return buildPage(await query, params);
+};
+
+// Confronto con lo stesso ordine di MongoDB per i tipi usati nelle chiavi (null prima di tutto)
+const compareValues = (a, b) => {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  const left = a instanceof Date ? a.getTime() : (a instanceof mongoose.Types.ObjectId ? a.toString() : a);
+  const right = b instanceof Date ? b.getTime() : (b instanceof mongoose.Types.ObjectId ? b.toString() : b);
+  if (left < right) return -1;
+  return left > right ? 1 : 0;
+};
+
+const compareByKeys = (keys, leftValues, rightValues) => {
+  for (let i = 0; i < keys.length; i++) {
+    const result = compareValues(leftValues[i], rightValues[i]) * keys[i][1];
+    if (result !== 0) return result;
+  }
+  return 0;
+};
+
+/**
+ * Pagina di una lista calcolata in memoria (es. punteggi), con gli stessi cursori delle query
+ * @param {Array} items - Elementi non ordinati
+ * @param {Object} params - Risultato di parsePageParams
+ * @returns {Object} { items, hasMore, nextCursor }
+ */
+const paginateArray = (items, params) => {
+  const valuesOf = item => params.keys.map(([field]) => {
+    const value = readField(item, field);
+    return value === undefined ? null : value;
+  });
+
+  const sorted = items
+    .map(item => ({ item, values: valuesOf(item) }))
+    .filter(({ values }) => !params.cursorValues || compareByKeys(params.keys, values, params.cursorValues) > 0)
+    .sort((a, b) => compareByKeys(params.keys, a.values, b.values))
+    .map(({ item }) => item);
+
+  return buildPage(sorted.slice(0, params.limit + 1), params);
+};
+
+/**
+ * Invia una pagina con la busta comune degli elenchi
+ * @param {Object} res - Risposta Express
+ * @param {Object} page - { items, hasMore, nextCursor }
+ * @param {Object} params - Risultato di parsePageParams
+ * @param {Object} meta - Informazioni sulla lista (es. categoria o periodo richiesti)
+ */
+const sendPage = (res, page, params, meta) => res.status(200).json({
+  success: true,
+  data: page.items,
+  pagination: {
+    limit: params.limit,
+    count: page.items.length,
+    hasMore: page.hasMore,
+    nextCursor: page.nextCursor
+  },
+  ...(meta ? { meta } : {})
+});
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageParams,
+  buildPage,
+  findPage,
+  paginateArray,
+  sendPage
+};
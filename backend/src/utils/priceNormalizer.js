@@ -206,6 +206,75 @@ const areSameProductDifferentSizes = (product1, product2) => {
   }
 };
 
+/**
+ * Sort items by unit price, cheapest per kg first (items without unit price go last)
+ * @param {Array} items - Products or group variants with unitPrice.value
+ * @returns {Array} - Sorted copy
+ */
+const rankByUnitPrice = (items) => [...items].sort((a, b) => {
+  if (!a.unitPrice || !a.unitPrice.value) return 1;
+  if (!b.unitPrice || !b.unitPrice.value) return -1;
+  return a.unitPrice.value - b.unitPrice.value;
+});
+
+/**
+ * Build a product group variant (ProductGroup.variants) from a product and its current price
+ * @param {Object} product - Product with price and details.weight
+ * @returns {Object|null} - Variant, or null if weight or price per kg cannot be computed
+ */
+const buildGroupVariant = (product) => {
+  const weightStr = (product.details && product.details.weight) || '';
+  const pricePerKg = calculatePricePerKg(product.price, weightStr);
+  const weightObj = extractWeight(weightStr);
+  
+  if (!pricePerKg || !weightObj) return null;
+  
+  return {
+    productId: product._id,
+    size: weightStr,
+    weight: {
+      value: weightObj.value,
+      unit: weightObj.unit
+    },
+    price: product.price,
+    unitPrice: {
+      value: pricePerKg,
+      unit: 'EUR/kg'
+    },
+    bestValue: false
+  };
+};
+
+/**
+ * Rank the variants of a product group and compute its best value and price ranges
+ * @param {Array} variants - Variants built with buildGroupVariant
+ * @returns {Object|null} - { variants, bestValue, priceRange }, or null without variants
+ */
+const summarizeGroupVariants = (variants) => {
+  const ranked = rankByUnitPrice(variants.filter(v => v.unitPrice && v.unitPrice.value));
+  if (ranked.length === 0) return null;
+  
+  const best = ranked[0];
+  const prices = ranked.map(v => v.price);
+  const unitPrices = ranked.map(v => v.unitPrice.value);
+  
+  return {
+    variants: ranked.map((variant, index) => ({ ...variant, bestValue: index === 0 })),
+    bestValue: {
+      productId: best.productId,
+      price: best.price,
+      unitPrice: best.unitPrice.value,
+      size: best.size
+    },
+    priceRange: {
+      min: Math.min(...prices),
+      max: Math.max(...prices),
+      unitMin: Math.min(...unitPrices),
+      unitMax: Math.max(...unitPrices)
+    }
+  };
+};
+
 /**
  * Group products by base product (ignoring size/weight variations)
  * @param {Array} products - List of products
@@ -274,11 +343,7 @@ const groupProductsByBaseProduct = (products) => {
       });
       
       // Sort by unit price (products with null unit price go last)
-      const sortedProducts = productsWithUnitPrices.sort((a, b) => {
-        if (!a.unitPrice || !a.unitPrice.value) return 1;
-        if (!b.unitPrice || !b.unitPrice.value) return -1;
-        return a.unitPrice.value - b.unitPrice.value;
-      });
+      const sortedProducts = rankByUnitPrice(productsWithUnitPrices);
       
       // Only add if there are products with valid unit prices
       const validProducts = sortedProducts.filter(p => p.unitPrice && p.unitPrice.value);
@@ -312,5 +377,8 @@ module.exports = {
   convertToStandardUnit,
   calculatePricePerKg,
   areSameProductDifferentSizes,
+  rankByUnitPrice,
+  buildGroupVariant,
+  summarizeGroupVariants,
   groupProductsByBaseProduct
 }; 
\ No newline at end of file
@@ -85,8 +85,7 @@ const options = {
             },
             source: {
               type: 'string',
-              enum: ['zooplus', 'arcaplanet'],
-              description: 'Fonte del prodotto'
+              description: 'ID del negozio di provenienza (registro dei negozi del data-collector, es. zooplus)'
             },
             sourceId: {
               type: 'string',
@@ -104,8 +103,7 @@ const options = {
                 properties: {
                   store: {
                     type: 'string',
-                    enum: ['zooplus', 'arcaplanet'],
-                    description: 'Nome del negozio'
+                    description: 'ID del negozio (registro dei negozi del data-collector)'
                   },
                   price: {
                     type: 'number',
@@ -152,46 +150,62 @@ const options = {
         PricePoint: {
           type: 'object',
           properties: {
-            productId: {
+            product: {
               type: 'string',
               description: 'ID del prodotto'
             },
-            variantId: {
-              type: 'string',
-              description: 'ID della variante del prodotto'
+            variant: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                  description: 'ID della variante del prodotto'
+                },
+                name: {
+                  type: 'string',
+                  description: 'Nome della variante (es. formato)'
+                }
+              }
             },
             source: {
               type: 'string',
-              enum: ['zooplus', 'arcaplanet'],
-              description: 'Fonte del prezzo'
+              description: 'ID del negozio in cui è stato rilevato il prezzo (registro dei negozi del data-collector)'
             },
             price: {
+              type: 'number',
+              description: 'Prezzo rilevato'
+            },
+            originalPrice: {
+              type: 'number',
+              description: 'Prezzo pieno, se scontato'
+            },
+            currency: {
+              type: 'string',
+              description: 'Valuta',
+              default: 'EUR'
+            },
+            discountPercentage: {
+              type: 'number',
+              description: 'Percentuale di sconto'
+            },
+            pricePerUnit: {
               type: 'object',
               properties: {
-                amount: {
+                value: {
                   type: 'number',
-                  description: 'Importo del prezzo'
+                  description: 'Prezzo unitario'
                 },
-                currency: {
+                unit: {
                   type: 'string',
-                  description: 'Valuta',
-                  default: 'EUR'
-                },
-                unitPrice: {
-                  type: 'string',
-                  description: 'Prezzo unitario (es. €/kg)'
-                },
-                discounted: {
-                  type: 'boolean',
-                  description: 'Indica se il prezzo è scontato'
-                },
-                discountAmount: {
-                  type: 'string',
-                  description: 'Importo dello sconto'
+                  description: 'Unità (es. EUR/kg)'
                 }
               }
             },
-            recordedAt: {
+            inStock: {
+              type: 'boolean',
+              description: 'Disponibilità al momento del rilevamento'
+            },
+            timestamp: {
               type: 'string',
               format: 'date-time',
               description: 'Data di registrazione del prezzo'
@@ -255,6 +269,29 @@ const options = {
             }
           }
         },
+        Pagination: {
+          type: 'object',
+          description: 'Paginazione a cursore degli elenchi',
+          properties: {
+            limit: {
+              type: 'integer',
+              description: 'Dimensione della pagina (massimo 100)'
+            },
+            count: {
+              type: 'integer',
+              description: 'Elementi in questa pagina'
+            },
+            hasMore: {
+              type: 'boolean',
+              description: 'Se esistono altri elementi dopo questa pagina'
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Valore di cursor per la pagina successiva (null sull\'ultima pagina)'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -337,12 +374,20 @@ const options = {
         limit: {
           name: 'limit',
           in: 'query',
-          description: 'Numero massimo di risultati',
+          description: 'Numero massimo di risultati (massimo 100)',
           schema: {
             type: 'integer',
             default: 10
           }
         },
+        cursor: {
+          name: 'cursor',
+          in: 'query',
+          description: 'Cursore opaco della pagina successiva (pagination.nextCursor della risposta precedente)',
+          schema: {
+            type: 'string'
+          }
+        },
         page: {
           name: 'page',
           in: 'query',
@@ -0,0 +1,36 @@
+/**
+ * Messaggi in italiano per gli errori Joi più comuni ({{#label}} è il nome del campo)
+ * Condivisi dalla validazione delle richieste (api/middleware/validate) e delle regole degli avvisi
+ * (services/alertRules).
+ */
+const MESSAGES = {
+  'any.required': '{{#label}} è obbligatorio',
+  'any.only': '{{#label}} deve essere uno tra: {{#valids}}',
+  'number.base': '{{#label}} deve essere un numero',
+  'number.integer': '{{#label}} deve essere un numero intero',
+  'number.min': '{{#label}} deve essere maggiore o uguale a {{#limit}}',
+  'number.max': '{{#label}} deve essere minore o uguale a {{#limit}}',
+  'string.base': '{{#label}} deve essere un testo',
+  'string.empty': '{{#label}} non può essere vuoto',
+  'string.min': '{{#label}} deve contenere almeno {{#limit}} caratteri',
+  'string.max': '{{#label}} può contenere al massimo {{#limit}} caratteri',
+  'string.pattern.name': '{{#label}} deve essere un {{#name}} valido',
+  'boolean.base': '{{#label}} deve essere true o false',
+  'date.base': '{{#label}} deve essere una data valida',
+  'date.format': '{{#label}} deve essere una data ISO 8601',
+  'array.base': '{{#label}} deve essere un elenco',
+  'array.min': '{{#label}} deve contenere almeno {{#limit}} elementi',
+  'array.max': '{{#label}} può contenere al massimo {{#limit}} elementi',
+  'array.unique': '{{#label}} contiene un valore duplicato',
+  'any.unknown': '{{#label}} non è ammesso',
+  'any.invalid': '{{#label}} contiene un valore non ammesso',
+  'number.greater': '{{#label}} deve essere maggiore di {{#limit}}',
+  'date.greater': '{{#label}} deve essere successiva a {{#limit}}',
+  'object.base': '{{#label}} deve essere un oggetto',
+  'object.unknown': '{{#label}} non è un campo ammesso',
+  'string.email': '{{#label}} deve essere un indirizzo email valido',
+  'string.uri': '{{#label}} deve essere un URL valido',
+  'string.uriCustomScheme': '{{#label}} deve essere un URL valido ({{#scheme}})'
+};
+
+module.exports = MESSAGES;
@@ -0,0 +1,165 @@
+/**
+ * Test manuale dei canali di notifica degli avvisi di prezzo
+ * - Avvia un sink SMTP locale minimale e invia un'email tramite il canale email
+ * - Avvia un server HTTP locale e invia una notifica tramite il canale webhook
+ * - Verifica le regole di frequenza (ONCE / DAILY / ALWAYS)
+ *
+ * Per usare un sink SMTP esterno (es. MailHog su localhost:1025):
+ *   SMTP_SINK=external SMTP_HOST=localhost SMTP_PORT=1025 node tests/testNotifications.js
+ */
+require('dotenv').config();
+const net = require('net');
+const http = require('http');
+const crypto = require('crypto');
+const createEmailChannel = require('../src/services/notifications/channels/emailChannel');
+const createWebhookChannel = require('../src/services/notifications/channels/webhookChannel');
+const { shouldNotify } = require('../src/services/notifications/deliveryPolicy');
+const { buildAlertMessage } = require('../src/services/notifications/messageBuilder');
+
+/**
+ * Sink SMTP minimale: accetta qualsiasi messaggio e lo conserva in memoria
+ */
+const startSmtpSink = () => new Promise((resolve) => {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let current = { from: null, to: [], data: '' };
+
+    socket.write('220 localhost SMTP sink\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { from: null, to: [], data: '' };
+            socket.write('250 OK: message queued\r\n');
+          } else {
+            current.data += `${line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+        else if (command === 'MAIL') { current.from = line.slice(10); socket.write('250 OK\r\n'); }
+        else if (command === 'RCPT') { current.to.push(line.slice(8)); socket.write('250 OK\r\n'); }
+        else if (command === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (command === 'QUIT') { socket.end('221 Bye\r\n'); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, messages }));
+});
+
+const sampleAlert = {
+  _id: 'test-alert',
+  userId: 'test-user',
+  type: 'PRICE_BELOW',
+  targetPrice: 40,
+  notificationEmail: 'utente@example.com',
+  productId: {
+    _id: 'test-product',
+    name: 'Royal Canin Maxi Adult 15kg',
+    brand: 'Royal Canin',
+    source: 'zooplus',
+    url: 'https://www.zooplus.it/prodotto'
+  },
+  notificationSettings: { frequency: 'ONCE' }
+};
+
+const check = (condition, description) => {
+  console.log(`${condition ? '✓' : '✗'} ${description}`);
+  if (!condition) process.exitCode = 1;
+};
+
+const testEmailChannel = async () => {
+  const external = process.env.SMTP_SINK === 'external';
+  const sink = external ? null : await startSmtpSink();
+
+  const channel = createEmailChannel({
+    host: external ? process.env.SMTP_HOST || 'localhost' : '127.0.0.1',
+    port: external ? parseInt(process.env.SMTP_PORT, 10) || 1025 : sink.port,
+    secure: false,
+    from: 'alerts@petpricecomparator.local'
+  });
+
+  const message = buildAlertMessage(sampleAlert, {
+    currentPrice: 38.5,
+    statusMessage: 'Price dropped to 38.50€, below your target of 40.00€'
+  });
+  const response = await channel.send(channel.resolveRecipient(sampleAlert), message);
+
+  check(Boolean(response.messageId), `Email inviata (messageId ${response.messageId})`);
+
+  if (sink) {
+    check(sink.messages.length === 1, 'Il sink SMTP ha ricevuto un messaggio');
+    check(sink.messages[0].to[0].includes('utente@example.com'), 'Destinatario corretto');
+    check(sink.messages[0].data.includes('Royal Canin Maxi Adult 15kg'), 'Il messaggio contiene il nome del prodotto');
+    sink.server.close();
+  }
+};
+
+const testWebhookChannel = async () => {
+  const secret = 'test-secret';
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  const channel = createWebhookChannel({ url, secret, timeout: 5000 });
+  const message = buildAlertMessage(sampleAlert, { currentPrice: 38.5 });
+  const response = await channel.send(channel.resolveRecipient(sampleAlert), message);
+
+  check(response.statusCode === 204, 'Webhook consegnato (HTTP 204)');
+
+  const expectedSignature = crypto.createHmac('sha256', secret).update(received[0].body).digest('hex');
+  check(received[0].headers['x-signature'] === expectedSignature, 'Firma HMAC del webhook valida');
+  check(JSON.parse(received[0].body).data.currentPrice === 38.5, 'Il payload contiene il prezzo attuale');
+
+  server.close();
+};
+
+const testDeliveryPolicy = () => {
+  const now = new Date();
+  const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+  const twoDaysAgo = new Date(now.getTime() - 48 * 60 * 60 * 1000);
+
+  check(shouldNotify({ notificationSettings: { frequency: 'ONCE' } }, now).allowed, 'ONCE: prima notifica consentita');
+  check(!shouldNotify({ notificationSettings: { frequency: 'ONCE', lastSent: hourAgo } }, now).allowed, 'ONCE: seconda notifica bloccata');
+  check(!shouldNotify({ notificationSettings: { frequency: 'DAILY', lastSent: hourAgo } }, now).allowed, 'DAILY: bloccata entro 24 ore');
+  check(shouldNotify({ notificationSettings: { frequency: 'DAILY', lastSent: twoDaysAgo } }, now).allowed, 'DAILY: consentita dopo 24 ore');
+  check(shouldNotify({ notificationSettings: { frequency: 'ALWAYS', lastSent: hourAgo } }, now).allowed, 'ALWAYS: sempre consentita');
+};
+
+(async () => {
+  try {
+    testDeliveryPolicy();
+    await testEmailChannel();
+    await testWebhookChannel();
+    console.log(process.exitCode ? 'Alcuni test sono falliti' : 'Tutti i test delle notifiche sono passati');
+  } catch (error) {
+    console.error(`Errore durante il test delle notifiche: ${error.message}`);
+    process.exitCode = 1;
+  }
+})();
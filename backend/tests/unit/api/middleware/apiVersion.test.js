@@ -0,0 +1,129 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../../../../src/config/config');
+const {
+  normalizeResponse,
+  v1Response,
+  v1NotFound,
+  legacyDeprecation,
+  v1Only
+} = require('../../../../src/api/middleware/apiVersion');
+
+describe('normalizeResponse', () => {
+  it('keeps data and pagination and moves the other fields to meta', () => {
+    expect(normalizeResponse(200, {
+      success: true,
+      data: [{ id: 1 }],
+      pagination: { limit: 1, count: 1, hasMore: false, nextCursor: null },
+      total: 10,
+      meta: { category: 'all' }
+    })).toEqual({
+      success: true,
+      data: [{ id: 1 }],
+      meta: { total: 10, category: 'all' },
+      pagination: { limit: 1, count: 1, hasMore: false, nextCursor: null }
+    });
+  });
+
+  it('wraps bodies without an envelope in data', () => {
+    expect(normalizeResponse(200, [1, 2])).toEqual({ success: true, data: [1, 2] });
+    expect(normalizeResponse(200, { status: 'ok' })).toEqual({ success: true, data: { status: 'ok' } });
+    expect(normalizeResponse(204)).toEqual({ success: true, data: null });
+  });
+
+  it('turns a success message without data into meta', () => {
+    expect(normalizeResponse(200, { success: true, message: 'Avviso eliminato' })).toEqual({
+      success: true,
+      data: null,
+      meta: { message: 'Avviso eliminato' }
+    });
+  });
+
+  it('converts string errors with the default code of the status', () => {
+    expect(normalizeResponse(404, { success: false, error: 'Prodotto non trovato' })).toEqual({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Prodotto non trovato' }
+    });
+  });
+
+  it('keeps code and details of structured errors', () => {
+    const details = [{ in: 'query', field: 'limit', message: 'limit deve essere un numero' }];
+
+    expect(normalizeResponse(400, {
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'Parametri della richiesta non validi', details }
+    })).toEqual({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'Parametri della richiesta non validi', details }
+    });
+  });
+
+  it('moves the extra fields of an error to details', () => {
+    expect(normalizeResponse(429, { message: 'Troppe richieste', retryAfter: 60 })).toEqual({
+      success: false,
+      error: { code: 'TOO_MANY_REQUESTS', message: 'Troppe richieste', details: { retryAfter: 60 } }
+    });
+  });
+
+  it('treats success: false as an error even with a 200 status', () => {
+    expect(normalizeResponse(200, { success: false, error: 'Operazione non riuscita' }).error)
+      .toEqual({ code: 'INTERNAL_SERVER_ERROR', message: 'Operazione non riuscita' });
+  });
+
+  it('uses a generic message when the body has none', () => {
+    expect(normalizeResponse(500, undefined).error).toEqual({
+      code: 'INTERNAL_SERVER_ERROR',
+      message: 'Errore interno del server'
+    });
+    expect(normalizeResponse(418, {}).error).toEqual({ code: 'INTERNAL_SERVER_ERROR', message: 'Richiesta non valida' });
+  });
+});
+
+describe('v1 and legacy routes', () => {
+  const router = express.Router();
+  router.get('/products/suggest', v1Only, (req, res) => res.json({ success: true, data: { brands: [] } }));
+  router.get('/products/:id', (req, res) => res.status(404).json({ success: false, error: 'Prodotto non trovato' }));
+  router.get('/stores', (req, res) => res.json(['zooplus', 'arcaplanet']));
+
+  const app = express();
+  app.use(`${config.api.basePath}/v1`, v1Response, router, v1NotFound);
+  app.use(config.api.basePath, legacyDeprecation, router);
+  app.use((req, res) => res.status(404).json({ success: false, error: 'Risorsa non trovata' }));
+
+  it('sends the normalized contract on /v1 routes', async () => {
+    const response = await request(app).get(`${config.api.basePath}/v1/products/1`);
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ success: false, error: { code: 'NOT_FOUND', message: 'Prodotto non trovato' } });
+    expect(response.headers.deprecation).toBeUndefined();
+  });
+
+  it('answers 404 for unknown /v1 routes', async () => {
+    const response = await request(app).get(`${config.api.basePath}/v1/unknown`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toEqual({
+      code: 'NOT_FOUND',
+      message: `Risorsa non trovata: GET ${config.api.basePath}/v1/unknown`
+    });
+  });
+
+  it('leaves legacy responses unchanged and adds the deprecation headers', async () => {
+    const response = await request(app).get(`${config.api.basePath}/stores?petType=gatto`);
+    const { deprecatedAt, sunsetAt } = config.api.legacy;
+
+    expect(response.body).toEqual(['zooplus', 'arcaplanet']);
+    expect(response.headers.deprecation).toBe(`@${Math.floor(new Date(deprecatedAt).getTime() / 1000)}`);
+    expect(response.headers.sunset).toBe(new Date(sunsetAt).toUTCString());
+    expect(response.headers.link).toBe(`<${config.api.basePath}/v1/stores?petType=gatto>; rel="successor-version"`);
+  });
+
+  it('serves the routes added with v1 only under /v1', async () => {
+    const v1 = await request(app).get(`${config.api.basePath}/v1/products/suggest`);
+    const legacy = await request(app).get(`${config.api.basePath}/products/suggest`);
+
+    expect(v1.body).toEqual({ success: true, data: { brands: [] } });
+    expect(legacy.status).toBe(404);
+    expect(legacy.body).toEqual({ success: false, error: 'Risorsa non trovata' });
+  });
+});
@@ -0,0 +1,98 @@
+const Joi = require('joi');
+const { validate, MESSAGES } = require('../../../../src/api/middleware/validate');
+const { objectId, cursorPage, body } = require('../../../../src/api/validation/common');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const run = (middleware, req) => {
+  const res = createResponse();
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+};
+
+describe('validate', () => {
+  const middleware = validate({
+    params: { productId: objectId().required() },
+    query: { ...cursorPage(10), inStock: Joi.boolean() },
+    body: body({ name: Joi.string().trim().required(), tags: Joi.array().items(Joi.string()).unique() })
+  });
+
+  it('replaces params, query and body with the converted values and defaults', () => {
+    const req = {
+      params: { productId: '507f1f77bcf86cd799439011' },
+      query: { limit: '5', inStock: 'true' },
+      body: { name: '  Crocchette  ' }
+    };
+    const { res, next } = run(middleware, req);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).not.toHaveBeenCalled();
+    expect(req.query).toEqual({ limit: 5, inStock: true });
+    expect(req.body).toEqual({ name: 'Crocchette' });
+  });
+
+  it('applies the defaults of missing query parameters', () => {
+    const req = { params: { productId: '507f1f77bcf86cd799439011' }, body: { name: 'x' } };
+    run(middleware, req);
+
+    expect(req.query.limit).toBe(10);
+  });
+
+  it('ignores undeclared query parameters', () => {
+    const req = {
+      params: { productId: '507f1f77bcf86cd799439011' },
+      query: { _: '1700000000' },
+      body: { name: 'x' }
+    };
+    const { next } = run(middleware, req);
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns 400 with the errors of every location and field', () => {
+    const { res, next } = run(middleware, {
+      params: { productId: 'not-an-id' },
+      query: { limit: '0' },
+      body: { tags: ['a', 'a'], extra: true }
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    const [payload] = res.json.mock.calls[0];
+    expect(payload.success).toBe(false);
+    expect(payload.error.code).toBe('VALIDATION_ERROR');
+    expect(payload.error.details).toEqual(expect.arrayContaining([
+      { in: 'params', field: 'productId', message: 'productId deve essere un ID (24 caratteri esadecimali) valido' },
+      { in: 'query', field: 'limit', message: 'limit deve essere maggiore o uguale a 1' },
+      { in: 'body', field: 'name', message: 'name è obbligatorio' },
+      { in: 'body', field: 'tags.1', message: 'tags[1] contiene un valore duplicato' },
+      { in: 'body', field: 'extra', message: 'extra non è un campo ammesso' }
+    ]));
+  });
+
+  it('exposes the compiled schemas for the Swagger documentation', () => {
+    expect(Object.keys(middleware.schemas)).toEqual(['params', 'query', 'body']);
+    expect(Joi.isSchema(middleware.schemas.query)).toBe(true);
+  });
+
+  it('validates only the locations it declares', () => {
+    const queryOnly = validate({ query: { q: Joi.string().required() } });
+    const req = { query: { q: 'cibo' }, body: { anything: true } };
+    const { next } = run(queryOnly, req);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(req.body).toEqual({ anything: true });
+    expect(queryOnly.schemas.body).toBeUndefined();
+  });
+
+  it('keeps re-exporting the shared validation messages', () => {
+    expect(MESSAGES).toBe(require('../../../../src/utils/validationMessages'));
+  });
+});
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const PricePoint = require('../../../../src/models/PricePoint');
+const PriceAggregate = require('../../../../src/models/PriceAggregate');
+const pricePoints = require('../../../../src/db/repositories/pricePointRepository');
+
+const PRODUCT = new mongoose.Types.ObjectId();
+const START = new Date('2025-01-01T00:00:00Z');
+
+const at = (minutes) => new Date(START.getTime() + minutes * 60000);
+
+/**
+ * Price points kept in memory: find applies the keyset filters, sort and limit used by the repository
+ */
+const mockPoints = (points) => {
+  const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp || String(a._id).localeCompare(String(b._id)));
+
+  const isAfter = (point, filter) => {
+    if (!filter.$or) return point.timestamp > filter.timestamp.$gt;
+    const [later, tie] = filter.$or;
+    return point.timestamp > later.timestamp.$gt
+      || (point.timestamp.getTime() === tie.timestamp.getTime() && String(point._id) > String(tie._id.$gt));
+  };
+
+  jest.spyOn(PricePoint, 'aggregate').mockImplementation(async ([{ $match }]) => {
+    const latest = new Map();
+    sorted
+      .filter(point => point.timestamp <= $match.timestamp.$lte)
+      .forEach(point => latest.set((point.variant && point.variant.id) || '', point.inStock !== false));
+    return [...latest].map(([_id, inStock]) => ({ _id, inStock }));
+  });
+
+  jest.spyOn(PricePoint, 'find').mockImplementation((filter) => {
+    let limit = Infinity;
+    const query = {
+      sort: () => query,
+      limit: (value) => { limit = value; return query; },
+      select: () => query,
+      lean: () => Promise.resolve(sorted.filter(point => isAfter(point, filter)).slice(0, limit))
+    };
+    return query;
+  });
+};
+
+const point = (minutes, inStock, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  product: PRODUCT,
+  timestamp: at(minutes),
+  price: 10,
+  inStock,
+  ...extra
+});
+
+describe('findAvailabilityTransitions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports the transitions between consecutive scrapes after the date', async () => {
+    mockPoints([point(0, true), point(10, false), point(20, false), point(30, true, { price: 12 })]);
+
+    const result = await pricePoints.findAvailabilityTransitions(PRODUCT, { since: at(5) });
+
+    expect(result).toEqual({
+      transitions: [
+        { timestamp: at(10), inStock: false, price: 10, variantId: null },
+        { timestamp: at(30), inStock: true, price: 12, variantId: null }
+      ],
+      inStock: true,
+      checkedAt: at(30)
+    });
+  });
+
+  it('keeps the product available while any variant is in stock', async () => {
+    mockPoints([
+      point(0, true, { variant: { id: 'small' } }),
+      point(0, true, { variant: { id: 'large' } }),
+      point(10, false, { variant: { id: 'small' } }),
+      point(20, false, { variant: { id: 'large' } })
+    ]);
+
+    const { transitions } = await pricePoints.findAvailabilityTransitions(PRODUCT, { since: at(5) });
+
+    expect(transitions).toEqual([{ timestamp: at(20), inStock: false, price: 10, variantId: 'large' }]);
+  });
+
+  it('reads every scrape after the date, beyond the batch size', async () => {
+    // Out of stock for 12 scrapes, then back in stock and out again
+    const points = [
+      point(0, false),
+      ...Array.from({ length: 12 }, (_, i) => point(i + 1, false)),
+      point(13, true, { price: 9 }),
+      point(14, true),
+      point(15, false),
+      point(16, true, { price: 8 })
+    ];
+    mockPoints(points);
+
+    const result = await pricePoints.findAvailabilityTransitions(PRODUCT, { since: at(0), batchSize: 5 });
+
+    expect(result.transitions.map(item => [item.timestamp, item.inStock])).toEqual([
+      [at(13), true],
+      [at(15), false],
+      [at(16), true]
+    ]);
+    expect(result.inStock).toBe(true);
+    expect(result.checkedAt).toEqual(at(16));
+    expect(PricePoint.find).toHaveBeenCalledTimes(4);
+  });
+
+  it('does not skip scrapes with the same timestamp across batches', async () => {
+    mockPoints([
+      point(0, true),
+      point(1, true, { variant: { id: 'a' } }),
+      point(1, true, { variant: { id: 'b' } }),
+      point(1, false, { variant: { id: '' } }),
+      point(2, false, { variant: { id: 'a' } }),
+      point(2, false, { variant: { id: 'b' } })
+    ]);
+
+    const result = await pricePoints.findAvailabilityTransitions(PRODUCT, { since: at(0), batchSize: 2 });
+
+    expect(result.transitions).toEqual([expect.objectContaining({ timestamp: at(2), inStock: false })]);
+    expect(result.checkedAt).toEqual(at(2));
+  });
+
+  it('has no state without scrapes', async () => {
+    mockPoints([]);
+
+    await expect(pricePoints.findAvailabilityTransitions(PRODUCT, { since: at(0) }))
+      .resolves.toEqual({ transitions: [], inStock: null, checkedAt: null });
+  });
+});
+
+/**
+ * Evaluates the aggregation expressions used by the $merge of the rollup
+ */
+const evaluate = (expr, doc, vars) => {
+  if (typeof expr === 'string' && expr.startsWith('$$')) {
+    const [name, ...path] = expr.slice(2).split('.');
+    return path.reduce((value, key) => (value == null ? undefined : value[key]), vars[name]);
+  }
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+  if (Array.isArray(expr)) return expr.map(item => evaluate(item, doc, vars));
+  if (!expr || typeof expr !== 'object' || expr instanceof Date) return expr;
+
+  const [[op, args]] = Object.entries(expr);
+  if (op === '$literal') return args;
+  if (op === '$cond') return evaluate(evaluate(args[0], doc, vars) ? args[1] : args[2], doc, vars);
+
+  const values = evaluate(args, doc, vars);
+  switch (op) {
+    case '$in': return values[1].includes(values[0]);
+    case '$ifNull': return values[0] ?? values[1];
+    case '$lt': return values[0] < values[1];
+    case '$gte': return values[0] >= values[1];
+    case '$max': return values.reduce((a, b) => (b > a ? b : a));
+    case '$min': return values.reduce((a, b) => (b < a ? b : a));
+    case '$add': return values.reduce((a, b) => a + b, 0);
+    case '$divide': return values[0] / values[1];
+    case '$round': return Number(values[0].toFixed(values[1]));
+    case '$setUnion': return [...new Set(values.flat())];
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+/**
+ * Price points and aggregates kept in memory for the retention rollup.
+ * The grouping is done here (one daily bucket per product and day); the final $set and the
+ * whenMatched pipeline of the $merge are the ones built by the repository.
+ */
+const mockRetention = (points) => {
+  const aggregates = [];
+  const now = new Date();
+
+  jest.spyOn(PriceAggregate, 'init').mockResolvedValue();
+  jest.spyOn(PriceAggregate, 'updateMany').mockImplementation(async (filter, update) => {
+    aggregates
+      .filter(doc => (doc.rollupIds || []).includes(filter.rollupIds))
+      .forEach(doc => { doc.rollupIds = doc.rollupIds.filter(id => id !== update.$pull.rollupIds); });
+  });
+
+  jest.spyOn(PricePoint, 'distinct').mockImplementation(async () => [
+    ...new Set(points.map(item => item.rollupId).filter(Boolean))
+  ]);
+  jest.spyOn(PricePoint, 'updateMany').mockImplementation(async (filter, update) => {
+    points
+      .filter(item => !item.rollupId && item.timestamp < filter.timestamp.$lt)
+      .forEach(item => { item.rollupId = update.$set.rollupId; });
+  });
+  jest.spyOn(PricePoint, 'deleteMany').mockImplementation(async (filter) => {
+    const before = points.length;
+    points.splice(0, points.length, ...points.filter(item => item.rollupId !== filter.rollupId));
+    return { deletedCount: before - points.length };
+  });
+  jest.spyOn(PricePoint, 'aggregate').mockImplementation((pipeline) => ({
+    allowDiskUse: async () => {
+      const [{ $match }] = pipeline;
+      const { $set } = pipeline[pipeline.length - 3];
+      const { $merge } = pipeline[pipeline.length - 1];
+      const buckets = new Map();
+
+      points.filter(item => item.rollupId === $match.rollupId).forEach(item => {
+        const periodStart = new Date(item.timestamp.toISOString().slice(0, 10));
+        const key = `${item.product}|${periodStart.toISOString()}`;
+        const bucket = buckets.get(key) || {
+          product: item.product, source: item.source, variantId: '', periodStart,
+          open: item.price, high: item.price, low: item.price, sum: 0, count: 0, promotions: 0,
+          firstAt: item.timestamp, inStock: true
+        };
+        Object.assign(bucket, {
+          high: Math.max(bucket.high, item.price),
+          low: Math.min(bucket.low, item.price),
+          close: item.price,
+          sum: bucket.sum + item.price,
+          count: bucket.count + 1,
+          lastAt: item.timestamp
+        });
+        bucket.avg = Number((bucket.sum / bucket.count).toFixed(2));
+        buckets.set(key, bucket);
+      });
+
+      buckets.forEach(bucket => {
+        const incoming = { ...bucket };
+        Object.entries($set).forEach(([field, expr]) => { incoming[field] = evaluate(expr, bucket, { NOW: now }); });
+        const existing = aggregates.find(doc => $merge.on.every(field => String(doc[field]) === String(incoming[field])));
+
+        if (!existing) {
+          aggregates.push(incoming);
+          return;
+        }
+        const update = {};
+        Object.entries($merge.whenMatched[0].$set).forEach(([field, expr]) => {
+          update[field] = evaluate(expr, existing, { new: incoming, NOW: now });
+        });
+        Object.assign(existing, update);
+      });
+    }
+  }));
+
+  return aggregates;
+};
+
+describe('rollupPricePoints', () => {
+  const rawPoint = (hours, price) => ({
+    _id: new mongoose.Types.ObjectId(),
+    product: PRODUCT,
+    source: 'zooplus',
+    price,
+    timestamp: new Date(START.getTime() + hours * 3600000)
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('summarizes the points in daily aggregates and deletes them', async () => {
+    const points = [rawPoint(1, 10), rawPoint(2, 20), rawPoint(30, 40)];
+    const aggregates = mockRetention(points);
+
+    await expect(pricePoints.rollupPricePoints({ before: at(60 * 48) })).resolves.toBe(3);
+
+    expect(points).toHaveLength(0);
+    expect(aggregates.map(({ periodStart, count, avg, rollupIds }) => ({ periodStart, count, avg, rollupIds }))).toEqual([
+      { periodStart: START, count: 2, avg: 15, rollupIds: [] },
+      { periodStart: at(60 * 24), count: 1, avg: 40, rollupIds: [] }
+    ]);
+  });
+
+  it('does not count the points twice when a run fails before deleting them', async () => {
+    const points = [rawPoint(1, 10), rawPoint(2, 20), rawPoint(3, 30)];
+    const aggregates = mockRetention(points);
+    PricePoint.deleteMany.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(pricePoints.rollupPricePoints({ before: at(60 * 24) })).rejects.toThrow('connection lost');
+    expect(points).toHaveLength(3);
+    expect(aggregates[0]).toMatchObject({ count: 3, sum: 60, avg: 20 });
+
+    // A late point of the same day arrives before the next run
+    points.push(rawPoint(4, 40));
+
+    await expect(pricePoints.rollupPricePoints({ before: at(60 * 24) })).resolves.toBe(4);
+    expect(points).toHaveLength(0);
+    expect(aggregates).toHaveLength(1);
+    expect(aggregates[0]).toMatchObject({ count: 4, sum: 100, avg: 25, open: 10, close: 40, high: 40, low: 10, rollupIds: [] });
+  });
+});
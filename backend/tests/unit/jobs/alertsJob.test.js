@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const config = require('../../../src/config/config');
+const { PriceAlert, Product, pricePoints, similarProducts } = require('../../../src/db');
+const notifier = require('../../../src/services/notifications');
+const logger = require('../../../src/utils/logger');
+const alertsJob = require('../../../src/jobs/alertsJob');
+
+const PRODUCT_ID = new mongoose.Types.ObjectId();
+const CREATED_AT = new Date('2025-01-01T00:00:00Z');
+
+const at = (hours) => new Date(CREATED_AT.getTime() + hours * 3600000);
+
+const buildAlert = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'ACTIVE',
+  createdAt: CREATED_AT,
+  productId: { _id: PRODUCT_ID, name: 'Crocchette', source: 'zooplus' },
+  notificationSettings: { frequency: 'ONCE' },
+  ...overrides
+});
+
+// Fields saved on the alert by the last call of the job
+const savedFields = () => {
+  const { calls } = PriceAlert.updateOne.mock;
+  return calls.length ? calls[calls.length - 1][1].$set : null;
+};
+
+beforeEach(() => {
+  ['debug', 'info', 'warn', 'error'].forEach(level => jest.spyOn(logger, level).mockImplementation(() => logger));
+  jest.spyOn(PriceAlert, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(notifier, 'notifyAlert').mockResolvedValue({ status: 'SENT' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('processStockAlert', () => {
+  const transitions = (list, inStock, checkedAt) => jest
+    .spyOn(pricePoints, 'findAvailabilityTransitions')
+    .mockResolvedValue({ transitions: list, inStock, checkedAt });
+
+  it('fires on the last back-in-stock transition and closes a ONCE alert', async () => {
+    transitions([
+      { timestamp: at(2), inStock: true, price: 21, variantId: null },
+      { timestamp: at(4), inStock: false, price: 21, variantId: null },
+      { timestamp: at(6), inStock: true, price: 19.5, variantId: 'v1' }
+    ], true, at(8));
+
+    const result = await alertsJob.processStockAlert(buildAlert({ type: 'BACK_IN_STOCK' }));
+
+    expect(result).toMatchObject({ triggered: true, status: 'TRIGGERED' });
+    expect(result.message).toBe(`Product is back in stock at 19.50€ since ${at(6).toISOString()}`);
+    expect(notifier.notifyAlert).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      currentPrice: 19.5,
+      extra: { availability: { inStock: true, changedAt: at(6).toISOString(), variantId: 'v1' } }
+    }));
+    expect(savedFields()).toMatchObject({ status: 'TRIGGERED', currentPrice: 19.5 });
+  });
+
+  it('fires on an out-of-stock transition without a price', async () => {
+    transitions([{ timestamp: at(3), inStock: false, price: null, variantId: null }], false, at(3));
+
+    const result = await alertsJob.processStockAlert(buildAlert({ type: 'GOING_OUT_OF_STOCK' }));
+
+    expect(result.triggered).toBe(true);
+    expect(result.message).toBe(`Product went out of stock on ${at(3).toISOString()} (last price unknown)`);
+    expect(savedFields()).not.toHaveProperty('currentPrice');
+  });
+
+  it('ignores a transition that no longer holds', async () => {
+    transitions([
+      { timestamp: at(2), inStock: true, price: 20, variantId: null },
+      { timestamp: at(4), inStock: false, price: 20, variantId: null }
+    ], false, at(4));
+
+    const result = await alertsJob.processStockAlert(buildAlert({ type: 'BACK_IN_STOCK' }));
+
+    expect(result.triggered).toBe(false);
+    expect(result.message).toBe(`Product is out of stock, no back-in-stock transition since ${CREATED_AT.toISOString()}`);
+    expect(notifier.notifyAlert).not.toHaveBeenCalled();
+  });
+
+  it('reports when the product has no availability data', async () => {
+    transitions([], null, null);
+
+    const result = await alertsJob.processStockAlert(buildAlert({ type: 'GOING_OUT_OF_STOCK' }));
+
+    expect(result.message).toBe('No availability data for this product yet');
+    expect(PriceAlert.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('saves the last scrape read when no transition is pending and reads from it next time', async () => {
+    transitions([], false, at(30));
+    const alert = buildAlert({ type: 'BACK_IN_STOCK' });
+
+    const result = await alertsJob.processStockAlert(alert);
+
+    expect(result.triggered).toBe(false);
+    expect(pricePoints.findAvailabilityTransitions).toHaveBeenCalledWith(PRODUCT_ID, { since: CREATED_AT });
+    expect(savedFields()).toEqual({ stockCheckedAt: at(30) });
+
+    await alertsJob.processStockAlert({ ...alert, stockCheckedAt: at(30) });
+    expect(pricePoints.findAvailabilityTransitions).toHaveBeenLastCalledWith(PRODUCT_ID, { since: at(30) });
+  });
+
+  it('reads from the last notified transition when it is more recent than the checkpoint', async () => {
+    transitions([], true, null);
+
+    await alertsJob.processStockAlert(buildAlert({
+      type: 'BACK_IN_STOCK',
+      lastStockTransitionAt: at(40),
+      stockCheckedAt: at(30)
+    }));
+
+    expect(pricePoints.findAvailabilityTransitions).toHaveBeenCalledWith(PRODUCT_ID, { since: at(40) });
+    expect(PriceAlert.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('moves the checkpoint with the notified transition', async () => {
+    transitions([{ timestamp: at(5), inStock: true, price: 20, variantId: null }], true, at(9));
+
+    await alertsJob.processStockAlert(buildAlert({ type: 'BACK_IN_STOCK' }));
+
+    expect(savedFields()).toMatchObject({ lastStockTransitionAt: at(5), stockCheckedAt: at(9) });
+  });
+
+  it('keeps the checkpoint while a transition is held back by the frequency', async () => {
+    notifier.notifyAlert.mockResolvedValue({ status: 'SUPPRESSED' });
+    transitions([{ timestamp: at(5), inStock: true, price: 20, variantId: null }], true, at(9));
+
+    await alertsJob.processStockAlert(buildAlert({ type: 'BACK_IN_STOCK', notificationSettings: { frequency: 'DAILY' } }));
+
+    expect(savedFields()).not.toHaveProperty('lastStockTransitionAt');
+    expect(savedFields()).not.toHaveProperty('stockCheckedAt');
+  });
+});
+
+describe('alert frequency', () => {
+  const backInStock = () => jest.spyOn(pricePoints, 'findAvailabilityTransitions').mockResolvedValue({
+    transitions: [{ timestamp: at(5), inStock: true, price: 20, variantId: null }],
+    inStock: true,
+    checkedAt: at(5)
+  });
+
+  it.each(['DAILY', 'ALWAYS'])('keeps %s alerts active after a delivered notification', async (frequency) => {
+    backInStock();
+
+    const result = await alertsJob.processStockAlert(buildAlert({ type: 'BACK_IN_STOCK', notificationSettings: { frequency } }));
+
+    expect(result.status).toBe('ACTIVE');
+    expect(savedFields()).toMatchObject({ status: 'ACTIVE', triggered: true, lastStockTransitionAt: at(5) });
+  });
+
+  it('keeps a ONCE alert active and the transition pending when delivery fails', async () => {
+    backInStock();
+    notifier.notifyAlert.mockResolvedValue({ status: 'FAILED' });
+
+    const result = await alertsJob.processStockAlert(buildAlert({ type: 'BACK_IN_STOCK' }));
+
+    expect(result.status).toBe('ACTIVE');
+    expect(savedFields()).toMatchObject({ status: 'ACTIVE' });
+    expect(savedFields()).not.toHaveProperty('lastStockTransitionAt');
+  });
+});
+
+describe('processUnitPriceAlert', () => {
+  const SMALL = new mongoose.Types.ObjectId();
+  const LARGE = new mongoose.Types.ObjectId();
+
+  const group = { _id: new mongoose.Types.ObjectId(), variants: [{ productId: SMALL }, { productId: LARGE }] };
+
+  const products = (list) => jest.spyOn(Product, 'find').mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve(list) })
+  });
+
+  const sizes = () => products([
+    { _id: SMALL, name: 'Crocchette 2 kg', price: 20, details: { weight: '2 kg' }, source: 'zooplus', url: 'https://zooplus.example/2' },
+    { _id: LARGE, name: 'Crocchette 4 kg', price: 30, details: { weight: '4 kg' }, source: 'arcaplanet', url: 'https://arcaplanet.example/4' }
+  ]);
+
+  const unitPriceAlert = (overrides = {}) => buildAlert({
+    type: 'UNIT_PRICE_BELOW',
+    productId: null,
+    productGroupId: group,
+    ...overrides
+  });
+
+  it('expires the alert when the group was removed', async () => {
+    const result = await alertsJob.processUnitPriceAlert(unitPriceAlert({ productGroupId: null, targetUnitPrice: 8 }));
+
+    expect(result).toMatchObject({ triggered: false, status: 'EXPIRED' });
+    expect(savedFields()).toEqual({ status: 'EXPIRED', statusMessage: 'Product group no longer exists' });
+  });
+
+  it('reads only the sizes that are still available', async () => {
+    sizes();
+
+    await alertsJob.processUnitPriceAlert(unitPriceAlert({ targetUnitPrice: 8 }));
+
+    expect(Product.find).toHaveBeenCalledWith({
+      _id: { $in: [SMALL, LARGE] },
+      'availability.status': { $nin: ['OUT_OF_STOCK', 'DISCONTINUED'] }
+    });
+  });
+
+  it('fires when the best value size goes below the target price per kg', async () => {
+    sizes();
+
+    const result = await alertsJob.processUnitPriceAlert(unitPriceAlert({ targetUnitPrice: 8 }));
+
+    expect(result).toMatchObject({ triggered: true, status: 'TRIGGERED' });
+    expect(result.message).toBe('Price per kg dropped to 7.50 EUR/kg (4 kg at arcaplanet, 30.00€), below your target of 8.00 EUR/kg');
+    expect(notifier.notifyAlert).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      currentPrice: 30,
+      variant: expect.objectContaining({ productId: LARGE.toString(), size: '4 kg', source: 'arcaplanet' })
+    }));
+    expect(savedFields()).toMatchObject({ currentUnitPrice: 7.5, currentPrice: 30 });
+  });
+
+  it('saves the best price per kg while it stays above the target', async () => {
+    sizes();
+
+    const result = await alertsJob.processUnitPriceAlert(unitPriceAlert({ targetUnitPrice: 7 }));
+
+    expect(result.triggered).toBe(false);
+    expect(result.message).toBe('Best price per kg (7.50 EUR/kg, 4 kg at arcaplanet) still above your target (7.00 EUR/kg)');
+    expect(savedFields()).toEqual({ currentUnitPrice: 7.5, currentPrice: 30 });
+    expect(notifier.notifyAlert).not.toHaveBeenCalled();
+  });
+
+  it('does not fire without a size with a price per kg', async () => {
+    products([{ _id: SMALL, name: 'Snack', price: 3, details: {}, source: 'zooplus' }]);
+
+    const result = await alertsJob.processUnitPriceAlert(unitPriceAlert({ targetUnitPrice: 100 }));
+
+    expect(result).toMatchObject({ triggered: false, message: 'No size with a price per kg available' });
+    expect(PriceAlert.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('processCrossStoreAlert', () => {
+  const listing = (source, overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: `Crocchette ${source}`,
+    source,
+    url: `https://${source}.example/crocchette`,
+    ...overrides
+  });
+
+  const watched = { _id: PRODUCT_ID, name: 'Crocchette', source: 'zooplus' };
+  const arcaplanet = listing('arcaplanet');
+  const maxizoo = listing('maxizoo');
+  const bauzaar = listing('bauzaar', { availability: { status: 'DISCONTINUED' } });
+
+  // Equivalent listings and the latest price point of every listing
+  const offers = (relations, points) => {
+    jest.spyOn(similarProducts, 'findSimilar').mockResolvedValue(relations);
+    jest.spyOn(pricePoints, 'findLatestForProducts').mockResolvedValue(new Map(
+      points.map(([item, price, inStock = true]) => [item._id.toString(), { price, inStock }])
+    ));
+  };
+
+  const storeOffers = () => offers([
+    { product: arcaplanet, similarityScore: 0.9 },
+    { product: maxizoo, similarityScore: 0.95 },
+    { product: bauzaar, similarityScore: 0.92 }
+  ], [[watched, 25], [arcaplanet, 18], [maxizoo, 15, false], [bauzaar, 12]]);
+
+  const crossStoreAlert = (overrides = {}) => buildAlert({ type: 'CROSS_STORE_BELOW', productId: watched, ...overrides });
+
+  it('follows the equivalents scoring at least the configured similarity', async () => {
+    storeOffers();
+
+    await alertsJob.processCrossStoreAlert(crossStoreAlert({ targetPrice: 20 }));
+    await alertsJob.processCrossStoreAlert(crossStoreAlert({ targetPrice: 20, minSimilarity: 0.95 }));
+
+    expect(similarProducts.findSimilar).toHaveBeenNthCalledWith(1, PRODUCT_ID, {
+      minScore: config.matching.crossStoreMinScore,
+      differentSource: true
+    });
+    expect(similarProducts.findSimilar).toHaveBeenNthCalledWith(2, PRODUCT_ID, { minScore: 0.95, differentSource: true });
+  });
+
+  it('fires on the cheapest available offer and reports the saving against the watched listing', async () => {
+    storeOffers();
+
+    const result = await alertsJob.processCrossStoreAlert(crossStoreAlert({ targetPrice: 20 }));
+
+    expect(result).toMatchObject({ triggered: true, status: 'TRIGGERED' });
+    expect(result.message).toBe('Best offer 18.00€ at arcaplanet, below your target of 20.00€ (saving 7.00€ against zooplus)');
+    expect(notifier.notifyAlert).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      currentPrice: 18,
+      extra: {
+        offer: {
+          productId: arcaplanet._id.toString(),
+          name: arcaplanet.name,
+          store: 'arcaplanet',
+          price: 18,
+          url: arcaplanet.url,
+          similarityScore: 0.9,
+          isWatchedListing: false
+        },
+        watchedPrice: 25,
+        saving: { amount: 7, percentage: 28 }
+      }
+    }));
+    expect(savedFields()).toMatchObject({ status: 'TRIGGERED', currentPrice: 18 });
+  });
+
+  it('saves the best offer while it stays above the target', async () => {
+    storeOffers();
+
+    const result = await alertsJob.processCrossStoreAlert(crossStoreAlert({ targetPrice: 10 }));
+
+    expect(result.triggered).toBe(false);
+    expect(result.message).toBe('Best offer (18.00€ at arcaplanet) still above your target (10.00€)');
+    expect(savedFields()).toEqual({ currentPrice: 18 });
+    expect(notifier.notifyAlert).not.toHaveBeenCalled();
+  });
+
+  it('does not fire when no store has the product available', async () => {
+    offers([{ product: maxizoo, similarityScore: 0.95 }], [[watched, 25, false], [maxizoo, 15, false]]);
+
+    const result = await alertsJob.processCrossStoreAlert(crossStoreAlert({ targetPrice: 30 }));
+
+    expect(result).toMatchObject({ triggered: false, message: 'No available offer in any store' });
+    expect(PriceAlert.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,207 @@
+const alertRules = require('../../../src/services/alertRules');
+
+const listing = { source: 'zooplus', details: { weight: '2 kg' }, availability: { status: 'AVAILABLE' } };
+const point = { price: 20, originalPrice: 25, source: 'Zooplus', inStock: true };
+
+const condition = (field, extra = {}) => ({ field, ...extra });
+
+describe('alertRules.validateRule', () => {
+  it('applies the defaults of store, inStock, historicalLow and drop conditions', () => {
+    const { value, errors } = alertRules.validateRule({
+      and: [
+        condition('store', { value: ' Arcaplanet ' }),
+        condition('inStock'),
+        condition('historicalLow'),
+        condition('drop', { op: 'gte', value: 10 })
+      ]
+    });
+
+    expect(errors).toEqual([]);
+    expect(value.and).toEqual([
+      { field: 'store', op: 'eq', value: 'arcaplanet' },
+      { field: 'inStock', value: true },
+      { field: 'historicalLow', value: true, days: 90 },
+      { field: 'drop', op: 'gte', value: 10, from: 'previous' }
+    ]);
+  });
+
+  it('accepts a single store or a list for in and nin', () => {
+    const { value } = alertRules.validateRule(condition('store', { op: 'in', value: 'zooplus' }));
+
+    expect(value.value).toEqual(['zooplus']);
+  });
+
+  it('reports the errors of every invalid condition', () => {
+    const { value, errors } = alertRules.validateRule({
+      or: [
+        condition('price', { value: 10 }),
+        condition('discount', { op: 'between', value: 10 }),
+        condition('inStock', { days: 30 }),
+        condition('drop', { op: 'gt', value: 150, from: 'launch' })
+      ]
+    });
+
+    expect(value).toBeNull();
+    expect(errors).toEqual([
+      'or[0].op è obbligatorio',
+      'or[1].op deve essere uno tra: [lt, lte, gt, gte]',
+      'or[2].days non è ammesso per questa condizione',
+      'or[3].value deve essere minore o uguale a 100',
+      'or[3].from deve essere uno tra: [previous, reference]'
+    ]);
+  });
+
+  it('rejects nodes with both a group and a condition, or neither', () => {
+    expect(alertRules.validateRule({ and: [condition('inStock')], field: 'inStock' }).errors)
+      .toEqual(['rule può contenere un solo tra and, or e field']);
+    expect(alertRules.validateRule({}).errors)
+      .toEqual(['rule deve contenere un gruppo (and, or) o una condizione (field)']);
+  });
+
+  it('limits the nesting depth of the groups', () => {
+    const deep = [1, 2, 3, 4].reduce(rule => ({ and: [rule] }), { or: [condition('inStock')] });
+
+    expect(alertRules.validateRule(deep).errors).toEqual(['rule può annidare al massimo 4 livelli di gruppi']);
+  });
+
+  it('limits the total number of conditions', () => {
+    const group = Array.from({ length: 15 }, () => condition('inStock'));
+
+    expect(alertRules.validateRule({ or: [{ and: group }, { and: group }] }).errors)
+      .toEqual(['rule può contenere al massimo 20 condizioni']);
+  });
+});
+
+describe('alertRules.historyWindows and usesPreviousPrice', () => {
+  const { value: rule } = alertRules.validateRule({
+    or: [
+      condition('historicalLow', { days: 30 }),
+      { and: [condition('historicalLow'), condition('historicalLow', { days: 30 })] },
+      condition('drop', { op: 'gte', value: 5, from: 'reference' })
+    ]
+  });
+
+  it('lists each historical low window once', () => {
+    expect(alertRules.historyWindows(rule).sort((a, b) => a - b)).toEqual([30, 90]);
+  });
+
+  it('tells whether the previous price has to be loaded', () => {
+    expect(alertRules.usesPreviousPrice(rule)).toBe(false);
+    expect(alertRules.usesPreviousPrice({ and: [rule, { field: 'drop', op: 'gt', value: 1, from: 'previous' }] }))
+      .toBe(true);
+  });
+});
+
+describe('alertRules.buildFacts', () => {
+  it('derives unit price, discount, availability and store from the offer', () => {
+    const facts = alertRules.buildFacts(listing, point, { 90: 18 });
+
+    expect(facts).toEqual({
+      price: 20,
+      unitPrice: 10,
+      discount: 20,
+      drops: { previous: null, reference: null },
+      inStock: true,
+      store: 'zooplus',
+      lows: { 90: 18 }
+    });
+  });
+
+  it('prefers the discount reported by the store', () => {
+    expect(alertRules.buildFacts(listing, { ...point, discountPercentage: 12.345 }).discount).toBe(12.35);
+  });
+
+  it('has no unit price without a known weight', () => {
+    expect(alertRules.buildFacts({ ...listing, details: {} }, point).unitPrice).toBeNull();
+  });
+
+  it('is out of stock when the listing is unavailable, whatever the last point says', () => {
+    const facts = alertRules.buildFacts({ ...listing, availability: { status: 'DISCONTINUED' } }, point);
+
+    expect(facts.inStock).toBe(false);
+  });
+
+  it('measures the drop from the previous and the reference price', () => {
+    const facts = alertRules.buildFacts(listing, point, {}, { previousPrice: 25, referencePrice: 16 });
+
+    expect(facts.drops).toEqual({ previous: 20, reference: -25 });
+  });
+});
+
+describe('alertRules.evaluateRule', () => {
+  const facts = alertRules.buildFacts(listing, point, { 90: 22 }, { previousPrice: 25 });
+
+  const evaluate = (rule) => {
+    const { value, errors } = alertRules.validateRule(rule);
+    expect(errors).toEqual([]);
+    return alertRules.evaluateRule(value, facts);
+  };
+
+  it('compares the numeric fields', () => {
+    expect(evaluate(condition('price', { op: 'lte', value: 20 }))).toBe(true);
+    expect(evaluate(condition('price', { op: 'lt', value: 20 }))).toBe(false);
+    expect(evaluate(condition('unitPrice', { op: 'lt', value: 11 }))).toBe(true);
+    expect(evaluate(condition('discount', { op: 'gte', value: 25 }))).toBe(false);
+  });
+
+  it('does not match numeric conditions without the value', () => {
+    const noWeight = alertRules.buildFacts({ ...listing, details: {} }, point);
+    const { value } = alertRules.validateRule(condition('unitPrice', { op: 'gte', value: 0 }));
+
+    expect(alertRules.evaluateRule(value, noWeight)).toBe(false);
+  });
+
+  it('matches the store with eq, ne, in and nin', () => {
+    expect(evaluate(condition('store', { value: 'zooplus' }))).toBe(true);
+    expect(evaluate(condition('store', { op: 'ne', value: 'zooplus' }))).toBe(false);
+    expect(evaluate(condition('store', { op: 'in', value: ['arcaplanet', 'zooplus'] }))).toBe(true);
+    expect(evaluate(condition('store', { op: 'nin', value: ['arcaplanet'] }))).toBe(true);
+  });
+
+  it('matches availability and historical lows', () => {
+    expect(evaluate(condition('inStock'))).toBe(true);
+    expect(evaluate(condition('inStock', { value: false }))).toBe(false);
+    expect(evaluate(condition('historicalLow'))).toBe(true);
+    expect(evaluate(condition('historicalLow', { days: 30 }))).toBe(false);
+  });
+
+  it('matches drops only when the starting price is known', () => {
+    expect(evaluate(condition('drop', { op: 'gte', value: 20 }))).toBe(true);
+    expect(evaluate(condition('drop', { op: 'gt', value: 20 }))).toBe(false);
+    expect(evaluate(condition('drop', { op: 'gte', value: 0, from: 'reference' }))).toBe(false);
+  });
+
+  it('combines and and or groups', () => {
+    expect(evaluate({
+      and: [
+        condition('price', { op: 'lt', value: 30 }),
+        { or: [condition('store', { value: 'arcaplanet' }), condition('historicalLow')] }
+      ]
+    })).toBe(true);
+    expect(evaluate({
+      or: [condition('inStock', { value: false }), condition('price', { op: 'gt', value: 30 })]
+    })).toBe(false);
+  });
+});
+
+describe('alertRules.describeRule', () => {
+  it('describes the rule with parentheses around nested groups', () => {
+    const { value } = alertRules.validateRule({
+      and: [
+        condition('price', { op: 'lt', value: 40 }),
+        condition('inStock'),
+        {
+          or: [
+            condition('store', { op: 'nin', value: ['arcaplanet', 'zooplus'] }),
+            condition('historicalLow', { value: false, days: 30 }),
+            condition('drop', { op: 'gte', value: 15, from: 'reference' })
+          ]
+        }
+      ]
+    });
+
+    expect(alertRules.describeRule(value)).toBe(
+      'price < 40 AND inStock AND (store not in [arcaplanet, zooplus] OR NOT historicalLow(30d) OR drop(reference) >= 15%)'
+    );
+  });
+});
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { RefreshToken } = require('../../../src/db');
+const authService = require('../../../src/services/authService');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'utente@example.com' };
+
+/**
+ * Refresh tokens kept in memory, with the same semantics as the MongoDB queries used by the service
+ */
+const createTokenStore = () => {
+  const tokens = [];
+
+  const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field];
+    if (condition && condition.$gt !== undefined) return value > condition.$gt;
+    // The service only compares revokedAt with null
+    if (condition && condition.$ne === null) return value !== null && value !== undefined;
+    if (condition === null) return value === null || value === undefined;
+    return String(value) === String(condition);
+  });
+
+  const query = (result) => ({
+    populate: () => Promise.resolve(result && { ...result, user }),
+    select: () => Promise.resolve(result)
+  });
+
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async (doc) => {
+    tokens.push({ _id: new mongoose.Types.ObjectId(), revokedAt: null, ...doc });
+  });
+  // Check and update in the same tick, as findOneAndUpdate does on the server
+  jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const doc = tokens.find(item => matches(item, filter));
+    if (doc) Object.assign(doc, update.$set);
+    return query(doc);
+  });
+  jest.spyOn(RefreshToken, 'findOne').mockImplementation((filter) => query(tokens.find(item => matches(item, filter))));
+  jest.spyOn(RefreshToken, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = tokens.find(item => matches(item, filter));
+    if (doc) Object.assign(doc, update.$set);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+    const docs = tokens.filter(item => matches(item, filter));
+    docs.forEach(doc => Object.assign(doc, update.$set));
+    return { modifiedCount: docs.length };
+  });
+
+  return tokens;
+};
+
+describe('authService passwords and access tokens', () => {
+  it('verifies a password against its hash', async () => {
+    const hash = await authService.hashPassword('password-sicura');
+
+    expect(hash).not.toBe('password-sicura');
+    await expect(authService.verifyPassword('password-sicura', hash)).resolves.toBe(true);
+    await expect(authService.verifyPassword('sbagliata', hash)).resolves.toBe(false);
+  });
+
+  it('signs access tokens with the user id and email', () => {
+    const payload = authService.verifyAccessToken(authService.generateAccessToken(user));
+
+    expect(payload).toMatchObject({ sub: user._id.toString(), email: user.email });
+  });
+
+  it('rejects tampered access tokens', () => {
+    const token = authService.generateAccessToken(user);
+
+    expect(authService.verifyAccessToken(`${token}x`)).toBeNull();
+    expect(authService.verifyAccessToken('not-a-token')).toBeNull();
+  });
+});
+
+describe('authService refresh tokens', () => {
+  let tokens;
+
+  beforeEach(() => {
+    tokens = createTokenStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores only the hash of the refresh token', async () => {
+    const { refreshToken, tokenType } = await authService.issueTokens(user, { userAgent: 'jest' });
+
+    expect(tokenType).toBe('Bearer');
+    expect(tokens).toHaveLength(1);
+    expect(tokens[0]).toMatchObject({ tokenHash: hashToken(refreshToken), userAgent: 'jest' });
+    expect(JSON.stringify(tokens)).not.toContain(refreshToken);
+  });
+
+  it('rotates a refresh token into a new pair and revokes the old one', async () => {
+    const { refreshToken } = await authService.issueTokens(user);
+    const result = await authService.rotateRefreshToken(refreshToken);
+
+    expect(result.userId).toBe(user._id);
+    expect(result.tokens.refreshToken).not.toBe(refreshToken);
+    expect(tokens[0].revokedAt).toBeInstanceOf(Date);
+    expect(tokens[0].replacedBy).toBe(hashToken(result.tokens.refreshToken));
+    expect(tokens[1].revokedAt).toBeNull();
+  });
+
+  it('lets only one of two concurrent rotations of the same token succeed', async () => {
+    const { refreshToken } = await authService.issueTokens(user);
+    const results = await Promise.all([
+      authService.rotateRefreshToken(refreshToken),
+      authService.rotateRefreshToken(refreshToken)
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    // The second request is treated as a reuse and revokes the sessions of the user
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date) } }
+    );
+  });
+
+  it('revokes every session when a rotated token is reused', async () => {
+    const { refreshToken } = await authService.issueTokens(user);
+    await authService.issueTokens(user);
+    await authService.rotateRefreshToken(refreshToken);
+
+    await expect(authService.rotateRefreshToken(refreshToken)).resolves.toBeNull();
+    expect(tokens.every(token => token.revokedAt)).toBe(true);
+  });
+
+  it('rejects unknown and expired tokens without revoking other sessions', async () => {
+    const { refreshToken } = await authService.issueTokens(user);
+    const { refreshToken: other } = await authService.issueTokens(user);
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    await expect(authService.rotateRefreshToken('unknown')).resolves.toBeNull();
+    await expect(authService.rotateRefreshToken(refreshToken)).resolves.toBeNull();
+    expect(tokens.find(token => token.tokenHash === hashToken(other)).revokedAt).toBeNull();
+  });
+
+  it('revokes a refresh token on logout only once', async () => {
+    const { refreshToken } = await authService.issueTokens(user);
+
+    await expect(authService.revokeRefreshToken(refreshToken)).resolves.toBe(true);
+    await expect(authService.revokeRefreshToken(refreshToken)).resolves.toBe(false);
+  });
+});
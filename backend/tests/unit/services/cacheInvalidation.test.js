@@ -0,0 +1,56 @@
+jest.mock('../../../src/utils/cache', () => ({
+  purgeTags: jest.fn(async (tags) => tags.length),
+  listTagValues: jest.fn(async () => [])
+}));
+
+const mongoose = require('mongoose');
+const { Product, PricePoint, CanonicalProduct, SimilarProduct } = require('../../../src/db');
+const { purgeTags } = require('../../../src/utils/cache');
+const { PRICES_TAG } = require('../../../src/utils/cacheTags');
+const logger = require('../../../src/utils/logger');
+const cacheInvalidation = require('../../../src/services/cacheInvalidation');
+
+const PRODUCT_ID = new mongoose.Types.ObjectId();
+
+const query = (result) => ({ select: () => ({ lean: async () => result }) });
+
+const mockWrites = ({ priced = [], listings = [] } = {}) => {
+  jest.spyOn(PricePoint, 'aggregate').mockResolvedValue(priced.map(_id => ({ _id })));
+  jest.spyOn(Product, 'find').mockImplementation((filter) => query(filter.updatedAt ? listings.map(_id => ({ _id })) : []));
+  jest.spyOn(CanonicalProduct, 'find').mockReturnValue(query([]));
+  jest.spyOn(SimilarProduct, 'find').mockReturnValue(query([]));
+};
+
+describe('cacheInvalidation', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => logger);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    purgeTags.mockClear();
+  });
+
+  it('purges the routes that depend on every price when prices were written', async () => {
+    mockWrites({ priced: [PRODUCT_ID] });
+
+    await cacheInvalidation.syncRecentWrites();
+
+    expect(purgeTags).toHaveBeenCalledWith([`product:${PRODUCT_ID}`, PRICES_TAG]);
+  });
+
+  it('keeps them when only the product data changed', async () => {
+    mockWrites({ listings: [PRODUCT_ID] });
+
+    await cacheInvalidation.syncRecentWrites();
+
+    expect(purgeTags).toHaveBeenCalledWith([`product:${PRODUCT_ID}`]);
+  });
+
+  it('purges nothing without writes', async () => {
+    mockWrites();
+
+    await expect(cacheInvalidation.syncRecentWrites()).resolves.toMatchObject({ products: 0, purged: 0 });
+    expect(purgeTags).not.toHaveBeenCalled();
+  });
+});
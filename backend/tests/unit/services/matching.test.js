@@ -0,0 +1,186 @@
+const normalizers = require('../../../src/services/matching/normalizers');
+const { WEIGHTS, tokenSimilarity, weightRange, scoreMatch } = require('../../../src/services/matching/scorer');
+const { calculatePriceDifference } = require('../../../src/services/matching');
+
+describe('matching normalizers', () => {
+  describe('normalizeText', () => {
+    it('lowercases and strips accents, apostrophes and punctuation', () => {
+      expect(normalizers.normalizeText('Crocchette Per Gatti – Pollo & Riso, Sterilizzato!')).toBe('crocchette per gatti pollo and riso sterilizzato');
+      expect(normalizers.normalizeText('Hill’s Ûltima')).toBe('hills ultima');
+    });
+
+    it('returns an empty string without text', () => {
+      expect(normalizers.normalizeText(null)).toBe('');
+    });
+  });
+
+  describe('normalizeBrand', () => {
+    it('removes company suffixes and resolves the known aliases', () => {
+      expect(normalizers.normalizeBrand('Hill\'s Science Plan')).toBe('hills');
+      expect(normalizers.normalizeBrand('Royal Canin Veterinary Diet')).toBe('royal canin');
+      expect(normalizers.normalizeBrand('Almo Nature SRL')).toBe('almo nature');
+    });
+
+    it('returns null for missing brands', () => {
+      expect(normalizers.normalizeBrand('')).toBeNull();
+      expect(normalizers.normalizeBrand('Pet Food')).toBeNull();
+    });
+  });
+
+  describe('parseWeightText', () => {
+    it('converts weights to grams, with decimal commas and the "gr" unit', () => {
+      expect(normalizers.parseWeightText('Crocchette 1,5kg')).toBe(1500);
+      expect(normalizers.parseWeightText('Umido 400gr')).toBe(400);
+      expect(normalizers.parseWeightText('Snack 85 g')).toBe(85);
+    });
+
+    it('multiplies multipacks', () => {
+      expect(normalizers.parseWeightText('Bocconcini 12 x 85 g')).toBe(1020);
+    });
+
+    it('returns null without a weight', () => {
+      expect(normalizers.parseWeightText('Tiragraffi grande')).toBeNull();
+      expect(normalizers.parseWeightText(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseWeightGrams', () => {
+    it('prefers the structured fields to the name', () => {
+      expect(normalizers.parseWeightGrams({ name: 'Crocchette 2 kg', details: { weight: '1.5 kg' } })).toBe(1500);
+      expect(normalizers.parseWeightGrams({
+        name: 'Crocchette',
+        packageInfo: { weight: { original: '800 g' } }
+      })).toBe(800);
+      expect(normalizers.parseWeightGrams({ name: 'Crocchette 2 kg' })).toBe(2000);
+    });
+  });
+
+  describe('tokenizeName', () => {
+    it('drops weights, numbers, stop words and the brand words', () => {
+      expect(normalizers.tokenizeName('Royal Canin Sterilised 37 per Gatti - 2 x 400 g', 'royal canin'))
+        .toEqual(['sterilised', 'gatti']);
+    });
+
+    it('keeps each token once', () => {
+      expect(normalizers.tokenizeName('Pollo pollo e tacchino', null)).toEqual(['pollo', 'tacchino']);
+    });
+  });
+
+  describe('normalizeGtin and normalizeSku', () => {
+    it('keeps the digits of a GTIN without leading zeros', () => {
+      expect(normalizers.normalizeGtin('0 8010690-123456')).toBe('8010690123456');
+      expect(normalizers.normalizeGtin('1234')).toBeNull();
+    });
+
+    it('keeps the uppercase alphanumerics of a SKU', () => {
+      expect(normalizers.normalizeSku('rc-123.45')).toBe('RC12345');
+      expect(normalizers.normalizeSku('ab-1')).toBeNull();
+    });
+  });
+
+  describe('buildMatchKeys', () => {
+    it('computes every key of a product', () => {
+      expect(normalizers.buildMatchKeys({
+        name: 'Purina Pro Plan Adult Pollo 3kg',
+        brand: 'Purina Pro Plan',
+        gtin: '07613035123456',
+        sku: 'pp-3kg-01',
+        petType: 'Gatto'
+      })).toEqual({
+        brandKey: 'pro plan',
+        tokens: ['purina', 'adult', 'pollo'],
+        weightGrams: 3000,
+        gtin: '7613035123456',
+        sku: 'PP3KG01',
+        petType: 'gatto'
+      });
+    });
+  });
+});
+
+describe('matching scorer', () => {
+  const keys = (overrides = {}) => ({
+    brandKey: 'royal canin',
+    tokens: ['sterilised', 'gatti', 'adult'],
+    weightGrams: 2000,
+    gtin: null,
+    sku: null,
+    petType: 'gatto',
+    ...overrides
+  });
+
+  describe('tokenSimilarity', () => {
+    it('averages the Jaccard index and the overlap coefficient', () => {
+      expect(tokenSimilarity(['a', 'b'], ['a', 'b', 'c', 'd'])).toBe((2 / 4 + 2 / 2) / 2);
+      expect(tokenSimilarity(['a'], ['b'])).toBe(0);
+      expect(tokenSimilarity([], ['a'])).toBe(0);
+    });
+  });
+
+  describe('weightRange', () => {
+    it('returns the weights considered the same within the tolerance', () => {
+      const [min, max] = weightRange(1000);
+
+      expect(min).toBeCloseTo(970);
+      expect(max).toBeCloseTo(1030.93, 1);
+    });
+  });
+
+  describe('scoreMatch', () => {
+    it('decides on the GTIN alone when both products have one', () => {
+      expect(scoreMatch(keys({ gtin: '123456789' }), keys({ gtin: '123456789', brandKey: 'monge' })))
+        .toEqual({ score: 1, confidence: 0.99, matchingFeatures: ['gtin'], reason: 'Stesso codice EAN/GTIN' });
+      expect(scoreMatch(keys({ gtin: '123456789' }), keys({ gtin: '987654321' }))).toBeNull();
+    });
+
+    it('rejects products with different brand, pet type or weight', () => {
+      expect(scoreMatch(keys(), keys({ brandKey: 'monge' }))).toBeNull();
+      expect(scoreMatch(keys(), keys({ petType: 'cane' }))).toBeNull();
+      expect(scoreMatch(keys(), keys({ weightGrams: 4000 }))).toBeNull();
+      expect(scoreMatch(keys(), keys({ tokens: ['cuccioli'] }))).toBeNull();
+    });
+
+    it('accepts weights rounded differently by the stores', () => {
+      expect(scoreMatch(keys({ weightGrams: 1500 }), keys({ weightGrams: 1497 }))).not.toBeNull();
+    });
+
+    it('scores identical names, brand and weight as a full match', () => {
+      expect(scoreMatch(keys(), keys())).toEqual({
+        score: 1,
+        confidence: 1,
+        matchingFeatures: ['name', 'brand', 'weight'],
+        reason: 'nome simile al 100%, stesso brand, stesso peso (2000g)'
+      });
+    });
+
+    it('counts half of a missing signal and lowers the confidence', () => {
+      const result = scoreMatch(keys({ weightGrams: null }), keys());
+
+      expect(result.score).toBe(WEIGHTS.name + WEIGHTS.brand + WEIGHTS.weight / 2);
+      expect(result.confidence).toBe(0.765);
+      expect(result.matchingFeatures).toEqual(['name', 'brand']);
+    });
+
+    it('raises the score of products with the same SKU', () => {
+      const result = scoreMatch(keys({ sku: 'RC12345', tokens: ['sterilised'] }), keys({ sku: 'RC12345' }));
+
+      expect(result.score).toBe(0.95);
+      expect(result.matchingFeatures).toContain('sku');
+      expect(result.reason).toMatch(/stesso SKU$/);
+    });
+  });
+});
+
+describe('calculatePriceDifference', () => {
+  it('returns the absolute and percentage difference', () => {
+    expect(calculatePriceDifference(20, 25)).toEqual({
+      absoluteAmount: 5,
+      percentageDifference: 25,
+      calculatedAt: expect.any(Date)
+    });
+  });
+
+  it('is undefined without both prices', () => {
+    expect(calculatePriceDifference(0, 25)).toBeUndefined();
+  });
+});
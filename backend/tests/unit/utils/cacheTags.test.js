@@ -0,0 +1,124 @@
+const { ALL_TAG, PRICES_TAG, buildTag, tagsForResponse, tagsForProduct } = require('../../../src/utils/cacheTags');
+
+const PRODUCT_A = '507f1f77bcf86cd799439011';
+const PRODUCT_B = '507f1f77bcf86cd799439012';
+
+const request = (params = {}, query = {}) => ({ params, query });
+
+describe('buildTag', () => {
+  it('lowercases brand and category filters and maps pet type aliases', () => {
+    expect(buildTag('brand', 'Royal Canin')).toBe('brand:royal canin');
+    expect(buildTag('category', 'Cibo Secco')).toBe('category:cibo secco');
+    expect(buildTag('petType', 'cat')).toBe('petType:gatto');
+    expect(buildTag('petType', 'cane')).toBe('petType:cane');
+    expect(buildTag('store', 'zooplus')).toBe('store:zooplus');
+  });
+});
+
+describe('tagsForResponse', () => {
+  it('tags the requested products, ignoring the broader filters', () => {
+    expect(tagsForResponse(request({ productId: PRODUCT_A }, { store: 'zooplus' }), {})).toEqual([
+      `product:${PRODUCT_A}`
+    ]);
+  });
+
+  it('tags every value of a list parameter', () => {
+    expect(tagsForResponse(request({}, { productIds: [PRODUCT_A, PRODUCT_B] }), {})).toEqual([
+      `product:${PRODUCT_A}`,
+      `product:${PRODUCT_B}`
+    ]);
+  });
+
+  it('tags the most specific filter of the request', () => {
+    expect(tagsForResponse(request({}, { brand: 'Monge', category: 'cibo', petType: 'dog' }), { data: [] }))
+      .toEqual(['brand:monge']);
+    expect(tagsForResponse(request({}, { petType: 'dog', brand: '' }), { data: [] }))
+      .toEqual(['petType:cane']);
+  });
+
+  it('tags unfiltered lists with all and the products they contain', () => {
+    const body = {
+      success: true,
+      data: [
+        { _id: PRODUCT_A, name: 'Crocchette' },
+        { product: { _id: PRODUCT_B }, similarTo: PRODUCT_A, price: 10 }
+      ]
+    };
+
+    expect(tagsForResponse(request(), body)).toEqual([ALL_TAG, `product:${PRODUCT_A}`, `product:${PRODUCT_B}`]);
+  });
+
+  it('adds the dependencies of the route to filtered and unfiltered responses', () => {
+    const body = { data: [{ _id: PRODUCT_A }] };
+
+    expect(tagsForResponse(request(), body, [PRICES_TAG])).toEqual([ALL_TAG, PRICES_TAG, `product:${PRODUCT_A}`]);
+    expect(tagsForResponse(request({ brand: 'Monge' }), body, [PRICES_TAG]))
+      .toEqual(['brand:monge', PRICES_TAG, `product:${PRODUCT_A}`]);
+  });
+
+  it('ignores ids that are not product ids', () => {
+    const body = { data: [{ _id: 'not-an-object-id', alertId: PRODUCT_A, userId: PRODUCT_B }] };
+
+    expect(tagsForResponse(request(), body)).toEqual([ALL_TAG]);
+  });
+
+  it('caps the product tags of long lists', () => {
+    const data = Array.from({ length: 600 }, (_, i) => ({ _id: i.toString(16).padStart(24, '0') }));
+
+    expect(tagsForResponse(request(), { data })).toHaveLength(501);
+  });
+});
+
+describe('tagsForProduct', () => {
+  const product = {
+    _id: PRODUCT_A,
+    source: 'zooplus',
+    petType: 'gatto',
+    brand: 'Royal Canin',
+    category: 'Cibo secco per gatti'
+  };
+
+  it('tags the product, its store and its pet type', () => {
+    expect(tagsForProduct(product)).toEqual([`product:${PRODUCT_A}`, 'store:zooplus', 'petType:gatto']);
+  });
+
+  it('does not purge the unfiltered lists', () => {
+    expect(tagsForProduct(product)).not.toContain(ALL_TAG);
+  });
+
+  it('tags the registered brand and category filters that select the product', () => {
+    const registered = {
+      category: ['cibo secco', 'umido'],
+      brand: ['royal', 'monge']
+    };
+
+    expect(tagsForProduct(product, registered)).toEqual([
+      `product:${PRODUCT_A}`,
+      'store:zooplus',
+      'petType:gatto',
+      'category:cibo secco',
+      'brand:royal'
+    ]);
+  });
+
+  it('purges filters with regex metacharacters without compiling them', () => {
+    const RegExpSpy = jest.spyOn(global, 'RegExp');
+
+    expect(tagsForProduct({ _id: PRODUCT_A, category: 'umido' }, { category: ['(invalid', '^cibo'] }))
+      .toEqual([`product:${PRODUCT_A}`, 'category:(invalid', 'category:^cibo']);
+    expect(RegExpSpy).not.toHaveBeenCalled();
+
+    RegExpSpy.mockRestore();
+  });
+
+  it('does not backtrack on hostile patterns', () => {
+    const started = Date.now();
+    const tags = tagsForProduct(
+      { _id: PRODUCT_A, category: `${'a'.repeat(40)}!` },
+      { category: ['(a+)+$', '(a|a)*b'] }
+    );
+
+    expect(tags).toEqual([`product:${PRODUCT_A}`, 'category:(a+)+$', 'category:(a|a)*b']);
+    expect(Date.now() - started).toBeLessThan(100);
+  });
+});
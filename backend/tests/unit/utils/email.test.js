@@ -0,0 +1,39 @@
+const Joi = require('joi');
+const { isEmail } = require('../../../src/utils/email');
+const PriceAlert = require('../../../src/models/PriceAlert');
+const User = require('../../../src/models/User');
+
+const ACCEPTED = ['anna@studio.design', 'mario.rossi+alert@example.info', 'utente@example.com'];
+const REJECTED = ['utente', 'utente@', '@example.com', 'utente@example'];
+
+describe('isEmail', () => {
+  it('accepts the addresses accepted by the API schemas', () => {
+    ACCEPTED.forEach(email => {
+      expect(Joi.string().email().validate(email).error).toBeUndefined();
+      expect(isEmail(email)).toBe(true);
+    });
+  });
+
+  it('rejects malformed addresses', () => {
+    REJECTED.forEach(email => expect(isEmail(email)).toBe(false));
+  });
+});
+
+describe('email validation of the models', () => {
+  it('saves every address accepted by the API', () => {
+    ACCEPTED.forEach(email => {
+      const alert = new PriceAlert({ notificationType: 'EMAIL', notificationEmail: email });
+      const user = new User({ email, passwordHash: 'hash' });
+
+      expect(alert.validateSync(['notificationEmail'])).toBeUndefined();
+      expect(user.validateSync(['email'])).toBeUndefined();
+    });
+  });
+
+  it('rejects malformed addresses', () => {
+    const alert = new PriceAlert({ notificationType: 'EMAIL', notificationEmail: 'utente@example' });
+
+    expect(alert.validateSync(['notificationEmail']).errors.notificationEmail.message)
+      .toBe('Please enter a valid email address');
+  });
+});
@@ -0,0 +1,106 @@
+const createMemoryCache = require('../../../src/utils/memoryCache');
+
+const entry = (body, { tags = [], ttl = 60000, stale = 60000 } = {}) => ({
+  body,
+  validators: {},
+  tags,
+  expiresAt: Date.now() + ttl,
+  staleUntil: Date.now() + ttl + stale
+});
+
+describe('createMemoryCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('returns the saved entries', () => {
+    const cache = createMemoryCache({ maxEntries: 10, maxSize: 1000 });
+    const saved = entry('{"a":1}');
+    cache.set('a', saved);
+
+    expect(cache.get('a')).toBe(saved);
+    expect(cache.get('missing')).toBeNull();
+  });
+
+  it('evicts the least recently used entry beyond maxEntries', () => {
+    const cache = createMemoryCache({ maxEntries: 2, maxSize: 1000 });
+    cache.set('a', entry('a'));
+    cache.set('b', entry('b'));
+    cache.get('a');
+    cache.set('c', entry('c'));
+
+    expect(cache.get('a')).not.toBeNull();
+    expect(cache.get('b')).toBeNull();
+    expect(cache.get('c')).not.toBeNull();
+  });
+
+  it('evicts entries until the bodies fit in maxSize', () => {
+    const cache = createMemoryCache({ maxEntries: 10, maxSize: 10 });
+    cache.set('a', entry('aaaa'));
+    cache.set('b', entry('bbbb'));
+    cache.set('c', entry('cccc'));
+
+    expect(cache.get('a')).toBeNull();
+    expect(cache.stats()).toEqual({ entries: 2, maxEntries: 10, size: 8, maxSize: 10 });
+  });
+
+  it('does not keep bodies larger than maxSize', () => {
+    const cache = createMemoryCache({ maxEntries: 10, maxSize: 3 });
+    cache.set('a', entry('abcd'));
+
+    expect(cache.get('a')).toBeNull();
+    expect(cache.stats().size).toBe(0);
+  });
+
+  it('replaces an entry without counting its old body', () => {
+    const cache = createMemoryCache({ maxEntries: 10, maxSize: 100 });
+    cache.set('a', entry('aaaa'));
+    cache.set('a', entry('aa'));
+
+    expect(cache.stats()).toMatchObject({ entries: 1, size: 2 });
+  });
+
+  it('serves expired entries until staleUntil, then drops them', () => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    const cache = createMemoryCache({ maxEntries: 10, maxSize: 100 });
+    cache.set('a', entry('a', { ttl: 1000, stale: 1000 }));
+
+    jest.advanceTimersByTime(1500);
+    const stale = cache.get('a');
+    expect(stale).not.toBeNull();
+    expect(stale.expiresAt).toBeLessThan(Date.now());
+
+    jest.advanceTimersByTime(1000);
+    expect(cache.get('a')).toBeNull();
+    expect(cache.stats().entries).toBe(0);
+  });
+
+  it('purges the entries with any of the tags', () => {
+    const cache = createMemoryCache({ maxEntries: 10, maxSize: 100 });
+    cache.set('a', entry('a', { tags: ['product:1', 'brand:monge'] }));
+    cache.set('b', entry('b', { tags: ['product:2'] }));
+    cache.set('c', entry('c', { tags: ['all'] }));
+
+    expect(cache.purgeTags(['product:1', 'product:2'])).toEqual(['a', 'b']);
+    expect(cache.get('c')).not.toBeNull();
+    expect(cache.stats()).toMatchObject({ entries: 1, size: 1 });
+  });
+
+  it('lists the values of the tags of a kind', () => {
+    const cache = createMemoryCache({ maxEntries: 10, maxSize: 100 });
+    cache.set('a', entry('a', { tags: ['brand:monge', 'category:cibo'] }));
+    cache.set('b', entry('b', { tags: ['brand:monge', 'brand:trainer'] }));
+
+    expect(cache.tagValues('brand')).toEqual(['monge', 'trainer']);
+    expect(cache.tagValues('store')).toEqual([]);
+  });
+
+  it('removes single entries', () => {
+    const cache = createMemoryCache({ maxEntries: 10, maxSize: 100 });
+    cache.set('a', entry('a'));
+
+    expect(cache.remove('a')).toBe(true);
+    expect(cache.remove('a')).toBe(false);
+    expect(cache.get('a')).toBeNull();
+  });
+});
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageParams,
+  buildPage,
+  findPage,
+  paginateArray,
+  sendPage
+} = require('../../../src/utils/pagination');
+
+const ids = Array.from({ length: 6 }, (_, i) => new mongoose.Types.ObjectId(`00000000000000000000000${i}`));
+
+const items = [
+  { _id: ids[0], price: 10, updatedAt: new Date('2025-01-03T00:00:00Z') },
+  { _id: ids[1], price: 5, updatedAt: new Date('2025-01-01T00:00:00Z') },
+  { _id: ids[2], price: 10, updatedAt: new Date('2025-01-02T00:00:00Z') },
+  { _id: ids[3], price: null, updatedAt: new Date('2025-01-05T00:00:00Z') },
+  { _id: ids[4], price: 7, updatedAt: new Date('2025-01-04T00:00:00Z') }
+];
+
+/**
+ * Scorre tutte le pagine di una lista in memoria
+ */
+const collectPages = (list, options, limit) => {
+  const pages = [];
+  let cursor;
+  do {
+    const params = parsePageParams({ limit, cursor }, options);
+    const page = paginateArray(list, params);
+    pages.push(page.items.map(item => item._id.toString()));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+describe('parsePageParams', () => {
+  it('uses the default page size and adds _id as tie-breaker', () => {
+    const params = parsePageParams({}, { sort: { price: -1 } });
+
+    expect(params.limit).toBe(DEFAULT_PAGE_SIZE);
+    expect(params.sort).toEqual({ price: -1, _id: -1 });
+    expect(params.after).toBeNull();
+  });
+
+  it('caps the page size', () => {
+    expect(parsePageParams({ limit: '1000' }).limit).toBe(MAX_PAGE_SIZE);
+  });
+
+  it('rejects a limit that is not a positive integer with a 400 error', () => {
+    expect(() => parsePageParams({ limit: '0' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => parsePageParams({ limit: 'abc' })).toThrow('Il parametro limit deve essere un intero positivo');
+  });
+
+  it('rejects malformed cursors', () => {
+    expect(() => parsePageParams({ cursor: 'not-a-cursor' })).toThrow('Cursore non valido');
+
+    const forged = Buffer.from(JSON.stringify({ s: '_id:1', v: [{ $where: '1' }] })).toString('base64url');
+    expect(() => parsePageParams({ cursor: forged })).toThrow('Cursore non valido');
+  });
+
+  it('rejects a cursor created with another sort', () => {
+    const params = parsePageParams({ limit: 1 }, { sort: { price: 1 } });
+    const { nextCursor } = paginateArray(items, params);
+
+    expect(() => parsePageParams({ cursor: nextCursor }, { sort: { price: -1 } }))
+      .toThrow('Il cursore è stato creato con un ordinamento diverso');
+  });
+
+  it('restores dates and ObjectIds from the cursor and builds the filter after them', () => {
+    const params = parsePageParams({ limit: 1 }, { sort: { updatedAt: -1 } });
+    const { nextCursor } = paginateArray(items, params);
+    const next = parsePageParams({ cursor: nextCursor }, { sort: { updatedAt: -1 } });
+
+    expect(next.cursorValues).toEqual([items[3].updatedAt, ids[3]]);
+    expect(next.after).toEqual({
+      $or: [
+        { updatedAt: { $lt: items[3].updatedAt } },
+        { updatedAt: null },
+        { updatedAt: items[3].updatedAt, _id: { $lt: ids[3] } },
+        { updatedAt: items[3].updatedAt, _id: null }
+      ]
+    });
+  });
+});
+
+describe('paginateArray', () => {
+  it('walks every item once, in order, with ties broken by _id', () => {
+    expect(collectPages(items, { sort: { price: 1 } }, 2)).toEqual([
+      [ids[3].toString(), ids[1].toString()],
+      [ids[4].toString(), ids[0].toString()],
+      [ids[2].toString()]
+    ]);
+  });
+
+  it('puts missing values last in descending order, as MongoDB does', () => {
+    expect(collectPages(items, { sort: { price: -1 } }, 10)).toEqual([
+      [ids[2], ids[0], ids[4], ids[1], ids[3]].map(String)
+    ]);
+  });
+
+  it('does not skip or repeat items inserted or removed between pages', () => {
+    const params = parsePageParams({ limit: 2 }, { sort: { price: 1 } });
+    const first = paginateArray(items, params);
+
+    // An item before the cursor is removed and a cheaper one is added
+    const changed = [...items.filter(item => item !== items[1]), { _id: ids[5], price: 1 }];
+    const second = paginateArray(changed, parsePageParams({ limit: 2, cursor: first.nextCursor }, { sort: { price: 1 } }));
+
+    expect(second.items.map(item => item._id)).toEqual([ids[4], ids[0]]);
+  });
+});
+
+describe('buildPage', () => {
+  it('uses the extra item only to tell that there are more', () => {
+    const params = parsePageParams({ limit: 2 }, { sort: { price: 1 } });
+    const page = buildPage(items.slice(0, 3), params);
+
+    expect(page.items).toHaveLength(2);
+    expect(page.hasMore).toBe(true);
+    expect(page.nextCursor).toEqual(expect.any(String));
+  });
+
+  it('has no cursor on the last page', () => {
+    const params = parsePageParams({ limit: 5 });
+
+    expect(buildPage(items, params)).toEqual({ items, hasMore: false, nextCursor: null });
+  });
+});
+
+describe('findPage', () => {
+  it('reads limit + 1 documents after the cursor with the normalized sort', async () => {
+    const query = {
+      sort: jest.fn(() => query),
+      limit: jest.fn(() => query),
+      select: jest.fn(() => query),
+      populate: jest.fn(() => query),
+      lean: jest.fn(() => query),
+      then: (resolve) => resolve(items.slice(0, 3))
+    };
+    const model = { find: jest.fn(() => query) };
+
+    const first = parsePageParams({ limit: 2 }, { sort: { price: 1 } });
+    const params = parsePageParams({ limit: 2, cursor: buildPage(items.slice(0, 3), first).nextCursor }, { sort: { price: 1 } });
+    const page = await findPage(model, { category: 'cibo' }, params, {
+      select: 'name price',
+      populate: [{ path: 'productId' }, { path: 'productGroupId' }],
+      lean: true
+    });
+
+    expect(model.find).toHaveBeenCalledWith({ $and: [{ category: 'cibo' }, params.after] });
+    expect(query.sort).toHaveBeenCalledWith({ price: 1, _id: 1 });
+    expect(query.limit).toHaveBeenCalledWith(3);
+    expect(query.select).toHaveBeenCalledWith('name price');
+    expect(query.populate).toHaveBeenCalledTimes(2);
+    expect(query.lean).toHaveBeenCalled();
+    expect(page.hasMore).toBe(true);
+  });
+});
+
+describe('sendPage', () => {
+  it('sends the common list envelope', () => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const params = parsePageParams({ limit: 2 });
+
+    sendPage(res, { items: [items[0]], hasMore: false, nextCursor: null }, params, { category: 'all' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: [items[0]],
+      pagination: { limit: 2, count: 1, hasMore: false, nextCursor: null },
+      meta: { category: 'all' }
+    });
+  });
+});
@@ -1,128 +1,24 @@
 /**
  * Configurazione delle categorie di prodotti da scrapare
- * Ogni elemento rappresenta un percorso URL relativo al dominio del sito
+ * Ogni elemento rappresenta un percorso URL relativo al dominio del sito.
+ * Le categorie sono definite per negozio in config/stores; qui vengono esposte
+ * anche con i nomi storici (es. zooplusCategoryPaths) usati dagli script.
  */
+const { stores, getStore } = require('./stores');
+
+/**
+ * Restituisce le categorie configurate per un negozio
+ * @param {string} storeId - Identificativo del negozio
+ * @returns {Array<string>} Percorsi delle categorie
+ */
+function getCategoryPaths(storeId) {
+  return getStore(storeId).categories;
+}
 
 module.exports = {
-  // Categorie per Zooplus
-  zooplusCategoryPaths: [
-    // Categorie per cani
-    '/shop/cani/cibo_secco',
-    '/shop/cani/cibo_umido',
-    '/shop/cani/snack_biscotti',
-    '/shop/cani/cucce',
-    '/shop/cani/cura_salute/antiparassitari',
-    
-    // Categorie per gatti
-    '/shop/gatti/cibo/sterilizzati',
-    '/shop/gatti/lettiere',
-    '/shop/gatti/tiragraffi',
-    '/shop/gatti/giochi/interattivi',
-  ],
-  
-  // Vecchie categorie Zooplus (mantenute per riferimento)
-  zooplusCategoryPathsOld: [
-    // Categorie per cani
-    '/shop/cani/cibo_secco_cani',
-    '/shop/cani/cibo_umido_cani',
-    '/shop/cani/snack_masticare_cani',
-    '/shop/cani/antiparassitari_cani',
-    
-    // Categorie per gatti
-    '/shop/gatti/cibo_gatti_scatolette',
-    '/shop/gatti/cibo_secco_gatti',
-    '/shop/gatti/snack_gatti',
-    '/shop/gatti/lettiera_gatti',
-  ],
-  
-  // Categorie per Arcaplanet
-  arcaplanetCategoryPaths: [
-    // Cane
-    'cane',
-    'cane/cibo-secco',
-    'cane/cibo-umido',
-    'cane/snack',
-    'cane/diete-cibo-secco',
-    'cane/diete-cibo-umido',
-    'cane/accessori',
-    'cane/accessori/abbigliamento',
-    'cane/accessori/addestramento',
-    'cane/accessori/ciotole-e-dispenser',
-    'cane/accessori/toelettatura',
-    'cane/giochi',
-    'cane/guinzaglieria',
-    'cane/trasportini-e-viaggio',
-    'cane/cucce-e-lettini',
-    'cane/igiene',
-    'cane/igiene/manto-e-cute',
-    'cane/igiene/orale',
-    'cane/igiene/pannolini',
-    'cane/igiene/sacchetti-igienici',
-    'cane/igiene/portasacchetti',
-    'cane/igiene/traversine-igieniche',
-    'cane/igiene/salviette',
-    'cane/antiparassitari-e-curativi/antiparassitari',
-    'cane/antiparassitari-e-curativi/insettorepellenti',
-    'cane/antiparassitari-e-curativi/integratori',
-    'cane/antiparassitari-e-curativi/parafarmacia',
-    
-    // Gatto
-    'gatto',
-    'gatto/cibo-secco',
-    'gatto/cibo-umido',
-    'gatto/snack',
-    'gatto/diete-cibo-secco',
-    'gatto/diete-cibo-umido',
-    'gatto/sabbie',
-    'gatto/sabbie/agglomerante',
-    'gatto/sabbie/assorbente',
-    'gatto/sabbie/vegetale',
-    'gatto/sabbie/silicio',
-    'gatto/accessori',
-    'gatto/accessori/ciotole-e-dispenser',
-    'gatto/accessori/cucce-e-lettini',
-    'gatto/accessori/giochi',
-    'gatto/accessori/guinzaglieria',
-    'gatto/accessori/toelettatura',
-    'gatto/tiragraffi',
-    'gatto/trasportini',
-    'gatto/igiene',
-    'gatto/toilette-e-accessori',
-    'gatto/toilette-e-accessori/toilette',
-    'gatto/toilette-e-accessori/sacchetti-toilette',
-    'gatto/toilette-e-accessori/tappetini-toilette',
-    'gatto/toilette-e-accessori/palette',
-    'gatto/antiparassitari-e-curativi/antiparassitari',
-    'gatto/antiparassitari-e-curativi/insettorepellenti',
-    'gatto/antiparassitari-e-curativi/integratori',
-    'gatto/antiparassitari-e-curativi/parafarmacia',
-    
-    // Piccoli Animali
-    'piccoli-animali',
-    'piccoli-animali/roditori',
-    'piccoli-animali/roditori/fieno',
-    'piccoli-animali/roditori/mangime',
-    'piccoli-animali/roditori/snack',
-    'piccoli-animali/roditori/lettiere',
-    'piccoli-animali/roditori/igiene',
-    'piccoli-animali/roditori/accessori',
-    'piccoli-animali/roditori/antiparassitari-e-curativi/antiparassitari',
-    'piccoli-animali/uccelli',
-    'piccoli-animali/uccelli/accessori',
-    'piccoli-animali/uccelli/mangime',
-    'piccoli-animali/uccelli/sabbie',
-    'piccoli-animali/uccelli/snack',
-    'piccoli-animali/uccelli/antiparassitari-e-curativi/antiparassitari',
-    'piccoli-animali/uccelli/antiparassitari-e-curativi/integratori',
-    'piccoli-animali/pesci',
-    'piccoli-animali/pesci/mangime',
-    'piccoli-animali/pesci/accessori',
-    'piccoli-animali/tartarughe',
-    'piccoli-animali/tartarughe/mangime',
-    'piccoli-animali/tartarughe/accessori',
-    'piccoli-animali/tartarughe/antiparassitari-e-curativi',
-    'piccoli-animali/rettili',
-    'piccoli-animali/rettili/mangime',
-    'piccoli-animali/rettili/accessori'
-  ]
-};
\ No newline at end of file
+  getCategoryPaths,
+  ...Object.fromEntries(stores.map(store => [`${store.id}CategoryPaths`, store.categories])),
+  ...Object.fromEntries(stores
+    .filter(store => store.legacyCategories)
+    .map(store => [`${store.id}CategoryPathsOld`, store.legacyCategories]))
+};
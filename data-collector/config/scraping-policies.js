@@ -1,24 +1,25 @@
 /**
  * Configurazione delle politiche di scraping
- * Definisce i parametri di comportamento degli scraper
+ * Definisce i parametri di comportamento degli scraper.
+ * I parametri dei singoli negozi sono in config/stores e sovrascrivono quelli di default.
  */
+const { stores } = require('./stores');
+
+const defaultPolicy = {
+  minDelay: 3000,        // 3 secondi minimo tra le richieste
+  maxDelay: 7000,        // 7 secondi massimo tra le richieste
+  maxPages: 5,           // Pagine massime per categoria
+  maxConcurrent: 1,      // Numero massimo di browser concorrenti
+  respectRobotsTxt: true // Rispetta le regole dei robots.txt
+};
 
 module.exports = {
-  defaultPolicy: {
-    minDelay: 3000,        // 3 secondi minimo tra le richieste
-    maxDelay: 7000,        // 7 secondi massimo tra le richieste
-    maxConcurrent: 1,      // Numero massimo di browser concorrenti
-    respectRobotsTxt: true // Rispetta le regole dei robots.txt
-  },
-  zooplus: {
-    baseUrl: 'https://www.zooplus.it',
-    apiBaseUrl: 'https://www.zooplus.it/api/discover/v1'
-  },
-  arcaplanet: {
-    baseUrl: 'https://www.arcaplanet.it',
-    apiBaseUrl: 'https://www.arcaplanet.it/api/graphql',
-    graphqlEndpoint: 'https://www.arcaplanet.it/api/graphql?operationName=ProductsQueryForPlp',
-    restApiEndpoint: 'https://www.arcaplanet.it/api/search',  // Endpoint REST alternativo
-    restCategoryEndpoint: 'https://www.arcaplanet.it/api/category' // Endpoint per categorie
-  }
-};
\ No newline at end of file
+  defaultPolicy,
+  // Es. zooplus: { baseUrl, apiBaseUrl, minDelay, ... }
+  ...Object.fromEntries(stores.map(store => [store.id, {
+    baseUrl: store.baseUrl,
+    ...store.endpoints,
+    ...defaultPolicy,
+    ...store.policy
+  }]))
+};
@@ -0,0 +1,114 @@
+/**
+ * Negozio Arcaplanet
+ * Piattaforma VTEX: la prima pagina viene caricata con Puppeteer per ottenere i cookie di sessione,
+ * le pagine successive vengono richieste direttamente all'API GraphQL
+ */
+
+module.exports = {
+  id: 'arcaplanet',
+  name: 'Arcaplanet',
+  adapter: 'arcaplanet-scraper',
+  baseUrl: 'https://www.arcaplanet.it',
+  endpoints: {
+    apiBaseUrl: 'https://www.arcaplanet.it/api/graphql',
+    graphqlEndpoint: 'https://www.arcaplanet.it/api/graphql?operationName=ProductsQueryForPlp',
+    restApiEndpoint: 'https://www.arcaplanet.it/api/search',  // Endpoint REST alternativo
+    restCategoryEndpoint: 'https://www.arcaplanet.it/api/category' // Endpoint per categorie
+  },
+  policy: {
+    minDelay: 3000,
+    maxDelay: 7000,
+    maxPages: 5
+  },
+
+  // Percorsi delle categorie (relativi al dominio)
+  categories: [
+    // Cane
+    'cane',
+    'cane/cibo-secco',
+    'cane/cibo-umido',
+    'cane/snack',
+    'cane/diete-cibo-secco',
+    'cane/diete-cibo-umido',
+    'cane/accessori',
+    'cane/accessori/abbigliamento',
+    'cane/accessori/addestramento',
+    'cane/accessori/ciotole-e-dispenser',
+    'cane/accessori/toelettatura',
+    'cane/giochi',
+    'cane/guinzaglieria',
+    'cane/trasportini-e-viaggio',
+    'cane/cucce-e-lettini',
+    'cane/igiene',
+    'cane/igiene/manto-e-cute',
+    'cane/igiene/orale',
+    'cane/igiene/pannolini',
+    'cane/igiene/sacchetti-igienici',
+    'cane/igiene/portasacchetti',
+    'cane/igiene/traversine-igieniche',
+    'cane/igiene/salviette',
+    'cane/antiparassitari-e-curativi/antiparassitari',
+    'cane/antiparassitari-e-curativi/insettorepellenti',
+    'cane/antiparassitari-e-curativi/integratori',
+    'cane/antiparassitari-e-curativi/parafarmacia',
+    
+    // Gatto
+    'gatto',
+    'gatto/cibo-secco',
+    'gatto/cibo-umido',
+    'gatto/snack',
+    'gatto/diete-cibo-secco',
+    'gatto/diete-cibo-umido',
+    'gatto/sabbie',
+    'gatto/sabbie/agglomerante',
+    'gatto/sabbie/assorbente',
+    'gatto/sabbie/vegetale',
+    'gatto/sabbie/silicio',
+    'gatto/accessori',
+    'gatto/accessori/ciotole-e-dispenser',
+    'gatto/accessori/cucce-e-lettini',
+    'gatto/accessori/giochi',
+    'gatto/accessori/guinzaglieria',
+    'gatto/accessori/toelettatura',
+    'gatto/tiragraffi',
+    'gatto/trasportini',
+    'gatto/igiene',
+    'gatto/toilette-e-accessori',
+    'gatto/toilette-e-accessori/toilette',
+    'gatto/toilette-e-accessori/sacchetti-toilette',
+    'gatto/toilette-e-accessori/tappetini-toilette',
+    'gatto/toilette-e-accessori/palette',
+    'gatto/antiparassitari-e-curativi/antiparassitari',
+    'gatto/antiparassitari-e-curativi/insettorepellenti',
+    'gatto/antiparassitari-e-curativi/integratori',
+    'gatto/antiparassitari-e-curativi/parafarmacia',
+    
+    // Piccoli Animali
+    'piccoli-animali',
+    'piccoli-animali/roditori',
+    'piccoli-animali/roditori/fieno',
+    'piccoli-animali/roditori/mangime',
+    'piccoli-animali/roditori/snack',
+    'piccoli-animali/roditori/lettiere',
+    'piccoli-animali/roditori/igiene',
+    'piccoli-animali/roditori/accessori',
+    'piccoli-animali/roditori/antiparassitari-e-curativi/antiparassitari',
+    'piccoli-animali/uccelli',
+    'piccoli-animali/uccelli/accessori',
+    'piccoli-animali/uccelli/mangime',
+    'piccoli-animali/uccelli/sabbie',
+    'piccoli-animali/uccelli/snack',
+    'piccoli-animali/uccelli/antiparassitari-e-curativi/antiparassitari',
+    'piccoli-animali/uccelli/antiparassitari-e-curativi/integratori',
+    'piccoli-animali/pesci',
+    'piccoli-animali/pesci/mangime',
+    'piccoli-animali/pesci/accessori',
+    'piccoli-animali/tartarughe',
+    'piccoli-animali/tartarughe/mangime',
+    'piccoli-animali/tartarughe/accessori',
+    'piccoli-animali/tartarughe/antiparassitari-e-curativi',
+    'piccoli-animali/rettili',
+    'piccoli-animali/rettili/mangime',
+    'piccoli-animali/rettili/accessori'
+  ]
+};
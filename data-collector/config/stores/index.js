@@ -0,0 +1,55 @@
+/**
+ * Registro dei negozi supportati
+ * Ogni file di questa cartella descrive un negozio: identificativo (usato come `source` nei modelli),
+ * URL, rate policy, categorie e modulo dell'adapter in src/scrapers.
+ * Per aggiungere un negozio basta creare un nuovo file qui e il relativo adapter.
+ *
+ * Un negozio può essere disattivato con la variabile <ID>_ENABLED=false (es. ZOOPLUS_ENABLED=false).
+ */
+const fs = require('fs');
+const path = require('path');
+
+const REQUIRED_FIELDS = ['id', 'name', 'adapter', 'baseUrl'];
+
+const stores = fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.js') && file !== 'index.js')
+  .sort()
+  .map(file => {
+    const store = require(path.join(__dirname, file));
+    const missing = REQUIRED_FIELDS.filter(field => !store[field]);
+
+    if (missing.length > 0) {
+      throw new Error(`Configurazione negozio ${file} non valida: mancano ${missing.join(', ')}`);
+    }
+
+    return {
+      endpoints: {},
+      policy: {},
+      categories: [],
+      ...store,
+      enabled: process.env[`${store.id.toUpperCase()}_ENABLED`] !== 'false'
+    };
+  });
+
+const storeIds = stores.map(store => store.id);
+
+/**
+ * Restituisce la configurazione di un negozio
+ * @param {string} id - Identificativo del negozio
+ * @returns {Object} Configurazione del negozio
+ */
+function getStore(id) {
+  const store = stores.find(item => item.id === id);
+
+  if (!store) {
+    throw new Error(`Negozio non registrato: ${id}`);
+  }
+
+  return store;
+}
+
+module.exports = {
+  stores,
+  storeIds,
+  getStore
+};
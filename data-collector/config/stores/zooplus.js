@@ -0,0 +1,50 @@
+/**
+ * Negozio Zooplus
+ * Prodotti recuperati dall'API "discover" usata dalle pagine di categoria del sito
+ */
+
+module.exports = {
+  id: 'zooplus',
+  name: 'Zooplus',
+  adapter: 'zooplus-scraper',
+  baseUrl: 'https://www.zooplus.it',
+  endpoints: {
+    apiBaseUrl: 'https://www.zooplus.it/api/discover/v1'
+  },
+  policy: {
+    minDelay: 2000,
+    maxDelay: 4000,
+    maxPages: 10
+  },
+
+  // Percorsi delle categorie (relativi al dominio)
+  categories: [
+    // Categorie per cani
+    '/shop/cani/cibo_secco',
+    '/shop/cani/cibo_umido',
+    '/shop/cani/snack_biscotti',
+    '/shop/cani/cucce',
+    '/shop/cani/cura_salute/antiparassitari',
+    
+    // Categorie per gatti
+    '/shop/gatti/cibo/sterilizzati',
+    '/shop/gatti/lettiere',
+    '/shop/gatti/tiragraffi',
+    '/shop/gatti/giochi/interattivi'
+  ],
+
+  // Vecchie categorie (mantenute per riferimento)
+  legacyCategories: [
+    // Categorie per cani
+    '/shop/cani/cibo_secco_cani',
+    '/shop/cani/cibo_umido_cani',
+    '/shop/cani/snack_masticare_cani',
+    '/shop/cani/antiparassitari_cani',
+    
+    // Categorie per gatti
+    '/shop/gatti/cibo_gatti_scatolette',
+    '/shop/gatti/cibo_secco_gatti',
+    '/shop/gatti/snack_gatti',
+    '/shop/gatti/lettiera_gatti'
+  ]
+};
@@ -7,6 +7,7 @@
 
 require('dotenv').config();
 const { MongoClient } = require('mongodb');
+const { storeIds } = require('../config/stores');
 
 // Configurazione
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/pet-price-comparator';
@@ -53,8 +54,7 @@ async function checkImportStatus() {
     console.log(`Totale price points nel database: ${totalPricePoints}`);
     
     // Statistiche per fonte
-    const sources = ['arcaplanet', 'zooplus'];
-    for (const source of sources) {
+    for (const source of storeIds) {
       const sourceProducts = await productsCollection.countDocuments({ source });
       console.log(`Prodotti da ${source}: ${sourceProducts}`);
     }
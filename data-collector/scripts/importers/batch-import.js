@@ -1,28 +1,20 @@
 /**
  * Script di importazione batch ottimizzato
- * Utilizza operazioni dirette sul database per migliorare le prestazioni
+ * Salva i prodotti tramite saveProducts dello scheduler, con lo stesso schema canonico delle raccolte pianificate
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const { MongoClient, ObjectId } = require('mongodb');
+const mongoose = require('mongoose');
+const { storeIds } = require('../../config/stores');
+const { saveProducts } = require('../../src/services/scheduler');
 
 // Configurazione
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/pet-price-comparator';
 const RESULTS_DIR = path.join(__dirname, '../../results');
 const BATCH_SIZE = 25; // Dimensione batch ridotta per evitare timeout
 
-// Estrai il nome del database dall'URI
-function getDatabaseName(uri) {
-  const parts = uri.split('/');
-  let dbName = parts[parts.length - 1];
-  if (dbName.includes('?')) {
-    dbName = dbName.split('?')[0];
-  }
-  return dbName;
-}
-
 // Normalizza i dati del prodotto in base alla fonte
 function normalizeProductData(productData, source) {
   // Determina il sourceId in base al formato
@@ -55,8 +47,8 @@ function normalizeProductData(productData, source) {
         variantId: variant.id || 'default',
         description: variant.title || variant.name || 'Variante',
         available: variant.available !== false,
-        currentPrice: {
-          amount: parseFloat(variant.price || 0),
+        price: {
+          current: parseFloat(variant.price || 0),
           currency: 'EUR'
         }
       }));
@@ -78,12 +70,34 @@ function normalizeProductData(productData, source) {
         variantId: variant.id || 'default',
         description: variant.name || 'Variante',
         available: variant.available !== false,
-        currentPrice: {
-          amount: parseFloat(variant.price || 0),
+        price: {
+          current: parseFloat(variant.price || 0),
           currency: 'EUR'
         }
       }));
     }
+  } else {
+    // Formato comune degli adapter (StoreAdapter.mapListings), usato dai negozi aggiunti dal registro
+    sourceId = productData.sourceId;
+    name = productData.name || '';
+    description = productData.description || '';
+    brand = productData.brand || '';
+    imageUrl = productData.imageUrl || '';
+    url = productData.url || '';
+    category = productData.category || '';
+    
+    if (Array.isArray(productData.variants)) {
+      price = productData.variants.length > 0 ? productData.variants[0].price?.current : 0;
+      variants = productData.variants.map(variant => ({
+        variantId: variant.variantId || 'default',
+        description: variant.description || 'Variante',
+        available: variant.available !== false,
+        price: {
+          current: parseFloat(variant.price?.current || 0),
+          currency: variant.price?.currency || 'EUR'
+        }
+      }));
+    }
   }
   
   // Verifica che i campi essenziali siano presenti
@@ -95,13 +109,25 @@ function normalizeProductData(productData, source) {
     throw new Error('Prodotto senza nome');
   }
   
+  // Senza varianti il prezzo del prodotto diventa una variante unica
+  if (variants.length === 0) {
+    variants = [{
+      variantId: 'default',
+      description: '',
+      available: true,
+      price: {
+        current: parseFloat(price) || 0,
+        currency: 'EUR'
+      }
+    }];
+  }
+  
   return {
     sourceId: sourceId.toString(),
     name,
     description,
     brand,
     imageUrl,
-    price: parseFloat(price) || 0,
     url,
     category,
     variants
@@ -142,38 +168,27 @@ async function batchImport() {
   console.log('Avvio importazione batch...');
   console.log(`Directory risultati: ${RESULTS_DIR}`);
   
-  // Configura client MongoDB
-  const client = new MongoClient(MONGODB_URI, {
-    connectTimeoutMS: 30000,
-    socketTimeoutMS: 60000,
-    serverSelectionTimeoutMS: 30000
-  });
-  
   // Statistiche
   let stats = {
     processedFiles: 0,
     processedProducts: 0,
     newProducts: 0,
     updatedProducts: 0,
-    newPricePoints: 0,
     errors: 0,
     skipped: 0
   };
   
   try {
     // Connetti al database
-    await client.connect();
+    await mongoose.connect(MONGODB_URI, {
+      connectTimeoutMS: 30000,
+      socketTimeoutMS: 60000,
+      serverSelectionTimeoutMS: 30000
+    });
     console.log('Connesso al database MongoDB');
     
-    const dbName = getDatabaseName(MONGODB_URI);
-    const db = client.db(dbName);
-    
-    // Collezioni
-    const productsCollection = db.collection('products');
-    const pricePointsCollection = db.collection('pricepoints');
-    
-    // Fonti di dati
-    const sources = ['arcaplanet', 'zooplus'];
+    // Fonti di dati: una cartella per ogni negozio registrato
+    const sources = storeIds;
     
     for (const source of sources) {
       const sourceDir = path.join(RESULTS_DIR, source);
@@ -229,149 +244,34 @@ async function batchImport() {
           // Elabora i prodotti in batch
           for (let i = 0; i < jsonData.length; i += BATCH_SIZE) {
             const batch = jsonData.slice(i, i + BATCH_SIZE);
-            const pricePointBatch = [];
+            const normalizedBatch = [];
             
-            // Elabora ogni prodotto nel batch
+            // Normalizza ogni prodotto nel batch
             for (const productData of batch) {
+              if (!productData) {
+                stats.skipped++;
+                continue;
+              }
+              
+              stats.processedProducts++;
+              
               try {
-                if (!productData) {
-                  stats.skipped++;
-                  continue;
-                }
-                
-                stats.processedProducts++;
-                
-                // Normalizza i dati del prodotto
-                let normalizedData;
-                try {
-                  normalizedData = normalizeProductData(productData, source);
-                } catch (normalizeError) {
-                  console.warn(`Impossibile normalizzare prodotto: ${normalizeError.message}`);
-                  stats.skipped++;
-                  continue;
-                }
-                
-                const { sourceId, name, description, brand, imageUrl, price, url, category, variants } = normalizedData;
-                
-                // Cerca prodotto esistente
-                const existingProduct = await productsCollection.findOne({
-                  source: source,
-                  sourceId: sourceId
-                });
-                
-                // Determina il petType
-                const petType = determinePetType(name, category);
-                
-                if (!existingProduct) {
-                  // Crea nuovo prodotto
-                  const newProduct = {
-                    name,
-                    description,
-                    brand,
-                    category,
-                    imageUrl,
-                    source,
-                    sourceId,
-                    petType,
-                    prices: [{
-                      store: source,
-                      price: parseFloat(price),
-                      currency: 'EUR',
-                      url,
-                      lastUpdated: new Date()
-                    }],
-                    createdAt: new Date(),
-                    updatedAt: new Date()
-                  };
-                  
-                  // Aggiungi varianti se presenti
-                  if (variants && variants.length > 0) {
-                    newProduct.variants = variants;
-                  }
-                  
-                  // Inserisci
-                  const result = await productsCollection.insertOne(newProduct);
-                  stats.newProducts++;
-                  
-                  // Crea price point
-                  pricePointBatch.push({
-                    productId: result.insertedId,
-                    source,
-                    price: {
-                      amount: parseFloat(price),
-                      currency: 'EUR'
-                    },
-                    recordedAt: new Date()
-                  });
-                  stats.newPricePoints++;
-                } else {
-                  // Aggiorna prodotto esistente
-                  const productId = existingProduct._id;
-                  
-                  // Aggiorna prezzi
-                  let prices = existingProduct.prices || [];
-                  const priceIndex = prices.findIndex(p => p.store === source);
-                  
-                  if (priceIndex >= 0) {
-                    prices[priceIndex] = {
-                      ...prices[priceIndex],
-                      price: parseFloat(price),
-                      url,
-                      lastUpdated: new Date()
-                    };
-                  } else {
-                    prices.push({
-                      store: source,
-                      price: parseFloat(price),
-                      currency: 'EUR',
-                      url,
-                      lastUpdated: new Date()
-                    });
-                  }
-                  
-                  const updateData = {
-                    prices,
-                    updatedAt: new Date()
-                  };
-                  
-                  // Aggiorna varianti se presenti
-                  if (variants && variants.length > 0) {
-                    updateData.variants = variants;
-                  }
-                  
-                  // Aggiorna
-                  await productsCollection.updateOne(
-                    { _id: productId },
-                    { $set: updateData }
-                  );
-                  stats.updatedProducts++;
-                  
-                  // Crea price point
-                  pricePointBatch.push({
-                    productId: new ObjectId(productId),
-                    source,
-                    price: {
-                      amount: parseFloat(price),
-                      currency: 'EUR'
-                    },
-                    recordedAt: new Date()
-                  });
-                  stats.newPricePoints++;
-                }
-              } catch (productError) {
-                console.error(`Errore nel processare un prodotto: ${productError.message}`);
-                stats.errors++;
+                const normalizedData = normalizeProductData(productData, source);
+                normalizedData.petType = determinePetType(normalizedData.name, normalizedData.category);
+                normalizedBatch.push(normalizedData);
+              } catch (normalizeError) {
+                console.warn(`Impossibile normalizzare prodotto: ${normalizeError.message}`);
+                stats.skipped++;
               }
             }
             
-            // Inserisci i price points in batch
-            if (pricePointBatch.length > 0) {
-              try {
-                await pricePointsCollection.insertMany(pricePointBatch);
-              } catch (batchError) {
-                console.error(`Errore nell'inserimento batch dei price points: ${batchError.message}`);
-                stats.errors++;
-              }
+            // Salva prodotti e storico prezzi
+            if (normalizedBatch.length > 0) {
+              const result = await saveProducts(normalizedBatch, source);
+              stats.newProducts += result.saved;
+              stats.updatedProducts += result.updated;
+              stats.skipped += result.skipped;
+              stats.errors += result.failed;
             }
             
             console.log(`Progresso: ${i + batch.length}/${jsonData.length} prodotti`);
@@ -392,7 +292,6 @@ Importazione batch completata:
 - Prodotti processati: ${stats.processedProducts}
 - Nuovi prodotti: ${stats.newProducts}
 - Prodotti aggiornati: ${stats.updatedProducts}
-- Nuovi punti prezzo: ${stats.newPricePoints}
 - Prodotti saltati: ${stats.skipped}
 - Errori: ${stats.errors}
     `);
@@ -403,7 +302,7 @@ Importazione batch completata:
     throw error; // Rilancia l'errore per gestione esterna
   } finally {
     // Chiudi la connessione
-    await client.close();
+    await mongoose.connection.close();
     console.log('Connessione al database chiusa');
   }
 }
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const logger = require('./src/utils/logger');
+const { storeIds } = require('../../config/stores');
 
 /**
  * Script per importare tutti i file JSON nel database
@@ -119,8 +120,8 @@ function logProgress(stats) {
 
 // Esecuzione dello script
 const source = process.argv[2] || 'arcaplanet';
-if (source !== 'arcaplanet' && source !== 'zooplus') {
-  logger.error('Fonte non valida. Utilizzare "arcaplanet" o "zooplus"');
+if (!storeIds.includes(source)) {
+  logger.error(`Fonte non valida. Utilizzare una tra: ${storeIds.join(', ')}`);
   process.exit(1);
 }
 
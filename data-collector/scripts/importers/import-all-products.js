@@ -10,6 +10,7 @@ const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
 const logger = require('../../src/utils/logger');
+const { storeIds } = require('../../config/stores');
 
 // Configurazione
 const resultsDir = path.resolve(__dirname, '../../results');
@@ -51,8 +52,7 @@ async function importAllProducts() {
           logger.info(`Processing file [${processedFiles + 1}/${totalFiles}]: ${jsonFile}`);
           
           // Determina la fonte dai metadati
-          const source = sourceFolder === 'arcaplanet' ? 'arcaplanet' : 
-                         sourceFolder === 'zooplus' ? 'zooplus' : null;
+          const source = storeIds.includes(sourceFolder) ? sourceFolder : null;
           
           // Prepara il comando per eseguire lo script di importazione
           const scriptPath = path.resolve(__dirname, 'import-products-from-json-improved.js');
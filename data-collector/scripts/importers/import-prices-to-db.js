@@ -8,30 +8,8 @@ const mongoose = require('mongoose');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../../src/utils/logger');
-
-// Importa i modelli dal database
-let Product, PricePoint;
-try {
-  // Prova a importare i modelli dal backend se disponibile
-  const modelsPath = process.env.BACKEND_PATH ? 
-    path.join(process.env.BACKEND_PATH, 'src/db/models') : 
-    '../../models';
-
-  Product = require(path.join(modelsPath, 'product'));
-  PricePoint = require(path.join(modelsPath, 'PricePoint'));
-} catch (error) {
-  // Se non riesce, usa modelli locali (se disponibili)
-  logger.error(`Errore nel caricamento dei modelli dal backend: ${error.message}`);
-  logger.info('Tentativo di caricamento dei modelli locali...');
-  
-  try {
-    Product = require('../../src/models/product');
-    PricePoint = require('../../src/models/PricePoint');
-  } catch (modelError) {
-    logger.error(`Impossibile caricare i modelli: ${modelError.message}`);
-    process.exit(1);
-  }
-}
+const { storeIds } = require('../../config/stores');
+const { saveProducts } = require('../../src/services/scheduler');
 
 // Configurazione
 const RESULTS_DIR = process.env.RESULTS_DIR || path.join(__dirname, '../../results');
@@ -67,12 +45,11 @@ async function updatePriceData() {
     logger.info('Connesso al database MongoDB');
     
     let updatedProducts = 0;
-    let newPricePoints = 0;
     let processedFiles = 0;
     let errorCount = 0;
     
-    // Lista delle fonti da elaborare
-    const sources = ['arcaplanet', 'zooplus'];
+    // Lista delle fonti da elaborare (negozi registrati)
+    const sources = storeIds;
     
     for (const source of sources) {
       const sourceDir = path.join(RESULTS_DIR, source);
@@ -143,108 +120,39 @@ async function updatePriceData() {
                 continue;
               }
               
-              // Trova il prodotto nel database o creane uno nuovo
-              let product;
-              try {
-                product = await Product.findOne({
-                  source: source,
-                  sourceId: sourceId
-                });
-              } catch (findError) {
-                logger.error(`Errore nella ricerca del prodotto: ${findError.message}`);
-                errorCount++;
-                continue;
-              }
+              // Varianti nel formato degli scraper: il prezzo del prodotto se non ce ne sono
+              const variants = (productData.variants && productData.variants.length > 0
+                ? productData.variants
+                : [{ variantId: 'default', price: productData.price, available: productData.available }]
+              ).map(variant => ({
+                variantId: variant.variantId || variant.id || 'default',
+                description: variant.description || variant.name || '',
+                available: variant.available !== false,
+                price: {
+                  current: parseFloat(variant.price?.current ?? variant.price ?? variant.currentPrice?.amount ?? 0),
+                  currency: variant.currency || variant.price?.currency || variant.currentPrice?.currency || 'EUR',
+                  unitPrice: variant.price?.unitPrice
+                },
+                discounted: variant.discounted || variant.currentPrice?.discounted || false,
+                discountAmount: variant.discountAmount || variant.currentPrice?.discountAmount
+              }));
               
-              if (!product) {
-                // Crea un nuovo prodotto se non esiste
-                product = new Product({
-                  name: productData.name || productData.title || 'Unknown Product',
-                  description: productData.description || '',
-                  brand: productData.brand || '',
-                  category: productData.category || '',
-                  imageUrl: productData.imageUrl || productData.image || '',
-                  source: source,
-                  sourceId: sourceId,
-                  petType: productData.petType || 'cane', // Default value
-                  sku: productData.sku || '',
-                  weight: productData.weight || ''
-                });
-              }
+              // Salva scheda e storico prezzi con lo schema canonico
+              const result = await saveProducts([{
+                sourceId: String(sourceId),
+                name: productData.name || productData.title || 'Unknown Product',
+                description: productData.description || '',
+                brand: productData.brand || '',
+                category: productData.category || '',
+                imageUrl: productData.imageUrl || productData.image || '',
+                url: productData.url || '',
+                petType: productData.petType,
+                weight: productData.weight || '',
+                variants
+              }], source);
               
-              // Estrai e aggiorna varianti e prezzi
-              const variants = productData.variants || [];
-              
-              // Aggiorna array di varianti
-              if (variants.length > 0) {
-                product.variants = variants.map(variant => ({
-                  variantId: variant.variantId || variant.id || 'default',
-                  description: variant.description || variant.name || 'Default Variant',
-                  available: variant.available !== false,
-                  currentPrice: {
-                    amount: parseFloat(variant.price || variant.currentPrice?.amount || 0),
-                    currency: variant.currency || variant.currentPrice?.currency || 'EUR',
-                    discounted: variant.discounted || variant.currentPrice?.discounted || false,
-                    discountAmount: variant.discountAmount || variant.currentPrice?.discountAmount || 0
-                  }
-                }));
-              }
-              
-              // Aggiorna i prezzi
-              if (!product.prices) product.prices = [];
-              
-              // Aggiorna o aggiungi il prezzo per questo store
-              const priceIndex = product.prices.findIndex(p => p.store === source);
-              
-              if (priceIndex >= 0) {
-                // Aggiorna prezzo esistente
-                product.prices[priceIndex].price = variants[0]?.currentPrice?.amount || 
-                                                  variants[0]?.price || 
-                                                  productData.price || 0;
-                product.prices[priceIndex].lastUpdated = new Date();
-                product.prices[priceIndex].inStock = variants[0]?.available !== false;
-              } else {
-                // Aggiungi nuovo prezzo
-                product.prices.push({
-                  store: source,
-                  price: variants[0]?.currentPrice?.amount || 
-                         variants[0]?.price || 
-                         productData.price || 0,
-                  currency: 'EUR',
-                  url: productData.url || '',
-                  lastUpdated: new Date(),
-                  inStock: variants[0]?.available !== false
-                });
-              }
-              
-              // Salva prodotto
-              try {
-                await product.save();
-                updatedProducts++;
-                
-                // Registra punto prezzo per ogni variante
-                for (const variant of variants) {
-                  // Crea nuovo punto prezzo
-                  const pricePoint = new PricePoint({
-                    productId: product._id,
-                    variantId: variant.variantId || variant.id || 'default',
-                    source,
-                    price: {
-                      amount: parseFloat(variant.price || variant.currentPrice?.amount || 0),
-                      currency: variant.currency || variant.currentPrice?.currency || 'EUR',
-                      discounted: variant.discounted || variant.currentPrice?.discounted || false,
-                      discountAmount: variant.discountAmount || variant.currentPrice?.discountAmount || 0
-                    },
-                    recordedAt: new Date()
-                  });
-                  
-                  await pricePoint.save();
-                  newPricePoints++;
-                }
-              } catch (saveError) {
-                logger.error(`Errore nel salvare il prodotto: ${saveError.message}`);
-                errorCount++;
-              }
+              updatedProducts += result.saved + result.updated;
+              errorCount += result.failed;
             } catch (productError) {
               logger.error(`Errore nel processare il prodotto da ${source}: ${productError.message}`);
               errorCount++;
@@ -263,7 +171,6 @@ async function updatePriceData() {
       Aggiornamento completato:
       - File processati: ${processedFiles}
       - Prodotti aggiornati: ${updatedProducts}
-      - Nuovi punti prezzo: ${newPricePoints}
       - Errori: ${errorCount}
     `);
     
@@ -8,7 +8,9 @@ const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
 const Product = require('../../src/models/product');
+const { saveProducts } = require('../../src/services/scheduler');
 const logger = require('../../src/utils/logger');
+const { storeIds } = require('../../config/stores');
 
 // Ottieni parametri da linea di comando
 const args = process.argv.slice(2);
@@ -25,8 +27,8 @@ const options = {
 // Estrai il valore di forceSource se presente
 if (options.forceSource) {
   options.forceSource = options.forceSource.split('=')[1];
-  if (!['arcaplanet', 'zooplus'].includes(options.forceSource)) {
-    logger.error(`Fonte non valida: ${options.forceSource}. Utilizza 'arcaplanet' o 'zooplus'`);
+  if (!storeIds.includes(options.forceSource)) {
+    logger.error(`Fonte non valida: ${options.forceSource}. Utilizza una tra: ${storeIds.join(', ')}`);
     process.exit(1);
   }
 }
@@ -38,7 +40,7 @@ async function importProductsFromJson() {
   // Controlli preliminari
   if (!jsonFilePath) {
     logger.error('Percorso del file JSON mancante.');
-    logger.info('Utilizzo: node import-products-from-json-improved.js <file.json> [--dry-run] [--force-production] [--skip-backup] [--ignore-errors] [--force-source=arcaplanet|zooplus]');
+    logger.info(`Utilizzo: node import-products-from-json-improved.js <file.json> [--dry-run] [--force-production] [--skip-backup] [--ignore-errors] [--force-source=${storeIds.join('|')}]`);
     process.exit(1);
   }
 
@@ -322,39 +324,25 @@ async function processBatch(products, options) {
     errors: 0
   };
 
-  // Usa una transazione MongoDB se non in modalità dry run
+  // Scrittura tramite saveProducts dello scheduler (schema canonico e storico prezzi)
   if (!options.dryRun) {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
-    try {
-      for (const product of products) {
-        try {
-          const result = await processProduct(product, options, session);
-          stats.processed++;
-          stats[result.action]++;
-        } catch (error) {
-          const sourceId = product.sourceId || product.id || (product.node && product.node.id) || 'unknown';
-          const name = product.name || product.title || (product.node && product.node.name) || 'Unknown Product';
-          
-          logger.error(`Errore durante l'elaborazione del prodotto: ${error.message}`, { 
-            product: { sourceId, name } 
-          });
-          stats.errors++;
-          if (!options.ignoreErrors) {
-            throw error;
-          }
+    for (const product of products) {
+      try {
+        const result = await processProduct(product, options);
+        stats.processed++;
+        stats[result.action]++;
+      } catch (error) {
+        const sourceId = product.sourceId || product.id || (product.node && product.node.id) || 'unknown';
+        const name = product.name || product.title || (product.node && product.node.name) || 'Unknown Product';
+        
+        logger.error(`Errore durante l'elaborazione del prodotto: ${error.message}`, { 
+          product: { sourceId, name } 
+        });
+        stats.errors++;
+        if (!options.ignoreErrors) {
+          throw error;
         }
       }
-
-      // Conferma le modifiche solo se non in modalità dry run
-      await session.commitTransaction();
-      session.endSession();
-    } catch (error) {
-      // Annulla tutte le modifiche in caso di errore
-      await session.abortTransaction();
-      session.endSession();
-      throw error;
     }
   } else {
     // Modalità dry run: simula l'elaborazione senza effettuare modifiche
@@ -384,7 +372,7 @@ async function processBatch(products, options) {
 /**
  * Elabora un singolo prodotto
  */
-async function processProduct(product, options, session) {
+async function processProduct(product, options) {
   // Validazione e sanitizzazione
   const validationResult = validateProductData(product, options.predominantSource);
   if (!validationResult.valid) {
@@ -397,35 +385,19 @@ async function processProduct(product, options, session) {
     return { action: 'skipped' };
   }
 
-  // Mappa il prodotto al formato del modello
+  // Mappa il prodotto al formato degli scraper e salvalo come fanno le raccolte pianificate
   const productData = mapToProductSchema(product, options.predominantSource);
+  const result = await saveProducts([productData], productData.source);
   
-  // Verifica se il prodotto esiste già
-  const query = {
-    source: productData.source,
-    sourceId: productData.sourceId
-  };
-  
-  const existingProduct = await Product.findOne(query).session(session);
-  
-  if (existingProduct) {
-    // Aggiorna prodotto esistente
-    const updatedProduct = await Product.findOneAndUpdate(
-      query,
-      { $set: productData },
-      { new: true, session }
-    );
-    
-    logger.debug(`Aggiornato prodotto: ${productData.name} (${productData.sourceId})`);
-    return { action: 'updated', product: updatedProduct };
-  } else {
-    // Crea nuovo prodotto
-    const newProduct = new Product(productData);
-    await newProduct.save({ session });
-    
-    logger.debug(`Salvato nuovo prodotto: ${productData.name} (${productData.sourceId})`);
-    return { action: 'added', product: newProduct };
+  if (result.failed > 0) {
+    throw new Error(`Salvataggio fallito per ${productData.name} (${productData.sourceId})`);
   }
+  if (result.skipped > 0) {
+    return { action: 'skipped' };
+  }
+  
+  logger.debug(`${result.saved > 0 ? 'Salvato nuovo' : 'Aggiornato'} prodotto: ${productData.name} (${productData.sourceId})`);
+  return { action: result.saved > 0 ? 'added' : 'updated' };
 }
 
 /**
@@ -577,13 +549,9 @@ function mapToProductSchema(item, predominantSource) {
     }
   }
   
-  // Se è già nel formato del modello, usa direttamente
-  if (item.source && item.sourceId && item.prices && Array.isArray(item.prices)) {
-    // Assicurati che i campi siano aggiornati
-    return {
-      ...item,
-      updatedAt: new Date()
-    };
+  // Se è già nel formato degli scraper (varianti con prezzo), usa direttamente
+  if (item.source && item.sourceId && Array.isArray(item.variants) && item.variants.some(variant => variant.variantId)) {
+    return item;
   }
   
   // Assume che sia Zooplus se non è ArcaPlanet e non è già nel formato corretto
@@ -620,18 +588,10 @@ function mapZooplusProduct(item) {
     imageUrl: imageUrl,
     brand: brand,
     category: category,
-    prices: [{
-      store: 'zooplus',
-      price: price,
-      currency: 'EUR',
-      url: productUrl,
-      lastUpdated: new Date(),
-      inStock: inStock
-    }],
+    url: productUrl,
     sku: item.sku || sourceId,
     weight: item.weight || '',
-    updatedAt: new Date(),
-    createdAt: item.createdAt || new Date()
+    variants: [buildVariant(item.sku || sourceId, item.weight || '', price, inStock)]
   };
 }
 
@@ -687,18 +647,10 @@ function mapArcaPlanetProductNested(item) {
     imageUrl: imageUrl,
     brand: brand,
     category: item.category || '',  // Potrebbe essere fornito dall'esterno
-    prices: [{
-      store: 'arcaplanet',
-      price: price,
-      currency: 'EUR',
-      url: productUrl,
-      lastUpdated: new Date(),
-      inStock: inStock
-    }],
+    url: productUrl,
     sku: node.sku || sourceId,
     weight: weight,
-    updatedAt: new Date(),
-    createdAt: new Date()
+    variants: [buildVariant(node.sku || sourceId, weight, price, inStock)]
   };
 }
 
@@ -748,18 +700,25 @@ function mapArcaPlanetProductFlat(item) {
     imageUrl: imageUrl,
     brand: brand,
     category: category,
-    prices: [{
-      store: 'arcaplanet',
-      price: price,
-      currency: 'EUR',
-      url: productUrl,
-      lastUpdated: new Date(),
-      inStock: inStock
-    }],
+    url: productUrl,
     sku: item.sku || sourceId,
     weight: item.weight || '',
-    updatedAt: new Date(),
-    createdAt: item.createdAt || new Date()
+    variants: [buildVariant(item.sku || sourceId, item.weight || '', price, inStock)]
+  };
+}
+
+/**
+ * Variante unica di un prodotto importato (formato degli scraper)
+ */
+function buildVariant(sku, weight, price, inStock) {
+  return {
+    variantId: String(sku || 'default'),
+    description: weight || '',
+    available: inStock,
+    price: {
+      current: price,
+      currency: 'EUR'
+    }
   };
 }
 
@@ -845,9 +804,8 @@ async function verifyImportIntegrity() {
   // Verifica prodotti senza prezzi
   const missingPrices = await Product.countDocuments({
     $or: [
-      { prices: { $exists: false } },
-      { prices: { $size: 0 } },
-      { 'prices.price': { $exists: false } }
+      { price: { $exists: false } },
+      { price: { $lte: 0 } }
     ]
   });
   
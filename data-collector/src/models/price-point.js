@@ -1,40 +1,56 @@
 const mongoose = require('mongoose');
+const { storeIds } = require('../../config/stores');
 
+// Schema canonico condiviso con il backend (backend/src/models/PricePoint.js)
 const pricePointSchema = new mongoose.Schema({
-  productId: {
+  product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
     required: true,
     index: true
   },
-  variantId: {
+  variant: {
+    id: String,
+    name: String
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  originalPrice: Number,
+  currency: {
     type: String,
-    required: true,
-    index: true
+    default: 'EUR'
+  },
+  discountPercentage: Number,
+  pricePerUnit: {
+    value: Number,
+    unit: String
   },
   source: {
     type: String,
     required: true,
-    enum: ['zooplus', 'arcaplanet']
+    enum: storeIds,
+    index: true
   },
-  price: {
-    amount: Number,
-    currency: {
-      type: String,
-      default: 'EUR'
-    },
-    unitPrice: String,
-    discounted: Boolean,
-    discountAmount: String
+  url: String,
+  inStock: {
+    type: Boolean,
+    default: true
   },
-  recordedAt: {
+  timestamp: {
     type: Date,
     default: Date.now,
     index: true
   }
+}, {
+  timestamps: true
 });
 
-// Indice per ricerche di serie temporali
-pricePointSchema.index({ productId: 1, variantId: 1, recordedAt: -1 });
+// Stessi indici del backend per le serie temporali
+pricePointSchema.index({ product: 1, source: 1, timestamp: -1 });
+pricePointSchema.index({ product: 1, timestamp: -1 });
+pricePointSchema.index({ product: 1, 'variant.id': 1, timestamp: -1 });
+pricePointSchema.index({ source: 1, timestamp: -1 });
 
-module.exports = mongoose.model('PricePoint', pricePointSchema);
\ No newline at end of file
+module.exports = mongoose.models.PricePoint || mongoose.model('PricePoint', pricePointSchema);
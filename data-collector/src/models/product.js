@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
+const { storeIds } = require('../../config/stores');
 
+// Schema canonico condiviso con il backend (backend/src/models/Product.js): il data-collector
+// scrive solo i campi della scheda e del prezzo attuale, il resto è calcolato dal backend
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -18,6 +21,10 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  petType: {
+    type: String,
+    trim: true
+  },
   imageUrl: {
     type: String,
     trim: true
@@ -25,68 +32,55 @@ const productSchema = new mongoose.Schema({
   source: {
     type: String,
     required: true,
-    enum: ['zooplus', 'arcaplanet'],
-    default: 'zooplus'
+    enum: storeIds
   },
   sourceId: {
     type: String,
     required: true,
     trim: true
   },
-  prices: [{
-    store: {
-      type: String,
-      required: true,
-      enum: ['zooplus', 'arcaplanet']
-    },
-    price: {
-      type: Number,
-      required: true
-    },
-    currency: {
-      type: String,
-      default: 'EUR'
-    },
-    url: {
-      type: String,
-      required: true
-    },
-    lastUpdated: {
-      type: Date,
-      default: Date.now
-    },
-    inStock: {
-      type: Boolean,
-      default: true
-    }
-  }],
   sku: {
     type: String,
     trim: true
   },
-  weight: {
+  url: String,
+  // Prezzo attuale (variante disponibile più economica)
+  price: {
+    type: Number,
+    default: 0
+  },
+  currency: {
     type: String,
-    trim: true
+    default: 'EUR'
+  },
+  availability: {
+    status: {
+      type: String,
+      enum: ['AVAILABLE', 'OUT_OF_STOCK', 'DISCONTINUED', 'POTENTIALLY_UNAVAILABLE'],
+      default: 'AVAILABLE'
+    },
+    lastChecked: {
+      type: Date,
+      default: Date.now
+    }
   },
-  createdAt: {
-    type: Date,
-    default: Date.now
+  lastPriceUpdate: Date,
+  details: {
+    weight: String,
+    variants: [String]
   },
-  updatedAt: {
-    type: Date,
-    default: Date.now
-  }
+  reviewCount: Number,
+  averageRating: Number
 }, {
   timestamps: true
 });
 
 // Indici per migliorare le performance delle query
 productSchema.index({ name: 1 });
-productSchema.index({ 'prices.store': 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ brand: 1 });
 productSchema.index({ source: 1, sourceId: 1 }, { unique: true });
 
-const Product = mongoose.model('Product', productSchema);
+const Product = mongoose.models.Product || mongoose.model('Product', productSchema);
 
-module.exports = Product;
\ No newline at end of file
+module.exports = Product;
@@ -1,21 +1,20 @@
-const BaseScraper = require('./base-scraper');
-const { arcaplanet } = require('../../config/scraping-policies');
-const axios = require('axios');
+const StoreAdapter = require('./store-adapter');
 const logger = require('../utils/logger');
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const cheerio = require('cheerio');
 const { arcaplanetClient } = require('../services/graphql-client');
+const { ReplayMissError, attachPageReplay } = require('./replay');
 
-class ArcaplanetScraper extends BaseScraper {
+class ArcaplanetScraper extends StoreAdapter {
   constructor(options = {}) {
     super(options);
     
     // Configurazione base dello scraper
     this.name = 'arcaplanet';
-    this.baseUrl = arcaplanet.baseUrl;
-    this.apiBaseUrl = arcaplanet.apiBaseUrl;
-    this.graphqlEndpoint = arcaplanet.graphqlEndpoint;
+    this.baseUrl = this.store.baseUrl;
+    this.apiBaseUrl = this.store.endpoints.apiBaseUrl;
+    this.graphqlEndpoint = this.store.endpoints.graphqlEndpoint;
     
     // Configurazione della paginazione con approccio moderato
     this.enablePagination = options.enablePagination !== undefined ? options.enablePagination : true;
@@ -274,6 +273,7 @@ class ArcaplanetScraper extends BaseScraper {
     
     // Apri una nuova pagina
     const page = await this.browser.newPage();
+    await attachPageReplay(page, this.replay);
     
     try {
       // Imposta user agent
@@ -515,33 +515,30 @@ class ArcaplanetScraper extends BaseScraper {
       while (attempt < this.retryAttempts) {
         try {
           // Esegui la richiesta all'API GraphQL
-          const response = await axios.post(
-            this.graphqlEndpoint,
-            graphqlPayload,
-            { headers, timeout: this.browserTimeout }
-          );
+          const response = await this.sendRequest({
+            method: 'post',
+            url: this.graphqlEndpoint,
+            data: graphqlPayload,
+            headers,
+            timeout: this.browserTimeout
+          });
           
           // Verifica che la risposta contenga dati validi
-          if (response.data && 
-              response.data.data && 
-              response.data.data.search && 
-              response.data.data.search.products) {
-            
-            const edges = response.data.data.search.products.edges || [];
-            const products = edges.map(edge => edge.node);
-            
-            logger.info(`API pagina ${pageNum}: trovati ${products.length} prodotti`);
-            
-            return {
-              products,
-              totalCount: response.data.data.search.products.pageInfo?.totalCount || 0,
-              pageInfo: response.data.data.search.products.pageInfo
-            };
+          const pageData = this.parseSearchResponse(response.data);
+          
+          if (pageData) {
+            logger.info(`API pagina ${pageNum}: trovati ${pageData.products.length} prodotti`);
+            return pageData;
           } else {
             logger.warn(`Risposta API per pagina ${pageNum} non contiene dati validi`);
             return { products: [], totalCount: 0 };
           }
         } catch (error) {
+          // Una fixture mancante non si risolve ritentando
+          if (error instanceof ReplayMissError) {
+            throw error;
+          }
+          
           lastError = error;
           attempt++;
           
@@ -562,6 +559,110 @@ class ArcaplanetScraper extends BaseScraper {
     }
   }
 
+  /**
+   * Estrae i prodotti da una risposta della query GraphQL ProductsQueryForPlp
+   * @param {Object} body - Corpo della risposta GraphQL
+   * @returns {Object|null} - { products, totalCount, pageInfo } oppure null se la risposta non è valida
+   */
+  parseSearchResponse(body) {
+    const searchProducts = body?.data?.search?.products;
+    
+    if (!searchProducts) {
+      return null;
+    }
+    
+    return {
+      products: (searchProducts.edges || []).map(edge => edge.node),
+      totalCount: searchProducts.pageInfo?.totalCount || 0,
+      pageInfo: searchProducts.pageInfo
+    };
+  }
+
+  /**
+   * Scarica una pagina di prodotti di una categoria (interfaccia StoreAdapter).
+   * La prima pagina viene caricata con Puppeteer per ottenere cookies e query GraphQL,
+   * le successive vengono richieste direttamente all'API.
+   * @param {string} categoryPath - Percorso della categoria
+   * @param {number} pageNumber - Numero di pagina
+   * @returns {Promise<Object>} - { items, hasMore }
+   */
+  async fetchPage(categoryPath, pageNumber) {
+    let pageData;
+    
+    if (pageNumber === 1 || !this.cookies) {
+      await this.initBrowser();
+      pageData = await this.fetchInitialPageAndDetectAPI(categoryPath);
+    } else {
+      pageData = await this.fetchPageViaAPI(categoryPath, pageNumber, (pageNumber - 1) * this.productsPerPage);
+    }
+    
+    return this.toPage(pageData, pageNumber);
+  }
+
+  /**
+   * Estrae i prodotti da una risposta GraphQL (interfaccia StoreAdapter)
+   * @param {Object} body - Corpo della risposta GraphQL
+   * @param {number} pageNumber - Numero di pagina
+   * @returns {Object} - { items, hasMore }
+   */
+  parsePage(body, pageNumber) {
+    return this.toPage(this.parseSearchResponse(body), pageNumber);
+  }
+
+  /**
+   * Converte i dati di una pagina nel formato { items, hasMore }
+   * @param {Object|null} pageData - { products, totalCount }
+   * @param {number} pageNumber - Numero di pagina
+   * @returns {Object} - { items, hasMore }
+   */
+  toPage(pageData, pageNumber) {
+    const items = pageData?.products || [];
+    
+    return {
+      items,
+      hasMore: items.length > 0 && pageNumber * this.productsPerPage < (pageData.totalCount || 0)
+    };
+  }
+
+  /**
+   * Mappa i prodotti VTEX nel formato comune degli adapter (interfaccia StoreAdapter)
+   * @param {Array} products - Array di prodotti nel formato VTEX
+   * @param {string} categoryPath - Percorso della categoria
+   * @returns {Array} - Prodotti nel formato comune
+   */
+  mapListings(products, categoryPath) {
+    return this.mapProductsFromVTEX(products, categoryPath).map(product => ({
+      source: product.source,
+      sourceId: product.sourceId,
+      name: product.name,
+      description: product.description,
+      brand: product.brand,
+      category: categoryPath,
+      url: product.url,
+      imageUrl: product.imageUrl,
+      sku: product.sku,
+      variants: [{
+        variantId: product.sku,
+        description: '',
+        price: {
+          current: product.price.current,
+          currency: product.price.currency
+        },
+        available: product.stockStatus === 'IN_STOCK',
+        discounted: product.price.discountPercentage > 0,
+        discountAmount: product.price.discountPercentage > 0 ? `-${product.price.discountPercentage}%` : ''
+      }]
+    }));
+  }
+
+  /**
+   * Chiude il browser (interfaccia StoreAdapter)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.closeBrowser();
+  }
+
   /**
    * Mappa i prodotti dal formato VTEX al formato comune dell'applicazione
    * @param {Array} products - Array di prodotti nel formato VTEX
@@ -1202,6 +1303,7 @@ class ArcaplanetScraper extends BaseScraper {
     };
     
     const page = await this.browser.newPage();
+    await attachPageReplay(page, this.replay);
     
     try {
       // Imposta user agent
@@ -1249,8 +1351,10 @@ class ArcaplanetScraper extends BaseScraper {
           }
         }
         
-        // Continua con la richiesta
-        request.continue();
+        // Continua con la richiesta (se non ha già risposto il replay delle fixture)
+        if (!request.isInterceptResolutionHandled()) {
+          request.continue();
+        }
       });
       
       // Intercetta le risposte
@@ -1380,4 +1484,6 @@ class ArcaplanetScraper extends BaseScraper {
   }
 }
 
-module.exports = ArcaplanetScraper;
\ No newline at end of file
+ArcaplanetScraper.storeId = 'arcaplanet';
+
+module.exports = ArcaplanetScraper;
@@ -1,6 +1,5 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
-const Product = require('../models/product');
 const ArcaplanetScraper = require('./arcaplanet-scraper');
 const { arcaplanetCategoryPaths } = require('../../config/categories');
 
@@ -260,71 +259,16 @@ async function scrapeArcaplanet(proxy = null, options = {}) {
 }
 
 /**
- * Salva i prodotti nel database
+ * Salva i prodotti nel database con lo schema canonico (services/scheduler)
  * @param {Array} products - Array di prodotti da salvare
  * @returns {Object} - Statistiche sui prodotti salvati, aggiornati, falliti e saltati
  */
 async function saveProducts(products) {
-  const stats = {
-    saved: 0,
-    updated: 0,
-    failed: 0,
-    skipped: 0
-  };
+  // Caricato qui: services/scheduler usa il registro degli adapter
+  const { saveProducts: saveCanonicalProducts } = require('../services/scheduler');
   
   logger.info(`Saving ${products.length} products to database...`);
-  
-  for (const product of products) {
-    try {
-      // Verifica che i campi critici siano presenti
-      if (!product.sourceId || !product.source) {
-        logger.warn(`Skipping product: Missing required fields (sourceId: ${product.sourceId}, source: ${product.source})`);
-        stats.skipped++;
-        continue;
-      }
-      
-      // Imposta sempre source a 'arcaplanet' se mancante
-      if (!product.source) {
-        product.source = 'arcaplanet';
-      }
-      
-      // Verifica se il prodotto esiste già
-      const existingProduct = await Product.findOne({
-        source: product.source,
-        sourceId: product.sourceId
-      });
-      
-      if (existingProduct) {
-        // Aggiorna prodotto esistente
-        const updatedProduct = await Product.findOneAndUpdate(
-          { source: product.source, sourceId: product.sourceId },
-          { $set: product },
-          { new: true }
-        );
-        
-        logger.debug(`Updated product: ${updatedProduct.name} (${updatedProduct.sourceId})`);
-        stats.updated++;
-      } else {
-        // Crea nuovo prodotto
-        const newProduct = new Product(product);
-        await newProduct.save();
-        
-        logger.debug(`Saved new product: ${newProduct.name} (${newProduct.sourceId})`);
-        stats.saved++;
-      }
-    } catch (error) {
-      logger.error(`Error saving product: ${error.message}`, {
-        product: {
-          name: product.name,
-          sourceId: product.sourceId,
-          source: product.source
-        },
-        error: error.message
-      });
-      stats.failed++;
-    }
-  }
-  
+  const stats = await saveCanonicalProducts(products, 'arcaplanet');
   logger.info(`Database save complete: ${stats.saved} saved, ${stats.updated} updated, ${stats.skipped} skipped, ${stats.failed} failed`);
   return stats;
 }
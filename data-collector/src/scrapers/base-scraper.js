@@ -2,6 +2,7 @@ const { promisify } = require('util');
 const sleep = promisify(setTimeout);
 const logger = require('../utils/logger');
 const axios = require('axios');
+const { ReplayStore, ReplayMissError } = require('./replay');
 
 class BaseScraper {
   constructor(options = {}) {
@@ -11,6 +12,8 @@ class BaseScraper {
     this.retryDelay = options.retryDelay || parseInt(process.env.RETRY_DELAY) || 5000;
     this.timeout = options.timeout || parseInt(process.env.REQUEST_TIMEOUT) || 30000;
     this.proxy = options.proxy || null;
+    // Registrazione/riproduzione delle richieste (vedi replay.js)
+    this.replay = options.replay || ReplayStore.fromEnv();
   }
 
   /**
@@ -61,6 +64,11 @@ class BaseScraper {
       try {
         return await fn();
       } catch (error) {
+        // Una fixture mancante non si risolve ritentando
+        if (error instanceof ReplayMissError) {
+          throw error;
+        }
+        
         retries++;
         logger.error(`Retry ${retries}/${maxRetries} a causa di: ${error.message}`);
         
@@ -82,6 +90,29 @@ class BaseScraper {
     }
   }
 
+  /**
+   * Esegue una richiesta HTTP tramite axios, registrandola o riproducendola secondo this.replay
+   * @param {Object} config - Configurazione axios (method, url, params, data, headers...)
+   * @returns {Promise<Object>} - { status, statusText, data }
+   */
+  async sendRequest(config) {
+    const request = {
+      method: config.method || 'get',
+      url: config.url,
+      params: config.params,
+      data: config.data
+    };
+    
+    return this.replay.wrap(request, async () => {
+      const response = await axios.request(config);
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        data: response.data
+      };
+    });
+  }
+
   /**
    * Esegue una richiesta HTTP GET con gestione retry
    * @param {string} url - URL della richiesta
@@ -97,7 +128,7 @@ class BaseScraper {
       });
       
       logger.debug(`GET request to ${url} with params: ${JSON.stringify(params)}`);
-      const response = await axios.get(url, config);
+      const response = await this.sendRequest({ ...config, method: 'get', url });
       
       if (response.status !== 200) {
         throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
@@ -119,7 +150,7 @@ class BaseScraper {
       const config = this.getAxiosConfig(options);
       
       logger.debug(`POST request to ${url}`);
-      const response = await axios.post(url, data, config);
+      const response = await this.sendRequest({ ...config, method: 'post', url, data });
       
       if (response.status !== 200 && response.status !== 201) {
         throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
@@ -1,12 +1,14 @@
 const ArcaplanetScraper = require('./arcaplanet-scraper');
 const ZooplusScraper = require('./zooplus-scraper');
+const StoreAdapter = require('./store-adapter');
+const { listStores, createAdapter } = require('./registry');
 const { setupProxy } = require('../proxy');
 const logger = require('../utils/logger');
 
 /**
  * Configura e avvia tutti gli scraper
  * @param {Object} queue - Le code di elaborazione
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Adapter inizializzati, per id del negozio
  */
 async function setupScrapers(queue) {
   try {
@@ -27,32 +29,27 @@ async function setupScrapers(queue) {
       usePuppeteer: true
     };
     
-    // Inizializza gli scraper
-    const arcaplanetScraper = new ArcaplanetScraper(scraperOptions);
-    const zooplusScraper = new ZooplusScraper(scraperOptions);
+    // Inizializza un adapter per ogni negozio attivo del registro
+    const adapters = {};
     
-    // Aggiungi gli scraper alle code
-    if (queue && queue.scrapingQueue) {
-      // Registra gli scraper nella coda di scraping
-      queue.scrapingQueue.process('arcaplanet', async (job) => {
-        const { category, limit } = job.data;
-        logger.info(`Esecuzione job di scraping Arcaplanet per categoria: ${category}`);
-        return await arcaplanetScraper.scrapeCategory(category, 1, limit || 100);
-      });
+    for (const store of listStores({ enabledOnly: true })) {
+      const adapter = createAdapter(store.id, scraperOptions);
+      adapters[store.id] = adapter;
       
-      queue.scrapingQueue.process('zooplus', async (job) => {
-        const { category, limit } = job.data;
-        logger.info(`Esecuzione job di scraping Zooplus per categoria: ${category}`);
-        return await zooplusScraper.scrapeCategory(category, 1, limit || 100);
-      });
+      // Registra l'adapter nella coda di scraping (un processor per negozio)
+      if (queue && queue.scrapingQueue) {
+        queue.scrapingQueue.process(store.id, async (job) => {
+          const { category, limit } = job.data;
+          logger.info(`Esecuzione job di scraping ${store.name} per categoria: ${category}`);
+          const products = await adapter.collectCategory(category);
+          return products.slice(0, limit || 100);
+        });
+      }
     }
     
     logger.info('Scraper migliorati configurati con successo');
     
-    return {
-      arcaplanetScraper,
-      zooplusScraper
-    };
+    return adapters;
   } catch (error) {
     logger.error(`Errore durante la configurazione degli scraper: ${error.message}`);
     throw error;
@@ -61,6 +58,9 @@ async function setupScrapers(queue) {
 
 module.exports = { 
   setupScrapers,
+  listStores,
+  createAdapter,
+  StoreAdapter,
   ArcaplanetScraper,
   ZooplusScraper
 };
\ No newline at end of file
@@ -0,0 +1,53 @@
+const path = require('path');
+const { stores, getStore } = require('../../config/stores');
+const StoreAdapter = require('./store-adapter');
+
+// Classi degli adapter già caricate (i moduli vengono richiesti solo quando servono)
+const adapterClasses = new Map();
+
+/**
+ * Restituisce i negozi registrati in config/stores
+ * @param {Object} options - Opzioni
+ * @param {boolean} options.enabledOnly - Solo i negozi attivi
+ * @returns {Array<Object>} - Configurazioni dei negozi
+ */
+function listStores({ enabledOnly = false } = {}) {
+  return stores.filter(store => !enabledOnly || store.enabled);
+}
+
+/**
+ * Carica la classe dell'adapter di un negozio
+ * @param {string} storeId - Identificativo del negozio
+ * @returns {Function} - Sottoclasse di StoreAdapter
+ */
+function getAdapterClass(storeId) {
+  if (!adapterClasses.has(storeId)) {
+    const store = getStore(storeId);
+    const Adapter = require(path.join(__dirname, store.adapter));
+
+    if (!(Adapter.prototype instanceof StoreAdapter)) {
+      throw new Error(`L'adapter ${store.adapter} del negozio ${storeId} non estende StoreAdapter`);
+    }
+
+    adapterClasses.set(storeId, Adapter);
+  }
+
+  return adapterClasses.get(storeId);
+}
+
+/**
+ * Crea l'adapter di un negozio
+ * @param {string} storeId - Identificativo del negozio
+ * @param {Object} options - Opzioni per lo scraper (proxy, user agent, ritardi...)
+ * @returns {StoreAdapter} - Istanza dell'adapter
+ */
+function createAdapter(storeId, options = {}) {
+  const Adapter = getAdapterClass(storeId);
+  return new Adapter({ ...options, store: getStore(storeId) });
+}
+
+module.exports = {
+  listStores,
+  getAdapterClass,
+  createAdapter
+};
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Registrazione e riproduzione delle richieste degli scraper.
+ *
+ * Modalità (opzione `mode` o variabile SCRAPER_REPLAY):
+ * - off: le richieste vanno in rete (default)
+ * - record: le richieste vanno in rete e le risposte vengono salvate come fixture
+ * - replay: le risposte vengono lette dalle fixture, nessuna richiesta di rete
+ *
+ * Le fixture sono file JSON (una richiesta per file) nella cartella indicata da `dir`
+ * o da SCRAPER_REPLAY_DIR. Il nome del file dipende da metodo, URL, parametri e corpo
+ * della richiesta; gli header (cookie, user agent) non vengono considerati.
+ */
+
+const MODES = ['off', 'record', 'replay'];
+const DEFAULT_DIR = path.join(__dirname, '../../tests/fixtures/replay/recordings');
+
+// Risorse delle pagine Puppeteer che vengono registrate (immagini, font e CSS sono esclusi)
+const PAGE_RESOURCE_TYPES = ['document', 'xhr', 'fetch', 'script'];
+
+/**
+ * Errore sollevato in modalità replay quando una richiesta non ha una fixture registrata
+ */
+class ReplayMissError extends Error {
+  constructor(request, file) {
+    super(`Nessuna fixture registrata per ${request.method} ${request.url} (${path.basename(file)})`);
+    this.name = 'ReplayMissError';
+    this.file = file;
+  }
+}
+
+/**
+ * Serializza un valore con le chiavi ordinate (chiave stabile per la stessa richiesta)
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Normalizza una richiesta: URL completo con parametri ordinati e corpo JSON decodificato
+ * @param {Object} request - { method, url, params, data }
+ * @returns {Object} - { method, url, data }
+ */
+function normalizeRequest({ method = 'GET', url, params, data }) {
+  const fullUrl = new URL(url);
+
+  Object.entries(params || {}).forEach(([key, value]) => fullUrl.searchParams.append(key, value));
+  fullUrl.searchParams.sort();
+
+  let body = data === undefined || data === '' ? null : data;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      // Corpo non JSON: viene confrontato come stringa
+    }
+  }
+
+  return { method: method.toUpperCase(), url: fullUrl.toString(), data: body };
+}
+
+class ReplayStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - off | record | replay
+   * @param {string} options.dir - Cartella delle fixture
+   */
+  constructor({ mode = 'off', dir = DEFAULT_DIR } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Modalità di replay non valida: ${mode} (valori ammessi: ${MODES.join(', ')})`);
+    }
+
+    this.mode = mode;
+    this.dir = dir;
+  }
+
+  /**
+   * Crea lo store a partire dalle variabili SCRAPER_REPLAY e SCRAPER_REPLAY_DIR
+   * @returns {ReplayStore}
+   */
+  static fromEnv() {
+    return new ReplayStore({
+      mode: process.env.SCRAPER_REPLAY || 'off',
+      dir: process.env.SCRAPER_REPLAY_DIR ? path.resolve(process.env.SCRAPER_REPLAY_DIR) : DEFAULT_DIR
+    });
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Percorso della fixture di una richiesta
+   * @param {Object} request - { method, url, params, data }
+   * @returns {string}
+   */
+  fileFor(request) {
+    const normalized = normalizeRequest(request);
+    const hash = crypto.createHash('sha1').update(stableStringify(normalized)).digest('hex').slice(0, 16);
+
+    return path.join(this.dir, `${normalized.method.toLowerCase()}-${new URL(normalized.url).hostname}-${hash}.json`);
+  }
+
+  /**
+   * Restituisce la risposta registrata per una richiesta
+   * @param {Object} request - { method, url, params, data }
+   * @returns {Object|null} - Risposta salvata oppure null
+   */
+  find(request) {
+    const file = this.fileFor(request);
+
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+  }
+
+  /**
+   * Salva la risposta di una richiesta
+   * @param {Object} request - { method, url, params, data }
+   * @param {Object} response - { status, headers, data } oppure { status, headers, body }
+   */
+  save(request, response) {
+    const file = this.fileFor(request);
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      request: normalizeRequest(request),
+      response,
+      recordedAt: new Date().toISOString()
+    }, null, 2) + '\n');
+
+    logger.debug(`Fixture registrata: ${path.basename(file)}`);
+  }
+
+  /**
+   * Esegue una richiesta secondo la modalità corrente
+   * @param {Object} request - { method, url, params, data }
+   * @param {Function} perform - Esegue la richiesta reale e restituisce { status, statusText, headers, data }
+   * @returns {Promise<Object>} - Risposta (reale o registrata)
+   */
+  async wrap(request, perform) {
+    if (this.isReplaying) {
+      const response = this.find(request);
+      if (!response) {
+        throw new ReplayMissError(normalizeRequest(request), this.fileFor(request));
+      }
+      return response;
+    }
+
+    const response = await perform();
+
+    if (this.isRecording) {
+      this.save(request, response);
+    }
+
+    return response;
+  }
+}
+
+/**
+ * Collega una pagina Puppeteer allo store:
+ * - record: salva documenti, script e chiamate XHR/fetch caricati dalla pagina
+ * - replay: risponde alle richieste con le fixture e blocca tutte le altre
+ * Da chiamare subito dopo browser.newPage(), prima di registrare altri handler sulle richieste.
+ * @param {Object} page - Pagina Puppeteer
+ * @param {ReplayStore} store - Store delle fixture
+ * @returns {Promise<void>}
+ */
+async function attachPageReplay(page, store) {
+  if (store.isRecording) {
+    page.on('response', async (response) => {
+      const request = response.request();
+
+      if (!PAGE_RESOURCE_TYPES.includes(request.resourceType()) || !/^https?:/.test(request.url())) {
+        return;
+      }
+
+      try {
+        const headers = response.headers();
+        store.save(
+          { method: request.method(), url: request.url(), data: request.postData() },
+          {
+            status: response.status(),
+            headers: { 'content-type': headers['content-type'] || 'text/plain' },
+            body: await response.text()
+          }
+        );
+      } catch (error) {
+        // Redirect e risposte senza corpo non sono registrabili
+        logger.debug(`Risposta non registrata (${request.url()}): ${error.message}`);
+      }
+    });
+  }
+
+  if (store.isReplaying) {
+    await page.setRequestInterception(true);
+
+    page.on('request', (request) => {
+      if (request.isInterceptResolutionHandled()) {
+        return;
+      }
+
+      const saved = /^https?:/.test(request.url())
+        ? store.find({ method: request.method(), url: request.url(), data: request.postData() })
+        : null;
+
+      if (!saved) {
+        logger.debug(`Replay: richiesta bloccata ${request.method()} ${request.url()}`);
+        request.abort();
+        return;
+      }
+
+      request.respond({
+        status: saved.status,
+        contentType: saved.headers['content-type'],
+        body: saved.body !== undefined ? saved.body : JSON.stringify(saved.data)
+      });
+    });
+  }
+}
+
+module.exports = {
+  ReplayStore,
+  ReplayMissError,
+  attachPageReplay
+};
@@ -0,0 +1,184 @@
+const { promisify } = require('util');
+const sleep = promisify(setTimeout);
+const BaseScraper = require('./base-scraper');
+const { defaultPolicy } = require('../../config/scraping-policies');
+const { getStore } = require('../../config/stores');
+const logger = require('../utils/logger');
+
+/**
+ * Interfaccia comune degli adapter dei negozi.
+ *
+ * Ogni negozio registrato in config/stores indica il proprio adapter, una sottoclasse di
+ * StoreAdapter che implementa:
+ * - fetchPage(category, pageNumber): scarica una pagina di risultati di una categoria
+ * - parsePage(payload, pageNumber): estrae i prodotti grezzi dalla risposta (senza rete)
+ * - mapListings(items, category): converte i prodotti grezzi nel formato comune (vedi validateListing)
+ * e opzionalmente discoverCategories() e close().
+ *
+ * Paginazione, pause tra le richieste e limiti di pagine sono gestiti da collectCategory
+ * in base alla rate policy del negozio.
+ */
+class StoreAdapter extends BaseScraper {
+  constructor(options = {}) {
+    super(options);
+
+    this.store = options.store || getStore(this.constructor.storeId);
+
+    // Le opzioni esplicite hanno la precedenza sulla policy del negozio
+    this.ratePolicy = {
+      ...defaultPolicy,
+      ...this.store.policy,
+      ...(options.minDelay ? { minDelay: options.minDelay } : {}),
+      ...(options.maxDelay ? { maxDelay: options.maxDelay } : {}),
+      ...(options.maxPages ? { maxPages: options.maxPages } : {})
+    };
+  }
+
+  /**
+   * Identificativo del negozio (usato come `source` dei prodotti)
+   * @returns {string}
+   */
+  get storeId() {
+    return this.store.id;
+  }
+
+  /**
+   * Restituisce la rate policy effettiva dell'adapter
+   * @returns {Object} - { minDelay, maxDelay, maxPages, maxConcurrent, respectRobotsTxt }
+   */
+  getRatePolicy() {
+    return this.ratePolicy;
+  }
+
+  /**
+   * Attende un intervallo casuale compreso tra minDelay e maxDelay della rate policy
+   * @returns {Promise<void>}
+   */
+  async throttle() {
+    const { minDelay, maxDelay } = this.ratePolicy;
+    const delay = minDelay + Math.random() * Math.max(maxDelay - minDelay, 0);
+
+    logger.debug(`[${this.storeId}] Pausa di ${Math.round(delay)}ms prima della prossima richiesta`);
+    await sleep(delay);
+  }
+
+  /**
+   * Restituisce le categorie da elaborare.
+   * Di default quelle configurate per il negozio; gli adapter possono scoprirle dal sito.
+   * @returns {Promise<Array<string>>} - Percorsi delle categorie
+   */
+  async discoverCategories() {
+    return [...this.store.categories];
+  }
+
+  /**
+   * Scarica una pagina di risultati di una categoria
+   * @abstract
+   * @param {string} category - Percorso della categoria
+   * @param {number} pageNumber - Numero di pagina (da 1)
+   * @returns {Promise<Object>} - { items, hasMore }
+   */
+  async fetchPage(category, pageNumber) {
+    throw new Error(`${this.constructor.name}: fetchPage non implementato`);
+  }
+
+  /**
+   * Estrae i prodotti grezzi dalla risposta di una pagina
+   * @abstract
+   * @param {Object} payload - Risposta del sito (JSON)
+   * @param {number} pageNumber - Numero di pagina (da 1)
+   * @returns {Object} - { items, hasMore }
+   */
+  parsePage(payload, pageNumber) {
+    throw new Error(`${this.constructor.name}: parsePage non implementato`);
+  }
+
+  /**
+   * Converte i prodotti grezzi del negozio nel formato comune
+   * @abstract
+   * @param {Array} items - Prodotti restituiti da fetchPage/parsePage
+   * @param {string} category - Percorso della categoria
+   * @returns {Array|Promise<Array>} - Prodotti nel formato comune
+   */
+  mapListings(items, category) {
+    throw new Error(`${this.constructor.name}: mapListings non implementato`);
+  }
+
+  /**
+   * Recupera tutti i prodotti di una categoria rispettando la rate policy
+   * @param {string} category - Percorso della categoria
+   * @returns {Promise<Array>} - Prodotti validi nel formato comune
+   */
+  async collectCategory(category) {
+    const { maxPages } = this.ratePolicy;
+    const listings = [];
+
+    for (let pageNumber = 1; pageNumber <= maxPages; pageNumber++) {
+      if (pageNumber > 1) {
+        await this.throttle();
+      }
+
+      const { items, hasMore } = await this.fetchPage(category, pageNumber);
+      logger.info(`[${this.storeId}] ${category} pagina ${pageNumber}: ${items.length} prodotti`);
+
+      listings.push(...await this.mapListings(items, category));
+
+      if (!hasMore || items.length === 0) {
+        break;
+      }
+    }
+
+    // Scarta i prodotti che non rispettano il formato comune
+    return listings.filter(listing => {
+      const errors = StoreAdapter.validateListing(listing, this.storeId);
+      if (errors.length > 0) {
+        logger.warn(`[${this.storeId}] Prodotto ${listing?.sourceId || 'sconosciuto'} scartato: ${errors.join(', ')}`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Rilascia le risorse dell'adapter (browser, sessioni...)
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Verifica che un prodotto rispetti il formato comune degli adapter:
+   * { source, sourceId, name, url, category, brand?, description?, imageUrl?,
+   *   variants: [{ variantId, description, price: { current, currency, unitPrice? }, available, discounted, discountAmount }] }
+   * @param {Object} listing - Prodotto mappato
+   * @param {string} storeId - Negozio atteso
+   * @returns {Array<string>} - Errori trovati (vuoto se valido)
+   */
+  static validateListing(listing, storeId) {
+    if (!listing || typeof listing !== 'object') {
+      return ['prodotto non valido'];
+    }
+
+    const errors = [];
+
+    if (listing.source !== storeId) errors.push(`source diverso da ${storeId}`);
+    if (!listing.sourceId) errors.push('sourceId mancante');
+    if (!listing.name) errors.push('name mancante');
+    if (!listing.category) errors.push('category mancante');
+    if (!listing.url || !/^https?:\/\//.test(listing.url)) errors.push('url non valido');
+
+    if (!Array.isArray(listing.variants) || listing.variants.length === 0) {
+      errors.push('variants mancanti');
+    } else {
+      listing.variants.forEach((variant, index) => {
+        if (!variant.variantId) errors.push(`variants[${index}].variantId mancante`);
+        if (typeof variant.price?.current !== 'number' || variant.price.current < 0) {
+          errors.push(`variants[${index}].price.current non valido`);
+        }
+      });
+    }
+
+    return errors;
+  }
+}
+
+module.exports = StoreAdapter;
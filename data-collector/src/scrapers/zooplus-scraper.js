@@ -1,13 +1,11 @@
-const BaseScraper = require('./base-scraper');
-const scrapingPolicies = require('../../config/scraping-policies');
+const StoreAdapter = require('./store-adapter');
 const logger = require('../utils/logger');
 
-class ZooplusScraper extends BaseScraper {
+class ZooplusScraper extends StoreAdapter {
   constructor(options = {}) {
     super(options);
-    const config = scrapingPolicies.zooplus;
-    this.baseUrl = config.baseUrl;
-    this.apiBaseUrl = config.apiBaseUrl || 'https://www.zooplus.it/api/discover/v1';
+    this.baseUrl = this.store.baseUrl;
+    this.apiBaseUrl = this.store.endpoints.apiBaseUrl || 'https://www.zooplus.it/api/discover/v1';
     
     // Memorizza tutte le opzioni per riferimenti futuri
     this.options = options;
@@ -199,6 +197,51 @@ class ZooplusScraper extends BaseScraper {
     return allProducts;
   }
 
+  /**
+   * Scarica una pagina di prodotti di una categoria (interfaccia StoreAdapter)
+   * @param {string} category - Il percorso della categoria
+   * @param {number} pageNumber - Numero di pagina
+   * @returns {Promise<Object>} - { items, hasMore }
+   */
+  async fetchPage(category, pageNumber) {
+    const data = await this.fetchProductsFromApi(category, pageNumber);
+    return this.parsePage(data, pageNumber);
+  }
+
+  /**
+   * Estrae i prodotti dalla risposta dell'API (interfaccia StoreAdapter)
+   * @param {Object} data - Risposta di list-faceted-partial
+   * @returns {Object} - { items, hasMore }
+   */
+  parsePage(data) {
+    const items = data?.productList?.products || [];
+
+    // L'API non indica il numero di pagine: si prosegue finché restituisce prodotti
+    return { items, hasMore: items.length > 0 };
+  }
+
+  /**
+   * Mappa i prodotti API nel formato comune degli adapter (interfaccia StoreAdapter)
+   * @param {Array} products - Array di prodotti dall'API
+   * @param {string} category - Categoria dei prodotti
+   * @returns {Array} - Prodotti nel formato comune
+   */
+  mapListings(products, category) {
+    return this.mapProductsToSchema(products, category).map((product, index) => {
+      // I prodotti non mappabili restano senza varianti e vengono scartati dalla validazione
+      if (String(product.sourceId).startsWith('zp-error-')) {
+        return product;
+      }
+
+      return {
+        ...product,
+        url: product.prices[0].url,
+        // mapProductsToSchema omette le varianti se ce n'è una sola
+        variants: product.variants || this.extractVariants(products[index])
+      };
+    });
+  }
+
   /**
    * Mappa i prodotti API al nostro schema
    * @param {Array} products - Array di prodotti dall'API
@@ -369,4 +412,6 @@ class ZooplusScraper extends BaseScraper {
   }
 }
 
-module.exports = ZooplusScraper;
\ No newline at end of file
+ZooplusScraper.storeId = 'zooplus';
+
+module.exports = ZooplusScraper;
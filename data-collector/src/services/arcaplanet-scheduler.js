@@ -177,32 +177,19 @@ async function processArcaplanetProducts(products, category) {
             brand: groupData.brand,
             images: groupData.images,
             imageUrl: groupData.images.length > 0 ? groupData.images[0] : null,
+            // Varianti nel formato degli scraper: saveProducts registra un punto prezzo per ciascuna
             variants: groupData.variants.map(v => ({
                 sku: v.sku,
                 name: v.name,
+                description: v.name,
                 available: v.available,
                 variantId: v.sku,
-                slug: v.slug
+                slug: v.slug,
+                price: v.price ? { current: v.price, currency: 'EUR' } : null,
+                discounted: v.original > v.price,
+                discountAmount: v.original > v.price ? String(v.original - v.price) : null
             })),
-            prices: groupData.variants
-                .filter(v => v.price)
-                .map(v => {
-                    const url = `https://www.arcaplanet.it/${v.slug}/p`;
-                    
-                    return {
-                        value: v.price,
-                        originalValue: v.original,
-                        date: new Date(),
-                        source: 'arcaplanet',
-                        available: v.available,
-                        store: 'arcaplanet',
-                        price: v.price,
-                        currency: 'EUR',
-                        url: url,
-                        lastUpdated: new Date(),
-                        inStock: v.available
-                    };
-                })
+            url: groupData.variants[0].slug ? `https://www.arcaplanet.it/${groupData.variants[0].slug}/p` : ''
         };
         
         // Aggiungiamo il prodotto alla lista dei prodotti elaborati
@@ -1,17 +1,15 @@
-const ZooplusScraper = require('../scrapers/zooplus-scraper');
-const ArcaplanetScraper = require('../scrapers/arcaplanet-scraper');
+const { listStores, createAdapter } = require('../scrapers/registry');
 const ProxyManager = require('../proxy/proxy-manager');
 const UserAgentRotator = require('../proxy/user-agents');
-const { zooplusCategoryPaths, arcaplanetCategoryPaths } = require('../../config/categories');
-const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const { parseUnitPrice, parseDiscount } = require('../utils/price-parsing');
 
 // Importa i modelli di MongoDB
 const Product = require('../models/product');
 const PricePoint = require('../models/price-point');
 
 /**
- * Esegue il task di scraping per tutti i siti configurati
+ * Esegue il task di scraping per tutti i negozi attivi del registro (config/stores)
  * @returns {Promise<void>}
  */
 async function runScrapingTask() {
@@ -28,38 +26,38 @@ async function runScrapingTask() {
     const scraperOptions = {
       proxyManager,
       userAgentRotator,
-      minDelay: parseInt(process.env.MIN_DELAY) || 3000,
-      maxDelay: parseInt(process.env.MAX_DELAY) || 7000,
+      // Se non impostati si usa la rate policy di ciascun negozio
+      minDelay: parseInt(process.env.MIN_DELAY) || undefined,
+      maxDelay: parseInt(process.env.MAX_DELAY) || undefined,
       respectRobotsTxt: true
     };
     
-    // Inizializza gli scraper
-    const zooplusScraper = new ZooplusScraper(scraperOptions);
-    const arcaplanetScraper = new ArcaplanetScraper(scraperOptions);
-    
-    // Esegui lo scraping per ogni categoria di Zooplus
-    for (const category of zooplusCategoryPaths) {
-      logger.info(`Scraping categoria Zooplus: ${category}`);
-      
-      try {
-        const zooplusProducts = await zooplusScraper.fetchCategoryProducts(category);
-        logger.info(`Trovati ${zooplusProducts.length} prodotti su Zooplus per la categoria ${category}`);
-        await saveProducts(zooplusProducts, 'zooplus');
-      } catch (error) {
-        logger.error(`Errore durante lo scraping di Zooplus per la categoria ${category}: ${error.message}`);
-      }
-    }
-    
-    // Esegui lo scraping per ogni categoria di Arcaplanet
-    for (const category of arcaplanetCategoryPaths) {
-      logger.info(`Scraping categoria Arcaplanet: ${category}`);
+    // Esegui lo scraping per ogni negozio attivo del registro
+    for (const store of listStores({ enabledOnly: true })) {
+      const adapter = createAdapter(store.id, scraperOptions);
       
       try {
-        const arcaplanetProducts = await arcaplanetScraper.fetchCategoryProducts(category);
-        logger.info(`Trovati ${arcaplanetProducts.length} prodotti su Arcaplanet per la categoria ${category}`);
-        await saveProducts(arcaplanetProducts, 'arcaplanet');
+        const categories = await adapter.discoverCategories();
+        logger.info(`Scraping ${store.name}: ${categories.length} categorie`);
+        
+        for (const category of categories) {
+          logger.info(`Scraping categoria ${store.name}: ${category}`);
+          
+          try {
+            const products = await adapter.collectCategory(category);
+            logger.info(`Trovati ${products.length} prodotti su ${store.name} per la categoria ${category}`);
+            await saveProducts(products, store.id);
+          } catch (error) {
+            logger.error(`Errore durante lo scraping di ${store.name} per la categoria ${category}: ${error.message}`);
+          }
+          
+          // Pausa tra le categorie secondo la rate policy del negozio
+          await adapter.throttle();
+        }
       } catch (error) {
-        logger.error(`Errore durante lo scraping di Arcaplanet per la categoria ${category}: ${error.message}`);
+        logger.error(`Errore durante lo scraping di ${store.name}: ${error.message}`);
+      } finally {
+        await adapter.close();
       }
     }
     
@@ -71,28 +69,68 @@ async function runScrapingTask() {
 }
 
 /**
- * Salva o aggiorna i prodotti nel database
+ * Punto prezzo canonico di una variante (senza il riferimento al prodotto)
+ * @param {Object} variant - Variante estratta dallo scraper
+ * @param {String} source - Id del negozio
+ * @param {String} url - URL della scheda
+ * @returns {Object|null} Punto prezzo, null se la variante non ha un prezzo valido
+ */
+function buildPricePoint(variant, source, url) {
+  const price = variant.price?.current;
+  if (typeof price !== 'number' || !(price > 0)) {
+    return null;
+  }
+  
+  const point = {
+    variant: { id: variant.variantId, name: variant.description || '' },
+    source,
+    url,
+    price,
+    currency: variant.price?.currency || 'EUR',
+    inStock: variant.available !== false
+  };
+  
+  const pricePerUnit = parseUnitPrice(variant.price?.unitPrice);
+  if (pricePerUnit) point.pricePerUnit = pricePerUnit;
+  
+  // Sconti non interpretabili vengono tralasciati
+  const discount = variant.discounted ? parseDiscount(price, variant.discountAmount) : null;
+  if (discount) Object.assign(point, discount);
+  
+  return point;
+}
+
+/**
+ * Salva o aggiorna i prodotti nel database con lo schema canonico del backend:
+ * la scheda (prezzo attuale, disponibilità, varianti in details.variants) e un punto prezzo
+ * per ogni variante il cui prezzo o disponibilità è cambiato dall'ultimo rilevamento
  * @param {Array} products - Lista di prodotti da salvare
- * @param {String} source - Fonte dei prodotti (zooplus, arcaplanet)
- * @returns {Promise<void>}
+ * @param {String} source - Fonte dei prodotti (id del negozio, es. zooplus); default product.source
+ * @returns {Promise<Object>} Statistiche: { saved, updated, skipped, failed }
  */
 async function saveProducts(products, source) {
+  const stats = { saved: 0, updated: 0, skipped: 0, failed: 0 };
+  
   for (const product of products) {
     try {
       // Verifica che il prodotto sia valido
       if (!product) {
         logger.warn(`Prodotto non valido (undefined) da ${source}`);
+        stats.skipped++;
         continue;
       }
       
+      const productSource = source || product.source;
+      
       // Verifica che il prodotto abbia un sourceId
-      if (!product.sourceId) {
-        logger.warn(`Prodotto senza sourceId da ${source}, salto`);
+      if (!product.sourceId || !productSource) {
+        logger.warn(`Prodotto senza sourceId o fonte da ${productSource}, salto`);
+        stats.skipped++;
         continue;
       }
       
       // Determina il tipo di pet dalla categoria (con fallback sicuro)
-      let petType = 'altro';
+      let petType = product.petType || 'altro';
       
       if (product.category) {
         const categoryLower = product.category.toLowerCase();
@@ -110,191 +148,105 @@ async function saveProducts(products, source) {
           petType = 'gatto';
         }
         
-        logger.warn(`Prodotto senza categoria da ${source}, determinato tipo: ${petType}`);
+        logger.warn(`Prodotto senza categoria da ${productSource}, determinato tipo: ${petType}`);
       }
       
-      // Cerca il prodotto esistente
-      const existingProduct = await Product.findOne({
-        source: source,
-        sourceId: product.sourceId
-      });
-      
       // Assicuriamoci che name e title siano definiti
       const productName = product.name || product.title || 'Prodotto senza nome';
-      const productDescription = product.description || '';
-      const productBrand = product.brand || '';
-      const productCategory = product.category || `${petType}/altro`;
-      const productImage = product.imageUrl || '';
+      const productUrl = product.url || '';
       
       // Assicuriamoci che variants sia un array
-      const productVariants = Array.isArray(product.variants) ? product.variants : [];
-      
-      if (existingProduct) {
-        // Aggiorna il prodotto esistente
-        existingProduct.name = productName;
-        existingProduct.description = productDescription;
-        existingProduct.imageUrl = productImage;
-        existingProduct.rating = product.rating || 0;
-        existingProduct.reviewCount = product.reviewCount || 0;
-        existingProduct.updatedAt = new Date();
-        
-        // Assicuriamoci che gli array existingProduct.variants e existingProduct.prices esistano
-        if (!Array.isArray(existingProduct.variants)) {
-          logger.warn(`Prodotto ${productName} da ${source} con campo variants non valido, inizializzazione array vuoto`);
-          existingProduct.variants = [];
-        }
-        
-        if (!Array.isArray(existingProduct.prices)) {
-          logger.warn(`Prodotto ${productName} da ${source} con campo prices non valido, inizializzazione array vuoto`);
-          existingProduct.prices = [];
+      const productVariants = (Array.isArray(product.variants) ? product.variants : []).filter(variant => {
+        if (!variant.variantId) {
+          logger.warn(`Variante senza ID per ${productName} da ${productSource}, salto`);
         }
-        
-        // Aggiorna varianti e prezzi
-        if (productVariants.length > 0) {
-          for (const variant of productVariants) {
-            // Verifica che la variante abbia un ID
-            if (!variant.variantId) {
-              logger.warn(`Variante senza ID per ${productName} da ${source}, salto`);
-              continue;
-            }
-            
-            // Trova la variante esistente
-            const existingVariant = existingProduct.variants.find(
-              v => v.variantId === variant.variantId
-            );
-            
-            if (existingVariant) {
-              // Aggiorna la variante esistente
-              existingVariant.description = variant.description || '';
-              existingVariant.available = variant.available !== false;
-              existingVariant.discounted = variant.discounted || false;
-              existingVariant.discountAmount = variant.discountAmount || '';
-              
-              // Verifica se il prezzo è cambiato (con controlli di sicurezza)
-              const existingPrice = existingProduct.prices.find(p => p.store === source);
-              const currentPrice = variant.price?.current || 0;
-              
-              if (existingPrice && existingPrice.price !== currentPrice) {
-                // Aggiorna il prezzo esistente
-                existingPrice.price = currentPrice;
-                existingPrice.lastUpdated = new Date();
-                existingPrice.url = product.url || '';
-                
-                // Salva lo storico del prezzo
-                await new PricePoint({
-                  productId: existingProduct._id,
-                  variantId: variant.variantId,
-                  source: source,
-                  price: {
-                    amount: currentPrice,
-                    currency: variant.price?.currency || 'EUR',
-                    unitPrice: variant.price?.unitPrice || null,
-                    discounted: variant.discounted || false,
-                    discountAmount: variant.discountAmount || ''
-                  }
-                }).save();
-                
-                logger.info(`Aggiornato prezzo per ${productName} (${variant.variantId}) da ${source}`);
-              }
-            } else {
-              // Aggiungi nuova variante
-              existingProduct.variants.push({
-                variantId: variant.variantId,
-                description: variant.description || '',
-                available: variant.available !== false,
-                discounted: variant.discounted || false,
-                discountAmount: variant.discountAmount || ''
-              });
-              
-              // Salva lo storico del prezzo per la nuova variante
-              await new PricePoint({
-                productId: existingProduct._id,
-                variantId: variant.variantId,
-                source: source,
-                price: {
-                  amount: variant.price?.current || 0,
-                  currency: variant.price?.currency || 'EUR',
-                  unitPrice: variant.price?.unitPrice || null,
-                  discounted: variant.discounted || false,
-                  discountAmount: variant.discountAmount || ''
-                }
-              }).save();
-              
-              logger.info(`Aggiunta nuova variante per ${productName} (${variant.variantId}) da ${source}`);
-            }
+        return variant.variantId;
+      });
+      
+      if (productVariants.length === 0) {
+        logger.warn(`Prodotto ${productName} da ${productSource} senza varianti`);
+      }
+      
+      const points = productVariants
+        .map(variant => buildPricePoint(variant, productSource, productUrl))
+        .filter(Boolean);
+      
+      // Prezzo attuale: variante disponibile più economica, altrimenti la più economica
+      const sorted = [...points].sort((a, b) => a.price - b.price);
+      const current = sorted.find(point => point.inStock) || sorted[0];
+      const now = new Date();
+      
+      const $set = {
+        name: productName,
+        description: product.description || '',
+        imageUrl: product.imageUrl || '',
+        url: productUrl,
+        averageRating: product.rating || 0,
+        reviewCount: product.reviewCount || 0,
+        'details.variants': productVariants.map(variant => variant.description || variant.variantId),
+        'availability.lastChecked': now
+      };
+      
+      if (product.weight) $set['details.weight'] = product.weight;
+      
+      if (current) {
+        $set.price = current.price;
+        $set.currency = current.currency;
+        $set['availability.status'] = points.some(point => point.inStock) ? 'AVAILABLE' : 'OUT_OF_STOCK';
+      }
+      
+      const result = await Product.findOneAndUpdate(
+        { source: productSource, sourceId: product.sourceId },
+        {
+          $set,
+          // Brand e categoria non vengono sovrascritti dagli aggiornamenti
+          $setOnInsert: {
+            brand: product.brand || '',
+            category: product.category || `${petType}/altro`,
+            petType
           }
-        } else {
-          logger.warn(`Prodotto ${productName} da ${source} senza varianti`);
-        }
-        
-        await existingProduct.save();
-        logger.info(`Aggiornato prodotto esistente: ${productName} da ${source}`);
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true, includeResultMetadata: true }
+      );
+      const saved = result.value;
+      if (result.lastErrorObject && result.lastErrorObject.updatedExisting) {
+        stats.updated++;
       } else {
-        // Se non ci sono varianti, creiamo una variante di default
-        const defaultVariants = productVariants.length > 0 ? productVariants : [{
-          variantId: `default-${Date.now()}`,
-          description: '',
-          price: { current: 0, currency: 'EUR' },
-          available: true
-        }];
-        
-        // Crea un nuovo prodotto
-        const newProduct = new Product({
-          name: productName,
-          description: productDescription,
-          brand: productBrand,
-          category: productCategory,
-          imageUrl: productImage,
-          source: source,
-          sourceId: product.sourceId,
-          petType: petType,
-          rating: product.rating || 0,
-          reviewCount: product.reviewCount || 0,
-          prices: [{
-            store: source,
-            price: defaultVariants[0].price?.current || 0,
-            currency: defaultVariants[0].price?.currency || 'EUR',
-            url: product.url || '',
-            lastUpdated: new Date(),
-            inStock: defaultVariants[0].available !== false
-          }],
-          variants: defaultVariants.map(variant => ({
-            variantId: variant.variantId,
-            description: variant.description || '',
-            available: variant.available !== false,
-            discounted: variant.discounted || false,
-            discountAmount: variant.discountAmount || ''
-          }))
-        });
-        
-        await newProduct.save();
+        stats.saved++;
+      }
+      
+      // Storico: un punto per variante solo se prezzo o disponibilità sono cambiati
+      let written = 0;
+      for (const point of points) {
+        const last = await PricePoint.findOne({ product: saved._id, 'variant.id': point.variant.id })
+          .sort({ timestamp: -1 })
+          .select('price inStock')
+          .lean();
         
-        // Salva lo storico dei prezzi per tutte le varianti
-        for (const variant of defaultVariants) {
-          await new PricePoint({
-            productId: newProduct._id,
-            variantId: variant.variantId,
-            source: source,
-            price: {
-              amount: variant.price?.current || 0,
-              currency: variant.price?.currency || 'EUR',
-              unitPrice: variant.price?.unitPrice || null,
-              discounted: variant.discounted || false,
-              discountAmount: variant.discountAmount || ''
-            }
-          }).save();
+        if (last && last.price === point.price && last.inStock === point.inStock) {
+          continue;
         }
         
-        logger.info(`Creato nuovo prodotto: ${productName} da ${source}`);
+        await new PricePoint({ ...point, product: saved._id, timestamp: now }).save();
+        written++;
+      }
+      
+      if (written > 0) {
+        await Product.updateOne({ _id: saved._id }, { $set: { lastPriceUpdate: now } });
       }
+      
+      logger.info(`Salvato prodotto ${productName} da ${productSource}: ${written} nuovi prezzi`);
     } catch (error) {
       const productTitle = product?.title || product?.name || 'sconosciuto';
       logger.error(`Errore durante il salvataggio del prodotto ${productTitle}: ${error.message}`);
       if (error.stack) {
         logger.debug(`Stack trace: ${error.stack}`);
       }
+      stats.failed++;
     }
   }
+  
+  return stats;
 }
 
 module.exports = { runScrapingTask, saveProducts };
\ No newline at end of file
@@ -46,8 +46,8 @@ async function cleanupArcaplanetProducts() {
         const noVariantsProducts = await db.Product.find({
             source: 'arcaplanet',
             $or: [
-                { variants: { $size: 0 } },
-                { variants: { $exists: false } }
+                { 'details.variants': { $size: 0 } },
+                { 'details.variants': { $exists: false } }
             ]
         });
         
@@ -0,0 +1,55 @@
+/**
+ * Conversione dei prezzi estratti dagli scraper (testi) nei campi numerici dello schema canonico.
+ * Stesse regole della migrazione del backend (backend/src/db/migrations/canonicalSchema.js).
+ */
+
+/**
+ * Estrae valore e unità da un prezzo unitario (es. "12,50 €/kg")
+ * @param {string} unitPrice
+ * @returns {Object|null} { value, unit }
+ */
+function parseUnitPrice(unitPrice) {
+  if (!unitPrice || typeof unitPrice !== 'string') return null;
+
+  const match = unitPrice.match(/(\d+(?:[.,]\d+)?)\s*€?\s*\/\s*(kg|g|l|ml|pz)/i);
+  if (!match) return null;
+
+  return {
+    value: parseFloat(match[1].replace(',', '.')),
+    unit: `EUR/${match[2].toLowerCase()}`
+  };
+}
+
+/**
+ * Prezzo pieno e percentuale di sconto da uno sconto testuale: una percentuale ("-15%")
+ * o un importo ("-3,50 €", "3.5")
+ * @param {number} amount - Prezzo scontato
+ * @param {string|number} discountAmount
+ * @returns {Object|null} { originalPrice, discountPercentage }, null se lo sconto non è interpretabile
+ */
+function parseDiscount(amount, discountAmount) {
+  if (typeof amount !== 'number' || amount <= 0 || discountAmount === null || discountAmount === undefined) return null;
+
+  const text = String(discountAmount);
+  const match = text.match(/(\d+(?:[.,]\d+)?)/);
+  if (!match) return null;
+
+  const value = parseFloat(match[1].replace(',', '.'));
+  if (!(value > 0)) return null;
+
+  let originalPrice;
+  if (text.includes('%')) {
+    if (value >= 100) return null;
+    originalPrice = amount / (1 - value / 100);
+  } else {
+    originalPrice = amount + value;
+  }
+
+  originalPrice = Math.round(originalPrice * 100) / 100;
+  return {
+    originalPrice,
+    discountPercentage: Math.round(((originalPrice - amount) / originalPrice) * 1000) / 10
+  };
+}
+
+module.exports = { parseUnitPrice, parseDiscount };
@@ -0,0 +1,69 @@
+/**
+ * Scenari di regressione degli scraper eseguiti con le richieste registrate (vedi src/scrapers/replay.js)
+ *
+ * Ogni scenario crea lo scraper del negozio, esegue le stesse chiamate dello scraping reale
+ * e restituisce i prodotti mappati, che vengono confrontati con lo snapshot salvato.
+ * Le fixture di ogni scenario sono in tests/fixtures/replay/<id>/ (requests/ e snapshot.json).
+ */
+
+// Query GraphQL catturata dal sito (data/arcaplanet_api_data_2025-03-22T14-45-47.732Z.json)
+const ARCAPLANET_PLP_QUERY = {
+  operationName: 'ProductsQueryForPlp',
+  variables: {
+    first: 20,
+    after: '0',
+    sort: 'orders_desc',
+    term: '',
+    selectedFacets: [
+      { key: 'category-1', value: 'gatto' },
+      { key: 'category-2', value: 'cibo-umido' },
+      { key: 'channel', value: '{"salesChannel":"1","regionId":""}' },
+      { key: 'locale', value: 'it-IT' }
+    ]
+  }
+};
+
+module.exports = [
+  {
+    id: 'zooplus-antiparassitari-cani',
+    store: 'zooplus',
+    description: 'Zooplus: prima pagina di /shop/cani/antiparassitari_cani (API list-faceted-partial) → mapProductsToSchema',
+    async run(scraper) {
+      const category = '/shop/cani/antiparassitari_cani';
+      const data = await scraper.fetchProductsFromApi(category, 1);
+      return scraper.mapProductsToSchema(data ? data.productList.products : [], category);
+    }
+  },
+  {
+    id: 'arcaplanet-gatto-cibo-umido-api',
+    store: 'arcaplanet',
+    description: 'Arcaplanet: pagina 2 di gatto/cibo-umido (API GraphQL) → mapProductsFromVTEX',
+    async run(scraper) {
+      const category = 'gatto/cibo-umido';
+
+      // Sessione ricostruita dalla query catturata, senza passare dal browser
+      scraper.cookies = [];
+      scraper.lastGraphQLRequest = ARCAPLANET_PLP_QUERY;
+
+      const data = await scraper.fetchPageViaAPI(category, 2, 20);
+      return scraper.mapProductsFromVTEX(data.products, category);
+    }
+  },
+  {
+    id: 'arcaplanet-gatto-cibo-umido-page',
+    store: 'arcaplanet',
+    browser: true,
+    description: 'Arcaplanet: caricamento con Puppeteer della pagina gatto/cibo-umido → mapProductsFromVTEX',
+    async run(scraper) {
+      const category = 'gatto/cibo-umido';
+
+      await scraper.initBrowser();
+      try {
+        const data = await scraper.fetchInitialPageAndDetectAPI(category);
+        return scraper.mapProductsFromVTEX(data.products, category);
+      } finally {
+        await scraper.closeBrowser();
+      }
+    }
+  }
+];
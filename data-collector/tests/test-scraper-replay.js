@@ -0,0 +1,124 @@
+/**
+ * Test di regressione offline degli scraper (record/replay)
+ *
+ * Utilizzo:
+ *   node tests/test-scraper-replay.js [idScenario...]                    # replay: nessuna richiesta di rete
+ *   node tests/test-scraper-replay.js --record [idScenario...]           # riregistra fixture e snapshot dal sito
+ *   node tests/test-scraper-replay.js --update-snapshots [idScenario...] # aggiorna gli snapshot dalle fixture
+ *
+ * Gli scenari sono definiti in tests/replay-scenarios.js. In replay uno scenario senza fixture
+ * o senza snapshot fallisce: va registrato con --record prima di aggiungerlo.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ReplayStore } = require('../src/scrapers/replay');
+const { createAdapter } = require('../src/scrapers/registry');
+const scenarios = require('./replay-scenarios');
+const logger = require('../src/utils/logger');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'replay');
+
+const args = process.argv.slice(2);
+const record = args.includes('--record');
+const updateSnapshots = args.includes('--update-snapshots');
+const selectedIds = args.filter(arg => !arg.startsWith('--'));
+
+/**
+ * Converte i prodotti mappati in JSON confrontabile (le date di elaborazione cambiano a ogni esecuzione)
+ * @param {*} value
+ * @returns {*}
+ */
+function normalize(value) {
+  return JSON.parse(JSON.stringify(value, function (key, item) {
+    return this[key] instanceof Date ? '<date>' : item;
+  }));
+}
+
+/**
+ * Differenze tra snapshot e risultato corrente
+ * @returns {Array<string>}
+ */
+function diffValues(expected, actual, fieldPath = '') {
+  if (expected && actual && typeof expected === 'object' && typeof actual === 'object') {
+    const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+    return keys.flatMap(key => diffValues(expected[key], actual[key], `${fieldPath}${Array.isArray(expected) ? `[${key}]` : `.${key}`}`));
+  }
+
+  return JSON.stringify(expected) === JSON.stringify(actual)
+    ? []
+    : [`${fieldPath || '(radice)'}: atteso ${JSON.stringify(expected)}, trovato ${JSON.stringify(actual)}`];
+}
+
+/**
+ * Esegue uno scenario e lo confronta con lo snapshot (o lo aggiorna)
+ * @param {Object} scenario
+ * @returns {Promise<string>} - ok | updated | failed
+ */
+async function runScenario(scenario) {
+  const scenarioDir = path.join(FIXTURES_DIR, scenario.id);
+  const requestsDir = path.join(scenarioDir, 'requests');
+  const snapshotFile = path.join(scenarioDir, 'snapshot.json');
+
+  if (record) {
+    // Le vecchie registrazioni vengono sostituite
+    fs.rmSync(requestsDir, { recursive: true, force: true });
+  } else if (!fs.existsSync(requestsDir)) {
+    logger.error(`[${scenario.id}] FALLITO: nessuna fixture registrata (eseguire npm run replay:record -- ${scenario.id})`);
+    return 'failed';
+  } else if (!updateSnapshots && !fs.existsSync(snapshotFile)) {
+    logger.error(`[${scenario.id}] FALLITO: snapshot mancante (eseguire npm run test:replay -- --update-snapshots ${scenario.id})`);
+    return 'failed';
+  }
+
+  const replay = new ReplayStore({ mode: record ? 'record' : 'replay', dir: requestsDir });
+  const scraper = createAdapter(scenario.store, {
+    replay,
+    retryAttempts: 1,
+    // In replay le pause etiche non servono
+    ...(replay.isReplaying ? { requestDelay: 1, retryDelay: 1 } : {})
+  });
+
+  const products = normalize(await scenario.run(scraper));
+
+  if (record || updateSnapshots) {
+    fs.writeFileSync(snapshotFile, JSON.stringify(products, null, 2) + '\n');
+    logger.info(`[${scenario.id}] Snapshot aggiornato: ${products.length} prodotti`);
+    return 'updated';
+  }
+
+  const differences = diffValues(JSON.parse(fs.readFileSync(snapshotFile, 'utf8')), products);
+
+  if (differences.length > 0) {
+    logger.error(`[${scenario.id}] FALLITO (${differences.length} differenze):\n  - ${differences.slice(0, 20).join('\n  - ')}`);
+    return 'failed';
+  }
+
+  logger.info(`[${scenario.id}] OK (${products.length} prodotti)`);
+  return 'ok';
+}
+
+async function main() {
+  const selected = scenarios.filter(scenario => selectedIds.length === 0 || selectedIds.includes(scenario.id));
+  const results = { ok: 0, updated: 0, failed: 0 };
+
+  if (selected.length === 0) {
+    logger.error(`Nessuno scenario trovato: ${selectedIds.join(', ')}`);
+    process.exit(1);
+  }
+
+  for (const scenario of selected) {
+    logger.info(`[${scenario.id}] ${scenario.description}`);
+
+    try {
+      results[await runScenario(scenario)]++;
+    } catch (error) {
+      results.failed++;
+      logger.error(`[${scenario.id}] ERRORE: ${error.message}`);
+    }
+  }
+
+  logger.info(`Scenari: ${results.ok} ok, ${results.updated} aggiornati, ${results.failed} falliti`);
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,127 @@
+/**
+ * Test degli adapter dei negozi basato su fixture (nessuna richiesta di rete)
+ *
+ * Per ogni negozio registrato in config/stores carica le fixture in tests/fixtures/stores/<id>/*.json:
+ * {
+ *   "description": "...",
+ *   "category": "percorso della categoria",
+ *   "page": 1,
+ *   "payload": { ...risposta del sito... },
+ *   "expected": { "hasMore": true, "count": 2, "listings": [ { ...campi attesi... } ] }
+ * }
+ * e verifica che parsePage e mapListings producano prodotti validi nel formato comune
+ * e contenenti i campi attesi (confronto parziale, nello stesso ordine).
+ *
+ * Utilizzo: node tests/test-store-adapters.js [idNegozio]
+ */
+const fs = require('fs');
+const path = require('path');
+const { listStores, createAdapter } = require('../src/scrapers/registry');
+const StoreAdapter = require('../src/scrapers/store-adapter');
+const logger = require('../src/utils/logger');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stores');
+
+/**
+ * Confronta ricorsivamente i campi attesi con quelli effettivi
+ * @param {*} expected - Valore atteso (solo i campi indicati vengono verificati)
+ * @param {*} actual - Valore effettivo
+ * @param {string} fieldPath - Percorso del campo (per i messaggi di errore)
+ * @returns {Array<string>} - Differenze trovate
+ */
+function diffPartial(expected, actual, fieldPath) {
+  if (expected !== null && typeof expected === 'object') {
+    if (actual === null || typeof actual !== 'object') {
+      return [`${fieldPath}: atteso un oggetto, trovato ${JSON.stringify(actual)}`];
+    }
+    return Object.keys(expected).flatMap(key =>
+      diffPartial(expected[key], actual[key], Array.isArray(expected) ? `${fieldPath}[${key}]` : `${fieldPath}.${key}`));
+  }
+
+  return expected === actual
+    ? []
+    : [`${fieldPath}: atteso ${JSON.stringify(expected)}, trovato ${JSON.stringify(actual)}`];
+}
+
+/**
+ * Esegue una fixture con l'adapter del negozio
+ * @param {StoreAdapter} adapter - Adapter da verificare
+ * @param {Object} fixture - Contenuto della fixture
+ * @returns {Promise<Array<string>>} - Errori trovati
+ */
+async function runFixture(adapter, fixture) {
+  const { items, hasMore } = adapter.parsePage(fixture.payload, fixture.page || 1);
+  const listings = await adapter.mapListings(items, fixture.category);
+  const { expected } = fixture;
+  const errors = [];
+
+  if (expected.hasMore !== undefined && expected.hasMore !== hasMore) {
+    errors.push(`hasMore: atteso ${expected.hasMore}, trovato ${hasMore}`);
+  }
+  if (expected.count !== undefined && expected.count !== listings.length) {
+    errors.push(`numero prodotti: atteso ${expected.count}, trovato ${listings.length}`);
+  }
+
+  listings.forEach((listing, index) => {
+    StoreAdapter.validateListing(listing, adapter.storeId)
+      .forEach(error => errors.push(`listings[${index}]: ${error}`));
+  });
+
+  errors.push(...diffPartial(expected.listings || [], listings, 'listings'));
+
+  return errors;
+}
+
+async function main() {
+  const onlyStore = process.argv[2];
+  const stores = listStores().filter(store => !onlyStore || store.id === onlyStore);
+  let failures = 0;
+  let executed = 0;
+
+  if (stores.length === 0) {
+    logger.error(`Negozio non registrato: ${onlyStore}`);
+    process.exit(1);
+  }
+
+  for (const store of stores) {
+    const storeDir = path.join(FIXTURES_DIR, store.id);
+    const files = fs.existsSync(storeDir)
+      ? fs.readdirSync(storeDir).filter(file => file.endsWith('.json')).sort()
+      : [];
+
+    // Ogni adapter deve essere accompagnato da almeno una fixture
+    if (files.length === 0) {
+      logger.error(`[${store.id}] Nessuna fixture in ${path.relative(process.cwd(), storeDir)}`);
+      failures++;
+      continue;
+    }
+
+    const adapter = createAdapter(store.id);
+
+    for (const file of files) {
+      const fixture = JSON.parse(fs.readFileSync(path.join(storeDir, file), 'utf8'));
+      executed++;
+
+      try {
+        const errors = await runFixture(adapter, fixture);
+
+        if (errors.length === 0) {
+          logger.info(`[${store.id}] OK ${file}`);
+        } else {
+          failures++;
+          logger.error(`[${store.id}] FALLITO ${file}:\n  - ${errors.join('\n  - ')}`);
+        }
+      } catch (error) {
+        failures++;
+        logger.error(`[${store.id}] ERRORE ${file}: ${error.message}`);
+      }
+    }
+
+    await adapter.close();
+  }
+
+  logger.info(`Fixture eseguite: ${executed}, fallite: ${failures}`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
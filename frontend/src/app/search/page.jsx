@@ -2,71 +2,107 @@
 
 import React, { useState, useEffect } from 'react';
 import { useSearchParams } from 'next/navigation';
-import { compareService } from '@/services/api';
+import { productService } from '@/services/api';
 import ProductCard from '@/components/product/ProductCard';
+import SearchSuggestions from '@/components/product/SearchSuggestions';
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from "@/components/ui/accordion";
-import { Checkbox } from "@/components/ui/checkbox";
 import { Label } from "@/components/ui/label";
-import { Slider } from "@/components/ui/slider";
 import { Card, CardContent } from "@/components/ui/card";
 import { Search, Filter, Loader2, SlidersHorizontal, X } from 'lucide-react';
 
+const PAGE_SIZE = 24;
+
+const STORE_NAMES = {
+  zooplus: 'Zooplus',
+  arcaplanet: 'Arcaplanet'
+};
+
+const AVAILABILITY_LABELS = {
+  AVAILABLE: 'Disponibile',
+  OUT_OF_STOCK: 'Esaurito',
+  DISCONTINUED: 'Fuori produzione',
+  POTENTIALLY_UNAVAILABLE: 'Disponibilità incerta'
+};
+
+// Faccette restituite da /products/search, nell'ordine della barra dei filtri
+const FACET_SECTIONS = [
+  { key: 'store', title: 'Rivenditori', format: (value) => STORE_NAMES[value] || value },
+  { key: 'brand', title: 'Marche' },
+  { key: 'price', title: 'Fascia di Prezzo' },
+  { key: 'unitPrice', title: 'Prezzo al kg' },
+  { key: 'weight', title: 'Peso della confezione' },
+  { key: 'availability', title: 'Disponibilità', format: (value) => AVAILABILITY_LABELS[value] || value }
+];
+
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Rilevanza', requiresQuery: true },
+  { value: 'unitPrice', label: 'Prezzo al kg: Dal più basso' },
+  { value: 'price', label: 'Prezzo: Dal più basso' },
+  { value: '-price', label: 'Prezzo: Dal più alto' },
+  { value: '-updatedAt', label: 'Più recenti' }
+];
+
+const EMPTY_FILTERS = FACET_SECTIONS.reduce((filters, section) => ({ ...filters, [section.key]: [] }), {});
+
+// Adatta un risultato della ricerca al formato di ProductCard
+const toCardProduct = (item) => ({
+  ...item,
+  id: item._id,
+  title: item.name,
+  variants: [{ currentPrice: { amount: item.price } }]
+});
+
 export default function SearchPage() {
   const searchParams = useSearchParams();
+  const query = searchParams.get('query') || '';
   const [results, setResults] = useState([]);
+  const [facets, setFacets] = useState({});
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [searchTerm, setSearchTerm] = useState(searchParams.get('query') || '');
+  const [searchTerm, setSearchTerm] = useState(query);
   const [petType, setPetType] = useState(searchParams.get('petType') || '');
   const [category, setCategory] = useState(searchParams.get('category') || '');
   const [showFilters, setShowFilters] = useState(false);
-  const [sortBy, setSortBy] = useState('price_asc');
-  const [priceRange, setPriceRange] = useState([0, 100]);
-  const [brands, setBrands] = useState([]);
-  const [selectedBrands, setSelectedBrands] = useState([]);
-  const [sources, setSources] = useState([
-    { id: 'zooplus', name: 'Zooplus', checked: true },
-    { id: 'arcaplanet', name: 'Arcaplanet', checked: true }
-  ]);
-  
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [sortBy, setSortBy] = useState(query ? 'relevance' : 'unitPrice');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+
+  // Una nuova ricerca riparte dalla prima pagina senza filtri
+  useEffect(() => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setSortBy(searchParams.get('query') ? 'relevance' : 'unitPrice');
+  }, [searchParams]);
+
   useEffect(() => {
     const fetchResults = async () => {
       setLoading(true);
+      setError(null);
       try {
-        const query = searchParams.get('query');
-        const category = searchParams.get('category');
-        const petType = searchParams.get('petType');
-        
-        if (!query && !category) {
-          setResults([]);
-          setLoading(false);
-          return;
-        }
-        
         const params = {
-          query: query || undefined,
-          category: category || undefined,
-          petType: petType || undefined
+          q: searchParams.get('query') || undefined,
+          category: searchParams.get('category') || undefined,
+          petType: searchParams.get('petType') || undefined,
+          sort: sortBy,
+          page,
+          limit: PAGE_SIZE
         };
-        
-        const data = await compareService.searchAndCompare(params);
-        setResults(data.matches || []);
-        
-        // Extract unique brands from results
-        if (data.matches && data.matches.length > 0) {
-          const uniqueBrands = [...new Set(data.matches.flatMap(match => 
-            match.products.filter(item => item.brand).map(item => item.brand)
-          ))].sort();
-          
-          setBrands(uniqueBrands.map(brand => ({
-            id: brand,
-            name: brand,
-            checked: false
-          })));
-        }
+
+        Object.entries(filters).forEach(([key, values]) => {
+          if (values.length > 0) params[key] = values;
+        });
+
+        const data = await productService.searchCatalog(params);
+        setResults((data.data || []).map(toCardProduct));
+        setFacets(data.facets || {});
+        setTotal(data.total || 0);
+        setTotalPages(data.totalPages || 0);
       } catch (err) {
         console.error('Error fetching results:', err);
         setError('Si è verificato un errore durante la ricerca. Riprova più tardi.');
@@ -74,10 +110,10 @@ export default function SearchPage() {
         setLoading(false);
       }
     };
-    
+
     fetchResults();
-  }, [searchParams]);
-  
+  }, [searchParams, filters, sortBy, page]);
+
   const handleSearch = () => {
     // Redirect to the same page with updated query params
     const params = new URLSearchParams();
@@ -86,95 +122,46 @@ export default function SearchPage() {
     if (category) params.set('category', category);
     window.location.href = `/search?${params.toString()}`;
   };
-  
-  const toggleBrand = (brandId) => {
-    setSelectedBrands(prev => 
-      prev.includes(brandId)
-        ? prev.filter(id => id !== brandId)
-        : [...prev, brandId]
-    );
-  };
-  
-  const toggleSource = (sourceId) => {
-    setSources(prev => prev.map(source => 
-      source.id === sourceId 
-        ? { ...source, checked: !source.checked }
-        : source
-    ));
-  };
-  
-  const resetFilters = () => {
-    setSelectedBrands([]);
-    setPriceRange([0, 100]);
-    setSources(sources.map(source => ({ ...source, checked: true })));
+
+  // Marca: ricerca per nome; categoria: elenco della categoria; prodotto: pagina di dettaglio
+  const handleSuggestionSelect = (suggestion) => {
+    setShowSuggestions(false);
+    if (suggestion.type === 'product') {
+      window.location.href = `/product/${suggestion.id}`;
+    } else if (suggestion.type === 'category') {
+      window.location.href = `/search?category=${encodeURIComponent(suggestion.text)}`;
+    } else {
+      window.location.href = `/search?query=${encodeURIComponent(suggestion.text)}`;
+    }
   };
-  
-  // Flatten and filter the results structure
-  const getAllProducts = () => {
-    if (!results || results.length === 0) return [];
-    return results.flatMap(match => match.products);
+
+  const toggleFilter = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value)
+        ? prev[key].filter(item => item !== value)
+        : [...prev[key], value]
+    }));
+    setPage(1);
   };
-  
-  const applyFilters = (items) => {
-    if (!items || items.length === 0) return [];
-    
-    return items.filter(item => {
-      // Filter by price
-      const itemPrice = item.variants && item.variants.length > 0
-        ? Math.min(...item.variants.map(v => v.price || Infinity))
-        : (item.price?.current || 0);
-      
-      const minPrice = priceRange[0];
-      const maxPrice = priceRange[1];
-      const priceMatch = itemPrice >= minPrice && itemPrice <= maxPrice;
-      
-      // Filter by brand
-      const brandMatch = selectedBrands.length === 0 || 
-        (item.brand && selectedBrands.includes(item.brand));
-      
-      // Filter by source
-      const checkedSources = sources.filter(s => s.checked).map(s => s.id);
-      const sourceMatch = checkedSources.includes(item.source);
-      
-      return priceMatch && brandMatch && sourceMatch;
-    });
+
+  const changeSort = (value) => {
+    setSortBy(value);
+    setPage(1);
   };
-  
-  const sortItems = (items) => {
-    if (!items || items.length === 0) return [];
-    
-    return [...items].sort((a, b) => {
-      const priceA = a.variants && a.variants.length > 0
-        ? Math.min(...a.variants.map(v => v.price || Infinity))
-        : (a.price?.current || 0);
-      
-      const priceB = b.variants && b.variants.length > 0
-        ? Math.min(...b.variants.map(v => v.price || Infinity))
-        : (b.price?.current || 0);
-      
-      switch (sortBy) {
-        case 'price_asc':
-          return priceA - priceB;
-        case 'price_desc':
-          return priceB - priceA;
-        case 'rating':
-          return (b.rating || 0) - (a.rating || 0);
-        case 'reviews':
-          return (b.reviewCount || 0) - (a.reviewCount || 0);
-        default:
-          return 0;
-      }
-    });
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
   };
-  
-  const allProducts = getAllProducts();
-  const filteredResults = sortItems(applyFilters(allProducts));
-  
+
+  const sortOptions = SORT_OPTIONS.filter(option => !option.requiresQuery || query);
+
   const getTitle = () => {
-    if (searchParams.get('query')) {
-      return `Risultati per: "${searchParams.get('query')}"`;
+    if (query) {
+      return `Risultati per: "${query}"`;
     } else if (category) {
-      const categoryName = category.replace(/_/g, ' ').replace(/\w\S*/g, 
+      const categoryName = category.replace(/_/g, ' ').replace(/\w\S*/g,
         txt => txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase()
       );
       return categoryName;
@@ -182,27 +169,55 @@ export default function SearchPage() {
       return 'Tutti i prodotti';
     }
   };
-  
+
+  const renderSortSelect = (props) => (
+    <Select value={sortBy} onValueChange={changeSort}>
+      <SelectTrigger {...props}>
+        {props.id ? null : <SlidersHorizontal className="h-4 w-4 mr-2" />}
+        <SelectValue placeholder="Ordina per" />
+      </SelectTrigger>
+      <SelectContent>
+        {sortOptions.map(option => (
+          <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
   return (
     <main className="container mx-auto px-4 py-8">
       <div className="mb-8">
         <h1 className="text-3xl font-bold mb-4">{getTitle()}</h1>
         <div className="flex flex-wrap gap-2 mb-4">
-          <div className="flex-grow max-w-lg">
-            <Input 
-              type="text" 
-              placeholder="Cerca prodotti..." 
-              value={searchTerm} 
-              onChange={(e) => setSearchTerm(e.target.value)}
-              onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
+          <div className="relative flex-grow max-w-lg">
+            <Input
+              type="text"
+              placeholder="Cerca prodotti..."
+              value={searchTerm}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setShowSuggestions(true);
+              }}
+              onFocus={() => setShowSuggestions(true)}
+              onBlur={() => setShowSuggestions(false)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleSearch();
+                if (e.key === 'Escape') setShowSuggestions(false);
+              }}
+              autoComplete="off"
+            />
+            <SearchSuggestions
+              query={searchTerm}
+              open={showSuggestions}
+              onSelect={handleSuggestionSelect}
             />
           </div>
           <Button onClick={handleSearch}>
             <Search className="h-4 w-4 mr-2" />
             Cerca
           </Button>
-          <Button 
-            variant="outline" 
+          <Button
+            variant="outline"
             onClick={() => setShowFilters(!showFilters)}
           >
             <Filter className="h-4 w-4 mr-2" />
@@ -210,7 +225,7 @@ export default function SearchPage() {
           </Button>
         </div>
       </div>
-      
+
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
         {/* Sidebar Filters */}
         <div className={`${showFilters ? 'block' : 'hidden'} md:block`}>
@@ -227,7 +242,7 @@ export default function SearchPage() {
                   </Button>
                 </div>
               </div>
-              
+
               <div className="space-y-4">
                 {/* Pet Type Filter */}
                 <div>
@@ -243,99 +258,56 @@ export default function SearchPage() {
                     </SelectContent>
                   </Select>
                 </div>
-                
+
                 {/* Sort By */}
                 <div>
                   <Label htmlFor="sort-by" className="font-medium">Ordina per</Label>
-                  <Select value={sortBy} onValueChange={setSortBy}>
-                    <SelectTrigger id="sort-by" className="w-full mt-1">
-                      <SelectValue placeholder="Ordina per" />
-                    </SelectTrigger>
-                    <SelectContent>
-                      <SelectItem value="price_asc">Prezzo: Dal più basso</SelectItem>
-                      <SelectItem value="price_desc">Prezzo: Dal più alto</SelectItem>
-                      <SelectItem value="rating">Valutazione</SelectItem>
-                      <SelectItem value="reviews">Recensioni</SelectItem>
-                    </SelectContent>
-                  </Select>
+                  {renderSortSelect({ id: 'sort-by', className: 'w-full mt-1' })}
                 </div>
-                
-                {/* Price Range */}
-                <Accordion type="single" collapsible defaultValue="price">
-                  <AccordionItem value="price">
-                    <AccordionTrigger className="font-medium py-2">
-                      Fascia di Prezzo
-                    </AccordionTrigger>
-                    <AccordionContent>
-                      <div className="px-1 pt-2 pb-6">
-                        <Slider 
-                          defaultValue={[0, 100]} 
-                          max={100} 
-                          step={1} 
-                          value={priceRange}
-                          onValueChange={setPriceRange}
-                        />
-                        <div className="flex justify-between mt-2 text-sm">
-                          <span>€{priceRange[0]}</span>
-                          <span>€{priceRange[1]}</span>
-                        </div>
-                      </div>
-                    </AccordionContent>
-                  </AccordionItem>
-                </Accordion>
-                
-                {/* Sources */}
-                <Accordion type="single" collapsible defaultValue="sources">
-                  <AccordionItem value="sources">
-                    <AccordionTrigger className="font-medium py-2">
-                      Rivenditori
-                    </AccordionTrigger>
-                    <AccordionContent>
-                      <div className="space-y-2">
-                        {sources.map((source) => (
-                          <div key={source.id} className="flex items-center space-x-2">
-                            <Checkbox 
-                              id={source.id} 
-                              checked={source.checked}
-                              onCheckedChange={() => toggleSource(source.id)}
-                            />
-                            <Label htmlFor={source.id}>{source.name}</Label>
+
+                {/* Facets: i conteggi arrivano dal backend e tengono conto degli altri filtri */}
+                {FACET_SECTIONS.map(section => {
+                  const entries = (facets[section.key] || []).filter(entry => entry.count > 0 || entry.selected);
+                  if (entries.length === 0) return null;
+
+                  return (
+                    <Accordion key={section.key} type="single" collapsible defaultValue={section.key}>
+                      <AccordionItem value={section.key}>
+                        <AccordionTrigger className="font-medium py-2">
+                          {section.title}
+                        </AccordionTrigger>
+                        <AccordionContent>
+                          <div className="space-y-2 max-h-60 overflow-y-auto">
+                            {entries.map(entry => {
+                              const value = entry.value ?? entry.id;
+                              const inputId = `${section.key}-${value}`;
+                              const label = entry.label || (section.format ? section.format(value) : value);
+
+                              return (
+                                <div key={value} className="flex items-center space-x-2">
+                                  <input
+                                    type="checkbox"
+                                    id={inputId}
+                                    className="h-4 w-4"
+                                    checked={filters[section.key].includes(value)}
+                                    onChange={() => toggleFilter(section.key, value)}
+                                  />
+                                  <Label htmlFor={inputId} className="flex-grow">{label}</Label>
+                                  <span className="text-xs text-muted-foreground">{entry.count}</span>
+                                </div>
+                              );
+                            })}
                           </div>
-                        ))}
-                      </div>
-                    </AccordionContent>
-                  </AccordionItem>
-                </Accordion>
-                
-                {/* Brands */}
-                {brands.length > 0 && (
-                  <Accordion type="single" collapsible defaultValue="brands">
-                    <AccordionItem value="brands">
-                      <AccordionTrigger className="font-medium py-2">
-                        Marche
-                      </AccordionTrigger>
-                      <AccordionContent>
-                        <div className="space-y-2 max-h-60 overflow-y-auto">
-                          {brands.map((brand) => (
-                            <div key={brand.id} className="flex items-center space-x-2">
-                              <Checkbox 
-                                id={brand.id} 
-                                checked={selectedBrands.includes(brand.id)}
-                                onCheckedChange={() => toggleBrand(brand.id)}
-                              />
-                              <Label htmlFor={brand.id}>{brand.name}</Label>
-                            </div>
-                          ))}
-                        </div>
-                      </AccordionContent>
-                    </AccordionItem>
-                  </Accordion>
-                )}
+                        </AccordionContent>
+                      </AccordionItem>
+                    </Accordion>
+                  );
+                })}
               </div>
             </CardContent>
           </Card>
         </div>
-        
+
         {/* Results */}
         <div className="md:col-span-3">
           {loading ? (
@@ -346,7 +318,7 @@ export default function SearchPage() {
             <div className="text-center p-8">
               <p className="text-red-500">{error}</p>
             </div>
-          ) : filteredResults.length === 0 ? (
+          ) : results.length === 0 ? (
             <div className="text-center p-8">
               <h3 className="text-lg font-semibold mb-2">Nessun prodotto trovato</h3>
               <p className="text-muted-foreground mb-4">
@@ -357,33 +329,36 @@ export default function SearchPage() {
             <>
               <div className="flex justify-between items-center mb-4">
                 <p className="text-sm text-muted-foreground">
-                  {filteredResults.length} prodotti trovati
+                  {total} prodotti trovati
                 </p>
                 <div className="hidden md:block">
-                  <Select value={sortBy} onValueChange={setSortBy}>
-                    <SelectTrigger className="w-[200px]">
-                      <SlidersHorizontal className="h-4 w-4 mr-2" />
-                      <SelectValue placeholder="Ordina per" />
-                    </SelectTrigger>
-                    <SelectContent>
-                      <SelectItem value="price_asc">Prezzo: Dal più basso</SelectItem>
-                      <SelectItem value="price_desc">Prezzo: Dal più alto</SelectItem>
-                      <SelectItem value="rating">Valutazione</SelectItem>
-                      <SelectItem value="reviews">Recensioni</SelectItem>
-                    </SelectContent>
-                  </Select>
+                  {renderSortSelect({ className: 'w-[220px]' })}
                 </div>
               </div>
-              
+
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-                {filteredResults.map((product) => (
+                {results.map((product) => (
                   <ProductCard key={product.id} product={product} />
                 ))}
               </div>
+
+              {totalPages > 1 && (
+                <div className="flex justify-center items-center gap-4 mt-8">
+                  <Button variant="outline" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                    Precedente
+                  </Button>
+                  <span className="text-sm text-muted-foreground">
+                    Pagina {page} di {totalPages}
+                  </span>
+                  <Button variant="outline" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+                    Successiva
+                  </Button>
+                </div>
+              )}
             </>
           )}
         </div>
       </div>
     </main>
   );
-} 
\ No newline at end of file
+}
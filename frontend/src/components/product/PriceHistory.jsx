@@ -34,8 +34,9 @@ export default function PriceHistory({ productId, variantId, title, initialData
       
       setLoading(true);
       try {
-        const data = await priceService.getPriceHistory(productId, variantId);
-        setPriceHistory(data);
+        // Un anno di storico: il backend sceglie la risoluzione (punti o aggregati giornalieri)
+        const response = await priceService.getPriceHistory(productId, variantId, { days: 365, limit: 1000 });
+        setPriceHistory(response.data?.priceHistory || []);
       } catch (err) {
         console.error('Error fetching price history:', err);
         setError('Impossibile caricare lo storico prezzi');
@@ -78,16 +79,14 @@ export default function PriceHistory({ productId, variantId, title, initialData
     }
     
     return priceHistory
-      .filter(point => new Date(point.recordedAt) >= cutoffDate)
+      .filter(point => new Date(point.timestamp) >= cutoffDate)
       .map(point => ({
-        date: new Date(point.recordedAt).toLocaleDateString('it-IT', {
+        date: new Date(point.timestamp).toLocaleDateString('it-IT', {
           day: '2-digit',
           month: 'short',
         }),
-        price: typeof point.price?.amount === 'number' 
-          ? point.price.amount 
-          : parseFloat(point.price?.amount || 0),
-        discounted: point.price?.discounted || false
+        price: point.price,
+        discounted: point.isPromotion || false
       }));
   };
   
@@ -0,0 +1,108 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { productService } from '@/services/api';
+import { Tag, FolderOpen, Package } from 'lucide-react';
+
+// Attesa dopo l'ultimo tasto prima di chiedere i suggerimenti
+const DEBOUNCE_MS = 120;
+
+const GROUPS = [
+  { key: 'brands', title: 'Marche', icon: Tag },
+  { key: 'categories', title: 'Categorie', icon: FolderOpen },
+  { key: 'products', title: 'Prodotti', icon: Package }
+];
+
+const formatPrice = (price) => new Intl.NumberFormat('it-IT', {
+  style: 'currency',
+  currency: 'EUR'
+}).format(price);
+
+// Testo del suggerimento con le parti corrispondenti alla query in grassetto
+const Highlighted = ({ text, ranges = [] }) => {
+  const parts = [];
+  let position = 0;
+
+  ranges.forEach(({ start, end }) => {
+    if (start > position) parts.push(<span key={position}>{text.slice(position, start)}</span>);
+    parts.push(<strong key={start} className="font-semibold">{text.slice(start, end)}</strong>);
+    position = end;
+  });
+  if (position < text.length) parts.push(<span key={position}>{text.slice(position)}</span>);
+
+  return <>{parts}</>;
+};
+
+/**
+ * Tendina dei suggerimenti per il testo digitato nella casella di ricerca
+ * @param {string} query - Testo digitato
+ * @param {boolean} open - Se la tendina è visibile
+ * @param {Function} onSelect - Chiamata con il suggerimento scelto
+ */
+const SearchSuggestions = ({ query, open, onSelect }) => {
+  const [suggestions, setSuggestions] = useState(null);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setSuggestions(null);
+      return undefined;
+    }
+
+    // Ogni tasto annulla la richiesta precedente
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await productService.suggest(q, { signal: controller.signal });
+        setSuggestions(response.data);
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          console.error('Error fetching suggestions:', err);
+          setSuggestions(null);
+        }
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  const groups = GROUPS.filter(group => suggestions?.[group.key]?.length > 0);
+  if (!open || groups.length === 0) return null;
+
+  return (
+    <div className="absolute left-0 right-0 top-full z-50 mt-1 rounded-md border bg-background shadow-lg">
+      {groups.map(group => (
+        <div key={group.key} className="py-1">
+          <p className="px-3 py-1 text-xs font-medium uppercase text-muted-foreground">{group.title}</p>
+          {suggestions[group.key].map(suggestion => (
+            <button
+              key={`${suggestion.type}-${suggestion.id || suggestion.text}`}
+              type="button"
+              className="flex w-full items-center gap-2 px-3 py-1.5 text-left text-sm hover:bg-muted"
+              // mouseDown precede il blur della casella di ricerca
+              onMouseDown={(e) => {
+                e.preventDefault();
+                onSelect(suggestion);
+              }}
+            >
+              <group.icon className="h-4 w-4 shrink-0 text-muted-foreground" />
+              <span className="flex-grow truncate">
+                <Highlighted text={suggestion.text} ranges={suggestion.highlight} />
+              </span>
+              {suggestion.type === 'product' && suggestion.price != null ? (
+                <span className="text-xs text-muted-foreground">da {formatPrice(suggestion.price)}</span>
+              ) : suggestion.count != null && (
+                <span className="text-xs text-muted-foreground">{suggestion.count}</span>
+              )}
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SearchSuggestions;
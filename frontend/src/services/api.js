@@ -2,6 +2,9 @@ import axios from 'axios';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL;
 
+// Prefisso delle route disponibili solo nella versione corrente dell'API (/api/v1)
+const V1 = '/v1';
+
 // Crea istanza axios
 const api = axios.create({
   baseURL: API_URL,
@@ -22,6 +25,26 @@ export const productService = {
     }
   },
   
+  // Ricerca testuale con filtri multi-selezione e conteggi per faccetta
+  searchCatalog: async (params) => {
+    try {
+      const response = await api.get('/products/search', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+  
+  // Suggerimenti durante la digitazione (brand, categorie e prodotti)
+  suggest: async (q, { limit, signal } = {}) => {
+    try {
+      const response = await api.get(`${V1}/products/suggest`, { params: { q, limit }, signal });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+  
   // Ottieni dettagli prodotto
   getProduct: async (id) => {
     try {
@@ -35,7 +58,7 @@ export const productService = {
   // Ottieni prodotto per fonte e ID fonte
   getProductBySource: async (source, sourceId) => {
     try {
-      const response = await api.get(`/products/source/${source}/${sourceId}`);
+      const response = await api.get(`${V1}/products/source/${source}/${sourceId}`);
       return response.data;
     } catch (error) {
       throw error.response?.data || error.message;
@@ -49,7 +72,7 @@ export const priceService = {
   getPriceHistory: async (productId, variantId, params) => {
     try {
       const response = await api.get(
-        `/prices/history/${productId}/${variantId}`, 
+        `${V1}/prices/history/${productId}/${variantId}`, 
         { params }
       );
       return response.data;
@@ -61,7 +84,7 @@ export const priceService = {
   // Ottieni variazioni di prezzo
   getPriceVariations: async (productId, variantId) => {
     try {
-      const response = await api.get(`/prices/variations/${productId}/${variantId}`);
+      const response = await api.get(`${V1}/prices/variations/${productId}/${variantId}`);
       return response.data;
     } catch (error) {
       throw error.response?.data || error.message;
@@ -74,7 +97,7 @@ export const compareService = {
   // Cerca e confronta prodotti
   searchAndCompare: async (params) => {
     try {
-      const response = await api.get('/compare/search', { params });
+      const response = await api.get(`${V1}/compare/search`, { params });
       return response.data;
     } catch (error) {
       throw error.response?.data || error.message;